@@ -22,6 +22,23 @@ const configRoutes = require('../src/routes/configRoutes');
 const reportRoutes = require('../src/routes/reportRoutes');
 const downloadRoutes = require('../src/routes/downloadRoutes');
 const otherExpenseRoutes = require('../src/routes/expenses');
+const customerRoutes = require('../src/routes/customerRoutes');
+const supplierRoutes = require('../src/routes/supplierRoutes');
+const paymentRoutes = require('../src/routes/paymentRoutes');
+const invoiceRoutes = require('../src/routes/invoiceRoutes');
+const unitRoutes = require('../src/routes/unitRoutes');
+const vehicleRoutes = require('../src/routes/vehicleRoutes');
+const driverRoutes = require('../src/routes/driverRoutes');
+const trashRoutes = require('../src/routes/trashRoutes');
+const auditLogRoutes = require('../src/routes/auditLogRoutes');
+const periodLockRoutes = require('../src/routes/periodLockRoutes');
+const dayBookRoutes = require('../src/routes/dayBookRoutes');
+const materialRoutes = require('../src/routes/materialRoutes');
+const rateCardRoutes = require('../src/routes/rateCardRoutes');
+const chargeTypeRoutes = require('../src/routes/chargeTypeRoutes');
+const freightRuleRoutes = require('../src/routes/freightRuleRoutes');
+const permitRoutes = require('../src/routes/permitRoutes');
+const cronRoutes = require('../src/routes/cronRoutes');
 
 const app = express();
 
@@ -98,6 +115,23 @@ app.use('/api/material-rates', authenticateToken, materialRateRoutes);
 app.use('/api/expenses', otherExpenseRoutes);
 app.use('/api/organizations', organizationRoutes);
 app.use('/api/dashboard', authenticateToken, dashboardRoutes);
+app.use('/api/customers', authenticateToken, customerRoutes);
+app.use('/api/suppliers', authenticateToken, supplierRoutes);
+app.use('/api/payments', authenticateToken, paymentRoutes);
+app.use('/api/invoices', authenticateToken, invoiceRoutes);
+app.use('/api/units', authenticateToken, unitRoutes);
+app.use('/api/vehicles', authenticateToken, vehicleRoutes);
+app.use('/api/drivers', authenticateToken, driverRoutes);
+app.use('/api/trash', authenticateToken, trashRoutes);
+app.use('/api/audit-logs', authenticateToken, auditLogRoutes);
+app.use('/api/period-locks', authenticateToken, periodLockRoutes);
+app.use('/api/day-book', authenticateToken, dayBookRoutes);
+app.use('/api/materials', authenticateToken, materialRoutes);
+app.use('/api/rate-cards', authenticateToken, rateCardRoutes);
+app.use('/api/charge-types', authenticateToken, chargeTypeRoutes);
+app.use('/api/freight-rules', authenticateToken, freightRuleRoutes);
+app.use('/api/permits', authenticateToken, permitRoutes);
+app.use('/api/cron', cronRoutes);
 app.use('/api/config', authenticateToken, configRoutes);
 app.use('/api/reports', authenticateToken, reportRoutes);
 
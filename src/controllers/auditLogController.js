@@ -0,0 +1,112 @@
+const AuditLog = require('../models/AuditLog');
+const { asyncHandler, AppError } = require('../middleware/errorHandler');
+const mongoose = require('mongoose');
+
+const assertAuditedModel = model => {
+  if (!AuditLog.AUDITED_MODELS.includes(model)) {
+    throw new AppError(
+      `Model must be one of: ${AuditLog.AUDITED_MODELS.join(', ')}`,
+      400,
+      'VALIDATION_ERROR',
+    );
+  }
+};
+
+// @desc    Get all changes in a period, newest first
+// @route   GET /api/audit-logs
+// @access  Private (Owner only)
+const getAuditLogs = asyncHandler(async (req, res) => {
+  const { organizationId } = req.user;
+  const {
+    startDate,
+    endDate,
+    model,
+    action,
+    actor,
+    field,
+    limit = 50,
+    page = 1,
+  } = req.query;
+
+  const query = { organization: organizationId };
+
+  if (model) {
+    assertAuditedModel(model);
+    query.model = model;
+  }
+  if (action) query.action = action;
+  if (actor) {
+    if (!mongoose.isValidObjectId(actor)) {
+      throw new AppError('Invalid actor ID', 400, 'VALIDATION_ERROR');
+    }
+    query.actor = new mongoose.Types.ObjectId(actor);
+  }
+  // Only changes that touched this field, e.g. ratePerUnit
+  if (field) query['changes.field'] = field;
+  if (startDate || endDate) {
+    query.createdAt = {};
+    if (startDate) query.createdAt.$gte = new Date(startDate);
+    if (endDate) query.createdAt.$lte = new Date(endDate + 'T23:59:59.999Z');
+  }
+
+  const skip = (parseInt(page) - 1) * parseInt(limit);
+
+  const [logs, total] = await Promise.all([
+    AuditLog.find(query)
+      .populate('actor', 'username fullName')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit)),
+    AuditLog.countDocuments(query),
+  ]);
+
+  res.json({
+    success: true,
+    data: logs,
+    pagination: {
+      total,
+      page: parseInt(page),
+      limit: parseInt(limit),
+      pages: Math.ceil(total / parseInt(limit)),
+    },
+  });
+});
+
+// @desc    Get the full change history of one document, oldest first
+// @route   GET /api/audit-logs/:model/:documentId
+// @access  Private (Owner only)
+const getDocumentHistory = asyncHandler(async (req, res) => {
+  const { organizationId } = req.user;
+  const { model, documentId } = req.params;
+
+  assertAuditedModel(model);
+  if (!mongoose.isValidObjectId(documentId)) {
+    throw new AppError(
+      'Document ID must be a valid ID',
+      400,
+      'VALIDATION_ERROR',
+    );
+  }
+
+  const logs = await AuditLog.find({
+    organization: organizationId,
+    model,
+    documentId,
+  })
+    .populate('actor', 'username fullName')
+    .sort({ createdAt: 1 });
+
+  res.json({
+    success: true,
+    data: {
+      model,
+      documentId,
+      history: logs,
+    },
+  });
+});
+
+module.exports = {
+  getAuditLogs,
+  getDocumentHistory,
+};
@@ -3,6 +3,7 @@ const User = require('../models/User');
 const Organization = require('../models/Organization');
 const { generateToken } = require('../middleware/auth');
 const bcrypt = require('bcryptjs'); // Added missing import for bcrypt
+const { recordAudit } = require('../utils/audit');
 
 // @desc    Register new user
 // @route   POST /api/auth/register
@@ -34,6 +35,13 @@ const register = asyncHandler(async (req, res) => {
     organization: organizationId,
     role: role,
   });
+  await recordAudit(req, {
+    model: 'User',
+    action: 'create',
+    document: user,
+    organization: organizationId,
+    note: 'Registered',
+  });
 
   const token = generateToken(
     user._id,
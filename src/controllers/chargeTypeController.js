@@ -0,0 +1,189 @@
+const ChargeType = require('../models/ChargeType');
+const { asyncHandler, AppError } = require('../middleware/errorHandler');
+const { body, validationResult } = require('express-validator');
+const { CHARGE_KINDS, CHARGE_CALCULATIONS } = require('../utils/charges');
+const { loadChargeTypes } = require('../utils/chargeTypes');
+
+// @desc    Get the organization's charge types
+// @route   GET /api/charge-types
+// @access  Private
+const getChargeTypes = asyncHandler(async (req, res) => {
+  const chargeTypes = await loadChargeTypes(req.user.organizationId, {
+    includeInactive: req.query.includeInactive === 'true',
+  });
+
+  res.json({
+    success: true,
+    data: chargeTypes,
+  });
+});
+
+// @desc    Add a charge type
+// @route   POST /api/charge-types
+// @access  Private (Owner only)
+const createChargeType = asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array(),
+    });
+  }
+
+  const { organizationId, id: userId } = req.user;
+  const { name, kind, calculation, defaultValue, hsnCode } = req.body;
+
+  // Seed the defaults first so a new charge type does not replace them
+  await loadChargeTypes(organizationId);
+  const chargeType = await ChargeType.create({
+    organization: organizationId,
+    name,
+    kind,
+    calculation,
+    defaultValue:
+      defaultValue === undefined || defaultValue === null
+        ? null
+        : parseFloat(defaultValue),
+    hsnCode: hsnCode || null,
+    createdBy: userId,
+  });
+
+  res.status(201).json({
+    success: true,
+    message: 'Charge type created successfully',
+    data: chargeType,
+  });
+});
+
+// @desc    Update a charge type, or reactivate it with isActive. Entries
+//          keep the charges they were billed with.
+// @route   PUT /api/charge-types/:id
+// @access  Private (Owner only)
+const updateChargeType = asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array(),
+    });
+  }
+
+  const { organizationId } = req.user;
+  const { name, kind, calculation, defaultValue, hsnCode, isActive } = req.body;
+
+  const chargeType = await ChargeType.findOne({
+    _id: req.params.id,
+    organization: organizationId,
+  });
+
+  if (!chargeType) {
+    throw new AppError('Charge type not found', 404, 'NOT_FOUND');
+  }
+
+  if (name !== undefined) chargeType.name = name;
+  if (kind !== undefined) chargeType.kind = kind;
+  if (calculation !== undefined) chargeType.calculation = calculation;
+  if (defaultValue !== undefined) {
+    chargeType.defaultValue =
+      defaultValue === null ? null : parseFloat(defaultValue);
+  }
+  if (hsnCode !== undefined) chargeType.hsnCode = hsnCode || null;
+  if (isActive !== undefined) chargeType.isActive = isActive;
+
+  await chargeType.save();
+
+  res.json({
+    success: true,
+    message: 'Charge type updated successfully',
+    data: chargeType,
+  });
+});
+
+// @desc    Deactivate a charge type; existing entries keep their charges
+// @route   DELETE /api/charge-types/:id
+// @access  Private (Owner only)
+const deleteChargeType = asyncHandler(async (req, res) => {
+  const { organizationId } = req.user;
+
+  const chargeType = await ChargeType.findOneAndUpdate(
+    { _id: req.params.id, organization: organizationId, isActive: true },
+    { isActive: false },
+    { new: true },
+  );
+
+  if (!chargeType) {
+    throw new AppError('Charge type not found', 404, 'NOT_FOUND');
+  }
+
+  res.json({
+    success: true,
+    message: 'Charge type deleted successfully',
+  });
+});
+
+// Validation middleware
+const createChargeTypeValidation = [
+  body('name')
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('Charge name is required and cannot exceed 50 characters'),
+  body('kind')
+    .optional()
+    .isIn(CHARGE_KINDS)
+    .withMessage(`Kind must be one of: ${CHARGE_KINDS.join(', ')}`),
+  body('calculation')
+    .optional()
+    .isIn(CHARGE_CALCULATIONS)
+    .withMessage(
+      `Calculation must be one of: ${CHARGE_CALCULATIONS.join(', ')}`,
+    ),
+  body('defaultValue')
+    .optional({ nullable: true })
+    .isFloat({ min: 0 })
+    .withMessage('Default value must be a positive number'),
+  body('hsnCode')
+    .optional({ checkFalsy: true })
+    .matches(/^[0-9]{4,8}$/)
+    .withMessage('HSN/SAC code must be 4 to 8 digits'),
+];
+
+const updateChargeTypeValidation = [
+  body('name')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('Charge name cannot exceed 50 characters'),
+  body('kind')
+    .optional()
+    .isIn(CHARGE_KINDS)
+    .withMessage(`Kind must be one of: ${CHARGE_KINDS.join(', ')}`),
+  body('calculation')
+    .optional()
+    .isIn(CHARGE_CALCULATIONS)
+    .withMessage(
+      `Calculation must be one of: ${CHARGE_CALCULATIONS.join(', ')}`,
+    ),
+  body('defaultValue')
+    .optional({ nullable: true })
+    .isFloat({ min: 0 })
+    .withMessage('Default value must be a positive number'),
+  body('hsnCode')
+    .optional({ checkFalsy: true })
+    .matches(/^[0-9]{4,8}$/)
+    .withMessage('HSN/SAC code must be 4 to 8 digits'),
+  body('isActive')
+    .optional()
+    .isBoolean()
+    .withMessage('isActive must be true or false'),
+];
+
+module.exports = {
+  getChargeTypes,
+  createChargeType,
+  updateChargeType,
+  deleteChargeType,
+  createChargeTypeValidation,
+  updateChargeTypeValidation,
+};
@@ -1,14 +1,36 @@
 const MaterialRate = require('../models/MaterialRate');
+const Organization = require('../models/Organization');
+const UnitOfMeasure = require('../models/UnitOfMeasure');
+const { DEFAULT_GST_RATE } = require('../utils/gst');
+const {
+  loadMaterials,
+  findMaterial,
+  resolveSalesMaterial,
+} = require('../utils/materials');
+const { resolveRate } = require('../utils/rates');
+const { priceEntry } = require('../utils/charges');
+const { buildEntryCharges } = require('../utils/chargeTypes');
+const {
+  STANDARD_UNIT,
+  BUILT_IN_UNITS,
+  loadUnitContext,
+  convertQuantity,
+} = require('../utils/units');
 const { asyncHandler, AppError } = require('../middleware/errorHandler');
+const { body, validationResult } = require('express-validator');
 
 // @desc    Get app configuration including dropdowns and rates
 // @route   GET /api/config/app
 // @access  Private
 const getAppConfig = asyncHandler(async (req, res) => {
   try {
-    // Get current material rates globally
-    console.log('🔍 ConfigController - Querying for global material rates');
-    const materialRates = await MaterialRate.find({});
+    // Get the organization's current material rates
+    console.log(
+      '🔍 ConfigController - Querying for organization material rates',
+    );
+    const materialRates = await MaterialRate.findCurrent({
+      organization: req.user.organizationId,
+    });
     console.log('🔍 ConfigController - Found', materialRates.length, 'rates');
     materialRates.forEach(r =>
       console.log('  -', r.materialType, ':', r.currentRate),
@@ -26,27 +48,16 @@ const getAppConfig = asyncHandler(async (req, res) => {
       };
     });
 
-    // Get available material types globally
-    let materialTypes = await MaterialRate.distinct('materialType');
-
-    // If no material types found in database, use default ones
-    if (materialTypes.length === 0) {
-      materialTypes = [
-        '1 1/2 Metal',
-        '3/4 Jalli',
-        '1/2 Jalli',
-        '1/4 Kuranai',
-        'Dust',
-        'Wetmix',
-        'M sand',
-        'P sand',
-      ];
-    }
+    // Materials the organization sells
+    const materials = await loadMaterials(req.user.organizationId);
 
     // Convert material types to the format expected by frontend
-    const formattedMaterialTypes = materialTypes.map(materialType => ({
-      value: materialType,
-      label: materialType,
+    const formattedMaterialTypes = materials.map(material => ({
+      value: material.name,
+      label: material.name,
+      code: material.code,
+      hsnCode: material.hsnCode,
+      unit: material.unit,
     }));
 
     // Entry types configuration
@@ -65,6 +76,22 @@ const getAppConfig = asyncHandler(async (req, res) => {
       },
     ];
 
+    // Units of measure: built-in plus organization-defined
+    const customUnits = await UnitOfMeasure.find({
+      organization: req.user.organizationId,
+      isActive: true,
+    }).select('code name dimension factor');
+    const unitsOfMeasure = [...BUILT_IN_UNITS, ...customUnits].map(unit => ({
+      value: unit.code,
+      label: unit.name,
+      dimension: unit.dimension,
+    }));
+
+    // GST rate configured for the organization, if any
+    const organization = await Organization.findById(
+      req.user.organizationId,
+    ).select('gstRate');
+
     // Business rules for frontend logic
     const businessRules = {
       validation: {
@@ -74,7 +101,10 @@ const getAppConfig = asyncHandler(async (req, res) => {
         rate: { min: 1 },
       },
       calculations: {
-        gstRate: 0.18, // Example GST rate
+        gstRate:
+          organization && organization.gstRate != null
+            ? organization.gstRate
+            : DEFAULT_GST_RATE,
       },
     };
 
@@ -84,6 +114,8 @@ const getAppConfig = asyncHandler(async (req, res) => {
         entryTypes,
         materialTypes: formattedMaterialTypes,
         materialRates: formattedRates,
+        unitsOfMeasure,
+        defaultUnit: STANDARD_UNIT,
         businessRules,
       },
     });
@@ -97,23 +129,68 @@ const getAppConfig = asyncHandler(async (req, res) => {
   }
 });
 
-// @desc    Calculate total amount for given units and rate
+// @desc    Calculate total amount for given units and rate. The quantity is
+//          in `unit` and the rate is per `rateUnit` (both default to units).
+//          Without a rate, the rate for `materialType`, `customer` and
+//          `entryDate` is looked up from rate cards and the list price, in
+//          the unit it is quoted per.
+//          Optional `charges` ([{ chargeType, value }]) are added on top.
 // @route   POST /api/config/calculate
 // @access  Private
 const calculateTotal = asyncHandler(async (req, res) => {
-  const { units, ratePerUnit, materialType } = req.body;
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array(),
+    });
+  }
+
+  const {
+    units,
+    ratePerUnit,
+    customer,
+    entryDate,
+    unit = STANDARD_UNIT,
+  } = req.body;
+  let { materialType, rateUnit = unit } = req.body;
 
   // Validation
-  if (!units || !ratePerUnit) {
+  if (!units || (!ratePerUnit && !materialType)) {
     throw new AppError(
-      'Units and rate per unit are required',
+      'Units and either rate per unit or material type are required',
       400,
       'VALIDATION_ERROR',
     );
   }
 
+  let rate = { source: 'manual', rateCard: null };
+  if (!ratePerUnit) {
+    if (materialType !== 'Raw Stone') {
+      materialType = resolveSalesMaterial(
+        await loadMaterials(req.user.organizationId),
+        materialType,
+      ).name;
+    }
+    rate = await resolveRate(req.user.organizationId, {
+      materialType,
+      customer: materialType === 'Raw Stone' ? null : customer,
+      date: entryDate || new Date(),
+    });
+    if (!rate) {
+      throw new AppError(
+        `No rate is set for ${materialType}; enter the rate per unit`,
+        400,
+        'RATE_NOT_FOUND',
+      );
+    }
+    // A looked-up rate is quoted per its own unit
+    rateUnit = rate.unit;
+  }
+
   const unitsNum = parseFloat(units);
-  const rateNum = parseFloat(ratePerUnit);
+  const rateNum = ratePerUnit ? parseFloat(ratePerUnit) : rate.rate;
 
   if (isNaN(unitsNum) || isNaN(rateNum)) {
     throw new AppError(
@@ -127,8 +204,33 @@ const calculateTotal = asyncHandler(async (req, res) => {
     throw new AppError('Units must be greater than 0', 400, 'VALIDATION_ERROR');
   }
 
-  // Calculate total with proper rounding
-  const totalAmount = Math.round(unitsNum * rateNum * 100) / 100;
+  // Bring the quantity into the unit the rate is quoted in
+  let billedUnits = unitsNum;
+  if (unit.toLowerCase() !== rateUnit.toLowerCase()) {
+    const unitContext = await loadUnitContext(req.user.organizationId);
+    billedUnits = convertQuantity(
+      unitContext,
+      unitsNum,
+      unit,
+      rateUnit,
+      materialType || 'Raw Stone',
+    );
+  }
+
+  // Material amount, then the charges and discounts on top of it
+  const charges = await buildEntryCharges(
+    req.user.organizationId,
+    req.body.charges || [],
+  );
+  const { materialAmount, chargeAmounts, chargesAmount, totalAmount } =
+    priceEntry({ units: billedUnits, ratePerUnit: rateNum, charges });
+  if (totalAmount < 0) {
+    throw new AppError(
+      'Discounts cannot exceed the entry amount',
+      400,
+      'VALIDATION_ERROR',
+    );
+  }
 
   // Format for display
   const formattedTotal = new Intl.NumberFormat('en-IN', {
@@ -136,6 +238,11 @@ const calculateTotal = asyncHandler(async (req, res) => {
     currency: 'INR',
     maximumFractionDigits: 2,
   }).format(totalAmount);
+  const formattedMaterialAmount = new Intl.NumberFormat('en-IN', {
+    style: 'currency',
+    currency: 'INR',
+    maximumFractionDigits: 2,
+  }).format(materialAmount);
 
   const formattedRate = new Intl.NumberFormat('en-IN', {
     style: 'currency',
@@ -148,15 +255,28 @@ const calculateTotal = asyncHandler(async (req, res) => {
     data: {
       calculation: {
         units: unitsNum,
+        unit,
+        billedUnits,
+        rateUnit,
         ratePerUnit: rateNum,
+        rateSource: rate.source,
+        rateCard: rate.rateCard,
+        materialAmount,
+        charges: charges.map((charge, index) => ({
+          ...charge,
+          amount: chargeAmounts[index],
+        })),
+        chargesAmount,
         totalAmount: totalAmount,
         materialType: materialType || null,
       },
       formatted: {
-        units: `${unitsNum} units`,
+        units: `${unitsNum} ${unit === STANDARD_UNIT ? 'units' : unit}`,
         ratePerUnit: formattedRate,
         totalAmount: formattedTotal,
-        breakdown: `${unitsNum} units × ${formattedRate} = ${formattedTotal}`,
+        breakdown: `${billedUnits} ${
+          rateUnit === STANDARD_UNIT ? 'units' : rateUnit
+        } × ${formattedRate} = ${formattedMaterialAmount}`,
       },
     },
   });
@@ -169,7 +289,9 @@ const getCurrentRates = asyncHandler(async (req, res) => {
   const { units = 1 } = req.query;
   const unitsNum = parseFloat(units);
 
-  const materialRates = await MaterialRate.find({});
+  const materialRates = await MaterialRate.findCurrent({
+    organization: req.user.organizationId,
+  });
 
   const ratesWithCalculations = materialRates.map(rate => {
     const totalForUnits = unitsNum * rate.currentRate;
@@ -232,21 +354,18 @@ const validateTruckEntry = asyncHandler(async (req, res) => {
   }
 
   // Material type validation for Sales
+  let material = null;
   if (entryType === 'Sales') {
     if (!materialType) {
       errors.push('Material type is required for Sales entries');
-    } else if (
-      ![
-        'M-Sand',
-        'P-Sand',
-        'Blue Metal 0.5in',
-        'Blue Metal 0.75in',
-        'Jally',
-        'Kurunai',
-        'Mixed',
-      ].includes(materialType)
-    ) {
-      errors.push('Invalid material type selected');
+    } else {
+      material = findMaterial(
+        await loadMaterials(req.user.organizationId),
+        materialType,
+      );
+      if (!material) {
+        errors.push('Invalid material type selected');
+      }
     }
   }
 
@@ -289,7 +408,7 @@ const validateTruckEntry = asyncHandler(async (req, res) => {
         ? {
             truckNumber: truckNumber?.toUpperCase(),
             entryType,
-            materialType: entryType === 'Sales' ? materialType : null,
+            materialType: material ? material.name : null,
             units: parseFloat(units),
             ratePerUnit: parseFloat(ratePerUnit),
             totalAmount: isValid
@@ -302,9 +421,34 @@ const validateTruckEntry = asyncHandler(async (req, res) => {
   });
 });
 
+// Validation middleware
+const calculateTotalValidation = [
+  body(['unit', 'rateUnit'])
+    .optional()
+    .isString()
+    .withMessage('Unit must be a unit of measure code')
+    .bail()
+    .trim()
+    .isLength({ min: 1, max: 20 })
+    .withMessage('Unit must be a unit of measure code'),
+  body('materialType')
+    .optional()
+    .isString()
+    .withMessage('Material type must be text'),
+  body('customer')
+    .optional({ checkFalsy: true })
+    .isMongoId()
+    .withMessage('Customer must be a valid ID'),
+  body('entryDate')
+    .optional({ checkFalsy: true })
+    .isISO8601()
+    .withMessage('Entry date must be a valid date'),
+];
+
 module.exports = {
   getAppConfig,
   calculateTotal,
   getCurrentRates,
   validateTruckEntry,
+  calculateTotalValidation,
 };
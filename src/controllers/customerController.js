@@ -0,0 +1,310 @@
+const Customer = require('../models/Customer');
+const { asyncHandler, AppError } = require('../middleware/errorHandler');
+const { body, validationResult } = require('express-validator');
+const { buildLedgerSummary, buildLedgerStatement } = require('../utils/ledger');
+const mongoose = require('mongoose');
+
+// @desc    Create a new customer
+// @route   POST /api/customers
+// @access  Private
+const createCustomer = asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array(),
+    });
+  }
+
+  const { organizationId, id: userId } = req.user;
+  const {
+    name,
+    phone,
+    address,
+    gstin,
+    stateCode,
+    openingBalance,
+    rateGroup,
+    notes,
+  } = req.body;
+
+  const customer = await Customer.create({
+    organization: organizationId,
+    name,
+    phone,
+    address,
+    gstin,
+    stateCode,
+    openingBalance: openingBalance ? parseFloat(openingBalance) : 0,
+    rateGroup: rateGroup || null,
+    notes,
+    createdBy: userId,
+  });
+
+  res.status(201).json({
+    success: true,
+    message: 'Customer created successfully',
+    data: customer,
+  });
+});
+
+// @desc    Get all customers for organization
+// @route   GET /api/customers
+// @access  Private
+const getCustomers = asyncHandler(async (req, res) => {
+  const { organizationId } = req.user;
+  const { search, rateGroup, limit = 50, page = 1 } = req.query;
+
+  const query = { organization: organizationId, isActive: true };
+  if (rateGroup) query.rateGroup = rateGroup;
+
+  if (search) {
+    query.$or = [
+      { name: { $regex: search, $options: 'i' } },
+      { phone: { $regex: search, $options: 'i' } },
+    ];
+  }
+
+  const skip = (parseInt(page) - 1) * parseInt(limit);
+
+  const [customers, total] = await Promise.all([
+    Customer.find(query).sort({ name: 1 }).skip(skip).limit(parseInt(limit)),
+    Customer.countDocuments(query),
+  ]);
+
+  res.json({
+    success: true,
+    data: customers,
+    pagination: {
+      total,
+      page: parseInt(page),
+      limit: parseInt(limit),
+      pages: Math.ceil(total / parseInt(limit)),
+    },
+  });
+});
+
+// @desc    Get customer by ID
+// @route   GET /api/customers/:id
+// @access  Private
+const getCustomer = asyncHandler(async (req, res) => {
+  const { organizationId } = req.user;
+
+  const customer = await Customer.findOne({
+    _id: req.params.id,
+    organization: organizationId,
+    isActive: true,
+  });
+
+  if (!customer) {
+    throw new AppError('Customer not found', 404, 'NOT_FOUND');
+  }
+
+  res.json({
+    success: true,
+    data: customer,
+  });
+});
+
+// @desc    Update customer
+// @route   PUT /api/customers/:id
+// @access  Private
+const updateCustomer = asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array(),
+    });
+  }
+
+  const { organizationId } = req.user;
+  const {
+    name,
+    phone,
+    address,
+    gstin,
+    stateCode,
+    openingBalance,
+    rateGroup,
+    notes,
+  } = req.body;
+
+  const customer = await Customer.findOne({
+    _id: req.params.id,
+    organization: organizationId,
+    isActive: true,
+  });
+
+  if (!customer) {
+    throw new AppError('Customer not found', 404, 'NOT_FOUND');
+  }
+
+  if (name !== undefined) customer.name = name;
+  if (phone !== undefined) customer.phone = phone;
+  if (address !== undefined) customer.address = address;
+  if (gstin !== undefined) customer.gstin = gstin;
+  if (stateCode !== undefined) customer.stateCode = stateCode;
+  if (openingBalance !== undefined)
+    customer.openingBalance = parseFloat(openingBalance);
+  if (rateGroup !== undefined) customer.rateGroup = rateGroup || null;
+  if (notes !== undefined) customer.notes = notes;
+
+  await customer.save();
+
+  res.json({
+    success: true,
+    message: 'Customer updated successfully',
+    data: customer,
+  });
+});
+
+// @desc    Deactivate customer (soft delete)
+// @route   DELETE /api/customers/:id
+// @access  Private (Owner only)
+const deleteCustomer = asyncHandler(async (req, res) => {
+  const { organizationId } = req.user;
+
+  const customer = await Customer.findOne({
+    _id: req.params.id,
+    organization: organizationId,
+    isActive: true,
+  });
+
+  if (!customer) {
+    throw new AppError('Customer not found', 404, 'NOT_FOUND');
+  }
+
+  customer.isActive = false;
+  await customer.save();
+
+  res.json({
+    success: true,
+    message: 'Customer deleted successfully',
+  });
+});
+
+// @desc    Get receivables ledger for all customers
+// @route   GET /api/customers/ledger
+// @access  Private (Owner only)
+const getReceivablesLedger = asyncHandler(async (req, res) => {
+  const { organizationId } = req.user;
+  const { startDate, endDate } = req.query;
+  const organization = new mongoose.Types.ObjectId(organizationId);
+
+  const customers = await Customer.find({ organization }).sort({ name: 1 });
+
+  const { ledger, ...rest } = await buildLedgerSummary({
+    parties: customers,
+    partyField: 'customer',
+    entryType: 'Sales',
+    organization,
+    startDate,
+    endDate,
+  });
+
+  res.json({
+    success: true,
+    data: {
+      ...rest,
+      ledger: ledger.map(({ party, ...row }) => ({ customer: party, ...row })),
+    },
+  });
+});
+
+// @desc    Get ledger statement for a single customer
+// @route   GET /api/customers/:id/ledger
+// @access  Private (Owner only)
+const getCustomerLedger = asyncHandler(async (req, res) => {
+  const { organizationId } = req.user;
+  const { startDate, endDate } = req.query;
+  const organization = new mongoose.Types.ObjectId(organizationId);
+
+  const customer = await Customer.findOne({
+    _id: req.params.id,
+    organization,
+  });
+
+  if (!customer) {
+    throw new AppError('Customer not found', 404, 'NOT_FOUND');
+  }
+
+  const statement = await buildLedgerStatement({
+    party: customer,
+    partyField: 'customer',
+    entryType: 'Sales',
+    organization,
+    startDate,
+    endDate,
+  });
+
+  res.json({
+    success: true,
+    data: {
+      customer,
+      ...statement,
+    },
+  });
+});
+
+// Validation middleware
+const createCustomerValidation = [
+  body('name')
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Customer name is required and cannot exceed 100 characters'),
+  body('phone')
+    .optional({ checkFalsy: true })
+    .matches(/^[0-9]{10}$/)
+    .withMessage('Please provide a valid 10-digit phone number'),
+  body('address')
+    .optional()
+    .trim()
+    .isLength({ max: 300 })
+    .withMessage('Address cannot exceed 300 characters'),
+  body('gstin')
+    .optional({ checkFalsy: true })
+    .isLength({ min: 15, max: 15 })
+    .withMessage('GSTIN must be 15 characters'),
+  body('stateCode')
+    .optional({ checkFalsy: true })
+    .matches(/^[0-9]{2}$/)
+    .withMessage('State code must be 2 digits'),
+  body('openingBalance')
+    .optional()
+    .isFloat()
+    .withMessage('Opening balance must be a valid number'),
+  body('rateGroup')
+    .optional({ nullable: true })
+    .trim()
+    .isLength({ max: 50 })
+    .withMessage('Rate group cannot exceed 50 characters'),
+  body('notes')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Notes cannot exceed 500 characters'),
+];
+
+const updateCustomerValidation = [
+  body('name')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Customer name cannot exceed 100 characters'),
+  ...createCustomerValidation.slice(1),
+];
+
+module.exports = {
+  createCustomer,
+  getCustomers,
+  getCustomer,
+  updateCustomer,
+  deleteCustomer,
+  getReceivablesLedger,
+  getCustomerLedger,
+  createCustomerValidation,
+  updateCustomerValidation,
+};
@@ -3,6 +3,8 @@ const User = require('../models/User');
 const MaterialRate = require('../models/MaterialRate');
 const OtherExpense = require('../models/OtherExpense');
 const { asyncHandler, AppError } = require('../middleware/errorHandler');
+const { TRIP_STATUSES, IN_YARD_STATUSES } = require('../utils/tripLifecycle');
+const { REPORTABLE_ENTRY_MATCH } = require('../utils/entryApproval');
 const mongoose = require('mongoose');
 
 // Helper function to get date ranges
@@ -109,6 +111,37 @@ const getDashboardSummary = asyncHandler(async (req, res) => {
     entryDate: { $gte: todayRange.startDate, $lte: todayRange.endDate },
   });
 
+  // Trucks currently inside the yard (any date) and trips per stage in the
+  // selected range. Entries from before the trip lifecycle count as dispatched.
+  const [inYardEntries, tripStages] = await Promise.all([
+    TruckEntry.find({
+      ...filter,
+      status: 'active',
+      tripStatus: { $in: IN_YARD_STATUSES },
+    })
+      .select(
+        'truckNumber truckName entryType materialType tripStatus tripEvents',
+      )
+      .sort({ createdAt: 1 }),
+    TruckEntry.aggregate([
+      {
+        $match: {
+          ...filter,
+          status: 'active',
+          entryDate: { $gte: startDate, $lte: endDate },
+        },
+      },
+      { $group: { _id: '$tripStatus', count: { $sum: 1 } } },
+    ]),
+  ]);
+
+  const tripsByStatus = Object.fromEntries(
+    TRIP_STATUSES.map(status => [status, 0]),
+  );
+  tripStages.forEach(({ _id, count }) => {
+    tripsByStatus[_id || 'dispatched'] += count;
+  });
+
   // Get recent entries (last 5 from the selected range)
   const recentEntries = await TruckEntry.find({
     ...filter,
@@ -135,6 +168,7 @@ const getDashboardSummary = asyncHandler(async (req, res) => {
       $match: {
         ...filter,
         status: 'active',
+        ...REPORTABLE_ENTRY_MATCH,
         entryType: 'Sales',
         entryDate: { $gte: startDate, $lte: endDate },
       },
@@ -143,7 +177,8 @@ const getDashboardSummary = asyncHandler(async (req, res) => {
       $group: {
         _id: '$materialType',
         totalAmount: { $sum: '$totalAmount' },
-        totalUnits: { $sum: '$units' },
+        totalUnits: { $sum: { $ifNull: ['$standardUnits', '$units'] } },
+        totalNetWeight: { $sum: { $ifNull: ['$netWeight', 0] } },
         count: { $sum: 1 },
         avgRate: { $avg: '$ratePerUnit' },
       },
@@ -159,6 +194,7 @@ const getDashboardSummary = asyncHandler(async (req, res) => {
       $match: {
         ...filter,
         status: 'active',
+        ...REPORTABLE_ENTRY_MATCH,
         entryDate: { $gte: startDate, $lte: endDate },
       },
     },
@@ -166,7 +202,8 @@ const getDashboardSummary = asyncHandler(async (req, res) => {
       $group: {
         _id: '$truckNumber',
         totalAmount: { $sum: '$totalAmount' },
-        totalUnits: { $sum: '$units' },
+        totalUnits: { $sum: { $ifNull: ['$standardUnits', '$units'] } },
+        totalNetWeight: { $sum: { $ifNull: ['$netWeight', 0] } },
         entryCount: { $sum: 1 },
         lastEntry: { $max: '$entryDate' },
       },
@@ -186,6 +223,11 @@ const getDashboardSummary = asyncHandler(async (req, res) => {
       dateRange: { startDate, endDate },
       summary,
       todayEntries: todayEntriesCount,
+      trips: {
+        inYard: inYardEntries.length,
+        inYardEntries,
+        byStatus: tripsByStatus,
+      },
       recentEntries,
       recentOtherExpenses,
       materialBreakdown,
@@ -218,6 +260,7 @@ const getFinancialMetrics = asyncHandler(async (req, res) => {
       $match: {
         ...filter,
         status: 'active',
+        ...REPORTABLE_ENTRY_MATCH,
         entryDate: { $gte: startDate, $lte: endDate },
       },
     },
@@ -228,7 +271,8 @@ const getFinancialMetrics = asyncHandler(async (req, res) => {
           entryType: '$entryType',
         },
         totalAmount: { $sum: '$totalAmount' },
-        totalUnits: { $sum: '$units' },
+        totalUnits: { $sum: { $ifNull: ['$standardUnits', '$units'] } },
+        totalNetWeight: { $sum: { $ifNull: ['$netWeight', 0] } },
         count: { $sum: 1 },
       },
     },
@@ -277,7 +321,7 @@ const getFinancialMetrics = asyncHandler(async (req, res) => {
       : 0;
 
   // Get current material rates for reference
-  const currentRates = await MaterialRate.getCurrentRates();
+  const currentRates = await MaterialRate.getAllRates(req.user.organizationId);
 
   res.json({
     success: true,
@@ -329,6 +373,7 @@ const getDashboardStats = asyncHandler(async (req, res) => {
   const activeUsers = await TruckEntry.distinct('userId', {
     ...filter,
     status: 'active',
+    ...REPORTABLE_ENTRY_MATCH,
     entryDate: { $gte: startDate, $lte: endDate },
   });
 
@@ -338,6 +383,7 @@ const getDashboardStats = asyncHandler(async (req, res) => {
       $match: {
         ...filter,
         status: 'active',
+        ...REPORTABLE_ENTRY_MATCH,
         entryDate: { $gte: startDate, $lte: endDate },
       },
     },
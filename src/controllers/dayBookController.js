@@ -0,0 +1,229 @@
+const DayBook = require('../models/DayBook');
+const Organization = require('../models/Organization');
+const { asyncHandler, AppError } = require('../middleware/errorHandler');
+const { body, validationResult } = require('express-validator');
+const { getDayRange, formatDay, buildDayBook } = require('../utils/dayBook');
+const { generateDayBookPdf } = require('../utils/exportGenerator');
+
+// Start of the India day a request names; days after today have no cash
+// counted yet and cannot be closed or reopened
+const readClosingDay = date => {
+  if (isNaN(new Date(date))) {
+    throw new AppError('Date must be a valid date', 400, 'VALIDATION_ERROR');
+  }
+  const { start } = getDayRange(date);
+  if (start > getDayRange(new Date()).start) {
+    throw new AppError(
+      'Days after today cannot be closed or reopened',
+      400,
+      'VALIDATION_ERROR',
+    );
+  }
+  return start;
+};
+
+// Day book for a date, with its day-end closing if the day has been closed
+const loadDayBook = async (organizationId, date) => {
+  const { start, end } = getDayRange(date || new Date());
+  const [dayBook, dayEnd] = await Promise.all([
+    buildDayBook(organizationId, start),
+    DayBook.findOne({
+      organization: organizationId,
+      date: { $gte: start, $lte: end },
+    }).populate('closedBy', 'username'),
+  ]);
+  return { ...dayBook, closed: Boolean(dayEnd), dayEnd };
+};
+
+// @desc    Get the cash book for a day
+// @route   GET /api/day-book?date=YYYY-MM-DD
+// @access  Private
+const getDayBook = asyncHandler(async (req, res) => {
+  const { organizationId } = req.user;
+
+  const dayBook = await loadDayBook(organizationId, req.query.date);
+
+  res.json({
+    success: true,
+    data: dayBook,
+  });
+});
+
+// @desc    Get day-end closings over a period
+// @route   GET /api/day-book/history
+// @access  Private
+const getDayBookHistory = asyncHandler(async (req, res) => {
+  const { organizationId } = req.user;
+  const { startDate, endDate } = req.query;
+
+  const query = { organization: organizationId };
+  if (startDate || endDate) {
+    query.date = {};
+    if (startDate) query.date.$gte = getDayRange(startDate).start;
+    if (endDate) query.date.$lte = getDayRange(endDate).end;
+  }
+
+  const closings = await DayBook.find(query)
+    .populate('closedBy', 'username')
+    .sort({ date: -1 });
+
+  const totalVariance = closings.reduce(
+    (sum, closing) => sum + closing.variance,
+    0,
+  );
+
+  res.json({
+    success: true,
+    data: {
+      closings,
+      totalVariance: Math.round(totalVariance * 100) / 100,
+    },
+  });
+});
+
+// @desc    Close the day: record the counted cash and the variance
+// @route   POST /api/day-book/close
+// @access  Private
+const closeDay = asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array(),
+    });
+  }
+
+  const { organizationId, id: userId } = req.user;
+  const { date, countedAmount, openingBalance, notes } = req.body;
+  const start = readClosingDay(date || new Date());
+
+  const latest = await DayBook.findOne({ organization: organizationId }).sort({
+    date: -1,
+  });
+  if (latest && latest.date >= start) {
+    throw new AppError(
+      formatDay(latest.date) === formatDay(start)
+        ? 'This day has already been closed'
+        : 'A later day has already been closed',
+      409,
+      'DAY_CLOSED',
+    );
+  }
+  // The starting cash can only be entered for the very first closing
+  if (latest && openingBalance !== undefined) {
+    throw new AppError(
+      'Opening balance is carried forward from the previous closing',
+      400,
+      'VALIDATION_ERROR',
+    );
+  }
+
+  const dayBook = await buildDayBook(
+    organizationId,
+    start,
+    parseFloat(openingBalance) || 0,
+  );
+  const counted = parseFloat(countedAmount);
+
+  const dayEnd = await DayBook.create({
+    organization: organizationId,
+    date: start,
+    openingBalance: dayBook.openingBalance,
+    cashSales: dayBook.cashSales,
+    cashPaidToSuppliers: dayBook.cashPaidToSuppliers,
+    cashExpenses: dayBook.cashExpenses,
+    expectedClosing: dayBook.expectedClosing,
+    countedAmount: counted,
+    variance: Math.round((counted - dayBook.expectedClosing) * 100) / 100,
+    closingBalance: counted,
+    notes,
+    closedBy: userId,
+  });
+
+  res.status(201).json({
+    success: true,
+    message:
+      dayEnd.variance === 0
+        ? 'Day closed; cash matches'
+        : `Day closed with a ${
+            dayEnd.variance > 0 ? 'surplus' : 'shortage'
+          } of ${Math.abs(dayEnd.variance)}`,
+    data: { ...dayBook, closed: true, dayEnd },
+  });
+});
+
+// @desc    Reopen the most recent closed day so it can be counted again
+// @route   DELETE /api/day-book/:date
+// @access  Private (Owner only)
+const reopenDay = asyncHandler(async (req, res) => {
+  const { organizationId } = req.user;
+  const start = readClosingDay(req.params.date);
+
+  const latest = await DayBook.findOne({ organization: organizationId }).sort({
+    date: -1,
+  });
+
+  if (!latest || formatDay(latest.date) !== formatDay(start)) {
+    throw new AppError(
+      'Only the most recent closed day can be reopened',
+      409,
+      'DAY_NOT_LATEST',
+    );
+  }
+
+  await latest.deleteOne();
+
+  res.json({
+    success: true,
+    message: 'Day reopened successfully',
+  });
+});
+
+// @desc    Download the day book as a PDF
+// @route   GET /api/day-book/pdf?date=YYYY-MM-DD
+// @access  Private
+const downloadDayBookPdf = asyncHandler(async (req, res) => {
+  const { organizationId } = req.user;
+
+  const [dayBook, organization] = await Promise.all([
+    loadDayBook(organizationId, req.query.date),
+    Organization.findById(organizationId),
+  ]);
+
+  const pdfBuffer = await generateDayBookPdf({
+    dayBook,
+    organization: organization ? organization.toObject() : {},
+  });
+  const fileName = `DayBook_${formatDay(dayBook.date)}.pdf`;
+
+  res.setHeader('Content-Type', 'application/pdf');
+  res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
+  res.send(pdfBuffer);
+});
+
+// Validation middleware
+const closeDayValidation = [
+  body('date').optional().isISO8601().withMessage('Date must be a valid date'),
+  body('countedAmount')
+    .isFloat({ min: 0 })
+    .withMessage('Counted amount must be a positive number'),
+  body('openingBalance')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Opening balance must be a positive number'),
+  body('notes')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Notes cannot exceed 500 characters'),
+];
+
+module.exports = {
+  getDayBook,
+  getDayBookHistory,
+  closeDay,
+  reopenDay,
+  downloadDayBookPdf,
+  closeDayValidation,
+};
@@ -0,0 +1,302 @@
+const Driver = require('../models/Driver');
+const TruckEntry = require('../models/TruckEntry');
+const { asyncHandler, AppError } = require('../middleware/errorHandler');
+const { body, validationResult } = require('express-validator');
+const { getLedgerRange } = require('../utils/ledger');
+const { REPORTABLE_ENTRY_MATCH } = require('../utils/entryApproval');
+const mongoose = require('mongoose');
+
+// @desc    Create a new driver
+// @route   POST /api/drivers
+// @access  Private
+const createDriver = asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array(),
+    });
+  }
+
+  const { organizationId, id: userId } = req.user;
+  const {
+    name,
+    phone,
+    licenceNumber,
+    licenceExpiry,
+    address,
+    battaPerTrip,
+    notes,
+  } = req.body;
+
+  const driver = await Driver.create({
+    organization: organizationId,
+    name,
+    phone,
+    licenceNumber,
+    licenceExpiry: licenceExpiry || null,
+    address,
+    battaPerTrip: battaPerTrip ? parseFloat(battaPerTrip) : 0,
+    notes,
+    createdBy: userId,
+  });
+
+  res.status(201).json({
+    success: true,
+    message: 'Driver created successfully',
+    data: driver,
+  });
+});
+
+// @desc    Get all drivers for organization
+// @route   GET /api/drivers
+// @access  Private
+const getDrivers = asyncHandler(async (req, res) => {
+  const { organizationId } = req.user;
+  const { search, limit = 50, page = 1 } = req.query;
+
+  const query = { organization: organizationId, isActive: true };
+
+  if (search) {
+    query.$or = [
+      { name: { $regex: search, $options: 'i' } },
+      { phone: { $regex: search, $options: 'i' } },
+      { licenceNumber: { $regex: search, $options: 'i' } },
+    ];
+  }
+
+  const skip = (parseInt(page) - 1) * parseInt(limit);
+
+  const [drivers, total] = await Promise.all([
+    Driver.find(query).sort({ name: 1 }).skip(skip).limit(parseInt(limit)),
+    Driver.countDocuments(query),
+  ]);
+
+  res.json({
+    success: true,
+    data: drivers,
+    pagination: {
+      total,
+      page: parseInt(page),
+      limit: parseInt(limit),
+      pages: Math.ceil(total / parseInt(limit)),
+    },
+  });
+});
+
+// @desc    Get driver by ID
+// @route   GET /api/drivers/:id
+// @access  Private
+const getDriver = asyncHandler(async (req, res) => {
+  const { organizationId } = req.user;
+
+  const driver = await Driver.findOne({
+    _id: req.params.id,
+    organization: organizationId,
+  });
+
+  if (!driver) {
+    throw new AppError('Driver not found', 404, 'NOT_FOUND');
+  }
+
+  res.json({
+    success: true,
+    data: driver,
+  });
+});
+
+// @desc    Update driver
+// @route   PUT /api/drivers/:id
+// @access  Private
+const updateDriver = asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array(),
+    });
+  }
+
+  const { organizationId } = req.user;
+
+  const driver = await Driver.findOne({
+    _id: req.params.id,
+    organization: organizationId,
+    isActive: true,
+  });
+
+  if (!driver) {
+    throw new AppError('Driver not found', 404, 'NOT_FOUND');
+  }
+
+  const editableFields = [
+    'name',
+    'phone',
+    'licenceNumber',
+    'licenceExpiry',
+    'address',
+    'battaPerTrip',
+    'notes',
+  ];
+  editableFields.forEach(field => {
+    if (req.body[field] !== undefined) driver[field] = req.body[field];
+  });
+
+  await driver.save();
+
+  res.json({
+    success: true,
+    message: 'Driver updated successfully',
+    data: driver,
+  });
+});
+
+// @desc    Deactivate driver
+// @route   DELETE /api/drivers/:id
+// @access  Private (Owner only)
+const deleteDriver = asyncHandler(async (req, res) => {
+  const { organizationId } = req.user;
+
+  const driver = await Driver.findOneAndUpdate(
+    { _id: req.params.id, organization: organizationId, isActive: true },
+    { isActive: false },
+    { new: true },
+  );
+
+  if (!driver) {
+    throw new AppError('Driver not found', 404, 'NOT_FOUND');
+  }
+
+  res.json({
+    success: true,
+    message: 'Driver deleted successfully',
+  });
+});
+
+// @desc    Get a driver's trips, materials and amounts over a period
+// @route   GET /api/drivers/:id/trips
+// @access  Private
+const getDriverTrips = asyncHandler(async (req, res) => {
+  const { organizationId } = req.user;
+  const { startDate, endDate } = req.query;
+  const organization = new mongoose.Types.ObjectId(organizationId);
+
+  const driver = await Driver.findOne({
+    _id: req.params.id,
+    organization,
+  });
+
+  if (!driver) {
+    throw new AppError('Driver not found', 404, 'NOT_FOUND');
+  }
+
+  const match = {
+    organization,
+    driver: driver._id,
+    status: 'active',
+    ...REPORTABLE_ENTRY_MATCH,
+    entryDate: getLedgerRange(startDate, endDate),
+  };
+
+  const [trips, byMaterial] = await Promise.all([
+    TruckEntry.find(match)
+      .select(
+        'entryDate entryTime truckNumber entryType materialType units unit totalAmount',
+      )
+      .sort({ entryDate: 1, createdAt: 1 }),
+    TruckEntry.aggregate([
+      { $match: match },
+      {
+        $group: {
+          _id: { entryType: '$entryType', materialType: '$materialType' },
+          trips: { $sum: 1 },
+          totalUnits: { $sum: { $ifNull: ['$standardUnits', '$units'] } },
+          totalAmount: { $sum: '$totalAmount' },
+        },
+      },
+      { $sort: { trips: -1 } },
+    ]),
+  ]);
+
+  const totals = byMaterial.reduce(
+    (sum, row) => ({
+      trips: sum.trips + row.trips,
+      totalUnits: sum.totalUnits + row.totalUnits,
+      totalAmount: sum.totalAmount + row.totalAmount,
+    }),
+    { trips: 0, totalUnits: 0, totalAmount: 0 },
+  );
+  totals.batta = totals.trips * (driver.battaPerTrip || 0);
+
+  res.json({
+    success: true,
+    data: {
+      driver,
+      dateRange: { startDate: startDate || null, endDate: endDate || null },
+      totals,
+      byMaterial: byMaterial.map(({ _id, ...row }) => ({
+        entryType: _id.entryType,
+        materialType: _id.materialType,
+        ...row,
+      })),
+      trips,
+    },
+  });
+});
+
+// Validation middleware
+const createDriverValidation = [
+  body('name')
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('Driver name is required and cannot exceed 50 characters'),
+  body('phone')
+    .optional({ checkFalsy: true })
+    .matches(/^[0-9]{10}$/)
+    .withMessage('Please provide a valid 10-digit phone number'),
+  body('licenceNumber')
+    .optional()
+    .trim()
+    .isLength({ max: 20 })
+    .withMessage('Licence number cannot exceed 20 characters'),
+  body('licenceExpiry')
+    .optional({ checkFalsy: true })
+    .isISO8601()
+    .withMessage('Licence expiry must be a valid date'),
+  body('address')
+    .optional()
+    .trim()
+    .isLength({ max: 300 })
+    .withMessage('Address cannot exceed 300 characters'),
+  body('battaPerTrip')
+    .optional({ checkFalsy: true })
+    .isFloat({ min: 0 })
+    .withMessage('Batta must be a positive number'),
+  body('notes')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Notes cannot exceed 500 characters'),
+];
+
+const updateDriverValidation = [
+  body('name')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('Driver name cannot exceed 50 characters'),
+  ...createDriverValidation.slice(1),
+];
+
+module.exports = {
+  createDriver,
+  getDrivers,
+  getDriver,
+  updateDriver,
+  deleteDriver,
+  getDriverTrips,
+  createDriverValidation,
+  updateDriverValidation,
+};
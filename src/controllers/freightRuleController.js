@@ -0,0 +1,237 @@
+const FreightRule = require('../models/FreightRule');
+const { asyncHandler, AppError } = require('../middleware/errorHandler');
+const { body, query, validationResult } = require('express-validator');
+const { FREIGHT_BASES, calculateFreightAmount } = require('../utils/freight');
+const { findFreightRules } = require('../utils/freightRules');
+
+const RULE_FIELDS = [
+  'name',
+  'basis',
+  'rate',
+  'minimumCharge',
+  'village',
+  'minDistanceKm',
+  'maxDistanceKm',
+];
+
+// Empty values clear the optional fields
+const readRuleFields = requestBody => {
+  const fields = {};
+  RULE_FIELDS.forEach(field => {
+    if (requestBody[field] === undefined) return;
+    const value = requestBody[field];
+    fields[field] = value === '' || value === null ? null : value;
+  });
+  if (fields.minimumCharge === null) fields.minimumCharge = 0;
+  return fields;
+};
+
+// @desc    Get the organization's freight rules
+// @route   GET /api/freight-rules
+// @access  Private
+const getFreightRules = asyncHandler(async (req, res) => {
+  const filter = { organization: req.user.organizationId };
+  if (req.query.includeInactive !== 'true') filter.isActive = true;
+
+  const rules = await FreightRule.find(filter).sort({ village: 1, name: 1 });
+
+  res.json({
+    success: true,
+    data: rules,
+  });
+});
+
+// @desc    Preview the freight for a destination and quantity
+// @route   GET /api/freight-rules/quote?village=&distanceKm=&quantity=
+// @access  Private
+const quoteFreight = asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array(),
+    });
+  }
+
+  const { village } = req.query;
+  const distanceKm =
+    req.query.distanceKm !== undefined
+      ? parseFloat(req.query.distanceKm)
+      : null;
+  const quantity = parseFloat(req.query.quantity) || 0;
+
+  const rules = await FreightRule.find({
+    organization: req.user.organizationId,
+    isActive: true,
+  });
+  const [rule] = findFreightRules(rules, { village, distanceKm });
+
+  res.json({
+    success: true,
+    data: rule
+      ? {
+          rule,
+          amount: calculateFreightAmount(rule, { distanceKm, quantity }),
+        }
+      : { rule: null, amount: null },
+  });
+});
+
+// @desc    Add a freight rule
+// @route   POST /api/freight-rules
+// @access  Private (Owner only)
+const createFreightRule = asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array(),
+    });
+  }
+
+  const { organizationId, id: userId } = req.user;
+
+  const rule = await FreightRule.create({
+    ...readRuleFields(req.body),
+    organization: organizationId,
+    createdBy: userId,
+  });
+
+  res.status(201).json({
+    success: true,
+    message: 'Freight rule created successfully',
+    data: rule,
+  });
+});
+
+// @desc    Update a freight rule, or reactivate it with isActive. Entries
+//          keep the freight they were charged.
+// @route   PUT /api/freight-rules/:id
+// @access  Private (Owner only)
+const updateFreightRule = asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array(),
+    });
+  }
+
+  const rule = await FreightRule.findOne({
+    _id: req.params.id,
+    organization: req.user.organizationId,
+  });
+
+  if (!rule) {
+    throw new AppError('Freight rule not found', 404, 'NOT_FOUND');
+  }
+
+  rule.set(readRuleFields(req.body));
+  if (req.body.isActive !== undefined) rule.isActive = req.body.isActive;
+  await rule.save();
+
+  res.json({
+    success: true,
+    message: 'Freight rule updated successfully',
+    data: rule,
+  });
+});
+
+// @desc    Deactivate a freight rule
+// @route   DELETE /api/freight-rules/:id
+// @access  Private (Owner only)
+const deleteFreightRule = asyncHandler(async (req, res) => {
+  const rule = await FreightRule.findOneAndUpdate(
+    {
+      _id: req.params.id,
+      organization: req.user.organizationId,
+      isActive: true,
+    },
+    { isActive: false },
+    { new: true },
+  );
+
+  if (!rule) {
+    throw new AppError('Freight rule not found', 404, 'NOT_FOUND');
+  }
+
+  res.json({
+    success: true,
+    message: 'Freight rule deleted successfully',
+  });
+});
+
+// Validation middleware
+const ruleFieldValidation = [
+  body('rate')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Freight rate must be a positive number'),
+  body('minimumCharge')
+    .optional({ checkFalsy: true })
+    .isFloat({ min: 0 })
+    .withMessage('Minimum charge must be a positive number'),
+  body('village')
+    .optional({ checkFalsy: true })
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('Village cannot exceed 100 characters'),
+  body(['minDistanceKm', 'maxDistanceKm'])
+    .optional({ checkFalsy: true })
+    .isFloat({ min: 0, max: 1000 })
+    .withMessage('Distance must be between 0 and 1000 km'),
+];
+
+const createFreightRuleValidation = [
+  body('name')
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('Rule name is required and cannot exceed 50 characters'),
+  body('basis')
+    .isIn(FREIGHT_BASES)
+    .withMessage(`Basis must be one of: ${FREIGHT_BASES.join(', ')}`),
+  body('rate').exists().withMessage('Freight rate is required'),
+  ...ruleFieldValidation,
+];
+
+const updateFreightRuleValidation = [
+  body('name')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('Rule name cannot exceed 50 characters'),
+  body('basis')
+    .optional()
+    .isIn(FREIGHT_BASES)
+    .withMessage(`Basis must be one of: ${FREIGHT_BASES.join(', ')}`),
+  ...ruleFieldValidation,
+  body('isActive')
+    .optional()
+    .isBoolean()
+    .withMessage('isActive must be true or false'),
+];
+
+const quoteFreightValidation = [
+  query('distanceKm')
+    .optional()
+    .isFloat({ min: 0, max: 1000 })
+    .withMessage('Distance must be between 0 and 1000 km'),
+  query('quantity')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Quantity must be a positive number'),
+];
+
+module.exports = {
+  getFreightRules,
+  quoteFreight,
+  createFreightRule,
+  updateFreightRule,
+  deleteFreightRule,
+  createFreightRuleValidation,
+  updateFreightRuleValidation,
+  quoteFreightValidation,
+};
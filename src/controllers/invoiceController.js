@@ -0,0 +1,437 @@
+const Invoice = require('../models/Invoice');
+const TruckEntry = require('../models/TruckEntry');
+const Customer = require('../models/Customer');
+const Organization = require('../models/Organization');
+const { asyncHandler, AppError } = require('../middleware/errorHandler');
+const { body, validationResult } = require('express-validator');
+const { generateInvoicePdf } = require('../utils/exportGenerator');
+const { REPORTABLE_ENTRY_MATCH } = require('../utils/entryApproval');
+const { loadMaterials, findMaterial } = require('../utils/materials');
+const {
+  DEFAULT_GST_RATE,
+  FREIGHT_SAC_CODE,
+  getHsnCode,
+  getStateCodeFromGstin,
+  getFinancialYear,
+  calculateGst,
+} = require('../utils/gst');
+
+// Invoice lines for an entry: the material, then each charge, discount and
+// round-off on its own line under its HSN/SAC code, and freight billed to
+// the customer as a transport service, so that quantity times rate gives
+// each line's taxable value
+const buildEntryLines = (entry, materialHsnCode) => {
+  const line = {
+    entry: entry._id,
+    truckNumber: entry.truckNumber,
+    entryDate: entry.entryDate,
+  };
+  // Entries priced by weight are billed in net tonnes
+  const billed =
+    entry.pricingBasis === 'weight'
+      ? { quantity: entry.netWeight, unit: 'tonne' }
+      : { quantity: entry.units, unit: entry.unit || 'unit' };
+
+  const lines = [
+    {
+      ...line,
+      description: entry.materialType,
+      hsnCode: materialHsnCode,
+      ...billed,
+      rate: entry.ratePerUnit,
+      // Entries saved before charges existed have no material amount
+      taxableValue:
+        entry.materialAmount != null ? entry.materialAmount : entry.totalAmount,
+    },
+  ];
+  (entry.charges || []).forEach(charge => {
+    if (!charge.amount) return;
+    lines.push({
+      ...line,
+      description: charge.name,
+      hsnCode: charge.hsnCode || materialHsnCode,
+      ...(charge.calculation === 'per_unit'
+        ? {
+            ...billed,
+            rate: charge.kind === 'discount' ? -charge.value : charge.value,
+          }
+        : { quantity: null, unit: null, rate: charge.amount }),
+      taxableValue: charge.amount,
+    });
+  });
+  if (
+    entry.freight &&
+    entry.freight.billToCustomer !== false &&
+    entry.freight.amount
+  ) {
+    lines.push({
+      ...line,
+      description:
+        entry.delivery && entry.delivery.village
+          ? `Freight to ${entry.delivery.village}`
+          : 'Freight',
+      hsnCode: FREIGHT_SAC_CODE,
+      quantity: null,
+      unit: null,
+      rate: entry.freight.amount,
+      taxableValue: entry.freight.amount,
+    });
+  }
+  return lines;
+};
+
+// @desc    Create a GST tax invoice for one or more Sales entries
+// @route   POST /api/invoices
+// @access  Private
+const createInvoice = asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array(),
+    });
+  }
+
+  const { organizationId, id: userId } = req.user;
+  const { entryIds, invoiceDate, placeOfSupply } = req.body;
+
+  const organization = await Organization.findById(organizationId);
+  if (!organization) {
+    throw new AppError('Organization not found', 404, 'NOT_FOUND');
+  }
+  if (!organization.gstin) {
+    throw new AppError(
+      'Add the organization GSTIN before issuing tax invoices',
+      400,
+      'GSTIN_MISSING',
+    );
+  }
+
+  const uniqueIds = [...new Set(entryIds.map(id => id.toString()))];
+  const entries = await TruckEntry.find({
+    _id: { $in: uniqueIds },
+    organization: organizationId,
+    status: 'active',
+    ...REPORTABLE_ENTRY_MATCH,
+  }).sort({ entryDate: 1, createdAt: 1 });
+
+  if (entries.length !== uniqueIds.length) {
+    throw new AppError(
+      'One or more truck entries were not found',
+      400,
+      'VALIDATION_ERROR',
+    );
+  }
+
+  entries.forEach(entry => {
+    if (entry.entryType !== 'Sales') {
+      throw new AppError(
+        'Only Sales entries can be invoiced',
+        400,
+        'VALIDATION_ERROR',
+      );
+    }
+    if (entry.invoice) {
+      throw new AppError(
+        `Truck entry ${entry.truckNumber} is already invoiced`,
+        400,
+        'ALREADY_INVOICED',
+      );
+    }
+  });
+
+  // The buyer is the requested customer, or the customer on the entries
+  const entryCustomers = [
+    ...new Set(entries.filter(e => e.customer).map(e => e.customer.toString())),
+  ];
+  const customerId = req.body.customer || entryCustomers[0];
+
+  if (!customerId) {
+    throw new AppError(
+      'A customer is required to issue a tax invoice',
+      400,
+      'VALIDATION_ERROR',
+    );
+  }
+  if (entryCustomers.some(id => id !== customerId.toString())) {
+    throw new AppError(
+      'All entries on an invoice must belong to the same customer',
+      400,
+      'VALIDATION_ERROR',
+    );
+  }
+
+  const customer = await Customer.findOne({
+    _id: customerId,
+    organization: organizationId,
+  });
+  if (!customer) {
+    throw new AppError('Customer not found', 400, 'VALIDATION_ERROR');
+  }
+
+  const sellerStateCode =
+    organization.stateCode || getStateCodeFromGstin(organization.gstin);
+  const supplyState =
+    placeOfSupply ||
+    getStateCodeFromGstin(customer.gstin) ||
+    customer.stateCode ||
+    sellerStateCode;
+
+  // HSN codes come from the material catalogue, with the standard code for
+  // materials that have none
+  const materials = await loadMaterials(organizationId, {
+    includeInactive: true,
+  });
+  const lines = entries.flatMap(entry =>
+    buildEntryLines(
+      entry,
+      findMaterial(materials, entry.materialType)?.hsnCode ||
+        getHsnCode(entry.materialType),
+    ),
+  );
+
+  const gstRate =
+    organization.gstRate != null ? organization.gstRate : DEFAULT_GST_RATE;
+  const tax = calculateGst({
+    lines,
+    gstRate,
+    sellerStateCode,
+    placeOfSupply: supplyState,
+  });
+
+  const date = invoiceDate ? new Date(invoiceDate) : new Date();
+  const invoice = new Invoice({
+    organization: organizationId,
+    invoiceDate: date,
+    customer: customer._id,
+    seller: {
+      name: organization.legalName || organization.name,
+      gstin: organization.gstin,
+      address: organization.address,
+      stateCode: sellerStateCode,
+    },
+    buyer: {
+      name: customer.name,
+      gstin: customer.gstin,
+      address: customer.address,
+      stateCode: supplyState,
+    },
+    placeOfSupply: supplyState,
+    entries: entries.map(entry => entry._id),
+    lines,
+    ...tax,
+    createdBy: userId,
+  });
+  await invoice.validate({ pathsToSkip: ['invoiceNumber'] });
+
+  // Claim the entries before numbering the invoice. An entry another
+  // invoice claimed in the meantime is left alone and the claim undone.
+  const claimed = await TruckEntry.updateMany(
+    { _id: { $in: invoice.entries }, status: 'active', invoice: null },
+    { $set: { invoice: invoice._id } },
+  );
+  const releaseEntries = () =>
+    TruckEntry.updateMany(
+      { invoice: invoice._id },
+      { $set: { invoice: null } },
+    );
+  if (claimed.modifiedCount !== entries.length) {
+    await releaseEntries();
+    throw new AppError(
+      'One or more truck entries were invoiced or changed while this invoice was being issued',
+      409,
+      'ALREADY_INVOICED',
+    );
+  }
+
+  // The number is reserved only now, so that a failed request does not
+  // leave a gap in the invoice series
+  try {
+    const financialYear = getFinancialYear(date);
+    const numbered = await Organization.nextInvoiceNumber(
+      organizationId,
+      financialYear,
+    );
+    const prefix = numbered.invoicePrefix || 'INV';
+    const sequence = String(numbered.invoiceSequence.lastNumber).padStart(
+      4,
+      '0',
+    );
+    invoice.invoiceNumber = `${prefix}/${financialYear}/${sequence}`;
+    await invoice.save();
+  } catch (error) {
+    await releaseEntries();
+    throw error;
+  }
+
+  await TruckEntry.updateMany(
+    { invoice: invoice._id },
+    { $set: { customer: customer._id } },
+  );
+
+  res.status(201).json({
+    success: true,
+    message: 'Invoice created successfully',
+    data: invoice,
+  });
+});
+
+// @desc    Get invoices for organization
+// @route   GET /api/invoices
+// @access  Private
+const getInvoices = asyncHandler(async (req, res) => {
+  const { organizationId } = req.user;
+  const {
+    startDate,
+    endDate,
+    customer,
+    status,
+    limit = 50,
+    page = 1,
+  } = req.query;
+
+  const query = { organization: organizationId };
+
+  if (customer) query.customer = customer;
+  if (status) query.status = status;
+
+  // Date filtering
+  if (startDate || endDate) {
+    query.invoiceDate = {};
+    if (startDate) query.invoiceDate.$gte = new Date(startDate);
+    if (endDate) query.invoiceDate.$lte = new Date(endDate + 'T23:59:59.999Z');
+  }
+
+  const skip = (parseInt(page) - 1) * parseInt(limit);
+
+  const [invoices, total] = await Promise.all([
+    Invoice.find(query)
+      .populate('customer', 'name phone')
+      .sort({ invoiceDate: -1, createdAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit)),
+    Invoice.countDocuments(query),
+  ]);
+
+  res.json({
+    success: true,
+    data: invoices,
+    pagination: {
+      total,
+      page: parseInt(page),
+      limit: parseInt(limit),
+      pages: Math.ceil(total / parseInt(limit)),
+    },
+  });
+});
+
+// @desc    Get invoice by ID
+// @route   GET /api/invoices/:id
+// @access  Private
+const getInvoice = asyncHandler(async (req, res) => {
+  const { organizationId } = req.user;
+
+  const invoice = await Invoice.findOne({
+    _id: req.params.id,
+    organization: organizationId,
+  })
+    .populate('customer', 'name phone gstin')
+    .populate('createdBy', 'username');
+
+  if (!invoice) {
+    throw new AppError('Invoice not found', 404, 'NOT_FOUND');
+  }
+
+  res.json({
+    success: true,
+    data: invoice,
+  });
+});
+
+// @desc    Download invoice as PDF
+// @route   GET /api/invoices/:id/pdf
+// @access  Private
+const downloadInvoicePdf = asyncHandler(async (req, res) => {
+  const { organizationId } = req.user;
+
+  const invoice = await Invoice.findOne({
+    _id: req.params.id,
+    organization: organizationId,
+  });
+
+  if (!invoice) {
+    throw new AppError('Invoice not found', 404, 'NOT_FOUND');
+  }
+
+  const pdfBuffer = await generateInvoicePdf(invoice.toObject());
+  const fileName = `Invoice_${invoice.invoiceNumber.replace(/\//g, '-')}.pdf`;
+
+  res.setHeader('Content-Type', 'application/pdf');
+  res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
+  res.send(pdfBuffer);
+});
+
+// @desc    Cancel an invoice and release its entries
+// @route   POST /api/invoices/:id/cancel
+// @access  Private (Owner only)
+const cancelInvoice = asyncHandler(async (req, res) => {
+  const { organizationId, id: userId } = req.user;
+  const { reason } = req.body;
+
+  const invoice = await Invoice.findOne({
+    _id: req.params.id,
+    organization: organizationId,
+    status: 'issued',
+  });
+
+  if (!invoice) {
+    throw new AppError('Invoice not found', 404, 'NOT_FOUND');
+  }
+
+  invoice.status = 'cancelled';
+  invoice.cancelReason = reason;
+  invoice.cancelledBy = userId;
+  invoice.cancelledAt = new Date();
+  await invoice.save();
+
+  await TruckEntry.updateMany(
+    { invoice: invoice._id },
+    { $set: { invoice: null } },
+  );
+
+  res.json({
+    success: true,
+    message: 'Invoice cancelled successfully',
+    data: invoice,
+  });
+});
+
+// Validation middleware
+const createInvoiceValidation = [
+  body('entryIds')
+    .isArray({ min: 1 })
+    .withMessage('At least one truck entry is required'),
+  body('entryIds.*').isMongoId().withMessage('Entry IDs must be valid IDs'),
+  body('customer')
+    .optional({ checkFalsy: true })
+    .isMongoId()
+    .withMessage('Customer must be a valid ID'),
+  body('placeOfSupply')
+    .optional({ checkFalsy: true })
+    .matches(/^[0-9]{2}$/)
+    .withMessage('Place of supply must be a 2-digit state code'),
+  body('invoiceDate')
+    .optional()
+    .isISO8601()
+    .withMessage('Invoice date must be a valid ISO date'),
+];
+
+module.exports = {
+  createInvoice,
+  getInvoices,
+  getInvoice,
+  downloadInvoicePdf,
+  cancelInvoice,
+  createInvoiceValidation,
+};
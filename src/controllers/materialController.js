@@ -0,0 +1,235 @@
+const Material = require('../models/Material');
+const TruckEntry = require('../models/TruckEntry');
+const MaterialConversion = require('../models/MaterialConversion');
+const MaterialRate = require('../models/MaterialRate');
+const { asyncHandler, AppError } = require('../middleware/errorHandler');
+const { body, validationResult } = require('express-validator');
+const { loadUnitContext } = require('../utils/units');
+const { loadMaterials, assertMaterialUnique } = require('../utils/materials');
+
+// Raw stone purchases are recorded without a material
+const RESERVED_NAMES = ['raw stone'];
+
+const assertUnitExists = async (organizationId, unit) => {
+  const context = await loadUnitContext(organizationId);
+  if (!context.units.has(String(unit).toLowerCase())) {
+    throw new AppError(`Unknown unit of measure: ${unit}`, 400, 'UNKNOWN_UNIT');
+  }
+};
+
+// @desc    Get the organization's material catalogue
+// @route   GET /api/materials
+// @access  Private
+const getMaterials = asyncHandler(async (req, res) => {
+  const materials = await loadMaterials(req.user.organizationId, {
+    includeInactive: req.query.includeInactive === 'true',
+  });
+
+  res.json({
+    success: true,
+    data: materials,
+  });
+});
+
+// @desc    Add a material to the catalogue
+// @route   POST /api/materials
+// @access  Private (Owner only)
+const createMaterial = asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array(),
+    });
+  }
+
+  const { organizationId, id: userId } = req.user;
+  const { name, code, hsnCode, unit } = req.body;
+
+  if (RESERVED_NAMES.includes(name.toLowerCase())) {
+    throw new AppError(
+      `${name} cannot be used as a material name`,
+      400,
+      'VALIDATION_ERROR',
+    );
+  }
+  if (unit) await assertUnitExists(organizationId, unit);
+
+  // Seed the defaults first so a new material does not replace them
+  const materials = await loadMaterials(organizationId, {
+    includeInactive: true,
+  });
+  assertMaterialUnique(materials, { name, code });
+  const material = await Material.create({
+    organization: organizationId,
+    name,
+    code,
+    hsnCode: hsnCode || null,
+    unit: unit || undefined,
+    createdBy: userId,
+  });
+
+  res.status(201).json({
+    success: true,
+    message: 'Material created successfully',
+    data: material,
+  });
+});
+
+// @desc    Update a material, or reactivate it with isActive
+// @route   PUT /api/materials/:id
+// @access  Private (Owner only)
+const updateMaterial = asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array(),
+    });
+  }
+
+  const { organizationId } = req.user;
+  const { name, code, hsnCode, unit, isActive } = req.body;
+
+  const material = await Material.findOne({
+    _id: req.params.id,
+    organization: organizationId,
+  });
+
+  if (!material) {
+    throw new AppError('Material not found', 404, 'NOT_FOUND');
+  }
+
+  // Entries, rates and conversions refer to the material by name, so a
+  // material can only be renamed before it is used
+  if (name !== undefined && name !== material.name) {
+    if (RESERVED_NAMES.includes(name.toLowerCase())) {
+      throw new AppError(
+        `${name} cannot be used as a material name`,
+        400,
+        'VALIDATION_ERROR',
+      );
+    }
+    const reference = {
+      organization: organizationId,
+      materialType: material.name,
+    };
+    const usage = await Promise.all([
+      TruckEntry.exists(reference),
+      MaterialRate.exists(reference),
+      MaterialConversion.exists(reference),
+    ]);
+    if (usage.some(Boolean)) {
+      throw new AppError(
+        `${material.name} is already in use and cannot be renamed`,
+        409,
+        'MATERIAL_IN_USE',
+      );
+    }
+    material.name = name;
+  }
+  if (code !== undefined) material.code = code;
+  if (material.isModified('name') || material.isModified('code')) {
+    assertMaterialUnique(
+      await loadMaterials(organizationId, { includeInactive: true }),
+      material,
+      material,
+    );
+  }
+  if (hsnCode !== undefined) material.hsnCode = hsnCode || null;
+  if (unit !== undefined) {
+    await assertUnitExists(organizationId, unit);
+    material.unit = unit;
+  }
+  if (isActive !== undefined) material.isActive = isActive;
+
+  await material.save();
+
+  res.json({
+    success: true,
+    message: 'Material updated successfully',
+    data: material,
+  });
+});
+
+// @desc    Deactivate a material; existing entries keep it
+// @route   DELETE /api/materials/:id
+// @access  Private (Owner only)
+const deleteMaterial = asyncHandler(async (req, res) => {
+  const { organizationId } = req.user;
+
+  const material = await Material.findOneAndUpdate(
+    { _id: req.params.id, organization: organizationId, isActive: true },
+    { isActive: false },
+    { new: true },
+  );
+
+  if (!material) {
+    throw new AppError('Material not found', 404, 'NOT_FOUND');
+  }
+
+  res.json({
+    success: true,
+    message: 'Material deleted successfully',
+  });
+});
+
+// Validation middleware
+const createMaterialValidation = [
+  body('name')
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('Material name is required and cannot exceed 50 characters'),
+  body('code')
+    .trim()
+    .matches(/^[a-zA-Z0-9][a-zA-Z0-9_-]{0,14}$/)
+    .withMessage(
+      'Material code must be letters, digits, - or _ and at most 15 characters',
+    ),
+  body('hsnCode')
+    .optional({ checkFalsy: true })
+    .matches(/^[0-9]{4,8}$/)
+    .withMessage('HSN code must be 4 to 8 digits'),
+  body('unit')
+    .optional({ checkFalsy: true })
+    .isString()
+    .withMessage('Unit must be a unit of measure code'),
+];
+
+const updateMaterialValidation = [
+  body('name')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('Material name cannot exceed 50 characters'),
+  body('code')
+    .optional()
+    .trim()
+    .matches(/^[a-zA-Z0-9][a-zA-Z0-9_-]{0,14}$/)
+    .withMessage(
+      'Material code must be letters, digits, - or _ and at most 15 characters',
+    ),
+  body('hsnCode')
+    .optional({ checkFalsy: true })
+    .matches(/^[0-9]{4,8}$/)
+    .withMessage('HSN code must be 4 to 8 digits'),
+  body('unit')
+    .optional()
+    .isString()
+    .withMessage('Unit must be a unit of measure code'),
+  body('isActive')
+    .optional()
+    .isBoolean()
+    .withMessage('isActive must be true or false'),
+];
+
+module.exports = {
+  getMaterials,
+  createMaterial,
+  updateMaterial,
+  deleteMaterial,
+  createMaterialValidation,
+  updateMaterialValidation,
+};
@@ -1,11 +1,31 @@
+const mongoose = require('mongoose');
 const MaterialRate = require('../models/MaterialRate');
+const TruckEntry = require('../models/TruckEntry');
 const { asyncHandler, AppError } = require('../middleware/errorHandler');
+const { auditSnapshot, recordAudit } = require('../utils/audit');
+const { getSalesMaterial } = require('../utils/materials');
+const {
+  RATE_SOURCES,
+  resolveRate,
+  getBilledUnit,
+  convertRate,
+} = require('../utils/rates');
+const {
+  getConversionMaterial,
+  loadUnitContext,
+  getUnit,
+} = require('../utils/units');
+const { priceEntry } = require('../utils/charges');
+const { loadClosedPeriods, findClosedPeriod } = require('../utils/periodLock');
 
-// @desc    Get all material rates (global)
+// Most entries one repricing run may change
+const MAX_REPRICE_ENTRIES = 2000;
+
+// @desc    Get the organization's material rates
 // @route   GET /api/material-rates
 // @access  Private
 const getMaterialRates = asyncHandler(async (req, res) => {
-  const rates = await MaterialRate.getAllRates();
+  const rates = await MaterialRate.getAllRates(req.user.organizationId);
 
   res.json({
     success: true,
@@ -13,12 +33,12 @@ const getMaterialRates = asyncHandler(async (req, res) => {
   });
 });
 
-// @desc    Create or update a material rate (global)
+// @desc    Create or update a material rate of the organization
 // @route   POST /api/material-rates
 // @access  Private (Owner only)
 const updateRate = asyncHandler(async (req, res) => {
-  const { role } = req.user;
-  const { materialType, rate } = req.body;
+  const { role, organizationId } = req.user;
+  const { rate, unit } = req.body;
 
   if (role !== 'owner') {
     throw new AppError(
@@ -28,7 +48,7 @@ const updateRate = asyncHandler(async (req, res) => {
     );
   }
 
-  if (!materialType || !rate) {
+  if (!req.body.materialType || !rate) {
     throw new AppError(
       'Material type and rate are required.',
       400,
@@ -36,11 +56,97 @@ const updateRate = asyncHandler(async (req, res) => {
     );
   }
 
+  // Raw stone purchases have a rate too; anything else must be a material
+  // the organization sells
+  const materialType =
+    req.body.materialType === 'Raw Stone'
+      ? 'Raw Stone'
+      : (await getSalesMaterial(organizationId, req.body.materialType)).name;
+  const rateUnit = unit
+    ? getUnit(await loadUnitContext(organizationId), unit).code
+    : null;
+
+  // A future effective date schedules the change instead of applying it now
+  let effectiveDate = null;
+  if (req.body.effectiveDate) {
+    effectiveDate = new Date(req.body.effectiveDate);
+    const today = new Date();
+    today.setUTCHours(0, 0, 0, 0);
+    if (isNaN(effectiveDate)) {
+      throw new AppError(
+        'Effective date must be a valid date.',
+        400,
+        'VALIDATION_ERROR',
+      );
+    }
+    if (effectiveDate < today) {
+      throw new AppError(
+        'Effective date cannot be in the past.',
+        400,
+        'VALIDATION_ERROR',
+      );
+    }
+  }
+
   // Find the current rate for this material type
-  const currentRate = await MaterialRate.findOne({ materialType });
+  const currentRate = await MaterialRate.findOne({
+    organization: organizationId,
+    materialType,
+  });
+  if (currentRate) currentRate.applyDueChanges();
+
+  // Past rates keep pricing back-dated entries, so the unit a material's
+  // rates are quoted per is fixed once its first rate is set
+  if (currentRate && rateUnit && rateUnit !== currentRate.unit) {
+    throw new AppError(
+      `Rates for ${materialType} are quoted per ${currentRate.unit}; enter the rate per ${currentRate.unit}.`,
+      400,
+      'VALIDATION_ERROR',
+    );
+  }
+
+  if (effectiveDate && effectiveDate > new Date()) {
+    if (!currentRate) {
+      throw new AppError(
+        `Set a current rate for ${materialType} before scheduling a change.`,
+        400,
+        'VALIDATION_ERROR',
+      );
+    }
+
+    const before = auditSnapshot(currentRate);
+    // One change per date; scheduling the same date again replaces it
+    currentRate.scheduledChanges = currentRate.scheduledChanges
+      .filter(
+        change => change.effectiveDate.getTime() !== effectiveDate.getTime(),
+      )
+      .concat({
+        rate: parseFloat(rate),
+        effectiveDate,
+        scheduledBy: req.user.id,
+      })
+      .sort((a, b) => a.effectiveDate - b.effectiveDate);
+    await currentRate.save();
+    await recordAudit(req, {
+      model: 'MaterialRate',
+      action: 'update',
+      document: currentRate,
+      before,
+      note: `Scheduled from ${effectiveDate.toISOString().split('T')[0]}`,
+    });
+
+    return res.status(201).json({
+      success: true,
+      message: `Rate for ${materialType} scheduled from ${
+        effectiveDate.toISOString().split('T')[0]
+      }.`,
+      data: currentRate,
+    });
+  }
 
   // If the rate is the same, do nothing
   if (currentRate && currentRate.currentRate === parseFloat(rate)) {
+    if (currentRate.isModified()) await currentRate.save();
     return res.json({
       success: true,
       message: 'Rate is already up to date.',
@@ -49,6 +155,7 @@ const updateRate = asyncHandler(async (req, res) => {
   }
 
   let result;
+  const before = auditSnapshot(currentRate);
   if (currentRate) {
     // Update existing rate and record history
     currentRate.history.push({
@@ -64,12 +171,20 @@ const updateRate = asyncHandler(async (req, res) => {
   } else {
     // Create new rate
     result = await MaterialRate.create({
+      organization: organizationId,
       materialType,
       currentRate: parseFloat(rate),
+      unit: rateUnit || undefined,
       updatedBy: req.user.id,
       history: [],
     });
   }
+  await recordAudit(req, {
+    model: 'MaterialRate',
+    action: currentRate ? 'update' : 'create',
+    document: result,
+    before,
+  });
 
   res.status(201).json({
     success: true,
@@ -78,7 +193,369 @@ const updateRate = asyncHandler(async (req, res) => {
   });
 });
 
+// @desc    Cancel a scheduled rate change
+// @route   DELETE /api/material-rates/:id/scheduled/:changeId
+// @access  Private (Owner only)
+const cancelScheduledRate = asyncHandler(async (req, res) => {
+  const { organizationId } = req.user;
+
+  const materialRate = await MaterialRate.findOne({
+    _id: req.params.id,
+    organization: organizationId,
+  });
+  const change = materialRate
+    ? materialRate.scheduledChanges.id(req.params.changeId)
+    : null;
+
+  if (!change || change.effectiveDate <= new Date()) {
+    throw new AppError('Scheduled rate change not found', 404, 'NOT_FOUND');
+  }
+
+  const before = auditSnapshot(materialRate);
+  materialRate.scheduledChanges.pull(change._id);
+  await materialRate.save();
+  await recordAudit(req, {
+    model: 'MaterialRate',
+    action: 'update',
+    document: materialRate,
+    before,
+    note: 'Scheduled change cancelled',
+  });
+
+  res.json({
+    success: true,
+    message: 'Scheduled rate change cancelled',
+    data: materialRate,
+  });
+});
+
+// @desc    Get the rates in force on a date
+// @route   GET /api/material-rates/as-of?date=YYYY-MM-DD&materialType=
+// @access  Private
+const getRatesAsOf = asyncHandler(async (req, res) => {
+  const { organizationId } = req.user;
+  const { date, materialType } = req.query;
+  const asOf = date ? new Date(date) : new Date();
+
+  if (isNaN(asOf)) {
+    throw new AppError('Date must be a valid date', 400, 'VALIDATION_ERROR');
+  }
+
+  const query = { organization: organizationId };
+  if (materialType) query.materialType = materialType;
+  const rates = await MaterialRate.find(query).sort({ materialType: 1 });
+
+  res.json({
+    success: true,
+    data: {
+      date: asOf,
+      rates: rates.map(rate => ({
+        _id: rate._id,
+        materialType: rate.materialType,
+        rate: rate.getRateAsOf(asOf),
+        unit: rate.unit,
+      })),
+    },
+  });
+});
+
+// @desc    Get the rate timeline of every material, or of one material
+// @route   GET /api/material-rates/history/:materialType?
+// @access  Private
+const getRateHistory = asyncHandler(async (req, res) => {
+  const { organizationId } = req.user;
+  const { materialType } = req.params;
+
+  const query = { organization: organizationId };
+  if (materialType) query.materialType = materialType;
+  const rates = await MaterialRate.populate(
+    await MaterialRate.findCurrent(query),
+    ['updatedBy', 'history.updatedBy', 'scheduledChanges.scheduledBy'].map(
+      path => ({ path, select: 'username' }),
+    ),
+  );
+
+  if (materialType && rates.length === 0) {
+    throw new AppError(`No rate is set for ${materialType}`, 404, 'NOT_FOUND');
+  }
+
+  const timelines = rates.map(rate => ({
+    _id: rate._id,
+    materialType: rate.materialType,
+    currentRate: rate.currentRate,
+    unit: rate.unit,
+    timeline: rate.getTimeline(),
+  }));
+
+  res.json({
+    success: true,
+    data: materialType ? timelines[0] : timelines,
+  });
+});
+
+// @desc    Reprice truck entries in a date range to the rate in force on
+//          each entry's date (rate card or list price). With dryRun (the
+//          default) nothing is saved and the changes are previewed; with
+//          dryRun=false they are applied. Rates entered by hand are kept
+//          unless includeManual is true.
+// @route   POST /api/material-rates/reprice?dryRun=false
+// @access  Private (Owner only)
+const repriceEntries = asyncHandler(async (req, res) => {
+  const { organizationId } = req.user;
+  const dryRun = req.query.dryRun !== 'false';
+  const { startDate, endDate, materialType, customer, entryIds } = req.body;
+  const includeManual =
+    req.body.includeManual === true || req.body.includeManual === 'true';
+
+  const start = new Date(startDate);
+  const end = new Date(endDate);
+  if (!startDate || !endDate || isNaN(start) || isNaN(end)) {
+    throw new AppError(
+      'Start and end dates are required.',
+      400,
+      'VALIDATION_ERROR',
+    );
+  }
+  start.setUTCHours(0, 0, 0, 0);
+  end.setUTCHours(23, 59, 59, 999);
+  if (end < start) {
+    throw new AppError(
+      'End date cannot be before the start date.',
+      400,
+      'VALIDATION_ERROR',
+    );
+  }
+  if (customer && !mongoose.isValidObjectId(customer)) {
+    throw new AppError('Invalid customer.', 400, 'VALIDATION_ERROR');
+  }
+  if (
+    entryIds !== undefined &&
+    (!Array.isArray(entryIds) ||
+      !entryIds.every(id => mongoose.isValidObjectId(id)))
+  ) {
+    throw new AppError(
+      'Entry IDs must be a list of valid IDs.',
+      400,
+      'VALIDATION_ERROR',
+    );
+  }
+
+  const query = {
+    organization: organizationId,
+    status: 'active',
+    entryDate: { $gte: start, $lte: end },
+  };
+  if (materialType === 'Raw Stone') {
+    query.entryType = 'Raw Stone';
+  } else if (materialType) {
+    query.entryType = 'Sales';
+    query.materialType = materialType;
+  }
+  if (customer) query.customer = customer;
+  // Entries saved before rate sources were recorded have none and count as
+  // manual
+  if (!includeManual) {
+    query.rateSource = {
+      $in: RATE_SOURCES.filter(source => source !== 'manual'),
+    };
+  }
+  // Apply only the changes picked from the preview
+  if (entryIds) query._id = { $in: entryIds };
+
+  const matched = await TruckEntry.countDocuments(query);
+  if (matched > MAX_REPRICE_ENTRIES) {
+    throw new AppError(
+      `${matched} entries match; narrow the range to at most ${MAX_REPRICE_ENTRIES}.`,
+      400,
+      'VALIDATION_ERROR',
+    );
+  }
+
+  const [entries, closedPeriods] = await Promise.all([
+    TruckEntry.find(query).sort({ entryDate: 1, createdAt: 1 }),
+    loadClosedPeriods(organizationId),
+  ]);
+
+  // Entries of the same material, customer and day share a rate
+  const ratesInForce = new Map();
+  const getRateInForce = entry => {
+    const rateMaterial =
+      entry.entryType === 'Sales' ? entry.materialType : 'Raw Stone';
+    const rateCustomer =
+      entry.entryType === 'Sales' && entry.customer
+        ? entry.customer.toString()
+        : null;
+    const key = [
+      rateMaterial,
+      rateCustomer,
+      entry.entryDate.toISOString().split('T')[0],
+    ].join('|');
+    if (!ratesInForce.has(key)) {
+      ratesInForce.set(
+        key,
+        resolveRate(organizationId, {
+          materialType: rateMaterial,
+          customer: rateCustomer,
+          date: entry.entryDate,
+        }),
+      );
+    }
+    return ratesInForce.get(key);
+  };
+
+  const changes = [];
+  const skipped = [];
+  const toReprice = [];
+  let unchanged = 0;
+  let unitContext = null;
+
+  for (const entry of entries) {
+    const row = {
+      entryId: entry._id,
+      entryDate: entry.entryDate,
+      truckNumber: entry.truckNumber,
+      entryType: entry.entryType,
+      materialType: entry.materialType || null,
+      customer: entry.customer || null,
+      oldRate: entry.ratePerUnit,
+      oldTotal: entry.totalAmount || 0,
+    };
+
+    const rate = await getRateInForce(entry);
+    if (!rate || !rate.rate) {
+      skipped.push({
+        ...row,
+        reason: 'No rate was in force on the entry date',
+      });
+      continue;
+    }
+    // A rate quoted in another unit is converted to the unit the entry is
+    // billed in, as when the entry was made
+    const billedUnit = getBilledUnit(entry);
+    let newRate = rate.rate;
+    if (rate.unit !== billedUnit) {
+      try {
+        unitContext =
+          unitContext ||
+          (await loadUnitContext(organizationId, { includeInactive: true }));
+        newRate = convertRate(
+          unitContext,
+          rate,
+          billedUnit,
+          getConversionMaterial(entry),
+        );
+      } catch (error) {
+        skipped.push({ ...row, reason: error.message });
+        continue;
+      }
+    }
+    if (newRate === entry.ratePerUnit) {
+      unchanged += 1;
+      continue;
+    }
+
+    // Charges and freight stay; percentage charges follow the new material
+    // amount
+    const price = priceEntry({
+      units: entry.units,
+      pricingBasis: entry.pricingBasis,
+      grossWeight: entry.grossWeight,
+      tareWeight: entry.tareWeight,
+      charges: entry.charges,
+      delivery: entry.delivery,
+      freight: entry.freight,
+      ratePerUnit: newRate,
+    });
+    const newTotal = price ? price.totalAmount : 0;
+    const change = {
+      ...row,
+      newRate,
+      rateUnit: rate.unit,
+      newTotal,
+      difference: Math.round((newTotal - row.oldTotal) * 100) / 100,
+      rateSource: rate.source,
+      rateCard: rate.rateCard,
+    };
+
+    let reason = null;
+    if (entry.invoice) {
+      reason = 'Billed on a tax invoice';
+    } else if (newTotal < 0) {
+      reason = 'Discounts on the entry exceed the new amount';
+    } else if (findClosedPeriod(closedPeriods, entry.entryDate)) {
+      reason = 'The books for the entry date are closed';
+    } else if ((entry.paidAmount || 0) > newTotal) {
+      reason = 'Payments against the entry exceed the new total';
+    }
+
+    if (reason) {
+      skipped.push({ ...change, reason });
+    } else {
+      changes.push(change);
+      toReprice.push({ entry, rate, newRate, change });
+    }
+  }
+
+  // Each entry is saved and audited on its own, so an entry that fails to
+  // save is reported without losing the entries repriced before it
+  const repriced = [];
+  const failed = [];
+  if (!dryRun) {
+    for (const { entry, rate, newRate, change } of toReprice) {
+      try {
+        const before = auditSnapshot(entry);
+        entry.ratePerUnit = newRate;
+        entry.rateSource = rate.source;
+        entry.rateCard = rate.rateCard ? rate.rateCard._id : null;
+        await entry.save();
+        await recordAudit(req, {
+          model: 'TruckEntry',
+          action: 'update',
+          document: entry,
+          before,
+          note: 'Repriced to the rate in force on the entry date',
+        });
+        repriced.push(change);
+      } catch (error) {
+        failed.push({ ...change, reason: error.message });
+      }
+    }
+  }
+
+  const applied = dryRun ? changes : repriced;
+  const totalDifference = applied.reduce(
+    (sum, change) => sum + change.difference,
+    0,
+  );
+
+  res.status(dryRun ? 200 : 201).json({
+    success: true,
+    message: dryRun
+      ? 'Dry run complete; no entries were repriced'
+      : `${repriced.length} truck entries repriced`,
+    data: {
+      dryRun,
+      summary: {
+        matched: entries.length,
+        repriced: repriced.length,
+        toReprice: changes.length,
+        unchanged,
+        skipped: skipped.length,
+        failed: failed.length,
+        totalDifference: Math.round(totalDifference * 100) / 100,
+      },
+      changes,
+      skipped,
+      failed,
+    },
+  });
+});
+
 module.exports = {
   getMaterialRates,
   updateRate,
+  cancelScheduledRate,
+  getRatesAsOf,
+  getRateHistory,
+  repriceEntries,
 };
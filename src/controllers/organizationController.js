@@ -1,4 +1,5 @@
 const Organization = require('../models/Organization');
+const { asyncHandler, AppError } = require('../middleware/errorHandler');
 
 exports.getAllOrganizations = async (req, res, next) => {
   try {
@@ -46,3 +47,65 @@ exports.createOrganization = async (req, res, next) => {
     });
   }
 };
+
+// @desc    Get the current user's organization profile
+// @route   GET /api/organizations/profile
+// @access  Private
+exports.getOrganizationProfile = asyncHandler(async (req, res) => {
+  const organization = await Organization.findById(req.user.organizationId);
+
+  if (!organization) {
+    throw new AppError('Organization not found', 404, 'NOT_FOUND');
+  }
+
+  res.json({
+    success: true,
+    data: organization,
+  });
+});
+
+// @desc    Update the current user's organization profile (tax details and
+//          settings)
+// @route   PUT /api/organizations/profile
+// @access  Private (Owner only)
+exports.updateOrganizationProfile = asyncHandler(async (req, res) => {
+  const organization = await Organization.findById(req.user.organizationId);
+
+  if (!organization) {
+    throw new AppError('Organization not found', 404, 'NOT_FOUND');
+  }
+
+  const editableFields = [
+    'legalName',
+    'gstin',
+    'address',
+    'stateCode',
+    'phone',
+    'gstRate',
+    'invoicePrefix',
+  ];
+  editableFields.forEach(field => {
+    if (req.body[field] !== undefined) organization[field] = req.body[field];
+  });
+
+  const editableSettings = [
+    'capacityCheck',
+    'requireEntryApproval',
+    'requirePermit',
+    'permitAlertPercent',
+    'trashRetentionDays',
+  ];
+  editableSettings.forEach(setting => {
+    if (req.body.settings && req.body.settings[setting] !== undefined) {
+      organization.settings[setting] = req.body.settings[setting];
+    }
+  });
+
+  await organization.save();
+
+  res.json({
+    success: true,
+    message: 'Organization updated successfully',
+    data: organization,
+  });
+});
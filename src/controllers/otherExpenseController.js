@@ -1,6 +1,10 @@
 const OtherExpense = require('../models/OtherExpense');
+const Payment = require('../models/Payment');
 const { asyncHandler, AppError } = require('../middleware/errorHandler');
 const { body, validationResult } = require('express-validator');
+const { auditSnapshot, recordAudit } = require('../utils/audit');
+const { assertPeriodOpen } = require('../utils/periodLock');
+const { isCashExpense, assertCashDayOpen } = require('../utils/dayBook');
 
 // @desc    Create a new other expense
 // @route   POST /api/other-expenses
@@ -15,18 +19,29 @@ const createOtherExpense = asyncHandler(async (req, res) => {
     });
   }
 
-  const { expensesName, amount, others, notes, date } = req.body;
+  const { expensesName, amount, others, notes, date, paymentMode } = req.body;
   const { organizationId, id: userId } = req.user;
 
+  await assertPeriodOpen(organizationId, date || new Date());
+  if (isCashExpense({ paymentMode })) {
+    await assertCashDayOpen(organizationId, date || new Date());
+  }
+
   const otherExpense = await OtherExpense.create({
     expensesName,
     amount: parseFloat(amount),
     others,
     notes,
     date: date ? new Date(date) : new Date(),
+    paymentMode: paymentMode || 'Cash',
     organization: organizationId,
     user: userId,
   });
+  await recordAudit(req, {
+    model: 'OtherExpense',
+    action: 'create',
+    document: otherExpense,
+  });
 
   await otherExpense.populate('user', 'username fullName');
 
@@ -114,7 +129,7 @@ const updateOtherExpense = asyncHandler(async (req, res) => {
 
   const { id } = req.params;
   const { organizationId } = req.user;
-  const { expensesName, amount, others, notes, date } = req.body;
+  const { expensesName, amount, others, notes, date, paymentMode } = req.body;
 
   const otherExpense = await OtherExpense.findOne({
     _id: id,
@@ -126,14 +141,40 @@ const updateOtherExpense = asyncHandler(async (req, res) => {
     throw new AppError('Other expense not found', 404);
   }
 
+  await assertPeriodOpen(organizationId, otherExpense.date, date);
+
+  const before = auditSnapshot(otherExpense);
+  const wasCash = isCashExpense(otherExpense);
+  const previousDate = otherExpense.date;
+
   // Update fields
   if (expensesName !== undefined) otherExpense.expensesName = expensesName;
   if (amount !== undefined) otherExpense.amount = parseFloat(amount);
   if (others !== undefined) otherExpense.others = others;
   if (notes !== undefined) otherExpense.notes = notes;
   if (date !== undefined) otherExpense.date = new Date(date);
+  if (paymentMode) otherExpense.paymentMode = paymentMode;
+
+  // Only changes to the cash moved are held back by a closed day
+  if (
+    ['amount', 'date', 'paymentMode'].some(field =>
+      otherExpense.isModified(field),
+    )
+  ) {
+    await assertCashDayOpen(
+      organizationId,
+      wasCash && previousDate,
+      isCashExpense(otherExpense) && otherExpense.date,
+    );
+  }
 
   await otherExpense.save();
+  await recordAudit(req, {
+    model: 'OtherExpense',
+    action: 'update',
+    document: otherExpense,
+    before,
+  });
   await otherExpense.populate('user', 'username fullName');
 
   res.json({
@@ -148,7 +189,7 @@ const updateOtherExpense = asyncHandler(async (req, res) => {
 // @access  Private
 const deleteOtherExpense = asyncHandler(async (req, res) => {
   const { id } = req.params;
-  const { organizationId } = req.user;
+  const { organizationId, id: userId } = req.user;
 
   const otherExpense = await OtherExpense.findOne({
     _id: id,
@@ -160,8 +201,22 @@ const deleteOtherExpense = asyncHandler(async (req, res) => {
     throw new AppError('Other expense not found', 404);
   }
 
+  await assertPeriodOpen(organizationId, otherExpense.date);
+  if (isCashExpense(otherExpense)) {
+    await assertCashDayOpen(organizationId, otherExpense.date);
+  }
+
+  const before = auditSnapshot(otherExpense);
   otherExpense.isActive = false;
+  otherExpense.deletedAt = new Date();
+  otherExpense.deletedBy = userId;
   await otherExpense.save();
+  await recordAudit(req, {
+    model: 'OtherExpense',
+    action: 'delete',
+    document: otherExpense,
+    before,
+  });
 
   res.json({
     success: true,
@@ -230,6 +285,12 @@ const createOtherExpenseValidation = [
     .optional()
     .isISO8601()
     .withMessage('Date must be a valid ISO date'),
+  body('paymentMode')
+    .optional({ checkFalsy: true })
+    .isIn(Payment.PAYMENT_MODES)
+    .withMessage(
+      `Payment mode must be one of: ${Payment.PAYMENT_MODES.join(', ')}`,
+    ),
 ];
 
 const updateOtherExpenseValidation = [
@@ -256,6 +317,12 @@ const updateOtherExpenseValidation = [
     .optional()
     .isISO8601()
     .withMessage('Date must be a valid ISO date'),
+  body('paymentMode')
+    .optional({ checkFalsy: true })
+    .isIn(Payment.PAYMENT_MODES)
+    .withMessage(
+      `Payment mode must be one of: ${Payment.PAYMENT_MODES.join(', ')}`,
+    ),
 ];
 
 module.exports = {
@@ -0,0 +1,325 @@
+const Payment = require('../models/Payment');
+const Customer = require('../models/Customer');
+const Supplier = require('../models/Supplier');
+const { asyncHandler, AppError } = require('../middleware/errorHandler');
+const { body, validationResult } = require('express-validator');
+const { assertPeriodOpen } = require('../utils/periodLock');
+const { assertCashDayOpen } = require('../utils/dayBook');
+const {
+  allocatePayment,
+  releaseAllocations,
+} = require('../utils/paymentAllocation');
+
+// @desc    Record a payment (receipt from a customer or payment to a supplier)
+// @route   POST /api/payments
+// @access  Private
+const createPayment = asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array(),
+    });
+  }
+
+  const { organizationId, id: userId } = req.user;
+  const {
+    customer,
+    supplier,
+    mode,
+    referenceNumber,
+    amount,
+    paymentDate,
+    collectedBy,
+    allocations,
+    autoAllocate,
+    notes,
+  } = req.body;
+
+  if (customer && supplier) {
+    throw new AppError(
+      'A payment can be linked to either a customer or a supplier, not both',
+      400,
+      'VALIDATION_ERROR',
+    );
+  }
+
+  if (customer) {
+    const exists = await Customer.exists({
+      _id: customer,
+      organization: organizationId,
+    });
+    if (!exists) {
+      throw new AppError('Customer not found', 400, 'VALIDATION_ERROR');
+    }
+  }
+
+  if (supplier) {
+    const exists = await Supplier.exists({
+      _id: supplier,
+      organization: organizationId,
+    });
+    if (!exists) {
+      throw new AppError('Supplier not found', 400, 'VALIDATION_ERROR');
+    }
+  }
+
+  // Direction follows the party; walk-in payments must say which way
+  const direction = customer
+    ? 'received'
+    : supplier
+    ? 'paid'
+    : req.body.direction || 'received';
+
+  const payment = new Payment({
+    organization: organizationId,
+    direction,
+    customer: customer || null,
+    supplier: supplier || null,
+    mode,
+    referenceNumber,
+    amount: parseFloat(amount),
+    paymentDate: paymentDate ? new Date(paymentDate) : new Date(),
+    collectedBy: collectedBy || userId,
+    notes,
+    createdBy: userId,
+  });
+
+  // Validate the payment itself before touching any entry
+  await payment.validate();
+  await assertPeriodOpen(organizationId, payment.paymentDate);
+  if (payment.mode === 'Cash') {
+    await assertCashDayOpen(organizationId, payment.paymentDate);
+  }
+  await allocatePayment(payment, autoAllocate ? 'auto' : allocations);
+
+  await payment.populate([
+    { path: 'customer', select: 'name phone' },
+    { path: 'supplier', select: 'name phone' },
+    { path: 'collectedBy', select: 'username' },
+  ]);
+
+  res.status(201).json({
+    success: true,
+    message: 'Payment recorded successfully',
+    data: payment,
+  });
+});
+
+// @desc    Get payments for organization
+// @route   GET /api/payments
+// @access  Private
+const getPayments = asyncHandler(async (req, res) => {
+  const { organizationId } = req.user;
+  const {
+    startDate,
+    endDate,
+    customer,
+    supplier,
+    direction,
+    mode,
+    entry,
+    limit = 50,
+    page = 1,
+  } = req.query;
+
+  const query = { organization: organizationId, isActive: true };
+
+  if (customer) query.customer = customer;
+  if (supplier) query.supplier = supplier;
+  if (direction) query.direction = direction;
+  if (mode) query.mode = mode;
+  if (entry) query['allocations.entry'] = entry;
+
+  // Date filtering
+  if (startDate || endDate) {
+    query.paymentDate = {};
+    if (startDate) query.paymentDate.$gte = new Date(startDate);
+    if (endDate) query.paymentDate.$lte = new Date(endDate + 'T23:59:59.999Z');
+  }
+
+  const skip = (parseInt(page) - 1) * parseInt(limit);
+
+  const [payments, total] = await Promise.all([
+    Payment.find(query)
+      .populate('customer', 'name phone')
+      .populate('supplier', 'name phone')
+      .populate('collectedBy', 'username')
+      .sort({ paymentDate: -1, createdAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit)),
+    Payment.countDocuments(query),
+  ]);
+
+  res.json({
+    success: true,
+    data: payments,
+    pagination: {
+      total,
+      page: parseInt(page),
+      limit: parseInt(limit),
+      pages: Math.ceil(total / parseInt(limit)),
+    },
+  });
+});
+
+// @desc    Get payment by ID
+// @route   GET /api/payments/:id
+// @access  Private
+const getPayment = asyncHandler(async (req, res) => {
+  const { organizationId } = req.user;
+
+  const payment = await Payment.findOne({
+    _id: req.params.id,
+    organization: organizationId,
+    isActive: true,
+  })
+    .populate('customer', 'name phone')
+    .populate('supplier', 'name phone')
+    .populate('collectedBy', 'username')
+    .populate(
+      'allocations.entry',
+      'truckNumber entryDate materialType totalAmount paidAmount paymentStatus',
+    );
+
+  if (!payment) {
+    throw new AppError('Payment not found', 404, 'NOT_FOUND');
+  }
+
+  res.json({
+    success: true,
+    data: payment,
+  });
+});
+
+// @desc    Allocate the unallocated part of a payment to truck entries
+// @route   POST /api/payments/:id/allocate
+// @access  Private
+const allocatePaymentToEntries = asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array(),
+    });
+  }
+
+  const { organizationId } = req.user;
+  const { allocations, autoAllocate } = req.body;
+
+  const payment = await Payment.findOne({
+    _id: req.params.id,
+    organization: organizationId,
+    isActive: true,
+  });
+
+  if (!payment) {
+    throw new AppError('Payment not found', 404, 'NOT_FOUND');
+  }
+
+  await assertPeriodOpen(organizationId, payment.paymentDate);
+  await allocatePayment(payment, autoAllocate ? 'auto' : allocations);
+
+  res.json({
+    success: true,
+    message: 'Payment allocated successfully',
+    data: payment,
+  });
+});
+
+// @desc    Cancel a payment and release its allocations
+// @route   DELETE /api/payments/:id
+// @access  Private (Owner only)
+const deletePayment = asyncHandler(async (req, res) => {
+  const { organizationId } = req.user;
+
+  const payment = await Payment.findOne({
+    _id: req.params.id,
+    organization: organizationId,
+    isActive: true,
+  });
+
+  if (!payment) {
+    throw new AppError('Payment not found', 404, 'NOT_FOUND');
+  }
+
+  await assertPeriodOpen(organizationId, payment.paymentDate);
+  if (payment.mode === 'Cash') {
+    await assertCashDayOpen(organizationId, payment.paymentDate);
+  }
+  payment.isActive = false;
+  await releaseAllocations(payment);
+
+  res.json({
+    success: true,
+    message: 'Payment cancelled successfully',
+  });
+});
+
+// Validation middleware
+const allocationValidation = [
+  body('allocations')
+    .optional()
+    .isArray()
+    .withMessage('Allocations must be a list of { entry, amount }'),
+  body('allocations.*.entry')
+    .isMongoId()
+    .withMessage('Allocation entry must be a valid ID'),
+  body('allocations.*.amount')
+    .isFloat({ min: 0.01 })
+    .withMessage('Allocation amount must be greater than 0'),
+  body('autoAllocate')
+    .optional()
+    .isBoolean()
+    .withMessage('autoAllocate must be true or false')
+    .toBoolean(),
+];
+
+const createPaymentValidation = [
+  body('amount')
+    .isFloat({ min: 0.01 })
+    .withMessage('Amount must be greater than 0'),
+  body('mode')
+    .isIn(Payment.PAYMENT_MODES)
+    .withMessage(`Mode must be one of: ${Payment.PAYMENT_MODES.join(', ')}`),
+  body('referenceNumber')
+    .if(body('mode').isIn(['UPI', 'Cheque']))
+    .trim()
+    .notEmpty()
+    .withMessage('Reference number is required for UPI and cheque payments'),
+  body('direction')
+    .optional()
+    .isIn(['received', 'paid'])
+    .withMessage('Direction must be either received or paid'),
+  body('customer')
+    .optional({ checkFalsy: true })
+    .isMongoId()
+    .withMessage('Customer must be a valid ID'),
+  body('supplier')
+    .optional({ checkFalsy: true })
+    .isMongoId()
+    .withMessage('Supplier must be a valid ID'),
+  body('collectedBy')
+    .optional({ checkFalsy: true })
+    .isMongoId()
+    .withMessage('Collected by must be a valid user ID'),
+  body('paymentDate')
+    .optional()
+    .isISO8601()
+    .withMessage('Payment date must be a valid ISO date'),
+  ...allocationValidation,
+];
+
+const allocatePaymentValidation = [...allocationValidation];
+
+module.exports = {
+  createPayment,
+  getPayments,
+  getPayment,
+  allocatePaymentToEntries,
+  deletePayment,
+  createPaymentValidation,
+  allocatePaymentValidation,
+};
@@ -0,0 +1,153 @@
+const PeriodLock = require('../models/PeriodLock');
+const { asyncHandler, AppError } = require('../middleware/errorHandler');
+const { body, validationResult } = require('express-validator');
+const { auditSnapshot, recordAudit } = require('../utils/audit');
+const { getDayRange } = require('../utils/dayBook');
+
+// @desc    Close the books for a date range
+// @route   POST /api/period-locks
+// @access  Private (Owner only)
+const closePeriod = asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array(),
+    });
+  }
+
+  const { organizationId, id: userId } = req.user;
+  const { startDate, endDate, note } = req.body;
+
+  // The period runs from the start of its first day to the end of its last,
+  // in the same India days as the day book
+  const { start } = getDayRange(startDate);
+  const { end } = getDayRange(endDate);
+
+  const overlapping = await PeriodLock.findOne({
+    organization: organizationId,
+    status: 'closed',
+    startDate: { $lte: end },
+    endDate: { $gte: start },
+  });
+  if (overlapping) {
+    throw new AppError(
+      'This range overlaps a period that is already closed',
+      409,
+      'PERIOD_OVERLAP',
+    );
+  }
+
+  const period = await PeriodLock.create({
+    organization: organizationId,
+    startDate: start,
+    endDate: end,
+    note,
+    closedBy: userId,
+  });
+  await recordAudit(req, {
+    model: 'PeriodLock',
+    action: 'close',
+    document: period,
+  });
+
+  res.status(201).json({
+    success: true,
+    message: 'Period closed successfully',
+    data: period,
+  });
+});
+
+// @desc    Get closed and reopened periods
+// @route   GET /api/period-locks
+// @access  Private
+const getPeriodLocks = asyncHandler(async (req, res) => {
+  const { organizationId } = req.user;
+  const { status } = req.query;
+
+  const query = { organization: organizationId };
+  if (status) query.status = status;
+
+  const periods = await PeriodLock.find(query)
+    .populate('closedBy', 'username')
+    .populate('reopenedBy', 'username')
+    .sort({ startDate: -1 });
+
+  res.json({
+    success: true,
+    data: periods,
+  });
+});
+
+// @desc    Reopen a closed period so its records can be changed again
+// @route   POST /api/period-locks/:id/reopen
+// @access  Private (Owner only)
+const reopenPeriod = asyncHandler(async (req, res) => {
+  const { organizationId, id: userId } = req.user;
+  const reason = (req.body.reason || '').trim();
+
+  if (!reason) {
+    throw new AppError(
+      'A reason is required to reopen a period',
+      400,
+      'VALIDATION_ERROR',
+    );
+  }
+
+  const period = await PeriodLock.findOne({
+    _id: req.params.id,
+    organization: organizationId,
+    status: 'closed',
+  });
+
+  if (!period) {
+    throw new AppError('Closed period not found', 404, 'NOT_FOUND');
+  }
+
+  const before = auditSnapshot(period);
+  period.status = 'reopened';
+  period.reopenedBy = userId;
+  period.reopenedAt = new Date();
+  period.reopenReason = reason;
+  await period.save();
+  await recordAudit(req, {
+    model: 'PeriodLock',
+    action: 'reopen',
+    document: period,
+    before,
+    note: reason,
+  });
+
+  res.json({
+    success: true,
+    message: 'Period reopened successfully',
+    data: period,
+  });
+});
+
+// Validation middleware
+const closePeriodValidation = [
+  body('startDate').isISO8601().withMessage('Start date must be a valid date'),
+  body('endDate')
+    .isISO8601()
+    .withMessage('End date must be a valid date')
+    .custom((value, { req }) => {
+      if (new Date(value) < new Date(req.body.startDate)) {
+        throw new Error('End date cannot be before the start date');
+      }
+      return true;
+    }),
+  body('note')
+    .optional()
+    .trim()
+    .isLength({ max: 300 })
+    .withMessage('Note cannot exceed 300 characters'),
+];
+
+module.exports = {
+  closePeriod,
+  getPeriodLocks,
+  reopenPeriod,
+  closePeriodValidation,
+};
@@ -0,0 +1,512 @@
+const mongoose = require('mongoose');
+const Permit = require('../models/Permit');
+const TruckEntry = require('../models/TruckEntry');
+const Organization = require('../models/Organization');
+const { asyncHandler, AppError } = require('../middleware/errorHandler');
+const { body, query, validationResult } = require('express-validator');
+const { getSalesMaterial } = require('../utils/materials');
+const { loadUnitContext, getUnit } = require('../utils/units');
+const {
+  PERMIT_USAGE_MATCH,
+  loadPermitUsage,
+  loadPermitBalances,
+  describePermit,
+} = require('../utils/permits');
+const { auditSnapshot, recordAudit } = require('../utils/audit');
+
+const PERMIT_STATUSES = [
+  'active',
+  'upcoming',
+  'expired',
+  'exhausted',
+  'cancelled',
+];
+
+// Permits run from the start of validFrom to the end of validTo
+const startOfDay = date => {
+  const day = new Date(date);
+  day.setUTCHours(0, 0, 0, 0);
+  return day;
+};
+const endOfDay = date => {
+  const day = new Date(date);
+  day.setUTCHours(23, 59, 59, 999);
+  return day;
+};
+
+const loadAlertPercent = async organizationId => {
+  const organization = await Organization.findById(organizationId).select(
+    'settings',
+  );
+  return organization?.settings?.permitAlertPercent;
+};
+
+// Permits with their balances, status and alerts
+const describePermits = async (organizationId, permits) => {
+  const [balances, alertPercent] = await Promise.all([
+    loadPermitBalances(organizationId, permits),
+    loadAlertPercent(organizationId),
+  ]);
+  return permits.map(permit =>
+    describePermit(permit, balances.get(permit._id.toString()), {
+      alertPercent,
+    }),
+  );
+};
+
+// Check the unit and turn the material into its catalogue name
+const preparePermit = async (permit, organizationId) => {
+  if (permit.isModified('materialType') && permit.materialType) {
+    permit.materialType = (
+      await getSalesMaterial(organizationId, permit.materialType)
+    ).name;
+  }
+  if (permit.isModified('unit')) {
+    getUnit(await loadUnitContext(organizationId), permit.unit);
+  }
+};
+
+// @desc    Get the organization's permits with their balances
+// @route   GET /api/permits?status=&materialType=&includeInactive=
+// @access  Private
+const getPermits = asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array(),
+    });
+  }
+
+  const { status, materialType } = req.query;
+  const filter = { organization: req.user.organizationId };
+  if (req.query.includeInactive !== 'true' && status !== 'cancelled') {
+    filter.isActive = true;
+  }
+  if (materialType) filter.materialType = { $in: [materialType, null] };
+
+  const permits = await Permit.find(filter).sort({ validTo: 1 });
+  let data = await describePermits(req.user.organizationId, permits);
+  if (status) data = data.filter(permit => permit.status === status);
+
+  res.json({
+    success: true,
+    data,
+  });
+});
+
+// @desc    Get permits that are running low, expire soon or expired unused
+// @route   GET /api/permits/alerts
+// @access  Private
+const getPermitAlerts = asyncHandler(async (req, res) => {
+  const permits = await Permit.find({
+    organization: req.user.organizationId,
+    isActive: true,
+  }).sort({ validTo: 1 });
+
+  const data = (await describePermits(req.user.organizationId, permits))
+    .filter(permit => permit.alerts.length > 0)
+    // Quantity left on permits that expired long ago is no longer news
+    .filter(
+      permit =>
+        permit.status !== 'expired' ||
+        Date.now() - permit.validTo <= 30 * 24 * 60 * 60 * 1000,
+    );
+
+  res.json({
+    success: true,
+    data,
+  });
+});
+
+// @desc    Permit utilisation for the mining department: quantity issued,
+//          carried in the period and left on each permit valid in the
+//          period, and sales loads carried without a permit
+// @route   GET /api/permits/report?startDate=&endDate=&format=csv
+// @access  Private
+const getPermitReport = asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array(),
+    });
+  }
+
+  const { organizationId } = req.user;
+  const periodStart = startOfDay(req.query.startDate);
+  const periodEnd = endOfDay(req.query.endDate);
+
+  const permits = await Permit.find({
+    organization: organizationId,
+    validFrom: { $lte: periodEnd },
+    validTo: { $gte: periodStart },
+  }).sort({ materialType: 1, validFrom: 1 });
+  const permitIds = permits.map(permit => permit._id);
+
+  const [described, periodUsage, unpermitted] = await Promise.all([
+    describePermits(organizationId, permits),
+    loadPermitUsage(organizationId, permitIds, {
+      startDate: periodStart,
+      endDate: periodEnd,
+    }),
+    TruckEntry.aggregate([
+      {
+        $match: {
+          organization: new mongoose.Types.ObjectId(organizationId),
+          ...PERMIT_USAGE_MATCH,
+          entryType: 'Sales',
+          permit: null,
+          entryDate: { $gte: periodStart, $lte: periodEnd },
+        },
+      },
+      {
+        $group: {
+          _id: '$materialType',
+          loads: { $sum: 1 },
+          units: { $sum: { $ifNull: ['$standardUnits', '$units'] } },
+        },
+      },
+      { $sort: { _id: 1 } },
+    ]),
+  ]);
+
+  const rows = described.map(permit => {
+    const usage = periodUsage.get(permit._id.toString());
+    return {
+      permitNumber: permit.permitNumber,
+      bookNumber: permit.bookNumber,
+      materialType: permit.materialType,
+      unit: permit.unit,
+      validFrom: permit.validFrom.toISOString().split('T')[0],
+      validTo: permit.validTo.toISOString().split('T')[0],
+      issuedQuantity: permit.issuedQuantity,
+      periodQuantity: usage ? usage.usedQuantity : 0,
+      periodLoads: usage ? usage.loads : 0,
+      usedQuantity: permit.usedQuantity,
+      remainingQuantity: permit.remainingQuantity,
+      utilisationPercent: permit.utilisationPercent,
+      status: permit.status,
+    };
+  });
+
+  if (req.query.format === 'csv') {
+    const { Parser } = require('json2csv');
+    const parser = new Parser({ fields: Object.keys(rows[0] || {}) });
+    const fileName = `Permit_Report_${req.query.startDate}_${req.query.endDate}.csv`;
+
+    res.setHeader('Content-Type', 'text/csv');
+    res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
+    return res.send(rows.length > 0 ? parser.parse(rows) : '');
+  }
+
+  res.json({
+    success: true,
+    data: {
+      startDate: req.query.startDate,
+      endDate: req.query.endDate,
+      permits: rows,
+      periodLoads: rows.reduce((sum, row) => sum + row.periodLoads, 0),
+      unpermittedLoads: unpermitted.map(row => ({
+        materialType: row._id,
+        loads: row.loads,
+        units: Math.round(row.units * 1000) / 1000,
+      })),
+    },
+  });
+});
+
+// @desc    Get a permit with the loads carried on it
+// @route   GET /api/permits/:id
+// @access  Private
+const getPermit = asyncHandler(async (req, res) => {
+  const permit = await Permit.findOne({
+    _id: req.params.id,
+    organization: req.user.organizationId,
+  }).populate('createdBy', 'username');
+
+  if (!permit) {
+    throw new AppError('Permit not found', 404, 'NOT_FOUND');
+  }
+
+  const [[data], loads] = await Promise.all([
+    describePermits(req.user.organizationId, [permit]),
+    TruckEntry.find({
+      organization: req.user.organizationId,
+      permit: permit._id,
+      ...PERMIT_USAGE_MATCH,
+    })
+      .select(
+        'truckNumber truckName materialType units unit grossWeight tareWeight permitQuantity entryDate customer',
+      )
+      .sort({ entryDate: 1 }),
+  ]);
+
+  res.json({
+    success: true,
+    data: { ...data, entries: loads },
+  });
+});
+
+// @desc    Record a permit
+// @route   POST /api/permits
+// @access  Private (Owner only)
+const createPermit = asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array(),
+    });
+  }
+
+  const { organizationId, id: userId } = req.user;
+  const {
+    permitNumber,
+    bookNumber,
+    materialType,
+    issuedQuantity,
+    unit,
+    validFrom,
+    validTo,
+    issuedBy,
+    notes,
+  } = req.body;
+
+  const duplicate = await Permit.exists({
+    organization: organizationId,
+    permitNumber: String(permitNumber).trim().toUpperCase(),
+  });
+  if (duplicate) {
+    throw new AppError(
+      'A permit with this number already exists',
+      409,
+      'DUPLICATE_PERMIT',
+    );
+  }
+
+  const permit = new Permit({
+    organization: organizationId,
+    permitNumber,
+    bookNumber: bookNumber || null,
+    materialType: materialType || null,
+    issuedQuantity,
+    unit: unit || undefined,
+    validFrom: startOfDay(validFrom),
+    validTo: endOfDay(validTo),
+    issuedBy,
+    notes,
+    createdBy: userId,
+  });
+  await preparePermit(permit, organizationId);
+  await permit.save();
+  await recordAudit(req, {
+    model: 'Permit',
+    action: 'create',
+    document: permit,
+  });
+
+  res.status(201).json({
+    success: true,
+    message: 'Permit created successfully',
+    data: describePermit(permit, null, {
+      alertPercent: await loadAlertPercent(organizationId),
+    }),
+  });
+});
+
+// @desc    Update a permit. The issued quantity cannot go below what loads
+//          have already used, and the material and unit are fixed once
+//          loads are carried on it.
+// @route   PUT /api/permits/:id
+// @access  Private (Owner only)
+const updatePermit = asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array(),
+    });
+  }
+
+  const { organizationId } = req.user;
+
+  const permit = await Permit.findOne({
+    _id: req.params.id,
+    organization: organizationId,
+    isActive: true,
+  });
+
+  if (!permit) {
+    throw new AppError('Permit not found', 404, 'NOT_FOUND');
+  }
+
+  const before = auditSnapshot(permit);
+  const {
+    bookNumber,
+    materialType,
+    issuedQuantity,
+    unit,
+    validFrom,
+    validTo,
+    issuedBy,
+    notes,
+  } = req.body;
+  if (bookNumber !== undefined) permit.bookNumber = bookNumber || null;
+  if (materialType !== undefined) permit.materialType = materialType || null;
+  if (issuedQuantity !== undefined) permit.issuedQuantity = issuedQuantity;
+  if (unit !== undefined) permit.unit = unit;
+  if (validFrom !== undefined) permit.validFrom = startOfDay(validFrom);
+  if (validTo !== undefined) permit.validTo = endOfDay(validTo);
+  if (issuedBy !== undefined) permit.issuedBy = issuedBy;
+  if (notes !== undefined) permit.notes = notes;
+
+  await preparePermit(permit, organizationId);
+
+  const usage = (await loadPermitBalances(organizationId, [permit])).get(
+    permit._id.toString(),
+  );
+  if (usage && (usage.loads > 0 || usage.usedQuantity > 0)) {
+    if (permit.isModified('materialType') || permit.isModified('unit')) {
+      throw new AppError(
+        'The material and unit of a permit cannot change once loads are carried on it',
+        409,
+        'PERMIT_IN_USE',
+      );
+    }
+    if (permit.issuedQuantity < usage.usedQuantity) {
+      throw new AppError(
+        `Loads have already used ${usage.usedQuantity} ${permit.unit} of this permit`,
+        409,
+        'PERMIT_IN_USE',
+      );
+    }
+  }
+
+  await permit.save();
+  await recordAudit(req, {
+    model: 'Permit',
+    action: 'update',
+    document: permit,
+    before,
+  });
+
+  res.json({
+    success: true,
+    message: 'Permit updated successfully',
+    data: describePermit(permit, usage, {
+      alertPercent: await loadAlertPercent(organizationId),
+    }),
+  });
+});
+
+// @desc    Cancel a permit. Loads already carried on it keep it; no new
+//          loads are assigned to it.
+// @route   DELETE /api/permits/:id
+// @access  Private (Owner only)
+const deletePermit = asyncHandler(async (req, res) => {
+  const permit = await Permit.findOne({
+    _id: req.params.id,
+    organization: req.user.organizationId,
+    isActive: true,
+  });
+
+  if (!permit) {
+    throw new AppError('Permit not found', 404, 'NOT_FOUND');
+  }
+
+  const before = auditSnapshot(permit);
+  permit.isActive = false;
+  await permit.save();
+  await recordAudit(req, {
+    model: 'Permit',
+    action: 'delete',
+    document: permit,
+    before,
+  });
+
+  res.json({
+    success: true,
+    message: 'Permit cancelled successfully',
+  });
+});
+
+// Validation middleware
+const permitFieldValidation = [
+  body('bookNumber')
+    .optional({ checkFalsy: true })
+    .trim()
+    .isLength({ max: 30 })
+    .withMessage('Book number cannot exceed 30 characters'),
+  body('issuedQuantity')
+    .optional()
+    .isFloat({ min: 0.001 })
+    .withMessage('Issued quantity must be greater than 0'),
+  body('unit')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 20 })
+    .withMessage('Unit cannot exceed 20 characters'),
+  body(['validFrom', 'validTo'])
+    .optional()
+    .isISO8601()
+    .withMessage('Validity dates must be valid dates'),
+  body('issuedBy')
+    .optional()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('Issuing office cannot exceed 100 characters'),
+  body('notes')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Notes cannot exceed 500 characters'),
+];
+
+const createPermitValidation = [
+  body('permitNumber')
+    .trim()
+    .isLength({ min: 1, max: 30 })
+    .withMessage('Permit number is required and cannot exceed 30 characters'),
+  body('issuedQuantity').exists().withMessage('Issued quantity is required'),
+  body('validFrom').exists().withMessage('Valid from date is required'),
+  body('validTo').exists().withMessage('Valid to date is required'),
+  ...permitFieldValidation,
+];
+
+const updatePermitValidation = [...permitFieldValidation];
+
+const getPermitsValidation = [
+  query('status')
+    .optional()
+    .isIn(PERMIT_STATUSES)
+    .withMessage(`Status must be one of: ${PERMIT_STATUSES.join(', ')}`),
+];
+
+const permitReportValidation = [
+  query(['startDate', 'endDate'])
+    .isISO8601()
+    .withMessage('Start date and end date are required for reports'),
+  query('format')
+    .optional()
+    .isIn(['json', 'csv'])
+    .withMessage('Format must be json or csv'),
+];
+
+module.exports = {
+  getPermits,
+  getPermitAlerts,
+  getPermitReport,
+  getPermit,
+  createPermit,
+  updatePermit,
+  deletePermit,
+  createPermitValidation,
+  updatePermitValidation,
+  getPermitsValidation,
+  permitReportValidation,
+};
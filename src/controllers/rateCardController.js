@@ -0,0 +1,364 @@
+const RateCard = require('../models/RateCard');
+const Customer = require('../models/Customer');
+const { asyncHandler, AppError } = require('../middleware/errorHandler');
+const { body, validationResult } = require('express-validator');
+const { loadMaterials, resolveSalesMaterial } = require('../utils/materials');
+const { resolveRate } = require('../utils/rates');
+const { loadUnitContext, getUnit } = require('../utils/units');
+const { auditSnapshot, recordAudit } = require('../utils/audit');
+
+// Cards run from the start of validFrom to the end of validTo
+const startOfDay = date => {
+  const day = new Date(date);
+  day.setUTCHours(0, 0, 0, 0);
+  return day;
+};
+const endOfDay = date => {
+  const day = new Date(date);
+  day.setUTCHours(23, 59, 59, 999);
+  return day;
+};
+
+// Check the customer and turn each item's material into its catalogue name
+const prepareCard = async (card, organizationId) => {
+  if (card.customer && card.isModified('customer')) {
+    const customer = await Customer.findOne({
+      _id: card.customer,
+      organization: organizationId,
+      isActive: true,
+    });
+    if (!customer) {
+      throw new AppError('Customer not found', 400, 'VALIDATION_ERROR');
+    }
+  }
+
+  if (card.isModified('items')) {
+    const [materials, unitContext] = await Promise.all([
+      loadMaterials(organizationId),
+      loadUnitContext(organizationId),
+    ]);
+    const seen = new Set();
+    card.items.forEach(item => {
+      getUnit(unitContext, item.unit);
+      item.materialType = resolveSalesMaterial(
+        materials,
+        item.materialType,
+      ).name;
+      if (seen.has(item.materialType)) {
+        throw new AppError(
+          `${item.materialType} is listed more than once`,
+          400,
+          'VALIDATION_ERROR',
+        );
+      }
+      seen.add(item.materialType);
+    });
+  }
+};
+
+// Two active cards for the same customer or group must not price the same
+// material over overlapping dates, so the applicable rate is never ambiguous
+const assertNoOverlap = async card => {
+  const query = {
+    organization: card.organization,
+    isActive: true,
+    _id: { $ne: card._id },
+    $or: [{ validTo: null }, { validTo: { $gte: card.validFrom } }],
+  };
+  if (card.customer) query.customer = card.customer;
+  else query.customerGroup = card.customerGroup;
+  if (card.validTo) query.validFrom = { $lte: card.validTo };
+
+  const materials = card.items.map(item => item.materialType);
+  const others = await RateCard.find(query);
+  for (const other of others) {
+    const shared = other.items.find(item =>
+      materials.includes(item.materialType),
+    );
+    if (shared) {
+      throw new AppError(
+        `Rate card "${other.name}" already prices ${shared.materialType} for these dates`,
+        409,
+        'RATE_CARD_OVERLAP',
+      );
+    }
+  }
+};
+
+// @desc    Get rate cards
+// @route   GET /api/rate-cards
+// @access  Private
+const getRateCards = asyncHandler(async (req, res) => {
+  const { organizationId } = req.user;
+  const { customer, customerGroup, activeOn, includeInactive } = req.query;
+
+  const query = { organization: organizationId };
+  if (includeInactive !== 'true') query.isActive = true;
+  if (customer) query.customer = customer;
+  if (customerGroup) query.customerGroup = customerGroup;
+  if (activeOn) {
+    const on = new Date(activeOn);
+    query.validFrom = { $lte: on };
+    query.$or = [{ validTo: null }, { validTo: { $gte: on } }];
+  }
+
+  const cards = await RateCard.find(query)
+    .populate('customer', 'name')
+    .sort({ validFrom: -1 });
+
+  res.json({
+    success: true,
+    data: cards,
+  });
+});
+
+// @desc    Get rate card by ID
+// @route   GET /api/rate-cards/:id
+// @access  Private
+const getRateCard = asyncHandler(async (req, res) => {
+  const card = await RateCard.findOne({
+    _id: req.params.id,
+    organization: req.user.organizationId,
+  }).populate('customer', 'name rateGroup');
+
+  if (!card) {
+    throw new AppError('Rate card not found', 404, 'NOT_FOUND');
+  }
+
+  res.json({
+    success: true,
+    data: card,
+  });
+});
+
+// @desc    Find the rate that applies to a material for a customer on a date
+// @route   GET /api/rate-cards/resolve?materialType=&customer=&date=
+// @access  Private
+const resolveRateForEntry = asyncHandler(async (req, res) => {
+  const { organizationId } = req.user;
+  const { materialType, customer, date } = req.query;
+
+  if (!materialType) {
+    throw new AppError('Material type is required', 400, 'VALIDATION_ERROR');
+  }
+
+  const name =
+    materialType === 'Raw Stone'
+      ? materialType
+      : resolveSalesMaterial(await loadMaterials(organizationId), materialType)
+          .name;
+  const resolved = await resolveRate(organizationId, {
+    materialType: name,
+    customer,
+    date: date || new Date(),
+  });
+
+  res.json({
+    success: true,
+    data: { materialType: name, ...(resolved || { rate: null, source: null }) },
+  });
+});
+
+// @desc    Create a rate card
+// @route   POST /api/rate-cards
+// @access  Private (Owner only)
+const createRateCard = asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array(),
+    });
+  }
+
+  const { organizationId, id: userId } = req.user;
+  const { name, customer, customerGroup, validFrom, validTo, items, notes } =
+    req.body;
+
+  const card = new RateCard({
+    organization: organizationId,
+    name,
+    customer: customer || null,
+    customerGroup: customerGroup || null,
+    validFrom: startOfDay(validFrom),
+    validTo: validTo ? endOfDay(validTo) : null,
+    items,
+    notes,
+    createdBy: userId,
+  });
+  await prepareCard(card, organizationId);
+  await card.validate();
+  await assertNoOverlap(card);
+  await card.save();
+  await recordAudit(req, {
+    model: 'RateCard',
+    action: 'create',
+    document: card,
+  });
+
+  res.status(201).json({
+    success: true,
+    message: 'Rate card created successfully',
+    data: card,
+  });
+});
+
+// @desc    Update a rate card
+// @route   PUT /api/rate-cards/:id
+// @access  Private (Owner only)
+const updateRateCard = asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array(),
+    });
+  }
+
+  const { organizationId } = req.user;
+
+  const card = await RateCard.findOne({
+    _id: req.params.id,
+    organization: organizationId,
+    isActive: true,
+  });
+
+  if (!card) {
+    throw new AppError('Rate card not found', 404, 'NOT_FOUND');
+  }
+
+  const before = auditSnapshot(card);
+  const { name, customer, customerGroup, validFrom, validTo, items, notes } =
+    req.body;
+  if (name !== undefined) card.name = name;
+  if (customer !== undefined) card.customer = customer || null;
+  if (customerGroup !== undefined) card.customerGroup = customerGroup || null;
+  if (validFrom !== undefined) card.validFrom = startOfDay(validFrom);
+  if (validTo !== undefined) card.validTo = validTo ? endOfDay(validTo) : null;
+  if (items !== undefined) card.items = items;
+  if (notes !== undefined) card.notes = notes;
+
+  await prepareCard(card, organizationId);
+  await card.validate();
+  await assertNoOverlap(card);
+  await card.save();
+  await recordAudit(req, {
+    model: 'RateCard',
+    action: 'update',
+    document: card,
+    before,
+  });
+
+  res.json({
+    success: true,
+    message: 'Rate card updated successfully',
+    data: card,
+  });
+});
+
+// @desc    Deactivate a rate card; entries priced from it keep their rates
+// @route   DELETE /api/rate-cards/:id
+// @access  Private (Owner only)
+const deleteRateCard = asyncHandler(async (req, res) => {
+  const card = await RateCard.findOne({
+    _id: req.params.id,
+    organization: req.user.organizationId,
+    isActive: true,
+  });
+
+  if (!card) {
+    throw new AppError('Rate card not found', 404, 'NOT_FOUND');
+  }
+
+  const before = auditSnapshot(card);
+  card.isActive = false;
+  await card.save();
+  await recordAudit(req, {
+    model: 'RateCard',
+    action: 'delete',
+    document: card,
+    before,
+  });
+
+  res.json({
+    success: true,
+    message: 'Rate card deleted successfully',
+  });
+});
+
+// Validation middleware
+const rateCardFieldValidation = [
+  body('customer')
+    .optional({ checkFalsy: true })
+    .isMongoId()
+    .withMessage('Customer must be a valid ID'),
+  body('customerGroup')
+    .optional({ checkFalsy: true })
+    .trim()
+    .isLength({ max: 50 })
+    .withMessage('Customer group cannot exceed 50 characters'),
+  body('validTo')
+    .optional({ checkFalsy: true })
+    .isISO8601()
+    .withMessage('Valid to must be a valid date'),
+  body('items.*.materialType')
+    .trim()
+    .notEmpty()
+    .withMessage('Each rate needs a material type'),
+  body('items.*.rate')
+    .isFloat({ min: 0 })
+    .withMessage('Each rate must be a positive number'),
+  body('items.*.unit')
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 20 })
+    .withMessage('Each rate unit must be a unit of measure code'),
+  body('notes')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Notes cannot exceed 500 characters'),
+];
+
+const createRateCardValidation = [
+  body('name')
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Rate card name is required and cannot exceed 100 characters'),
+  body('validFrom').isISO8601().withMessage('Valid from must be a valid date'),
+  body('items')
+    .isArray({ min: 1 })
+    .withMessage('A rate card needs at least one material rate'),
+  ...rateCardFieldValidation,
+];
+
+const updateRateCardValidation = [
+  body('name')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Rate card name cannot exceed 100 characters'),
+  body('validFrom')
+    .optional()
+    .isISO8601()
+    .withMessage('Valid from must be a valid date'),
+  body('items')
+    .optional()
+    .isArray({ min: 1 })
+    .withMessage('A rate card needs at least one material rate'),
+  ...rateCardFieldValidation,
+];
+
+module.exports = {
+  getRateCards,
+  getRateCard,
+  resolveRateForEntry,
+  createRateCard,
+  updateRateCard,
+  deleteRateCard,
+  createRateCardValidation,
+  updateRateCardValidation,
+};
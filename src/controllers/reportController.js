@@ -1,3 +1,4 @@
+const mongoose = require('mongoose');
 const TruckEntry = require('../models/TruckEntry');
 const User = require('../models/User');
 const MaterialRate = require('../models/MaterialRate');
@@ -5,6 +6,15 @@ const OtherExpense = require('../models/OtherExpense');
 const { asyncHandler, AppError } = require('../middleware/errorHandler');
 const Organization = require('../models/Organization');
 const { generatePdf } = require('../utils/exportGenerator');
+const {
+  STANDARD_UNIT,
+  getConversionMaterial,
+  loadUnitContext,
+  convertQuantity,
+} = require('../utils/units');
+const { normalizeTruckNumber } = require('../utils/vehicles');
+const { REPORTABLE_ENTRY_MATCH } = require('../utils/entryApproval');
+const { loadMaterials, findMaterial } = require('../utils/materials');
 const jwt = require('jsonwebtoken');
 const path = require('path');
 const fs = require('fs-extra');
@@ -26,6 +36,7 @@ const getReportData = asyncHandler(async (req, res) => {
     truckNumber,
     userId,
     groupBy = 'date', // date, truck, material, user
+    unit, // Optional unit of measure to normalise quantities to
     sortBy = 'entryDate',
     sortOrder = 'desc',
     page = 1,
@@ -33,7 +44,7 @@ const getReportData = asyncHandler(async (req, res) => {
   } = req.query;
 
   // Build base filter
-  const filter = { status: 'active' };
+  const filter = { status: 'active', ...REPORTABLE_ENTRY_MATCH };
 
   // Role-based filtering
   if (req.user.role !== 'owner') {
@@ -45,7 +56,7 @@ const getReportData = asyncHandler(async (req, res) => {
   // Apply filters
   if (entryType) filter.entryType = entryType;
   if (materialType) filter.materialType = materialType;
-  if (truckNumber) filter.truckNumber = truckNumber.toUpperCase();
+  if (truckNumber) filter.truckNumber = normalizeTruckNumber(truckNumber);
 
   // Date range (required for reports)
   if (!startDate || !endDate) {
@@ -61,6 +72,19 @@ const getReportData = asyncHandler(async (req, res) => {
     $lte: new Date(endDate + 'T23:59:59.999Z'),
   };
 
+  // Aggregations do not cast their match, so they need the organization and
+  // user as ObjectIds
+  if (filter.userId && !mongoose.isValidObjectId(filter.userId)) {
+    throw new AppError('Invalid user ID', 400, 'VALIDATION_ERROR');
+  }
+  const aggregateFilter = {
+    ...filter,
+    organization: new mongoose.Types.ObjectId(req.user.organizationId),
+    ...(filter.userId && {
+      userId: new mongoose.Types.ObjectId(filter.userId),
+    }),
+  };
+
   // Get detailed entries
   const skip = (parseInt(page) - 1) * parseInt(limit);
   const sortDirection = sortOrder === 'desc' ? -1 : 1;
@@ -107,7 +131,8 @@ const getReportData = asyncHandler(async (req, res) => {
               $cond: [{ $eq: ['$entryType', 'Raw Stone'] }, '$totalAmount', 0],
             },
           },
-          totalUnits: { $sum: '$units' },
+          totalUnits: { $sum: { $ifNull: ['$standardUnits', '$units'] } },
+          totalNetWeight: { $sum: { $ifNull: ['$netWeight', 0] } },
           entryCount: { $sum: 1 },
         },
       },
@@ -130,7 +155,8 @@ const getReportData = asyncHandler(async (req, res) => {
               $cond: [{ $eq: ['$entryType', 'Raw Stone'] }, '$totalAmount', 0],
             },
           },
-          totalUnits: { $sum: '$units' },
+          totalUnits: { $sum: { $ifNull: ['$standardUnits', '$units'] } },
+          totalNetWeight: { $sum: { $ifNull: ['$netWeight', 0] } },
           entryCount: { $sum: 1 },
           lastEntry: { $max: '$entryDate' },
         },
@@ -150,7 +176,12 @@ const getReportData = asyncHandler(async (req, res) => {
         $group: {
           _id: '$materialType',
           totalAmount: { $sum: '$totalAmount' },
-          totalUnits: { $sum: '$units' },
+          materialAmount: {
+            $sum: { $ifNull: ['$materialAmount', '$totalAmount'] },
+          },
+          chargesAmount: { $sum: { $ifNull: ['$chargesAmount', 0] } },
+          totalUnits: { $sum: { $ifNull: ['$standardUnits', '$units'] } },
+          totalNetWeight: { $sum: { $ifNull: ['$netWeight', 0] } },
           entryCount: { $sum: 1 },
           avgRate: { $avg: '$ratePerUnit' },
           minRate: { $min: '$ratePerUnit' },
@@ -159,6 +190,44 @@ const getReportData = asyncHandler(async (req, res) => {
       },
       { $sort: { totalAmount: sortDirection } },
     ]);
+
+    // Label each material from the catalogue and list the active materials
+    // that had no sales in the period
+    const materials = await loadMaterials(req.user.organizationId, {
+      includeInactive: true,
+    });
+    groupedData = groupedData.map(group => {
+      const material = findMaterial(materials, group._id);
+      return {
+        ...group,
+        code: material ? material.code : null,
+        hsnCode: material ? material.hsnCode : null,
+      };
+    });
+    if (!materialType && entryType !== 'Raw Stone') {
+      materials
+        .filter(
+          material =>
+            material.isActive &&
+            !groupedData.some(group => group._id === material.name),
+        )
+        .forEach(material =>
+          groupedData.push({
+            _id: material.name,
+            code: material.code,
+            hsnCode: material.hsnCode,
+            totalAmount: 0,
+            materialAmount: 0,
+            chargesAmount: 0,
+            totalUnits: 0,
+            totalNetWeight: 0,
+            entryCount: 0,
+            avgRate: null,
+            minRate: null,
+            maxRate: null,
+          }),
+        );
+    }
   } else if (groupBy === 'user' && req.user.role === 'owner') {
     groupedData = await TruckEntry.aggregate([
       { $match: filter },
@@ -176,7 +245,8 @@ const getReportData = asyncHandler(async (req, res) => {
               $cond: [{ $eq: ['$entryType', 'Raw Stone'] }, '$totalAmount', 0],
             },
           },
-          totalUnits: { $sum: '$units' },
+          totalUnits: { $sum: { $ifNull: ['$standardUnits', '$units'] } },
+          totalNetWeight: { $sum: { $ifNull: ['$netWeight', 0] } },
           entryCount: { $sum: 1 },
         },
       },
@@ -197,6 +267,7 @@ const getReportData = asyncHandler(async (req, res) => {
           salesAmount: 1,
           expenseAmount: 1,
           totalUnits: 1,
+          totalNetWeight: 1,
           entryCount: 1,
           netAmount: { $subtract: ['$salesAmount', '$expenseAmount'] },
         },
@@ -205,6 +276,77 @@ const getReportData = asyncHandler(async (req, res) => {
     ]);
   }
 
+  // Charges and discounts by type, apart from the material amounts
+  const charges = await TruckEntry.aggregate([
+    { $match: aggregateFilter },
+    { $unwind: '$charges' },
+    {
+      $group: {
+        _id: {
+          entryType: '$entryType',
+          name: '$charges.name',
+          kind: '$charges.kind',
+        },
+        amount: { $sum: '$charges.amount' },
+        entryCount: { $sum: 1 },
+      },
+    },
+    { $sort: { '_id.entryType': 1, '_id.kind': 1, '_id.name': 1 } },
+  ]);
+
+  // Normalise quantities to the requested unit. Conversion can depend on the
+  // material, so standard units are summed per material and converted.
+  let quantities = null;
+  if (unit) {
+    const unitContext = await loadUnitContext(req.user.organizationId, {
+      includeInactive: true,
+    });
+    const materialTotals = await TruckEntry.aggregate([
+      { $match: aggregateFilter },
+      {
+        $group: {
+          _id: { entryType: '$entryType', materialType: '$materialType' },
+          standardUnits: { $sum: { $ifNull: ['$standardUnits', '$units'] } },
+        },
+      },
+    ]);
+
+    const toUnit = (standardUnits, material) =>
+      convertQuantity(
+        unitContext,
+        standardUnits,
+        STANDARD_UNIT,
+        unit,
+        getConversionMaterial(material),
+      );
+
+    quantities = { unit, sales: 0, rawStone: 0, byMaterial: [] };
+    materialTotals.forEach(({ _id, standardUnits }) => {
+      const quantity = toUnit(standardUnits, _id);
+      if (_id.entryType === 'Sales') {
+        quantities.sales =
+          Math.round((quantities.sales + quantity) * 1000) / 1000;
+      } else {
+        quantities.rawStone =
+          Math.round((quantities.rawStone + quantity) * 1000) / 1000;
+      }
+      quantities.byMaterial.push({
+        entryType: _id.entryType,
+        materialType: _id.materialType,
+        quantity,
+      });
+    });
+
+    if (groupBy === 'material') {
+      groupedData = groupedData.map(group => ({
+        ...group,
+        totalQuantity: group.entryCount
+          ? toUnit(group.totalUnits, { materialType: group._id })
+          : 0,
+      }));
+    }
+  }
+
   // Calculate pagination
   const totalPages = Math.ceil(total / parseInt(limit));
 
@@ -214,6 +356,12 @@ const getReportData = asyncHandler(async (req, res) => {
       entries,
       summary,
       groupedData,
+      charges: charges.map(({ _id, amount, entryCount }) => ({
+        ..._id,
+        amount: Math.round(amount * 100) / 100,
+        entryCount,
+      })),
+      quantities,
       filters: {
         startDate,
         endDate,
@@ -222,6 +370,7 @@ const getReportData = asyncHandler(async (req, res) => {
         truckNumber,
         userId,
         groupBy,
+        unit,
       },
       pagination: {
         currentPage: parseInt(page),
@@ -233,6 +382,98 @@ const getReportData = asyncHandler(async (req, res) => {
   });
 });
 
+// @desc    Freight on sales deliveries, by destination and by transporter
+// @route   GET /api/reports/freight?startDate=YYYY-MM-DD&endDate=YYYY-MM-DD
+// @access  Private
+const getFreightReport = asyncHandler(async (req, res) => {
+  const { startDate, endDate } = req.query;
+
+  if (!startDate || !endDate) {
+    throw new AppError(
+      'Start date and end date are required for reports',
+      400,
+      'VALIDATION_ERROR',
+    );
+  }
+
+  const filter = {
+    organization: new mongoose.Types.ObjectId(req.user.organizationId),
+    status: 'active',
+    ...REPORTABLE_ENTRY_MATCH,
+    entryType: 'Sales',
+    delivery: { $ne: null },
+    entryDate: {
+      $gte: new Date(startDate),
+      $lte: new Date(endDate + 'T23:59:59.999Z'),
+    },
+  };
+  if (req.user.role !== 'owner') {
+    filter.userId = new mongoose.Types.ObjectId(req.user.id);
+  }
+
+  const freightTotals = {
+    deliveries: { $sum: 1 },
+    totalUnits: { $sum: { $ifNull: ['$standardUnits', '$units'] } },
+    totalDistanceKm: { $sum: { $ifNull: ['$delivery.distanceKm', 0] } },
+    freightAmount: { $sum: { $ifNull: ['$freight.amount', 0] } },
+    // Freight included in customer bills; the rest is settled by the
+    // customer with the transporter
+    billedFreight: {
+      $sum: {
+        $cond: [
+          { $eq: ['$freight.billToCustomer', false] },
+          0,
+          { $ifNull: ['$freight.amount', 0] },
+        ],
+      },
+    },
+  };
+  const groupFreight = key =>
+    TruckEntry.aggregate([
+      { $match: filter },
+      { $group: { _id: key, ...freightTotals } },
+      { $sort: { freightAmount: -1 } },
+    ]);
+
+  const [byDestination, byTransporter, totals] = await Promise.all([
+    groupFreight('$delivery.village'),
+    groupFreight('$delivery.transporter'),
+    groupFreight(null),
+  ]);
+
+  const roundRow = ({ _id, ...row }) => ({
+    ...row,
+    totalUnits: Math.round(row.totalUnits * 1000) / 1000,
+    totalDistanceKm: Math.round(row.totalDistanceKm * 100) / 100,
+    freightAmount: Math.round(row.freightAmount * 100) / 100,
+    billedFreight: Math.round(row.billedFreight * 100) / 100,
+  });
+
+  res.json({
+    success: true,
+    data: {
+      byDestination: byDestination.map(row => ({
+        village: row._id || null,
+        ...roundRow(row),
+      })),
+      byTransporter: byTransporter.map(row => ({
+        transporter: row._id || null,
+        ...roundRow(row),
+      })),
+      totals: totals.length
+        ? roundRow(totals[0])
+        : {
+            deliveries: 0,
+            totalUnits: 0,
+            totalDistanceKm: 0,
+            freightAmount: 0,
+            billedFreight: 0,
+          },
+      filters: { startDate, endDate },
+    },
+  });
+});
+
 // @desc    Generate export data
 // @route   POST /api/reports/export
 // @access  Private (requires authentication)
@@ -251,6 +492,7 @@ const generateExportData = asyncHandler(async (req, res) => {
 
     const filter = {
       status: 'active',
+      ...REPORTABLE_ENTRY_MATCH,
       entryDate: {
         $gte: new Date(startDate),
         $lte: new Date(endDate + 'T23:59:59.999Z'),
@@ -316,8 +558,11 @@ const generateExportData = asyncHandler(async (req, res) => {
       entryType: entry.entryType,
       materialType: entry.materialType || 'N/A',
       units: entry.units,
+      unit: entry.unit || 'unit',
+      netWeight: entry.netWeight != null ? entry.netWeight : '',
       ratePerUnit: entry.ratePerUnit,
       totalAmount: entry.totalAmount,
+      paymentStatus: entry.paymentStatus || 'unpaid',
       type: 'truck_entry',
     }));
 
@@ -332,6 +577,8 @@ const generateExportData = asyncHandler(async (req, res) => {
       entryType: 'Expense',
       materialType: expense.expensesName || 'Expense',
       units: 'N/A',
+      unit: 'N/A',
+      netWeight: 'N/A',
       ratePerUnit: 'N/A',
       totalAmount: expense.amount,
       description: expense.others || '',
@@ -419,6 +666,8 @@ const generateExportData = asyncHandler(async (req, res) => {
         'entryType',
         'materialType',
         'units',
+        'unit',
+        'netWeight',
         'ratePerUnit',
         'totalAmount',
         'description',
@@ -533,6 +782,7 @@ const generateBrowserDownload = asyncHandler(async (req, res) => {
     // Get entry count
     const entriesCount = await TruckEntry.countDocuments({
       status: 'active',
+      ...REPORTABLE_ENTRY_MATCH,
       entryDate: {
         $gte: new Date(startDate),
         $lte: new Date(endDate + 'T23:59:59.999Z'),
@@ -616,6 +866,7 @@ const generatePublicDownload = asyncHandler(async (req, res) => {
     // Get entry count
     const entriesCount = await TruckEntry.countDocuments({
       status: 'active',
+      ...REPORTABLE_ENTRY_MATCH,
       entryDate: {
         $gte: new Date(startDate),
         $lte: new Date(endDate + 'T23:59:59.999Z'),
@@ -676,6 +927,7 @@ const downloadWithToken = asyncHandler(async (req, res) => {
 
     const filter = {
       status: 'active',
+      ...REPORTABLE_ENTRY_MATCH,
       entryDate: {
         $gte: new Date(downloadData.startDate),
         $lte: new Date(downloadData.endDate + 'T23:59:59.999Z'),
@@ -723,8 +975,11 @@ const downloadWithToken = asyncHandler(async (req, res) => {
       entryType: entry.entryType,
       materialType: entry.materialType || 'N/A',
       units: entry.units,
+      unit: entry.unit || 'unit',
+      netWeight: entry.netWeight != null ? entry.netWeight : '',
       ratePerUnit: entry.ratePerUnit,
       totalAmount: entry.totalAmount,
+      paymentStatus: entry.paymentStatus || 'unpaid',
     }));
 
     // Transform other expenses for export
@@ -739,6 +994,8 @@ const downloadWithToken = asyncHandler(async (req, res) => {
       entryType: 'Expense',
       materialType: expense.expensesName || 'Expense',
       units: 'N/A',
+      unit: 'N/A',
+      netWeight: 'N/A',
       ratePerUnit: 'N/A',
       totalAmount: expense.amount,
     }));
@@ -796,6 +1053,8 @@ const downloadWithToken = asyncHandler(async (req, res) => {
         'entryType',
         'materialType',
         'units',
+        'unit',
+        'netWeight',
         'ratePerUnit',
         'totalAmount',
       ];
@@ -966,6 +1225,7 @@ const testDatabaseData = asyncHandler(async (req, res) => {
 
 module.exports = {
   getReportData,
+  getFreightReport,
   generateExportData,
   getReportTemplates,
   generateBrowserDownload,
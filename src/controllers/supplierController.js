@@ -0,0 +1,300 @@
+const Supplier = require('../models/Supplier');
+const { asyncHandler, AppError } = require('../middleware/errorHandler');
+const { body, validationResult } = require('express-validator');
+const { buildLedgerSummary, buildLedgerStatement } = require('../utils/ledger');
+const mongoose = require('mongoose');
+
+// Ledger helpers speak in terms of billed/received; for suppliers that is
+// the amount purchased from them and the amount paid to them.
+const toPayableRow = ({ party, billed, received, ...row }) => ({
+  ...(party && { supplier: party }),
+  ...row,
+  purchased: billed,
+  paid: received,
+});
+
+// @desc    Create a new supplier
+// @route   POST /api/suppliers
+// @access  Private
+const createSupplier = asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array(),
+    });
+  }
+
+  const { organizationId, id: userId } = req.user;
+  const { name, phone, quarryLocation, address, gstin, openingBalance, notes } =
+    req.body;
+
+  const supplier = await Supplier.create({
+    organization: organizationId,
+    name,
+    phone,
+    quarryLocation,
+    address,
+    gstin,
+    openingBalance: openingBalance ? parseFloat(openingBalance) : 0,
+    notes,
+    createdBy: userId,
+  });
+
+  res.status(201).json({
+    success: true,
+    message: 'Supplier created successfully',
+    data: supplier,
+  });
+});
+
+// @desc    Get all suppliers for organization
+// @route   GET /api/suppliers
+// @access  Private
+const getSuppliers = asyncHandler(async (req, res) => {
+  const { organizationId } = req.user;
+  const { search, limit = 50, page = 1 } = req.query;
+
+  const query = { organization: organizationId, isActive: true };
+
+  if (search) {
+    query.$or = [
+      { name: { $regex: search, $options: 'i' } },
+      { phone: { $regex: search, $options: 'i' } },
+      { quarryLocation: { $regex: search, $options: 'i' } },
+    ];
+  }
+
+  const skip = (parseInt(page) - 1) * parseInt(limit);
+
+  const [suppliers, total] = await Promise.all([
+    Supplier.find(query).sort({ name: 1 }).skip(skip).limit(parseInt(limit)),
+    Supplier.countDocuments(query),
+  ]);
+
+  res.json({
+    success: true,
+    data: suppliers,
+    pagination: {
+      total,
+      page: parseInt(page),
+      limit: parseInt(limit),
+      pages: Math.ceil(total / parseInt(limit)),
+    },
+  });
+});
+
+// @desc    Get supplier by ID
+// @route   GET /api/suppliers/:id
+// @access  Private
+const getSupplier = asyncHandler(async (req, res) => {
+  const { organizationId } = req.user;
+
+  const supplier = await Supplier.findOne({
+    _id: req.params.id,
+    organization: organizationId,
+    isActive: true,
+  });
+
+  if (!supplier) {
+    throw new AppError('Supplier not found', 404, 'NOT_FOUND');
+  }
+
+  res.json({
+    success: true,
+    data: supplier,
+  });
+});
+
+// @desc    Update supplier
+// @route   PUT /api/suppliers/:id
+// @access  Private
+const updateSupplier = asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array(),
+    });
+  }
+
+  const { organizationId } = req.user;
+  const { name, phone, quarryLocation, address, gstin, openingBalance, notes } =
+    req.body;
+
+  const supplier = await Supplier.findOne({
+    _id: req.params.id,
+    organization: organizationId,
+    isActive: true,
+  });
+
+  if (!supplier) {
+    throw new AppError('Supplier not found', 404, 'NOT_FOUND');
+  }
+
+  if (name !== undefined) supplier.name = name;
+  if (phone !== undefined) supplier.phone = phone;
+  if (quarryLocation !== undefined) supplier.quarryLocation = quarryLocation;
+  if (address !== undefined) supplier.address = address;
+  if (gstin !== undefined) supplier.gstin = gstin;
+  if (openingBalance !== undefined)
+    supplier.openingBalance = parseFloat(openingBalance);
+  if (notes !== undefined) supplier.notes = notes;
+
+  await supplier.save();
+
+  res.json({
+    success: true,
+    message: 'Supplier updated successfully',
+    data: supplier,
+  });
+});
+
+// @desc    Deactivate supplier (soft delete)
+// @route   DELETE /api/suppliers/:id
+// @access  Private (Owner only)
+const deleteSupplier = asyncHandler(async (req, res) => {
+  const { organizationId } = req.user;
+
+  const supplier = await Supplier.findOne({
+    _id: req.params.id,
+    organization: organizationId,
+    isActive: true,
+  });
+
+  if (!supplier) {
+    throw new AppError('Supplier not found', 404, 'NOT_FOUND');
+  }
+
+  supplier.isActive = false;
+  await supplier.save();
+
+  res.json({
+    success: true,
+    message: 'Supplier deleted successfully',
+  });
+});
+
+// @desc    Get payables ledger for all suppliers
+// @route   GET /api/suppliers/ledger
+// @access  Private (Owner only)
+const getPayablesLedger = asyncHandler(async (req, res) => {
+  const { organizationId } = req.user;
+  const { startDate, endDate } = req.query;
+  const organization = new mongoose.Types.ObjectId(organizationId);
+
+  const suppliers = await Supplier.find({ organization }).sort({ name: 1 });
+
+  const { ledger, totals, ...rest } = await buildLedgerSummary({
+    parties: suppliers,
+    partyField: 'supplier',
+    entryType: 'Raw Stone',
+    organization,
+    startDate,
+    endDate,
+  });
+
+  res.json({
+    success: true,
+    data: {
+      ...rest,
+      ledger: ledger.map(toPayableRow),
+      totals: toPayableRow(totals),
+    },
+  });
+});
+
+// @desc    Get ledger statement for a single supplier
+// @route   GET /api/suppliers/:id/ledger
+// @access  Private (Owner only)
+const getSupplierLedger = asyncHandler(async (req, res) => {
+  const { organizationId } = req.user;
+  const { startDate, endDate } = req.query;
+  const organization = new mongoose.Types.ObjectId(organizationId);
+
+  const supplier = await Supplier.findOne({
+    _id: req.params.id,
+    organization,
+  });
+
+  if (!supplier) {
+    throw new AppError('Supplier not found', 404, 'NOT_FOUND');
+  }
+
+  const { totals, transactions, ...statement } = await buildLedgerStatement({
+    party: supplier,
+    partyField: 'supplier',
+    entryType: 'Raw Stone',
+    organization,
+    startDate,
+    endDate,
+  });
+
+  res.json({
+    success: true,
+    data: {
+      supplier,
+      ...statement,
+      totals: toPayableRow(totals),
+      transactions: transactions.map(toPayableRow),
+    },
+  });
+});
+
+// Validation middleware
+const createSupplierValidation = [
+  body('name')
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Supplier name is required and cannot exceed 100 characters'),
+  body('phone')
+    .optional({ checkFalsy: true })
+    .matches(/^[0-9]{10}$/)
+    .withMessage('Please provide a valid 10-digit phone number'),
+  body('quarryLocation')
+    .optional()
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage('Quarry location cannot exceed 200 characters'),
+  body('address')
+    .optional()
+    .trim()
+    .isLength({ max: 300 })
+    .withMessage('Address cannot exceed 300 characters'),
+  body('gstin')
+    .optional({ checkFalsy: true })
+    .isLength({ min: 15, max: 15 })
+    .withMessage('GSTIN must be 15 characters'),
+  body('openingBalance')
+    .optional()
+    .isFloat()
+    .withMessage('Opening balance must be a valid number'),
+  body('notes')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Notes cannot exceed 500 characters'),
+];
+
+const updateSupplierValidation = [
+  body('name')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Supplier name cannot exceed 100 characters'),
+  ...createSupplierValidation.slice(1),
+];
+
+module.exports = {
+  createSupplier,
+  getSuppliers,
+  getSupplier,
+  updateSupplier,
+  deleteSupplier,
+  getPayablesLedger,
+  getSupplierLedger,
+  createSupplierValidation,
+  updateSupplierValidation,
+};
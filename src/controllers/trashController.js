@@ -0,0 +1,184 @@
+const { asyncHandler, AppError } = require('../middleware/errorHandler');
+const {
+  TRASH_TYPES,
+  getTrashType,
+  getRetentionDays,
+  purgeRecords,
+  purgeExpiredTrash,
+  purgeAllExpiredTrash,
+} = require('../utils/trash');
+const { auditSnapshot, recordAudit } = require('../utils/audit');
+const { assertPeriodOpen } = require('../utils/periodLock');
+const { assertCashDayOpen } = require('../utils/dayBook');
+
+const findTrashType = type => {
+  const config = getTrashType(type);
+  if (!config) {
+    throw new AppError(
+      `Trash type must be one of: ${Object.keys(TRASH_TYPES).join(', ')}`,
+      400,
+      'VALIDATION_ERROR',
+    );
+  }
+  return config;
+};
+
+const findTrashItem = async (config, id, organizationId) => {
+  const item = await config.model.findOne({
+    _id: id,
+    organization: organizationId,
+    ...config.deletedMatch,
+  });
+  if (!item) {
+    throw new AppError(`${config.label} not found in trash`, 404, 'NOT_FOUND');
+  }
+  return item;
+};
+
+// @desc    List deleted truck entries or expenses, with who deleted them
+//          and when they will be purged
+// @route   GET /api/trash?type=truck-entries|expenses
+// @access  Private (Owner only)
+const getTrash = asyncHandler(async (req, res) => {
+  const { organizationId } = req.user;
+  const { type = 'truck-entries', limit = 50, page = 1 } = req.query;
+  const config = findTrashType(type);
+
+  const retentionDays = await getRetentionDays(organizationId);
+
+  const query = { organization: organizationId, ...config.deletedMatch };
+  const skip = (parseInt(page) - 1) * parseInt(limit);
+
+  const [items, total] = await Promise.all([
+    config.model
+      .find(query)
+      .populate('deletedBy', 'username fullName')
+      .sort({ deletedAt: -1, updatedAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit)),
+    config.model.countDocuments(query),
+  ]);
+
+  const dayMs = 24 * 60 * 60 * 1000;
+
+  res.json({
+    success: true,
+    data: items.map(item => ({
+      ...item.toObject(),
+      // Items deleted before deletion times were recorded never expire
+      purgeAt: item.deletedAt
+        ? new Date(item.deletedAt.getTime() + retentionDays * dayMs)
+        : null,
+    })),
+    retentionDays,
+    pagination: {
+      total,
+      page: parseInt(page),
+      limit: parseInt(limit),
+      pages: Math.ceil(total / parseInt(limit)),
+    },
+  });
+});
+
+// @desc    Restore a deleted truck entry or expense
+// @route   POST /api/trash/:type/:id/restore
+// @access  Private (Owner only)
+const restoreTrashItem = asyncHandler(async (req, res) => {
+  const { organizationId } = req.user;
+  const config = findTrashType(req.params.type);
+
+  const item = await findTrashItem(config, req.params.id, organizationId);
+  // Restoring brings the record back into the totals for its date
+  await assertPeriodOpen(organizationId, item[config.dateField]);
+  if (config.isCash(item)) {
+    await assertCashDayOpen(organizationId, item[config.dateField]);
+  }
+
+  const before = auditSnapshot(item);
+  await config.prepareRestore(item);
+  Object.assign(item, config.restoreUpdate, {
+    deletedAt: null,
+    deletedBy: null,
+  });
+  await item.save();
+  await recordAudit(req, {
+    model: config.model.modelName,
+    action: 'restore',
+    document: item,
+    before,
+  });
+
+  res.json({
+    success: true,
+    message: `${config.label} restored successfully`,
+    data: item,
+  });
+});
+
+// @desc    Permanently delete a truck entry or expense from the trash
+// @route   DELETE /api/trash/:type/:id
+// @access  Private (Owner only)
+const purgeTrashItem = asyncHandler(async (req, res) => {
+  const { organizationId } = req.user;
+  const config = findTrashType(req.params.type);
+
+  const item = await findTrashItem(config, req.params.id, organizationId);
+
+  if (item.paidAmount > 0) {
+    throw new AppError(
+      'This entry has payments allocated. Cancel the payments before deleting it permanently.',
+      409,
+      'ENTRY_PAID',
+    );
+  }
+
+  await purgeRecords(req, config, [item]);
+
+  res.json({
+    success: true,
+    message: `${config.label} permanently deleted`,
+  });
+});
+
+// @desc    Permanently delete everything past the retention period.
+//          Only counts the expired items unless dryRun=false is passed.
+// @route   POST /api/trash/purge-expired?dryRun=false
+// @access  Private (Owner only)
+const purgeExpiredTrashItems = asyncHandler(async (req, res) => {
+  const dryRun = req.query.dryRun !== 'false';
+
+  const result = await purgeExpiredTrash(req, req.user.organizationId, {
+    dryRun,
+  });
+
+  res.json({
+    success: true,
+    message: dryRun
+      ? 'Dry run: no items were deleted'
+      : 'Expired trash permanently deleted',
+    data: result,
+  });
+});
+
+// @desc    Permanently delete expired trash of every organization. Called
+//          daily by the scheduler so the retention period is kept without
+//          anyone asking for it.
+// @route   GET /api/cron/purge-trash
+// @access  Scheduled job (CRON_SECRET)
+const purgeExpiredTrashScheduled = asyncHandler(async (req, res) => {
+  const results = await purgeAllExpiredTrash(req);
+
+  res.json({
+    success: true,
+    message: `Expired trash purged for ${results.length} organizations`,
+    data: results,
+  });
+});
+
+module.exports = {
+  getTrash,
+  restoreTrashItem,
+  purgeTrashItem,
+  purgeExpiredTrashItems,
+  purgeExpiredTrashScheduled,
+};
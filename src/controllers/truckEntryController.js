@@ -1,10 +1,72 @@
 const TruckEntry = require('../models/TruckEntry');
 const MaterialRate = require('../models/MaterialRate');
+const Customer = require('../models/Customer');
+const Supplier = require('../models/Supplier');
+const Payment = require('../models/Payment');
+const Organization = require('../models/Organization');
+const Vehicle = require('../models/Vehicle');
+const Driver = require('../models/Driver');
+const { generateChallanPdf } = require('../utils/exportGenerator');
+const { allocatePayment } = require('../utils/paymentAllocation');
+const {
+  STANDARD_UNIT,
+  getConversionMaterial,
+  loadUnitContext,
+  toStandardUnits,
+} = require('../utils/units');
+const {
+  normalizeTruckNumber,
+  findVehicleByNumber,
+  checkVehicleCapacity,
+} = require('../utils/vehicles');
+const {
+  IN_YARD_STATUSES,
+  INITIAL_TRIP_STATUSES,
+  assertTripTransition,
+} = require('../utils/tripLifecycle');
+const {
+  getInitialApprovalStatus,
+  assertNotApproved,
+} = require('../utils/entryApproval');
+const {
+  loadClosedPeriods,
+  findClosedPeriod,
+  assertDatesOpen,
+  assertPeriodOpen,
+} = require('../utils/periodLock');
+const { assertCashDayOpen } = require('../utils/dayBook');
 const { asyncHandler, AppError } = require('../middleware/errorHandler');
 const { body, validationResult, query } = require('express-validator');
 const { deleteImage, extractPublicId } = require('../middleware/uploadImage');
+const { parseCsv } = require('../utils/csvParser');
+const { resolveRate, getBilledUnit, convertRate } = require('../utils/rates');
+const { buildEntryCharges } = require('../utils/chargeTypes');
+const { buildDelivery, buildFreight } = require('../utils/freightRules');
+const { priceEntry } = require('../utils/charges');
+const { assignPermit, assignSalesPermit } = require('../utils/permits');
+const {
+  loadMaterials,
+  resolveSalesMaterial,
+  getSalesMaterial,
+} = require('../utils/materials');
+const { auditSnapshot, recordAudit } = require('../utils/audit');
 const mongoose = require('mongoose');
 
+// Units are a quantity in the entry's unit of measure. The 100 limit applies
+// to standard units; other units are checked after conversion.
+const checkUnits = (value, { req }) => {
+  // Handle both string and number values from multipart form data
+  const unitsValue = parseFloat(value);
+  const unit = (req.body.unit || STANDARD_UNIT).toLowerCase();
+  if (isNaN(unitsValue) || unitsValue < 0.1) {
+    throw new Error('Units must be between 0.1 and 100');
+  }
+  if (unit === STANDARD_UNIT && unitsValue > 100) {
+    throw new Error('Units must be between 0.1 and 100');
+  }
+  return true;
+};
+
 // Validation rules
 const createTruckEntryValidation = [
   body('truckNumber')
@@ -33,34 +95,63 @@ const createTruckEntryValidation = [
   body('entryType')
     .isIn(['Sales', 'Raw Stone'])
     .withMessage('Entry type must be either Sales or Raw Stone'),
-  body('units').custom(value => {
-    // Handle both string and number values from multipart form data
-    const unitsValue = parseFloat(value);
-    if (isNaN(unitsValue) || unitsValue < 0.1 || unitsValue > 100) {
-      throw new Error('Units must be between 0.1 and 100');
-    }
-    return true;
-  }),
-  body('ratePerUnit').custom(value => {
-    // Handle both string and number values from multipart form data
-    const rateValue = parseFloat(value);
-    if (isNaN(rateValue)) {
-      throw new Error('Rate per unit must be a valid number');
-    }
-    return true;
-  }),
+  body('units').custom(checkUnits),
+  body('unit')
+    .optional({ checkFalsy: true })
+    .isString()
+    .withMessage('Unit must be a unit of measure code'),
+  // Without a rate, the customer's rate card or the list price is used
+  body('ratePerUnit')
+    .optional({ checkFalsy: true })
+    .custom(value => {
+      // Handle both string and number values from multipart form data
+      const rateValue = parseFloat(value);
+      if (isNaN(rateValue)) {
+        throw new Error('Rate per unit must be a valid number');
+      }
+      return true;
+    }),
   body('materialType')
-    .optional()
-    .isIn([
-      'M-Sand',
-      'P-Sand',
-      'Blue Metal 0.5in',
-      'Blue Metal 0.75in',
-      'Jally',
-      'Kurunai',
-      'Mixed',
-    ])
-    .withMessage('Material type must be one of the valid sales materials'),
+    .optional({ checkFalsy: true })
+    .trim()
+    .isLength({ max: 50 })
+    .withMessage('Material type cannot exceed 50 characters'),
+  body('tripStatus')
+    .optional({ checkFalsy: true })
+    .isIn(INITIAL_TRIP_STATUSES)
+    .withMessage(
+      `Trip status must be one of: ${INITIAL_TRIP_STATUSES.join(', ')}`,
+    ),
+  body('driver')
+    .optional({ checkFalsy: true })
+    .isMongoId()
+    .withMessage('Driver must be a valid ID'),
+  body('customer')
+    .optional({ checkFalsy: true })
+    .isMongoId()
+    .withMessage('Customer must be a valid ID'),
+  body('supplier')
+    .optional({ checkFalsy: true })
+    .isMongoId()
+    .withMessage('Supplier must be a valid ID'),
+  body(['grossWeight', 'tareWeight'])
+    .optional({ checkFalsy: true })
+    .isFloat({ min: 0, max: 100 })
+    .withMessage('Weights must be between 0 and 100 tonnes'),
+  body('pricingBasis')
+    .optional({ checkFalsy: true })
+    .isIn(['units', 'weight'])
+    .withMessage('Pricing basis must be either units or weight'),
+  body('paidAmount')
+    .optional({ checkFalsy: true })
+    .isFloat({ min: 0 })
+    .withMessage('Paid amount must be a positive number'),
+  body('paymentMode')
+    .optional({ checkFalsy: true })
+    .isIn(Payment.PAYMENT_MODES)
+    .withMessage(
+      `Payment mode must be one of: ${Payment.PAYMENT_MODES.join(', ')}`,
+    ),
 ];
 
 const updateTruckEntryValidation = [
@@ -92,15 +183,14 @@ const updateTruckEntryValidation = [
     .withMessage('Entry type must be either Sales or Raw Stone'),
   body('units')
     .optional()
-    .custom(value => {
+    .custom((value, meta) => {
       if (!value) return true; // Optional field
-      // Handle both string and number values from multipart form data
-      const unitsValue = parseFloat(value);
-      if (isNaN(unitsValue) || unitsValue < 0.1 || unitsValue > 100) {
-        throw new Error('Units must be between 0.1 and 100');
-      }
-      return true;
+      return checkUnits(value, meta);
     }),
+  body('unit')
+    .optional({ checkFalsy: true })
+    .isString()
+    .withMessage('Unit must be a unit of measure code'),
   body('ratePerUnit')
     .optional()
     .custom(value => {
@@ -113,64 +203,1059 @@ const updateTruckEntryValidation = [
       return true;
     }),
   body('materialType')
-    .optional()
-    .isIn([
-      'M-Sand',
-      'P-Sand',
-      'Blue Metal 0.5in',
-      'Blue Metal 0.75in',
-      'Jally',
-      'Kurunai',
-      'Mixed',
-    ])
-    .withMessage('Material type must be one of the valid sales materials'),
+    .optional({ checkFalsy: true })
+    .trim()
+    .isLength({ max: 50 })
+    .withMessage('Material type cannot exceed 50 characters'),
+  body('driver')
+    .optional({ checkFalsy: true })
+    .isMongoId()
+    .withMessage('Driver must be a valid ID'),
+  body('customer')
+    .optional({ checkFalsy: true })
+    .isMongoId()
+    .withMessage('Customer must be a valid ID'),
+  body('supplier')
+    .optional({ checkFalsy: true })
+    .isMongoId()
+    .withMessage('Supplier must be a valid ID'),
+  body(['grossWeight', 'tareWeight'])
+    .optional({ checkFalsy: true })
+    .isFloat({ min: 0, max: 100 })
+    .withMessage('Weights must be between 0 and 100 tonnes'),
+  body('pricingBasis')
+    .optional({ checkFalsy: true })
+    .isIn(['units', 'weight'])
+    .withMessage('Pricing basis must be either units or weight'),
 ];
 
+// Parties that can be linked to an entry, and the entry type each applies to
+const ENTRY_PARTIES = {
+  customer: { model: Customer, entryType: 'Sales', label: 'Customer' },
+  supplier: { model: Supplier, entryType: 'Raw Stone', label: 'Supplier' },
+};
+
+// Helper to make sure a customer/supplier belongs to the organization
+// and matches the entry type before linking it
+const findPartyForEntry = async (
+  partyField,
+  partyId,
+  organizationId,
+  entryType,
+) => {
+  const { model, entryType: allowedType, label } = ENTRY_PARTIES[partyField];
+
+  if (entryType !== allowedType) {
+    throw new AppError(
+      `${label} can only be linked to ${allowedType} entries`,
+      400,
+      'VALIDATION_ERROR',
+    );
+  }
+
+  const party = await model.findOne({
+    _id: partyId,
+    organization: organizationId,
+    isActive: true,
+  });
+
+  if (!party) {
+    throw new AppError(`${label} not found`, 400, 'VALIDATION_ERROR');
+  }
+
+  return party;
+};
+
+// Entries billed on a tax invoice must stay as invoiced
+const assertNotInvoiced = entry => {
+  if (entry.invoice) {
+    throw new AppError(
+      'This entry is billed on a tax invoice. Cancel the invoice before changing it.',
+      409,
+      'ENTRY_INVOICED',
+    );
+  }
+};
+
+// Entries with payments allocated stay until the payments are cancelled,
+// so payment allocations and party balances keep pointing at live entries
+const assertNotPaid = entry => {
+  if (entry.paidAmount > 0) {
+    throw new AppError(
+      'This entry has payments allocated. Cancel the payments before deleting it.',
+      409,
+      'ENTRY_PAID',
+    );
+  }
+};
+
+// A repriced entry must still cover the payments allocated to it
+const assertTotalCoversPaid = entry => {
+  if (entry.paidAmount > 0) {
+    const price = priceEntry(entry);
+    if (price && price.totalAmount < entry.paidAmount) {
+      throw new AppError(
+        `The new total (${price.totalAmount}) is less than the ${entry.paidAmount} already paid against this entry. Cancel or reallocate the payments first.`,
+        409,
+        'ENTRY_PAID',
+      );
+    }
+  }
+};
+
+// Users other than the owner may only act on their own entries
+const assertEntryOwner = (entry, user, action) => {
+  if (user.role !== 'owner' && entry.userId.toString() !== user.id) {
+    throw new AppError(
+      `You are not authorized to ${action} this entry`,
+      403,
+      'ACCESS_DENIED',
+    );
+  }
+};
+
+// Users other than the owner may only change their own entries that the
+// owner has not approved, and invoiced entries cannot be changed by anyone
+const assertCanModifyEntry = (entry, user, action) => {
+  assertEntryOwner(entry, user, action);
+  assertNotApproved(entry, user.role);
+  assertNotInvoiced(entry);
+};
+
+// A rejected entry goes back to the owner once it has been corrected
+const resubmitRejectedEntry = entry => {
+  if (entry.approvalStatus === 'rejected' && entry.isModified()) {
+    entry.approvalStatus = 'pending';
+  }
+};
+
+const findDriverForEntry = async (driverId, organizationId) => {
+  const driver = await Driver.findOne({
+    _id: driverId,
+    organization: organizationId,
+    isActive: true,
+  });
+  if (!driver) {
+    throw new AppError('Driver not found', 400, 'VALIDATION_ERROR');
+  }
+  return driver;
+};
+
+// Check a load (in standard units) against the vehicle's capacity using the
+// organization's capacityCheck setting. Returns a warning message or null.
+const getCapacityWarning = async (organizationId, vehicle, load) => {
+  if (!vehicle || !vehicle.capacity) return null;
+  const organization = await Organization.findById(organizationId).select(
+    'settings',
+  );
+  return checkVehicleCapacity(
+    vehicle,
+    load,
+    organization && organization.settings
+      ? organization.settings.capacityCheck
+      : undefined,
+  );
+};
+
+// Changes to these fields change how much of its permit a load uses
+const PERMIT_LOAD_FIELDS = [
+  'materialType',
+  'units',
+  'unit',
+  'grossWeight',
+  'tareWeight',
+  'entryDate',
+];
+
+// Apply edited fields to an entry (without saving it), relinking the
+// vehicle, driver and parties they affect. Returns capacity warnings.
+const applyEntryChanges = async (entry, changes, organizationId) => {
+  const {
+    truckNumber,
+    driver,
+    entryType,
+    materialType,
+    units,
+    unit,
+    ratePerUnit,
+    entryDate,
+    notes,
+    customer,
+    supplier,
+    grossWeight,
+    tareWeight,
+    pricingBasis,
+    charges,
+    delivery,
+    freight,
+    permit,
+  } = changes;
+  const previousBilledUnit = getBilledUnit(entry);
+
+  if (truckNumber) {
+    entry.truckNumber = truckNumber;
+    const vehicle = await findVehicleByNumber(organizationId, truckNumber);
+    entry.vehicle = vehicle ? vehicle._id : null;
+  }
+  // An empty driver unlinks it; linking a driver also updates the name
+  if (driver !== undefined) {
+    if (driver) {
+      const entryDriver = await findDriverForEntry(driver, organizationId);
+      entry.driver = entryDriver._id;
+      entry.truckName = entryDriver.name;
+    } else {
+      entry.driver = null;
+    }
+  }
+  if (entryType) entry.entryType = entryType;
+  // Entries keep a material that has since been deactivated
+  if (materialType && materialType !== entry.materialType) {
+    entry.materialType = (
+      await getSalesMaterial(organizationId, materialType)
+    ).name;
+  }
+  if (units) entry.units = units;
+  if (ratePerUnit) {
+    entry.ratePerUnit = ratePerUnit;
+    entry.rateSource = 'manual';
+    entry.rateCard = null;
+  }
+  if (entryDate) entry.entryDate = entryDate;
+  if (notes) entry.notes = notes;
+  // Weights can be cleared with an empty value when re-weighing
+  if (grossWeight !== undefined) entry.grossWeight = grossWeight || null;
+  if (tareWeight !== undefined) entry.tareWeight = tareWeight || null;
+  if (pricingBasis) entry.pricingBasis = pricingBasis;
+  if (unit) entry.unit = unit;
+  // The charges sent replace the entry's charges; an empty list clears them
+  if (charges !== undefined) {
+    entry.charges = await buildEntryCharges(organizationId, charges);
+  }
+  // A new destination re-prices freight from the freight rules, unless
+  // freight is sent with it or was agreed by hand
+  if (delivery !== undefined || freight !== undefined) {
+    const entryDelivery =
+      delivery !== undefined
+        ? buildDelivery(delivery)
+        : entry.delivery && entry.delivery.toObject();
+    if ((entryDelivery || freight) && entry.entryType !== 'Sales') {
+      throw new AppError(
+        'Delivery and freight can only be recorded on Sales entries',
+        400,
+        'VALIDATION_ERROR',
+      );
+    }
+    if (freight !== undefined || !entry.freight || entry.freight.rule) {
+      entry.freight = await buildFreight(
+        organizationId,
+        freight,
+        entryDelivery,
+      );
+    } else if (!entryDelivery) {
+      entry.freight = null;
+    }
+    entry.delivery = entryDelivery || null;
+  } else if (entry.entryType !== 'Sales' && entry.delivery) {
+    entry.delivery = null;
+    entry.freight = null;
+  }
+
+  // Re-convert when the quantity, unit or material changes
+  if (
+    entry.unit !== STANDARD_UNIT &&
+    ['units', 'unit', 'materialType', 'entryType'].some(field =>
+      entry.isModified(field),
+    )
+  ) {
+    // A unit deleted since the entry was made still converts, but a new
+    // unit must be active
+    const unitContext = await loadUnitContext(organizationId, {
+      includeInactive: !entry.isModified('unit'),
+    });
+    entry.standardUnits = toStandardUnits(
+      unitContext,
+      entry.units,
+      entry.unit,
+      getConversionMaterial(entry),
+    );
+  }
+
+  // A looked-up rate follows the entry into the unit it is now billed in;
+  // a rate entered by hand is kept as entered
+  const billedUnit = getBilledUnit(entry);
+  if (
+    !ratePerUnit &&
+    entry.rateSource !== 'manual' &&
+    entry.ratePerUnit != null &&
+    billedUnit !== previousBilledUnit
+  ) {
+    entry.ratePerUnit = convertRate(
+      await loadUnitContext(organizationId, { includeInactive: true }),
+      { rate: entry.ratePerUnit, unit: previousBilledUnit },
+      billedUnit,
+      getConversionMaterial(entry),
+    );
+  }
+
+  // Link or unlink customer/supplier; an empty value unlinks the party and
+  // a party that no longer matches the entry type is dropped
+  const parties = { customer, supplier };
+  for (const partyField of Object.keys(ENTRY_PARTIES)) {
+    const partyId = parties[partyField];
+    if (partyId !== undefined) {
+      if (partyId) {
+        await findPartyForEntry(
+          partyField,
+          partyId,
+          organizationId,
+          entry.entryType,
+        );
+      }
+      entry[partyField] = partyId || null;
+    } else if (
+      entry[partyField] &&
+      entry.entryType !== ENTRY_PARTIES[partyField].entryType
+    ) {
+      entry[partyField] = null;
+    }
+  }
+
+  assertTotalCoversPaid(entry);
+
+  const warnings = [];
+
+  // Re-check the permit when it or the load changes. A load that is no
+  // longer a sale comes off its permit.
+  if (entry.entryType !== 'Sales' || permit === null || permit === '') {
+    if (permit && entry.entryType !== 'Sales') {
+      throw new AppError(
+        'Permits can only be recorded on Sales entries',
+        400,
+        'VALIDATION_ERROR',
+      );
+    }
+    entry.permit = null;
+    entry.permitQuantity = null;
+  } else if (
+    permit !== undefined ||
+    (entry.permit && PERMIT_LOAD_FIELDS.some(field => entry.isModified(field)))
+  ) {
+    const permitUse = await assignPermit(organizationId, entry, {
+      permitId: permit || entry.permit,
+    });
+    entry.permit = permitUse.permit._id;
+    entry.permitQuantity = permitUse.quantity;
+    if (permitUse.warning) warnings.push(permitUse.warning);
+  }
+
+  if (
+    entry.vehicle &&
+    ['vehicle', 'units', 'standardUnits'].some(field => entry.isModified(field))
+  ) {
+    const vehicle = await Vehicle.findById(entry.vehicle);
+    const capacityWarning = await getCapacityWarning(
+      organizationId,
+      vehicle,
+      entry.unit === STANDARD_UNIT ? entry.units : entry.standardUnits,
+    );
+    if (capacityWarning) warnings.push(capacityWarning);
+  }
+
+  return warnings;
+};
+
+// A list filter sent as a comma-separated value or as a repeated parameter
+const readListFilter = value =>
+  (Array.isArray(value) ? value : [value]).flatMap(item =>
+    String(item).split(','),
+  );
+
+// An ID given as a query filter; a malformed ID is a bad request
+const readIdFilter = (value, label) => {
+  if (!mongoose.isValidObjectId(value)) {
+    throw new AppError(`Invalid ${label} ID`, 400, 'VALIDATION_ERROR');
+  }
+  return new mongoose.Types.ObjectId(value);
+};
+
+// Build the list filter for truck entries from query parameters. Users
+// other than the owner only ever see their own entries.
+const buildEntryFilter = (user, queryFilters) => {
+  const { organizationId, id: userId, role } = user;
+  const filter = {
+    organization: new mongoose.Types.ObjectId(organizationId),
+    status: 'active',
+  };
+
+  // User-specific filtering
+  if (role !== 'owner') {
+    filter.userId = new mongoose.Types.ObjectId(userId);
+  } else if (queryFilters.userId) {
+    filter.userId = readIdFilter(queryFilters.userId, 'user');
+  }
+
+  // Other filters from query
+  if (queryFilters.truckNumber) {
+    filter.truckNumber = {
+      $regex: normalizeTruckNumber(queryFilters.truckNumber),
+      $options: 'i',
+    };
+  }
+  if (queryFilters.entryType) {
+    filter.entryType = queryFilters.entryType;
+  }
+  if (queryFilters.materialType) {
+    filter.materialType = queryFilters.materialType;
+  }
+  if (queryFilters.customer) {
+    filter.customer = readIdFilter(queryFilters.customer, 'customer');
+  }
+  if (queryFilters.supplier) {
+    filter.supplier = readIdFilter(queryFilters.supplier, 'supplier');
+  }
+  if (queryFilters.driver) {
+    filter.driver = readIdFilter(queryFilters.driver, 'driver');
+  }
+  // Trip stage: a comma-separated list, or inYard=true for trucks still
+  // inside the yard
+  if (queryFilters.inYard === 'true') {
+    filter.tripStatus = { $in: IN_YARD_STATUSES };
+  } else if (queryFilters.tripStatus) {
+    filter.tripStatus = { $in: readListFilter(queryFilters.tripStatus) };
+  }
+  if (queryFilters.approvalStatus) {
+    filter.approvalStatus = {
+      $in: readListFilter(queryFilters.approvalStatus),
+    };
+  }
+  if (queryFilters.paymentStatus) {
+    // Entries saved before payment tracking have no status and count as unpaid
+    filter.paymentStatus =
+      queryFilters.paymentStatus === 'unpaid'
+        ? { $nin: ['partial', 'paid'] }
+        : queryFilters.paymentStatus;
+  }
+  if (queryFilters.startDate && queryFilters.endDate) {
+    filter.entryDate = {
+      $gte: new Date(queryFilters.startDate),
+      $lte: new Date(queryFilters.endDate),
+    };
+  }
+
+  return filter;
+};
+
 // @desc    Create new truck entry
 // @route   POST /api/truck-entries
 // @access  Private
 const createTruckEntry = asyncHandler(async (req, res) => {
-  const { organizationId, id: userId } = req.user;
+  const { organizationId, id: userId, role } = req.user;
   const {
     truckNumber,
     truckName,
+    driver,
     entryType,
     materialType,
     units,
+    unit,
     ratePerUnit,
     entryDate,
     notes,
+    customer,
+    supplier,
+    grossWeight,
+    tareWeight,
+    pricingBasis,
+    charges,
+    tripStatus = 'dispatched',
+    paidAmount,
+    paymentMode = 'Cash',
+    paymentReference,
   } = req.body;
 
+  await assertPeriodOpen(organizationId, entryDate || new Date());
+
   let truckImage = null;
   if (req.file) {
     truckImage = req.file.path; // Path from multer upload
   }
 
+  // Link the registered vehicle and the driver (the requested one, else the
+  // vehicle's default driver); they fill in a missing driver name
+  const vehicle = truckNumber
+    ? await findVehicleByNumber(organizationId, truckNumber)
+    : null;
+  let entryDriver = null;
+  if (driver) {
+    entryDriver = await findDriverForEntry(driver, organizationId);
+  } else if (vehicle && vehicle.defaultDriver) {
+    entryDriver = await Driver.findOne({
+      _id: vehicle.defaultDriver,
+      organization: organizationId,
+      isActive: true,
+    });
+  }
+  const driverName =
+    truckName ||
+    (entryDriver && entryDriver.name) ||
+    (vehicle && vehicle.defaultDriverName);
+
   // Basic validation
-  if (!truckNumber || !truckName || !entryType || !units || !ratePerUnit) {
+  if (!truckNumber || !driverName || !entryType || !units) {
     throw new AppError('Missing required fields', 400, 'VALIDATION_ERROR');
   }
 
-  const newEntry = await TruckEntry.create({
+  if (!INITIAL_TRIP_STATUSES.includes(tripStatus)) {
+    throw new AppError(
+      `Trip status must be one of: ${INITIAL_TRIP_STATUSES.join(', ')}`,
+      400,
+      'VALIDATION_ERROR',
+    );
+  }
+
+  // Sales must be of a material in the organization's catalogue; the entry
+  // keeps its catalogue name and defaults to the unit it is sold in
+  const material =
+    entryType === 'Sales' && materialType
+      ? await getSalesMaterial(organizationId, materialType)
+      : null;
+  const entryMaterialType = material ? material.name : materialType;
+
+  // Entries in a non-standard unit also store the quantity in standard units
+  const entryUnit = (
+    unit ||
+    (material && material.unit) ||
+    STANDARD_UNIT
+  ).toLowerCase();
+  let standardUnits;
+  if (entryUnit !== STANDARD_UNIT) {
+    const unitContext = await loadUnitContext(organizationId);
+    standardUnits = toStandardUnits(
+      unitContext,
+      parseFloat(units),
+      entryUnit,
+      getConversionMaterial({ entryType, materialType: entryMaterialType }),
+    );
+  }
+
+  const organization = await Organization.findById(organizationId).select(
+    'settings',
+  );
+  const approvalStatus = getInitialApprovalStatus(organization, role);
+
+  const warnings = [];
+  const capacityWarning = await getCapacityWarning(
+    organizationId,
+    vehicle,
+    standardUnits != null ? standardUnits : parseFloat(units),
+  );
+  if (capacityWarning) warnings.push(capacityWarning);
+
+  if (customer) {
+    await findPartyForEntry('customer', customer, organizationId, entryType);
+  }
+  if (supplier) {
+    await findPartyForEntry('supplier', supplier, organizationId, entryType);
+  }
+
+  // Sales loads leaving the quarry draw on a transit pass (mining permit):
+  // the one requested, else the valid permit that expires first
+  let permitUse = null;
+  if (entryType === 'Sales') {
+    permitUse = await assignSalesPermit(
+      organizationId,
+      {
+        materialType: entryMaterialType,
+        units,
+        unit: entryUnit,
+        grossWeight: grossWeight || null,
+        tareWeight: tareWeight || null,
+        entryDate,
+      },
+      { permitId: req.body.permit, settings: organization?.settings },
+    );
+    if (permitUse && permitUse.warning) warnings.push(permitUse.warning);
+  } else if (req.body.permit) {
+    throw new AppError(
+      'Permits can only be recorded on Sales entries',
+      400,
+      'VALIDATION_ERROR',
+    );
+  }
+
+  // A rate entered by hand wins; otherwise use the customer's rate card for
+  // the entry date, or the list price
+  let rate = {
+    rate: parseFloat(ratePerUnit),
+    source: 'manual',
+    rateCard: null,
+  };
+  if (ratePerUnit === undefined || ratePerUnit === null || ratePerUnit === '') {
+    const rateMaterial =
+      entryType === 'Sales' ? entryMaterialType : 'Raw Stone';
+    rate = await resolveRate(organizationId, {
+      materialType: rateMaterial,
+      customer: entryType === 'Sales' ? customer : null,
+      date: entryDate || new Date(),
+    });
+    if (!rate) {
+      throw new AppError(
+        `No rate is set for ${rateMaterial}; enter the rate per unit`,
+        400,
+        'RATE_NOT_FOUND',
+      );
+    }
+    // The entry stores a rate per unit it is billed in
+    const billedUnit = getBilledUnit({ pricingBasis, unit: entryUnit });
+    if (rate.unit !== billedUnit) {
+      rate.rate = convertRate(
+        await loadUnitContext(organizationId),
+        rate,
+        billedUnit,
+        getConversionMaterial({ entryType, materialType: entryMaterialType }),
+      );
+    }
+  }
+
+  const entryCharges =
+    charges !== undefined
+      ? await buildEntryCharges(organizationId, charges)
+      : [];
+
+  // Sales deliveries record the destination and the freight for it; the
+  // delivering truck's owner is the transporter unless another is named
+  const delivery = buildDelivery(req.body.delivery);
+  if ((delivery || req.body.freight) && entryType !== 'Sales') {
+    throw new AppError(
+      'Delivery and freight can only be recorded on Sales entries',
+      400,
+      'VALIDATION_ERROR',
+    );
+  }
+  if (delivery && !delivery.transporter && vehicle && vehicle.ownerName) {
+    delivery.transporter = vehicle.ownerName;
+  }
+  const freight = await buildFreight(
+    organizationId,
+    req.body.freight,
+    delivery,
+  );
+
+  // Money collected at the gate is recorded as a payment against this entry,
+  // up to the entry's total; validate it up front so a bad payment does not
+  // leave an entry behind
+  const amountPaid = parseFloat(paidAmount) || 0;
+  let gatePayment = null;
+  if (amountPaid > 0) {
+    const price = priceEntry({
+      units: parseFloat(units),
+      pricingBasis,
+      grossWeight: grossWeight ? parseFloat(grossWeight) : null,
+      tareWeight: tareWeight ? parseFloat(tareWeight) : null,
+      charges: entryCharges,
+      delivery,
+      freight,
+      ratePerUnit: rate.rate,
+    });
+    if (!price || price.totalAmount <= 0) {
+      throw new AppError(
+        'Nothing is owed on this entry, so no payment can be collected against it',
+        400,
+        'VALIDATION_ERROR',
+      );
+    }
+    gatePayment = new Payment({
+      organization: organizationId,
+      direction: entryType === 'Sales' ? 'received' : 'paid',
+      customer: customer || null,
+      supplier: supplier || null,
+      mode: paymentMode,
+      referenceNumber: paymentReference,
+      amount: Math.min(amountPaid, price.totalAmount),
+      paymentDate: entryDate || new Date(),
+      collectedBy: userId,
+      createdBy: userId,
+    });
+    await gatePayment.validate();
+    if (gatePayment.mode === 'Cash') {
+      await assertCashDayOpen(organizationId, gatePayment.paymentDate);
+    }
+  }
+
+  let newEntry = await TruckEntry.create({
     organization: organizationId,
     userId,
     truckNumber,
-    truckName,
+    vehicle: vehicle ? vehicle._id : null,
+    truckName: driverName,
+    driver: entryDriver ? entryDriver._id : null,
     entryType,
-    materialType,
+    materialType: entryMaterialType,
     units,
-    ratePerUnit,
+    unit: entryUnit,
+    standardUnits,
+    ratePerUnit: rate.rate,
+    rateSource: rate.source,
+    rateCard: rate.rateCard ? rate.rateCard._id : null,
     entryDate,
     truckImage,
     notes,
+    customer: customer || null,
+    supplier: supplier || null,
+    grossWeight: grossWeight || null,
+    tareWeight: tareWeight || null,
+    pricingBasis: pricingBasis || 'units',
+    charges: entryCharges,
+    delivery,
+    freight,
+    permit: permitUse ? permitUse.permit._id : null,
+    permitQuantity: permitUse ? permitUse.quantity : null,
+    tripStatus,
+    tripEvents: [{ status: tripStatus, by: userId }],
+    approvalStatus,
+  });
+
+  if (gatePayment) {
+    try {
+      await allocatePayment(gatePayment, [
+        { entry: newEntry._id, amount: gatePayment.amount },
+      ]);
+    } catch (error) {
+      // Take the entry back out, giving back its permit quantity, so the
+      // failed request leaves nothing behind
+      newEntry.status = 'deleted';
+      await newEntry.save();
+      await newEntry.deleteOne();
+      throw error;
+    }
+    newEntry = await TruckEntry.findById(newEntry._id);
+  }
+
+  await recordAudit(req, {
+    model: 'TruckEntry',
+    action: 'create',
+    document: newEntry,
   });
 
   res.status(201).json({
     success: true,
-    message: 'Truck entry created successfully',
+    message:
+      approvalStatus === 'pending'
+        ? 'Truck entry created and sent to the owner for approval'
+        : 'Truck entry created successfully',
     data: {
       truckEntry: newEntry,
+      rate,
+      challanUrl: `/api/truck-entries/${newEntry._id}/challan`,
+      warnings,
+    },
+  });
+});
+
+// Rows per import request; larger registers should be split
+const IMPORT_ROW_LIMIT = 1000;
+
+// Placeholder cells written by the CSV export
+const EMPTY_CELLS = ['', 'N/A'];
+const readCell = value =>
+  EMPTY_CELLS.includes((value || '').trim()) ? undefined : value.trim();
+
+// @desc    Import truck entries from CSV (same columns as the CSV export).
+//          With dryRun (the default) nothing is saved and every row is
+//          reported; with dryRun=false the valid rows are saved one by one
+//          and a row that fails to save is reported as failed.
+// @route   POST /api/truck-entries/import
+// @access  Private
+const importTruckEntries = asyncHandler(async (req, res) => {
+  const { organizationId, id: userId, role } = req.user;
+  const dryRun = req.query.dryRun !== 'false';
+
+  // Accept a raw text/csv body or JSON { csv }
+  const csvText = typeof req.body === 'string' ? req.body : req.body?.csv;
+  const { headers, rows } = parseCsv(csvText);
+
+  const missingColumns = [
+    'date',
+    'truckNumber',
+    'entryType',
+    'units',
+    'ratePerUnit',
+  ].filter(column => !headers.includes(column));
+  if (missingColumns.length > 0) {
+    throw new AppError(
+      `CSV is missing required columns: ${missingColumns.join(', ')}`,
+      400,
+      'VALIDATION_ERROR',
+    );
+  }
+  if (rows.length > IMPORT_ROW_LIMIT) {
+    throw new AppError(
+      `A single import can contain at most ${IMPORT_ROW_LIMIT} rows`,
+      400,
+      'VALIDATION_ERROR',
+    );
+  }
+
+  // Lookups shared by every row
+  const [organization, vehicles, closedPeriods, materials] = await Promise.all([
+    Organization.findById(organizationId).select('settings'),
+    Vehicle.find({ organization: organizationId, isActive: true }).populate(
+      'defaultDriver',
+      'name',
+    ),
+    loadClosedPeriods(organizationId),
+    loadMaterials(organizationId),
+  ]);
+  const vehiclesByNumber = new Map(
+    vehicles.map(vehicle => [vehicle.registrationNumber, vehicle]),
+  );
+  const capacityCheck = organization?.settings?.capacityCheck;
+  const approvalStatus = getInitialApprovalStatus(organization, role);
+  let unitContext = null;
+
+  // Existing entries on the same dates, to flag rows already keyed in
+  const dates = rows
+    .map(({ values }) => new Date(values.date))
+    .filter(date => !isNaN(date));
+  const entryKey = (truckNumber, date, time, units) =>
+    [truckNumber, date, time || '', parseFloat(units)].join('|');
+  const seenKeys = new Set();
+  if (dates.length > 0) {
+    const existing = await TruckEntry.find({
+      organization: organizationId,
+      status: 'active',
+      entryDate: {
+        $gte: new Date(Math.min(...dates)),
+        $lte: new Date(Math.max(...dates) + 24 * 60 * 60 * 1000 - 1),
+      },
+    }).select('truckNumber entryDate entryTime units');
+    existing.forEach(entry =>
+      seenKeys.add(
+        entryKey(
+          entry.truckNumber,
+          entry.entryDate.toISOString().split('T')[0],
+          entry.entryTime,
+          entry.units,
+        ),
+      ),
+    );
+  }
+
+  const report = [];
+  const validRows = [];
+  // Permit quantity taken by earlier rows of the file
+  const permitsInFile = new Map();
+
+  for (const { line, values } of rows) {
+    const errors = [];
+    const warnings = [];
+
+    if (values.entryType === 'Expense' || values.type === 'other_expense') {
+      report.push({
+        line,
+        status: 'skipped',
+        errors,
+        warnings: ['Other expenses are not imported'],
+      });
+      continue;
+    }
+
+    const truckNumber = normalizeTruckNumber(readCell(values.truckNumber));
+    const vehicle = vehiclesByNumber.get(truckNumber);
+    const body = {
+      truckNumber: readCell(values.truckNumber),
+      truckName:
+        readCell(values.truckName) ||
+        vehicle?.defaultDriver?.name ||
+        vehicle?.defaultDriverName,
+      entryType: readCell(values.entryType),
+      materialType: readCell(values.materialType),
+      units: readCell(values.units),
+      unit: readCell(values.unit),
+      ratePerUnit: readCell(values.ratePerUnit),
+      grossWeight: readCell(values.grossWeight),
+      tareWeight: readCell(values.tareWeight),
+    };
+
+    // Same rules as POST /api/truck-entries
+    const rowReq = { body };
+    await Promise.all(
+      createTruckEntryValidation.map(chain => chain.run(rowReq)),
+    );
+    validationResult(rowReq)
+      .array()
+      .forEach(error => errors.push(error.msg));
+
+    const date = readCell(values.date);
+    if (!date || isNaN(new Date(date))) {
+      errors.push('Date must be a valid date (YYYY-MM-DD)');
+    } else if (findClosedPeriod(closedPeriods, date)) {
+      errors.push('Date falls in a closed period');
+    }
+    const time = readCell(values.time);
+    if (time && !/^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/.test(time)) {
+      errors.push('Time must be in HH:MM format');
+    }
+    if (!body.ratePerUnit) {
+      errors.push('Rate per unit is required');
+    }
+    let material = null;
+    if (body.entryType === 'Sales' && body.materialType) {
+      try {
+        material = resolveSalesMaterial(materials, body.materialType);
+      } catch (error) {
+        errors.push(error.message);
+      }
+    }
+
+    let doc = null;
+    if (errors.length === 0) {
+      const entryUnit = (
+        body.unit ||
+        (material && material.unit) ||
+        STANDARD_UNIT
+      ).toLowerCase();
+      const units = parseFloat(body.units);
+      const ratePerUnit = parseFloat(body.ratePerUnit);
+
+      doc = {
+        organization: organizationId,
+        userId,
+        truckNumber,
+        vehicle: vehicle ? vehicle._id : null,
+        truckName: body.truckName,
+        driver: vehicle?.defaultDriver?._id || null,
+        entryType: body.entryType,
+        materialType: material ? material.name : null,
+        units,
+        unit: entryUnit,
+        ratePerUnit,
+        entryDate: new Date(date),
+        entryTime: time,
+        notes: readCell(values.description),
+        grossWeight: body.grossWeight ? parseFloat(body.grossWeight) : null,
+        tareWeight: body.tareWeight ? parseFloat(body.tareWeight) : null,
+        tripStatus: 'dispatched',
+        tripEvents: [
+          { status: 'dispatched', by: userId, note: 'Imported from CSV' },
+        ],
+        approvalStatus,
+      };
+
+      try {
+        if (entryUnit !== STANDARD_UNIT) {
+          unitContext = unitContext || (await loadUnitContext(organizationId));
+          doc.standardUnits = toStandardUnits(
+            unitContext,
+            units,
+            entryUnit,
+            getConversionMaterial(doc),
+          );
+        }
+        const capacityWarning = checkVehicleCapacity(
+          vehicle,
+          doc.standardUnits != null ? doc.standardUnits : units,
+          capacityCheck,
+        );
+        if (capacityWarning) warnings.push(capacityWarning);
+
+        await new TruckEntry(doc).validate();
+
+        // Sales loads draw on a permit as when entered one by one
+        if (doc.entryType === 'Sales') {
+          const permitUse = await assignSalesPermit(organizationId, doc, {
+            settings: organization?.settings,
+            pendingUsage: permitsInFile,
+          });
+          if (permitUse) {
+            const permitId = permitUse.permit._id.toString();
+            doc.permit = permitUse.permit._id;
+            doc.permitQuantity = permitUse.quantity;
+            permitsInFile.set(
+              permitId,
+              (permitsInFile.get(permitId) || 0) + permitUse.quantity,
+            );
+            if (permitUse.warning) warnings.push(permitUse.warning);
+          }
+        }
+      } catch (error) {
+        if (error.errors) {
+          Object.values(error.errors).forEach(e => errors.push(e.message));
+        } else {
+          errors.push(error.message);
+        }
+      }
+
+      const expectedTotal = Math.round(units * ratePerUnit * 100) / 100;
+      const listedTotal = parseFloat(readCell(values.totalAmount));
+      if (!isNaN(listedTotal) && listedTotal !== expectedTotal) {
+        warnings.push(
+          `Total amount ${listedTotal} does not match units × rate (${expectedTotal}); the calculated total will be used`,
+        );
+      }
+
+      const key = entryKey(truckNumber, date, time, units);
+      if (seenKeys.has(key)) {
+        warnings.push('Possible duplicate of an existing or earlier row');
+      }
+      seenKeys.add(key);
+    }
+
+    if (errors.length > 0) {
+      report.push({ line, status: 'invalid', errors, warnings });
+    } else {
+      const row = { line, status: 'valid', errors, warnings };
+      report.push(row);
+      validRows.push({ row, doc });
+    }
+  }
+
+  // Each row is saved and audited on its own, so a row that fails to save
+  // is reported without losing the rows saved before it
+  const imported = [];
+  if (!dryRun) {
+    for (const { row, doc } of validRows) {
+      try {
+        const entry = await TruckEntry.create(doc);
+        await recordAudit(req, {
+          model: 'TruckEntry',
+          action: 'create',
+          document: entry,
+          note: 'Imported from CSV',
+        });
+        imported.push(entry);
+        row.status = 'imported';
+        row.id = entry._id;
+      } catch (error) {
+        row.status = 'failed';
+        if (error.name === 'ValidationError') {
+          Object.values(error.errors).forEach(e => row.errors.push(e.message));
+        } else {
+          row.errors.push(error.message);
+        }
+      }
+    }
+  }
+
+  const count = status => report.filter(row => row.status === status).length;
+
+  res.status(dryRun ? 200 : 201).json({
+    success: true,
+    message: dryRun
+      ? 'Dry run complete; no entries were saved'
+      : `${imported.length} truck entries imported`,
+    data: {
+      dryRun,
+      summary: {
+        totalRows: rows.length,
+        valid: validRows.length,
+        invalid: count('invalid'),
+        skipped: count('skipped'),
+        failed: count('failed'),
+        imported: imported.length,
+      },
+      rows: report,
+      importedIds: imported.map(entry => entry._id),
     },
   });
 });
@@ -179,7 +1264,6 @@ const createTruckEntry = asyncHandler(async (req, res) => {
 // @route   GET /api/truck-entries
 // @access  Private
 const getAllTruckEntries = asyncHandler(async (req, res) => {
-  const { organizationId, id: userId, role } = req.user;
   const {
     page = 1,
     limit = 10,
@@ -188,40 +1272,18 @@ const getAllTruckEntries = asyncHandler(async (req, res) => {
     ...queryFilters
   } = req.query;
 
-  const filter = {
-    organization: new mongoose.Types.ObjectId(organizationId),
-    status: 'active',
-  };
-
-  // User-specific filtering
-  if (role !== 'owner') {
-    filter.userId = new mongoose.Types.ObjectId(userId);
-  } else if (queryFilters.userId) {
-    filter.userId = new mongoose.Types.ObjectId(queryFilters.userId);
-  }
-
-  // Other filters from query
-  if (queryFilters.truckNumber) {
-    filter.truckNumber = { $regex: queryFilters.truckNumber, $options: 'i' };
-  }
-  if (queryFilters.entryType) {
-    filter.entryType = queryFilters.entryType;
-  }
-  if (queryFilters.materialType) {
-    filter.materialType = queryFilters.materialType;
-  }
-  if (queryFilters.startDate && queryFilters.endDate) {
-    filter.entryDate = {
-      $gte: new Date(queryFilters.startDate),
-      $lte: new Date(queryFilters.endDate),
-    };
-  }
+  const filter = buildEntryFilter(req.user, queryFilters);
 
   const options = {
     page: parseInt(page, 10),
     limit: parseInt(limit, 10),
     sort: { [sortBy]: sortOrder },
-    populate: 'userId',
+    populate: [
+      'userId',
+      { path: 'customer', select: 'name phone' },
+      { path: 'supplier', select: 'name phone' },
+      { path: 'driver', select: 'name phone' },
+    ],
   };
 
   const result = await TruckEntry.paginate(filter, options);
@@ -251,7 +1313,11 @@ const getTruckEntry = asyncHandler(async (req, res) => {
     _id: id,
     organization: organizationId,
     status: 'active',
-  }).populate('userId', 'username email');
+  })
+    .populate('userId', 'username email')
+    .populate('customer', 'name phone')
+    .populate('supplier', 'name phone')
+    .populate('driver', 'name phone licenceNumber');
 
   if (!entry) {
     throw new AppError('Truck entry not found', 404, 'NOT_FOUND');
@@ -263,11 +1329,52 @@ const getTruckEntry = asyncHandler(async (req, res) => {
   });
 });
 
+// @desc    Download the delivery challan / gate pass for a truck entry
+// @route   GET /api/truck-entries/:id/challan
+// @access  Private
+const downloadTruckEntryChallan = asyncHandler(async (req, res) => {
+  const { organizationId } = req.user;
+  const { id } = req.params;
+
+  const [entry, organization] = await Promise.all([
+    TruckEntry.findOne({
+      _id: id,
+      organization: organizationId,
+      status: 'active',
+    })
+      .populate('userId', 'username')
+      .populate('customer', 'name'),
+    Organization.findById(organizationId),
+  ]);
+
+  if (!entry) {
+    throw new AppError('Truck entry not found', 404, 'NOT_FOUND');
+  }
+
+  // Challan number is derived from the entry ID so reprints match
+  const challanNumber = `DC-${entry._id.toString().slice(-8).toUpperCase()}`;
+
+  const pdfBuffer = await generateChallanPdf({
+    entry: {
+      ...entry.toObject(),
+      challanNumber,
+      customerName: entry.customer ? entry.customer.name : null,
+    },
+    organization: organization ? organization.toObject() : {},
+    issuedBy: entry.userId ? entry.userId.username : null,
+  });
+  const fileName = `Challan_${challanNumber}_${entry.truckNumber}.pdf`;
+
+  res.setHeader('Content-Type', 'application/pdf');
+  res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
+  res.send(pdfBuffer);
+});
+
 // @desc    Update a truck entry by ID
 // @route   PUT /api/truck-entries/:id
 // @access  Private
 const updateTruckEntry = asyncHandler(async (req, res) => {
-  const { organizationId, id: userId, role } = req.user;
+  const { organizationId } = req.user;
   const { id } = req.params;
 
   const entry = await TruckEntry.findOne({
@@ -280,43 +1387,251 @@ const updateTruckEntry = asyncHandler(async (req, res) => {
     throw new AppError('Truck entry not found', 404, 'NOT_FOUND');
   }
 
-  // Check ownership
-  if (role !== 'owner' && entry.userId.toString() !== userId) {
+  assertCanModifyEntry(entry, req.user, 'update');
+  await assertPeriodOpen(organizationId, entry.entryDate, req.body.entryDate);
+
+  const before = auditSnapshot(entry);
+  const warnings = await applyEntryChanges(entry, req.body, organizationId);
+
+  if (req.file) {
+    entry.truckImage = req.file.path;
+  }
+  resubmitRejectedEntry(entry);
+
+  const updatedEntry = await entry.save();
+  await recordAudit(req, {
+    model: 'TruckEntry',
+    action: 'update',
+    document: updatedEntry,
+    before,
+  });
+
+  res.json({
+    success: true,
+    message: 'Truck entry updated successfully',
+    data: {
+      truckEntry: updatedEntry,
+      warnings,
+    },
+  });
+});
+
+// @desc    Get entries waiting for owner approval, oldest first
+// @route   GET /api/truck-entries/approvals
+// @access  Private (Owner only)
+const getApprovalQueue = asyncHandler(async (req, res) => {
+  const { organizationId } = req.user;
+  const { page = 1, limit = 50 } = req.query;
+
+  const result = await TruckEntry.paginate(
+    {
+      organization: new mongoose.Types.ObjectId(organizationId),
+      status: 'active',
+      approvalStatus: 'pending',
+    },
+    {
+      page: parseInt(page, 10),
+      limit: parseInt(limit, 10),
+      sort: { entryDate: 1, createdAt: 1 },
+      populate: [
+        { path: 'userId', select: 'username' },
+        { path: 'customer', select: 'name phone' },
+        { path: 'supplier', select: 'name phone' },
+      ],
+    },
+  );
+
+  res.json({
+    success: true,
+    data: result.docs,
+    pagination: {
+      totalDocs: result.totalDocs,
+      limit: result.limit,
+      totalPages: result.totalPages,
+      page: result.page,
+      hasNextPage: result.hasNextPage,
+      hasPrevPage: result.hasPrevPage,
+    },
+  });
+});
+
+// Find an entry for an approval decision and check it is awaiting one
+const findEntryForApproval = async (id, organizationId, allowedStatuses) => {
+  const entry = await TruckEntry.findOne({
+    _id: id,
+    organization: organizationId,
+    status: 'active',
+  });
+
+  if (!entry) {
+    throw new AppError('Truck entry not found', 404, 'NOT_FOUND');
+  }
+
+  if (!allowedStatuses.includes(entry.approvalStatus)) {
     throw new AppError(
-      'You are not authorized to update this entry',
-      403,
-      'ACCESS_DENIED',
+      `This entry is already ${entry.approvalStatus}`,
+      409,
+      'INVALID_APPROVAL',
     );
   }
 
-  // Update fields
-  const {
-    truckNumber,
-    entryType,
-    materialType,
-    units,
-    ratePerUnit,
-    entryDate,
-    notes,
-  } = req.body;
+  await assertPeriodOpen(organizationId, entry.entryDate);
 
-  if (truckNumber) entry.truckNumber = truckNumber;
-  if (entryType) entry.entryType = entryType;
-  if (materialType) entry.materialType = materialType;
-  if (units) entry.units = units;
-  if (ratePerUnit) entry.ratePerUnit = ratePerUnit;
-  if (entryDate) entry.entryDate = entryDate;
-  if (notes) entry.notes = notes;
+  return entry;
+};
 
-  if (req.file) {
-    entry.truckImage = req.file.path;
+// @desc    Approve an entry so it counts in dashboards and reports
+// @route   POST /api/truck-entries/:id/approve
+// @access  Private (Owner only)
+const approveTruckEntry = asyncHandler(async (req, res) => {
+  const { organizationId, id: userId } = req.user;
+
+  const entry = await findEntryForApproval(req.params.id, organizationId, [
+    'pending',
+    'rejected',
+  ]);
+
+  const before = auditSnapshot(entry);
+  entry.approvalStatus = 'approved';
+  entry.approvedBy = userId;
+  entry.approvedAt = new Date();
+  entry.rejectionReason = undefined;
+
+  const updatedEntry = await entry.save();
+  await recordAudit(req, {
+    model: 'TruckEntry',
+    action: 'update',
+    document: updatedEntry,
+    before,
+    note: 'Approved',
+  });
+
+  res.json({
+    success: true,
+    message: 'Truck entry approved',
+    data: {
+      truckEntry: updatedEntry,
+    },
+  });
+});
+
+// @desc    Reject an entry with a reason for the user who made it
+// @route   POST /api/truck-entries/:id/reject
+// @access  Private (Owner only)
+const rejectTruckEntry = asyncHandler(async (req, res) => {
+  const { organizationId } = req.user;
+  const reason = (req.body.reason || '').trim();
+
+  if (!reason) {
+    throw new AppError(
+      'A reason is required to reject an entry',
+      400,
+      'VALIDATION_ERROR',
+    );
   }
 
+  const entry = await findEntryForApproval(req.params.id, organizationId, [
+    'pending',
+  ]);
+
+  const before = auditSnapshot(entry);
+  entry.approvalStatus = 'rejected';
+  entry.rejectionReason = reason;
+
   const updatedEntry = await entry.save();
+  await recordAudit(req, {
+    model: 'TruckEntry',
+    action: 'update',
+    document: updatedEntry,
+    before,
+    note: 'Rejected',
+  });
 
   res.json({
     success: true,
-    message: 'Truck entry updated successfully',
+    message: 'Truck entry rejected',
+    data: {
+      truckEntry: updatedEntry,
+    },
+  });
+});
+
+// @desc    Move a truck entry to the next stage of its trip
+// @route   POST /api/truck-entries/:id/transition
+// @access  Private (cancelling a dispatched trip is owner only)
+const transitionTruckEntry = asyncHandler(async (req, res) => {
+  const { organizationId, id: userId, role } = req.user;
+  const { id } = req.params;
+  const { status, note, grossWeight, tareWeight } = req.body;
+
+  const entry = await TruckEntry.findOne({
+    _id: id,
+    organization: organizationId,
+    status: 'active',
+  });
+
+  if (!entry) {
+    throw new AppError('Truck entry not found', 404, 'NOT_FOUND');
+  }
+
+  // Users move only their own entries the owner has not approved, and
+  // weights reprice the entry, so an invoiced entry cannot be re-weighed
+  assertEntryOwner(entry, req.user, 'move');
+  assertNotApproved(entry, role);
+  if (
+    status === 'weighed' &&
+    (grossWeight !== undefined || tareWeight !== undefined)
+  ) {
+    assertNotInvoiced(entry);
+  }
+  assertTripTransition(entry, status, role);
+  await assertPeriodOpen(organizationId, entry.entryDate);
+
+  if (status === 'cancelled') {
+    assertNotInvoiced(entry);
+    if (entry.paidAmount > 0) {
+      throw new AppError(
+        'This trip has payments allocated. Cancel the payments before cancelling the trip.',
+        409,
+        'ENTRY_PAID',
+      );
+    }
+  }
+
+  const before = auditSnapshot(entry);
+
+  // Weighbridge readings can be recorded with the weighed stage
+  if (status === 'weighed') {
+    if (grossWeight !== undefined) entry.grossWeight = grossWeight;
+    if (tareWeight !== undefined) entry.tareWeight = tareWeight;
+    assertTotalCoversPaid(entry);
+    // Permits issued in tonnes are drawn on by the weighed load
+    if (
+      entry.permit &&
+      (entry.isModified('grossWeight') || entry.isModified('tareWeight'))
+    ) {
+      const permitUse = await assignPermit(organizationId, entry, {
+        permitId: entry.permit,
+      });
+      entry.permitQuantity = permitUse.quantity;
+    }
+  }
+
+  entry.tripStatus = status;
+  entry.tripEvents.push({ status, by: userId, note });
+
+  const updatedEntry = await entry.save();
+  await recordAudit(req, {
+    model: 'TruckEntry',
+    action: 'update',
+    document: updatedEntry,
+    before,
+    note,
+  });
+
+  res.json({
+    success: true,
+    message: `Trip marked ${status}`,
     data: {
       truckEntry: updatedEntry,
     },
@@ -327,7 +1642,7 @@ const updateTruckEntry = asyncHandler(async (req, res) => {
 // @route   DELETE /api/truck-entries/:id
 // @access  Private
 const deleteTruckEntry = asyncHandler(async (req, res) => {
-  const { organizationId, id: userId, role } = req.user;
+  const { organizationId } = req.user;
   const { id } = req.params;
 
   const entry = await TruckEntry.findOne({
@@ -340,21 +1655,251 @@ const deleteTruckEntry = asyncHandler(async (req, res) => {
     throw new AppError('Truck entry not found', 404, 'NOT_FOUND');
   }
 
-  // Check ownership
-  if (role !== 'owner' && entry.userId.toString() !== userId) {
+  assertCanModifyEntry(entry, req.user, 'delete');
+  assertNotPaid(entry);
+  await assertPeriodOpen(organizationId, entry.entryDate);
+
+  const before = auditSnapshot(entry);
+  await entry.softDelete(req.user.id);
+  await recordAudit(req, {
+    model: 'TruckEntry',
+    action: 'delete',
+    document: entry,
+    before,
+  });
+
+  res.json({
+    success: true,
+    message: 'Truck entry deleted successfully',
+    data: null,
+  });
+});
+
+// Largest number of entries a single bulk request may touch
+const BULK_ENTRY_LIMIT = 500;
+
+// Fields a bulk update may change. Truck number, weights and the image
+// belong to a single load and are only edited one entry at a time.
+const BULK_UPDATE_FIELDS = [
+  'entryType',
+  'materialType',
+  'units',
+  'unit',
+  'ratePerUnit',
+  'entryDate',
+  'notes',
+  'customer',
+  'supplier',
+  'driver',
+  'pricingBasis',
+];
+
+// Find the entries selected by a bulk request, either by `ids` or by a
+// `filter` using the same keys as GET /api/truck-entries. Returns the
+// entries found and any requested IDs that were not.
+const findBulkEntries = async (user, { ids, filter }) => {
+  if (Array.isArray(ids) && ids.length > 0) {
+    if (ids.length > BULK_ENTRY_LIMIT) {
+      throw new AppError(
+        `A bulk request can change at most ${BULK_ENTRY_LIMIT} entries`,
+        400,
+        'VALIDATION_ERROR',
+      );
+    }
+    if (!ids.every(id => mongoose.isValidObjectId(id))) {
+      throw new AppError(
+        'Entry IDs must be valid IDs',
+        400,
+        'VALIDATION_ERROR',
+      );
+    }
+
+    const entries = await TruckEntry.find({
+      _id: { $in: ids },
+      organization: user.organizationId,
+      status: 'active',
+    });
+    const found = new Set(entries.map(entry => entry._id.toString()));
+    const missing = [...new Set(ids.map(String))].filter(id => !found.has(id));
+    return { entries, missing };
+  }
+
+  if (filter && typeof filter === 'object') {
+    const query = buildEntryFilter(user, filter);
+    // An empty filter would select every entry of the organization
+    if (
+      Object.keys(query).length ===
+      Object.keys(buildEntryFilter(user, {})).length
+    ) {
+      throw new AppError(
+        'Filter must include at least one condition',
+        400,
+        'VALIDATION_ERROR',
+      );
+    }
+
+    const total = await TruckEntry.countDocuments(query);
+    if (total > BULK_ENTRY_LIMIT) {
+      throw new AppError(
+        `Filter matches ${total} entries; a bulk request can change at most ${BULK_ENTRY_LIMIT}`,
+        400,
+        'VALIDATION_ERROR',
+      );
+    }
+
+    const entries = await TruckEntry.find(query).sort({
+      entryDate: 1,
+      createdAt: 1,
+    });
+    return { entries, missing: [] };
+  }
+
+  throw new AppError(
+    'Provide either ids or filter to select entries',
+    400,
+    'VALIDATION_ERROR',
+  );
+};
+
+// Per-entry result for an entry a bulk request could not change
+const bulkFailure = (id, error) => ({
+  id,
+  success: false,
+  error:
+    error.error ||
+    (error.name === 'ValidationError' ? 'VALIDATION_ERROR' : 'INTERNAL_ERROR'),
+  message:
+    error.name === 'ValidationError'
+      ? Object.values(error.errors)
+          .map(e => e.message)
+          .join(', ')
+      : error.message,
+});
+
+const summarizeBulkResults = results => ({
+  total: results.length,
+  succeeded: results.filter(result => result.success).length,
+  failed: results.filter(result => !result.success).length,
+});
+
+// @desc    Apply the same changes to many truck entries. Each entry is
+//          checked and saved on its own and reported as a success or failure.
+// @route   POST /api/truck-entries/bulk-update
+// @access  Private (users can only change their own entries)
+const bulkUpdateTruckEntries = asyncHandler(async (req, res) => {
+  const { organizationId } = req.user;
+  const { changes } = req.body;
+
+  if (!changes || Object.keys(changes).length === 0) {
+    throw new AppError('No changes provided', 400, 'VALIDATION_ERROR');
+  }
+  const lockedFields = Object.keys(changes).filter(
+    field => !BULK_UPDATE_FIELDS.includes(field),
+  );
+  if (lockedFields.length > 0) {
     throw new AppError(
-      'You are not authorized to delete this entry',
-      403,
-      'ACCESS_DENIED',
+      `These fields cannot be changed in bulk: ${lockedFields.join(', ')}`,
+      400,
+      'VALIDATION_ERROR',
     );
   }
 
-  await entry.softDelete();
+  // Same rules as PUT /api/truck-entries/:id
+  const changesReq = { body: changes };
+  await Promise.all(
+    updateTruckEntryValidation.map(chain => chain.run(changesReq)),
+  );
+  const errors = validationResult(changesReq);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array(),
+    });
+  }
+
+  const [{ entries, missing }, closedPeriods] = await Promise.all([
+    findBulkEntries(req.user, req.body),
+    loadClosedPeriods(req.user.organizationId),
+  ]);
+
+  const results = missing.map(id =>
+    bulkFailure(id, new AppError('Truck entry not found', 404, 'NOT_FOUND')),
+  );
+  for (const entry of entries) {
+    try {
+      assertCanModifyEntry(entry, req.user, 'update');
+      assertDatesOpen(closedPeriods, [entry.entryDate, changes.entryDate]);
+      const before = auditSnapshot(entry);
+      const warnings = await applyEntryChanges(entry, changes, organizationId);
+      resubmitRejectedEntry(entry);
+      await entry.save();
+      await recordAudit(req, {
+        model: 'TruckEntry',
+        action: 'update',
+        document: entry,
+        before,
+        note: 'Bulk update',
+      });
+      results.push({ id: entry._id, success: true, warnings });
+    } catch (error) {
+      results.push(bulkFailure(entry._id, error));
+    }
+  }
+
+  const summary = summarizeBulkResults(results);
 
   res.json({
     success: true,
-    message: 'Truck entry deleted successfully',
-    data: null,
+    message: `${summary.succeeded} of ${summary.total} truck entries updated`,
+    data: {
+      summary,
+      results,
+    },
+  });
+});
+
+// @desc    Delete many truck entries (soft delete), reporting each entry
+// @route   POST /api/truck-entries/bulk-delete
+// @access  Private (users can only delete their own entries)
+const bulkDeleteTruckEntries = asyncHandler(async (req, res) => {
+  const [{ entries, missing }, closedPeriods] = await Promise.all([
+    findBulkEntries(req.user, req.body),
+    loadClosedPeriods(req.user.organizationId),
+  ]);
+
+  const results = missing.map(id =>
+    bulkFailure(id, new AppError('Truck entry not found', 404, 'NOT_FOUND')),
+  );
+  for (const entry of entries) {
+    try {
+      assertCanModifyEntry(entry, req.user, 'delete');
+      assertNotPaid(entry);
+      assertDatesOpen(closedPeriods, [entry.entryDate]);
+      const before = auditSnapshot(entry);
+      await entry.softDelete(req.user.id);
+      await recordAudit(req, {
+        model: 'TruckEntry',
+        action: 'delete',
+        document: entry,
+        before,
+        note: 'Bulk delete',
+      });
+      results.push({ id: entry._id, success: true });
+    } catch (error) {
+      results.push(bulkFailure(entry._id, error));
+    }
+  }
+
+  const summary = summarizeBulkResults(results);
+
+  res.json({
+    success: true,
+    message: `${summary.succeeded} of ${summary.total} truck entries deleted`,
+    data: {
+      summary,
+      results,
+    },
   });
 });
 
@@ -397,10 +1942,18 @@ const getTruckEntriesSummary = asyncHandler(async (req, res) => {
 
 module.exports = {
   createTruckEntry,
+  importTruckEntries,
   getAllTruckEntries,
   getTruckEntry,
+  downloadTruckEntryChallan,
   updateTruckEntry,
+  transitionTruckEntry,
+  getApprovalQueue,
+  approveTruckEntry,
+  rejectTruckEntry,
   deleteTruckEntry,
+  bulkUpdateTruckEntries,
+  bulkDeleteTruckEntries,
   getTruckEntriesSummary,
   createTruckEntryValidation,
   updateTruckEntryValidation,
@@ -0,0 +1,293 @@
+const UnitOfMeasure = require('../models/UnitOfMeasure');
+const MaterialConversion = require('../models/MaterialConversion');
+const { asyncHandler, AppError } = require('../middleware/errorHandler');
+const { body, validationResult } = require('express-validator');
+const {
+  BUILT_IN_UNITS,
+  BUILT_IN_CODES,
+  loadUnitContext,
+  convertQuantity,
+} = require('../utils/units');
+
+// @desc    Get built-in and organization units of measure
+// @route   GET /api/units
+// @access  Private
+const getUnits = asyncHandler(async (req, res) => {
+  const { organizationId } = req.user;
+
+  const customUnits = await UnitOfMeasure.find({
+    organization: organizationId,
+    isActive: true,
+  }).sort({ name: 1 });
+
+  res.json({
+    success: true,
+    data: [
+      ...BUILT_IN_UNITS.map(unit => ({ ...unit, builtIn: true })),
+      ...customUnits.map(unit => ({ ...unit.toObject(), builtIn: false })),
+    ],
+  });
+});
+
+// @desc    Create a unit of measure
+// @route   POST /api/units
+// @access  Private (Owner only)
+const createUnit = asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array(),
+    });
+  }
+
+  const { organizationId, id: userId } = req.user;
+  const { code, name, dimension, factor } = req.body;
+
+  if (BUILT_IN_CODES.includes(code.toLowerCase())) {
+    throw new AppError(
+      `${code} is a built-in unit and cannot be redefined`,
+      400,
+      'VALIDATION_ERROR',
+    );
+  }
+
+  const unit = await UnitOfMeasure.create({
+    organization: organizationId,
+    code,
+    name,
+    dimension,
+    factor: parseFloat(factor),
+    createdBy: userId,
+  });
+
+  res.status(201).json({
+    success: true,
+    message: 'Unit created successfully',
+    data: unit,
+  });
+});
+
+// @desc    Update a unit of measure
+// @route   PUT /api/units/:id
+// @access  Private (Owner only)
+const updateUnit = asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array(),
+    });
+  }
+
+  const { organizationId } = req.user;
+
+  const unit = await UnitOfMeasure.findOne({
+    _id: req.params.id,
+    organization: organizationId,
+    isActive: true,
+  });
+
+  if (!unit) {
+    throw new AppError('Unit not found', 404, 'NOT_FOUND');
+  }
+
+  // The code is referenced by entries, so only the name and size can change
+  const { name, factor } = req.body;
+  if (name !== undefined) unit.name = name;
+  if (factor !== undefined) unit.factor = parseFloat(factor);
+
+  await unit.save();
+
+  res.json({
+    success: true,
+    message: 'Unit updated successfully',
+    data: unit,
+  });
+});
+
+// @desc    Deactivate a unit of measure
+// @route   DELETE /api/units/:id
+// @access  Private (Owner only)
+const deleteUnit = asyncHandler(async (req, res) => {
+  const { organizationId } = req.user;
+
+  const unit = await UnitOfMeasure.findOneAndUpdate(
+    { _id: req.params.id, organization: organizationId, isActive: true },
+    { isActive: false },
+    { new: true },
+  );
+
+  if (!unit) {
+    throw new AppError('Unit not found', 404, 'NOT_FOUND');
+  }
+
+  res.json({
+    success: true,
+    message: 'Unit deleted successfully',
+  });
+});
+
+// @desc    Get material conversions for organization
+// @route   GET /api/units/conversions
+// @access  Private
+const getConversions = asyncHandler(async (req, res) => {
+  const { organizationId } = req.user;
+
+  const conversions = await MaterialConversion.find({
+    organization: organizationId,
+  }).sort({ materialType: 1 });
+
+  res.json({
+    success: true,
+    data: conversions,
+  });
+});
+
+// @desc    Create or update the conversion settings of a material
+// @route   PUT /api/units/conversions/:materialType
+// @access  Private (Owner only)
+const upsertConversion = asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array(),
+    });
+  }
+
+  const { organizationId, id: userId } = req.user;
+  const { materialType } = req.params;
+  const { density, unitFactors } = req.body;
+
+  let conversion = await MaterialConversion.findOne({
+    organization: organizationId,
+    materialType,
+  });
+  if (!conversion) {
+    conversion = new MaterialConversion({
+      organization: organizationId,
+      materialType,
+    });
+  }
+
+  if (density !== undefined) {
+    conversion.density = density === null ? null : parseFloat(density);
+  }
+  if (unitFactors !== undefined) {
+    const context = await loadUnitContext(organizationId);
+    unitFactors.forEach(({ unit }) => {
+      if (!context.units.has(String(unit).toLowerCase())) {
+        throw new AppError(
+          `Unknown unit of measure: ${unit}`,
+          400,
+          'UNKNOWN_UNIT',
+        );
+      }
+    });
+    conversion.unitFactors = unitFactors;
+  }
+  conversion.updatedBy = userId;
+
+  await conversion.save();
+
+  res.json({
+    success: true,
+    message: 'Material conversion saved successfully',
+    data: conversion,
+  });
+});
+
+// @desc    Convert a quantity of a material between units
+// @route   GET /api/units/convert
+// @access  Private
+const convert = asyncHandler(async (req, res) => {
+  const { quantity, from, to, materialType = 'Raw Stone' } = req.query;
+  const value = parseFloat(quantity);
+
+  if (isNaN(value) || !from || !to) {
+    throw new AppError(
+      'Quantity, from and to are required',
+      400,
+      'VALIDATION_ERROR',
+    );
+  }
+
+  const context = await loadUnitContext(req.user.organizationId);
+
+  res.json({
+    success: true,
+    data: {
+      materialType,
+      quantity: value,
+      from,
+      to,
+      result: convertQuantity(context, value, from, to, materialType),
+    },
+  });
+});
+
+// Validation middleware
+const createUnitValidation = [
+  body('code')
+    .trim()
+    .matches(/^[a-zA-Z][a-zA-Z0-9_-]{0,14}$/)
+    .withMessage(
+      'Unit code must start with a letter and be at most 15 characters',
+    ),
+  body('name')
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('Unit name is required and cannot exceed 50 characters'),
+  body('dimension')
+    .isIn(['volume', 'weight'])
+    .withMessage('Dimension must be either volume or weight'),
+  body('factor')
+    .isFloat({ gt: 0 })
+    .withMessage('Conversion factor must be greater than 0'),
+];
+
+const updateUnitValidation = [
+  body('name')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('Unit name cannot exceed 50 characters'),
+  body('factor')
+    .optional()
+    .isFloat({ gt: 0 })
+    .withMessage('Conversion factor must be greater than 0'),
+];
+
+const conversionValidation = [
+  body('density')
+    .optional({ nullable: true })
+    .isFloat({ gt: 0 })
+    .withMessage('Density must be greater than 0'),
+  body('unitFactors')
+    .optional()
+    .isArray()
+    .withMessage('Unit factors must be a list'),
+  body('unitFactors.*.unit')
+    .notEmpty()
+    .withMessage('Each unit factor needs a unit'),
+  body('unitFactors.*.standardUnits')
+    .isFloat({ gt: 0 })
+    .withMessage('Standard units must be greater than 0'),
+];
+
+module.exports = {
+  getUnits,
+  createUnit,
+  updateUnit,
+  deleteUnit,
+  getConversions,
+  upsertConversion,
+  convert,
+  createUnitValidation,
+  updateUnitValidation,
+  conversionValidation,
+};
@@ -0,0 +1,302 @@
+const Vehicle = require('../models/Vehicle');
+const Driver = require('../models/Driver');
+const { asyncHandler, AppError } = require('../middleware/errorHandler');
+const { body, validationResult } = require('express-validator');
+const { normalizeTruckNumber } = require('../utils/vehicles');
+
+// Escape user input before using it in a regex
+const escapeRegex = value => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const assertDriverExists = async (driverId, organizationId) => {
+  const driver = await Driver.findOne({
+    _id: driverId,
+    organization: organizationId,
+    isActive: true,
+  });
+  if (!driver) {
+    throw new AppError('Driver not found', 400, 'VALIDATION_ERROR');
+  }
+};
+
+// @desc    Register a vehicle
+// @route   POST /api/vehicles
+// @access  Private
+const createVehicle = asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array(),
+    });
+  }
+
+  const { organizationId, id: userId } = req.user;
+  const {
+    registrationNumber,
+    ownerName,
+    ownerPhone,
+    capacity,
+    defaultDriver,
+    defaultDriverName,
+    notes,
+  } = req.body;
+
+  if (defaultDriver) {
+    await assertDriverExists(defaultDriver, organizationId);
+  }
+
+  const vehicle = await Vehicle.create({
+    organization: organizationId,
+    registrationNumber: normalizeTruckNumber(registrationNumber),
+    ownerName,
+    ownerPhone,
+    capacity: capacity ? parseFloat(capacity) : null,
+    defaultDriver: defaultDriver || null,
+    defaultDriverName,
+    notes,
+    createdBy: userId,
+  });
+
+  res.status(201).json({
+    success: true,
+    message: 'Vehicle registered successfully',
+    data: vehicle,
+  });
+});
+
+// @desc    Get all vehicles for organization
+// @route   GET /api/vehicles
+// @access  Private
+const getVehicles = asyncHandler(async (req, res) => {
+  const { organizationId } = req.user;
+  const { search, limit = 50, page = 1 } = req.query;
+
+  const query = { organization: organizationId, isActive: true };
+
+  if (search) {
+    query.$or = [
+      {
+        registrationNumber: {
+          $regex: escapeRegex(normalizeTruckNumber(search)),
+          $options: 'i',
+        },
+      },
+      { ownerName: { $regex: escapeRegex(search), $options: 'i' } },
+    ];
+  }
+
+  const skip = (parseInt(page) - 1) * parseInt(limit);
+
+  const [vehicles, total] = await Promise.all([
+    Vehicle.find(query)
+      .sort({ registrationNumber: 1 })
+      .skip(skip)
+      .limit(parseInt(limit)),
+    Vehicle.countDocuments(query),
+  ]);
+
+  res.json({
+    success: true,
+    data: vehicles,
+    pagination: {
+      total,
+      page: parseInt(page),
+      limit: parseInt(limit),
+      pages: Math.ceil(total / parseInt(limit)),
+    },
+  });
+});
+
+// @desc    Autocomplete vehicles by registration number
+// @route   GET /api/vehicles/lookup
+// @access  Private
+const lookupVehicles = asyncHandler(async (req, res) => {
+  const { organizationId } = req.user;
+  const { q = '' } = req.query;
+
+  const term = normalizeTruckNumber(q);
+  if (!term) {
+    return res.json({ success: true, data: [] });
+  }
+
+  const vehicles = await Vehicle.find({
+    organization: organizationId,
+    isActive: true,
+    registrationNumber: { $regex: escapeRegex(term) },
+  })
+    .select(
+      'registrationNumber ownerName capacity defaultDriver defaultDriverName',
+    )
+    .populate('defaultDriver', 'name phone')
+    .sort({ registrationNumber: 1 })
+    .limit(10);
+
+  res.json({
+    success: true,
+    data: vehicles,
+  });
+});
+
+// @desc    Get vehicle by ID
+// @route   GET /api/vehicles/:id
+// @access  Private
+const getVehicle = asyncHandler(async (req, res) => {
+  const { organizationId } = req.user;
+
+  const vehicle = await Vehicle.findOne({
+    _id: req.params.id,
+    organization: organizationId,
+  });
+
+  if (!vehicle) {
+    throw new AppError('Vehicle not found', 404, 'NOT_FOUND');
+  }
+
+  res.json({
+    success: true,
+    data: vehicle,
+  });
+});
+
+// @desc    Update vehicle
+// @route   PUT /api/vehicles/:id
+// @access  Private
+const updateVehicle = asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array(),
+    });
+  }
+
+  const { organizationId } = req.user;
+
+  const vehicle = await Vehicle.findOne({
+    _id: req.params.id,
+    organization: organizationId,
+    isActive: true,
+  });
+
+  if (!vehicle) {
+    throw new AppError('Vehicle not found', 404, 'NOT_FOUND');
+  }
+
+  const editableFields = [
+    'ownerName',
+    'ownerPhone',
+    'capacity',
+    'defaultDriverName',
+    'notes',
+  ];
+  editableFields.forEach(field => {
+    if (req.body[field] !== undefined) vehicle[field] = req.body[field];
+  });
+  if (req.body.defaultDriver !== undefined) {
+    if (req.body.defaultDriver) {
+      await assertDriverExists(req.body.defaultDriver, organizationId);
+    }
+    vehicle.defaultDriver = req.body.defaultDriver || null;
+  }
+  if (req.body.registrationNumber) {
+    vehicle.registrationNumber = normalizeTruckNumber(
+      req.body.registrationNumber,
+    );
+  }
+
+  await vehicle.save();
+
+  res.json({
+    success: true,
+    message: 'Vehicle updated successfully',
+    data: vehicle,
+  });
+});
+
+// @desc    Deactivate vehicle
+// @route   DELETE /api/vehicles/:id
+// @access  Private (Owner only)
+const deleteVehicle = asyncHandler(async (req, res) => {
+  const { organizationId } = req.user;
+
+  const vehicle = await Vehicle.findOneAndUpdate(
+    { _id: req.params.id, organization: organizationId, isActive: true },
+    { isActive: false },
+    { new: true },
+  );
+
+  if (!vehicle) {
+    throw new AppError('Vehicle not found', 404, 'NOT_FOUND');
+  }
+
+  res.json({
+    success: true,
+    message: 'Vehicle deleted successfully',
+  });
+});
+
+// Validation middleware
+const checkRegistrationNumber = value => {
+  if (
+    !/^[A-Z]{2}[0-9]{2}[A-Z]{1,2}[0-9]{4}$/.test(normalizeTruckNumber(value))
+  ) {
+    throw new Error(
+      'Please provide a valid registration number (e.g., KA01AB1234, KA-01-AB-1234)',
+    );
+  }
+  return true;
+};
+
+const createVehicleValidation = [
+  body('registrationNumber')
+    .notEmpty()
+    .withMessage('Registration number is required')
+    .custom(checkRegistrationNumber),
+  body('ownerName')
+    .optional()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('Owner name cannot exceed 100 characters'),
+  body('ownerPhone')
+    .optional({ checkFalsy: true })
+    .matches(/^[0-9]{10}$/)
+    .withMessage('Please provide a valid 10-digit phone number'),
+  body('capacity')
+    .optional({ checkFalsy: true })
+    .isFloat({ min: 0.1, max: 100 })
+    .withMessage('Capacity must be between 0.1 and 100 units'),
+  body('defaultDriver')
+    .optional({ checkFalsy: true })
+    .isMongoId()
+    .withMessage('Default driver must be a valid ID'),
+  body('defaultDriverName')
+    .optional()
+    .trim()
+    .isLength({ max: 50 })
+    .withMessage('Driver name cannot exceed 50 characters'),
+  body('notes')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Notes cannot exceed 500 characters'),
+];
+
+const updateVehicleValidation = [
+  body('registrationNumber')
+    .optional({ checkFalsy: true })
+    .custom(checkRegistrationNumber),
+  ...createVehicleValidation.slice(1),
+];
+
+module.exports = {
+  createVehicle,
+  getVehicles,
+  lookupVehicles,
+  getVehicle,
+  updateVehicle,
+  deleteVehicle,
+  createVehicleValidation,
+  updateVehicleValidation,
+};
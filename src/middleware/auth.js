@@ -1,3 +1,4 @@
+const crypto = require('crypto');
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
 const AppError = require('../utils/AppError');
@@ -87,6 +88,26 @@ const requireOwnerRole = (req, res, next) => {
   );
 };
 
+// Scheduled jobs call in with CRON_SECRET as their bearer token (the way
+// Vercel Cron sends it). Without a configured secret the jobs are closed.
+const authenticateCron = (req, res, next) => {
+  const secret = process.env.CRON_SECRET;
+  const authHeader = req.headers.authorization || '';
+  const expected = Buffer.from(`Bearer ${secret}`);
+  const received = Buffer.from(authHeader);
+
+  if (
+    !secret ||
+    expected.length !== received.length ||
+    !crypto.timingSafeEqual(expected, received)
+  ) {
+    return next(
+      new AppError('Invalid scheduled job token', 401, 'INVALID_TOKEN'),
+    );
+  }
+  next();
+};
+
 // User role authorization middleware (owner or user)
 const requireUserRole = (req, res, next) => {
   if (!req.user) {
@@ -166,6 +187,7 @@ module.exports = {
   generateToken,
   authenticateToken,
   requireOwnerRole,
+  authenticateCron,
   requireUserRole,
   requireSelfOrOwner,
   optionalAuth,
@@ -0,0 +1,128 @@
+const mongoose = require('mongoose');
+
+const AUDITED_MODELS = [
+  'TruckEntry',
+  'OtherExpense',
+  'MaterialRate',
+  'User',
+  'PeriodLock',
+  'RateCard',
+  'Permit',
+];
+const AUDIT_ACTIONS = [
+  'create',
+  'update',
+  'delete',
+  'restore',
+  'purge',
+  'close',
+  'reopen',
+];
+
+const fieldChangeSchema = new mongoose.Schema(
+  {
+    field: {
+      type: String,
+      required: true,
+    },
+    before: {
+      type: mongoose.Schema.Types.Mixed,
+      default: null,
+    },
+    after: {
+      type: mongoose.Schema.Types.Mixed,
+      default: null,
+    },
+  },
+  { _id: false },
+);
+
+const auditLogSchema = new mongoose.Schema(
+  {
+    organization: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Organization',
+      required: [true, 'Audit log must belong to an organization'],
+    },
+    actor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null, // Null for changes made without a signed-in user
+    },
+    actorName: {
+      type: String,
+      trim: true,
+    },
+    action: {
+      type: String,
+      enum: AUDIT_ACTIONS,
+      required: true,
+    },
+    model: {
+      type: String,
+      enum: AUDITED_MODELS,
+      required: true,
+    },
+    documentId: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true,
+    },
+    changes: [fieldChangeSchema],
+    note: {
+      type: String,
+      trim: true,
+      maxlength: [200, 'Note cannot exceed 200 characters'],
+    },
+    ip: {
+      type: String,
+      trim: true,
+    },
+    userAgent: {
+      type: String,
+      trim: true,
+    },
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+  },
+);
+
+auditLogSchema.index({
+  organization: 1,
+  model: 1,
+  documentId: 1,
+  createdAt: 1,
+});
+auditLogSchema.index({ organization: 1, createdAt: -1 });
+auditLogSchema.index({ organization: 1, actor: 1, createdAt: -1 });
+
+// The log is append-only: saved entries cannot be changed or removed
+const rejectChange = function (next) {
+  next(new Error('Audit log entries cannot be changed or deleted'));
+};
+
+auditLogSchema.pre('save', function (next) {
+  if (!this.isNew) return rejectChange(next);
+  next();
+});
+auditLogSchema.pre(
+  [
+    'updateOne',
+    'updateMany',
+    'findOneAndUpdate',
+    'replaceOne',
+    'findOneAndReplace',
+    'deleteOne',
+    'deleteMany',
+    'findOneAndDelete',
+    'findOneAndRemove',
+  ],
+  { document: false, query: true },
+  rejectChange,
+);
+auditLogSchema.pre('deleteOne', { document: true, query: false }, rejectChange);
+
+auditLogSchema.statics.AUDITED_MODELS = AUDITED_MODELS;
+auditLogSchema.statics.AUDIT_ACTIONS = AUDIT_ACTIONS;
+
+module.exports = mongoose.model('AuditLog', auditLogSchema);
@@ -0,0 +1,64 @@
+const mongoose = require('mongoose');
+const { CHARGE_KINDS, CHARGE_CALCULATIONS } = require('../utils/charges');
+
+// Charges and discounts an organization adds to truck entries, such as
+// loading, transport and royalty. Every organization starts with the
+// defaults in utils/chargeTypes.js.
+const chargeTypeSchema = new mongoose.Schema(
+  {
+    organization: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Organization',
+      required: [true, 'Charge type must belong to an organization'],
+    },
+    name: {
+      type: String,
+      required: [true, 'Charge name is required'],
+      trim: true,
+      maxlength: [50, 'Charge name cannot exceed 50 characters'],
+    },
+    kind: {
+      type: String,
+      enum: CHARGE_KINDS,
+      default: 'charge',
+    },
+    calculation: {
+      type: String,
+      enum: CHARGE_CALCULATIONS,
+      default: 'fixed',
+      validate: {
+        validator: function (value) {
+          return this.kind !== 'round_off' || value === 'fixed';
+        },
+        message: 'A round-off must be a fixed amount',
+      },
+    },
+    defaultValue: {
+      type: Number,
+      default: null, // Suggested amount, per-unit rate or percentage
+      min: [0, 'Default value cannot be negative'],
+    },
+    hsnCode: {
+      type: String,
+      trim: true,
+      match: [/^[0-9]{4,8}$/, 'HSN/SAC code must be 4 to 8 digits'],
+      default: null, // Invoiced under the material's HSN code when not set
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+  },
+  {
+    timestamps: true,
+  },
+);
+
+// One charge type per name per organization
+chargeTypeSchema.index({ organization: 1, name: 1 }, { unique: true });
+
+module.exports = mongoose.model('ChargeType', chargeTypeSchema);
@@ -0,0 +1,73 @@
+const mongoose = require('mongoose');
+
+const customerSchema = new mongoose.Schema(
+  {
+    organization: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Organization',
+      required: [true, 'Customer must belong to an organization'],
+    },
+    name: {
+      type: String,
+      required: [true, 'Customer name is required'],
+      trim: true,
+      maxlength: [100, 'Customer name cannot exceed 100 characters'],
+    },
+    phone: {
+      type: String,
+      trim: true,
+      match: [/^[0-9]{10}$/, 'Please provide a valid 10-digit phone number'],
+    },
+    address: {
+      type: String,
+      trim: true,
+      maxlength: [300, 'Address cannot exceed 300 characters'],
+    },
+    gstin: {
+      type: String,
+      trim: true,
+      uppercase: true,
+      match: [
+        /^[0-9]{2}[A-Z]{5}[0-9]{4}[A-Z][1-9A-Z]Z[0-9A-Z]$/,
+        'Please provide a valid GSTIN',
+      ],
+    },
+    stateCode: {
+      type: String,
+      trim: true,
+      match: [/^[0-9]{2}$/, 'State code must be 2 digits'], // Place of supply for GST
+    },
+    openingBalance: {
+      type: Number,
+      default: 0, // Amount the customer already owed before using CrusherMate
+    },
+    rateGroup: {
+      type: String,
+      trim: true,
+      maxlength: [50, 'Rate group cannot exceed 50 characters'],
+      default: null, // Customer group whose rate cards apply, e.g. 'Contractors'
+    },
+    notes: {
+      type: String,
+      trim: true,
+      maxlength: [500, 'Notes cannot exceed 500 characters'],
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+  },
+  {
+    timestamps: true,
+  },
+);
+
+// One customer name per organization
+customerSchema.index({ organization: 1, name: 1 }, { unique: true });
+customerSchema.index({ organization: 1, isActive: 1 });
+
+module.exports = mongoose.model('Customer', customerSchema);
@@ -0,0 +1,68 @@
+const mongoose = require('mongoose');
+
+// Day-end closing of the cash till. Figures are fixed when the day is
+// closed; the counted amount becomes the next day's opening balance.
+const dayBookSchema = new mongoose.Schema(
+  {
+    organization: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Organization',
+      required: [true, 'Day book must belong to an organization'],
+    },
+    date: {
+      type: Date,
+      required: [true, 'Date is required'], // Start of the day (India time)
+    },
+    openingBalance: {
+      type: Number,
+      default: 0,
+    },
+    cashSales: {
+      type: Number,
+      default: 0, // Cash received from customers
+    },
+    cashPaidToSuppliers: {
+      type: Number,
+      default: 0,
+    },
+    cashExpenses: {
+      type: Number,
+      default: 0,
+    },
+    expectedClosing: {
+      type: Number,
+      required: true,
+    },
+    countedAmount: {
+      type: Number,
+      required: [true, 'Counted amount is required'],
+      min: [0, 'Counted amount cannot be negative'],
+    },
+    variance: {
+      type: Number,
+      default: 0, // Counted minus expected; negative is a shortage
+    },
+    closingBalance: {
+      type: Number,
+      required: true,
+    },
+    notes: {
+      type: String,
+      trim: true,
+      maxlength: [500, 'Notes cannot exceed 500 characters'],
+    },
+    closedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+  },
+  {
+    timestamps: true,
+  },
+);
+
+// One closing per organization per day
+dayBookSchema.index({ organization: 1, date: 1 }, { unique: true });
+
+module.exports = mongoose.model('DayBook', dayBookSchema);
@@ -0,0 +1,71 @@
+const mongoose = require('mongoose');
+
+const driverSchema = new mongoose.Schema(
+  {
+    organization: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Organization',
+      required: [true, 'Driver must belong to an organization'],
+    },
+    name: {
+      type: String,
+      required: [true, 'Driver name is required'],
+      trim: true,
+      maxlength: [50, 'Driver name cannot exceed 50 characters'],
+    },
+    phone: {
+      type: String,
+      trim: true,
+      match: [/^[0-9]{10}$/, 'Please provide a valid 10-digit phone number'],
+    },
+    licenceNumber: {
+      type: String,
+      trim: true,
+      uppercase: true,
+      maxlength: [20, 'Licence number cannot exceed 20 characters'],
+    },
+    licenceExpiry: {
+      type: Date,
+      default: null,
+    },
+    address: {
+      type: String,
+      trim: true,
+      maxlength: [300, 'Address cannot exceed 300 characters'],
+    },
+    battaPerTrip: {
+      type: Number,
+      default: 0, // Allowance paid to the driver for each trip
+      min: [0, 'Batta cannot be negative'],
+    },
+    notes: {
+      type: String,
+      trim: true,
+      maxlength: [500, 'Notes cannot exceed 500 characters'],
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  },
+);
+
+driverSchema.index({ organization: 1, name: 1 });
+driverSchema.index({ organization: 1, phone: 1 });
+driverSchema.index({ organization: 1, isActive: 1 });
+
+// Virtual for an expired licence
+driverSchema.virtual('licenceExpired').get(function () {
+  return Boolean(this.licenceExpiry && this.licenceExpiry < new Date());
+});
+
+module.exports = mongoose.model('Driver', driverSchema);
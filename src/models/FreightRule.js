@@ -0,0 +1,77 @@
+const mongoose = require('mongoose');
+const { FREIGHT_BASES } = require('../utils/freight');
+
+// Freight rates for deliveries. A rule can be limited to a village and to a
+// band of delivery distances; the most specific matching rule prices a
+// delivery (see utils/freightRules.js).
+const freightRuleSchema = new mongoose.Schema(
+  {
+    organization: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Organization',
+      required: [true, 'Freight rule must belong to an organization'],
+    },
+    name: {
+      type: String,
+      required: [true, 'Rule name is required'],
+      trim: true,
+      maxlength: [50, 'Rule name cannot exceed 50 characters'],
+    },
+    basis: {
+      type: String,
+      enum: FREIGHT_BASES,
+      required: [true, 'Freight basis is required'],
+    },
+    rate: {
+      type: Number,
+      required: [true, 'Freight rate is required'],
+      min: [0, 'Freight rate cannot be negative'],
+    },
+    minimumCharge: {
+      type: Number,
+      default: 0,
+      min: [0, 'Minimum charge cannot be negative'],
+    },
+    village: {
+      type: String,
+      trim: true,
+      default: null, // Any destination when not set
+    },
+    minDistanceKm: {
+      type: Number,
+      default: null,
+      min: [0, 'Distance cannot be negative'],
+    },
+    maxDistanceKm: {
+      type: Number,
+      default: null,
+      min: [0, 'Distance cannot be negative'],
+      validate: {
+        validator: function (value) {
+          return (
+            value == null ||
+            this.minDistanceKm == null ||
+            value >= this.minDistanceKm
+          );
+        },
+        message: 'Maximum distance cannot be less than the minimum distance',
+      },
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+  },
+  {
+    timestamps: true,
+  },
+);
+
+// One rule per name per organization
+freightRuleSchema.index({ organization: 1, name: 1 }, { unique: true });
+
+module.exports = mongoose.model('FreightRule', freightRuleSchema);
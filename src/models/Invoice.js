@@ -0,0 +1,115 @@
+const mongoose = require('mongoose');
+
+const partySnapshotSchema = new mongoose.Schema(
+  {
+    name: String,
+    gstin: String,
+    address: String,
+    stateCode: String,
+  },
+  { _id: false },
+);
+
+const invoiceLineSchema = new mongoose.Schema(
+  {
+    entry: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'TruckEntry',
+    },
+    description: String,
+    truckNumber: String,
+    entryDate: Date,
+    hsnCode: String,
+    quantity: Number,
+    unit: String,
+    rate: Number,
+    taxableValue: Number,
+  },
+  { _id: false },
+);
+
+const invoiceSchema = new mongoose.Schema(
+  {
+    organization: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Organization',
+      required: [true, 'Invoice must belong to an organization'],
+    },
+    invoiceNumber: {
+      type: String,
+      required: [true, 'Invoice number is required'],
+      trim: true,
+    },
+    invoiceDate: {
+      type: Date,
+      default: Date.now,
+      required: [true, 'Invoice date is required'],
+    },
+    customer: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Customer',
+      required: [true, 'Invoice must have a customer'],
+    },
+    // Seller and buyer details are copied at issue time so later edits to the
+    // organization or customer do not change an issued invoice
+    seller: partySnapshotSchema,
+    buyer: partySnapshotSchema,
+    placeOfSupply: {
+      type: String,
+      match: [/^[0-9]{2}$/, 'Place of supply must be a 2-digit state code'],
+    },
+    supplyType: {
+      type: String,
+      enum: ['intra', 'inter'],
+      required: true,
+    },
+    entries: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'TruckEntry',
+      },
+    ],
+    lines: [invoiceLineSchema],
+    taxableValue: { type: Number, required: true },
+    gstRate: { type: Number, required: true },
+    cgstRate: { type: Number, default: 0 },
+    sgstRate: { type: Number, default: 0 },
+    igstRate: { type: Number, default: 0 },
+    cgstAmount: { type: Number, default: 0 },
+    sgstAmount: { type: Number, default: 0 },
+    igstAmount: { type: Number, default: 0 },
+    totalTax: { type: Number, required: true },
+    roundOff: { type: Number, default: 0 },
+    grandTotal: { type: Number, required: true },
+    status: {
+      type: String,
+      enum: ['issued', 'cancelled'],
+      default: 'issued',
+      index: true,
+    },
+    cancelReason: {
+      type: String,
+      trim: true,
+      maxlength: [300, 'Cancel reason cannot exceed 300 characters'],
+    },
+    cancelledBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    cancelledAt: Date,
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'User is required'],
+    },
+  },
+  {
+    timestamps: true,
+  },
+);
+
+invoiceSchema.index({ organization: 1, invoiceNumber: 1 }, { unique: true });
+invoiceSchema.index({ organization: 1, invoiceDate: -1 });
+invoiceSchema.index({ organization: 1, customer: 1, invoiceDate: -1 });
+
+module.exports = mongoose.model('Invoice', invoiceSchema);
@@ -0,0 +1,59 @@
+const mongoose = require('mongoose');
+
+// Products an organization sells. Truck entries and rates refer to a
+// material by its name. Every organization starts with the default
+// catalogue in utils/materials.js.
+const materialSchema = new mongoose.Schema(
+  {
+    organization: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Organization',
+      required: [true, 'Material must belong to an organization'],
+    },
+    name: {
+      type: String,
+      required: [true, 'Material name is required'],
+      trim: true,
+      maxlength: [50, 'Material name cannot exceed 50 characters'],
+    },
+    code: {
+      type: String,
+      required: [true, 'Material code is required'],
+      trim: true,
+      uppercase: true,
+      match: [
+        /^[A-Z0-9][A-Z0-9_-]{0,14}$/,
+        'Material code must be letters, digits, - or _ and at most 15 characters',
+      ],
+    },
+    hsnCode: {
+      type: String,
+      trim: true,
+      match: [/^[0-9]{4,8}$/, 'HSN code must be 4 to 8 digits'],
+      default: null,
+    },
+    unit: {
+      type: String,
+      trim: true,
+      lowercase: true,
+      default: 'unit', // Unit of measure the material is usually sold in
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+  },
+  {
+    timestamps: true,
+  },
+);
+
+// One name and one code per organization
+materialSchema.index({ organization: 1, name: 1 }, { unique: true });
+materialSchema.index({ organization: 1, code: 1 }, { unique: true });
+
+module.exports = mongoose.model('Material', materialSchema);
@@ -0,0 +1,56 @@
+const mongoose = require('mongoose');
+
+const unitFactorSchema = new mongoose.Schema(
+  {
+    unit: {
+      type: String,
+      required: [true, 'Unit code is required'],
+      trim: true,
+      lowercase: true,
+    },
+    standardUnits: {
+      type: Number,
+      required: [true, 'Standard units are required'],
+      min: [0.000001, 'Standard units must be greater than 0'], // Standard units in one of `unit` for this material
+    },
+  },
+  { _id: false },
+);
+
+// Per-material conversion settings for an organization
+const materialConversionSchema = new mongoose.Schema(
+  {
+    organization: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Organization',
+      required: [true, 'Conversion must belong to an organization'],
+    },
+    materialType: {
+      type: String,
+      required: [true, 'Material type is required'],
+      trim: true,
+    },
+    density: {
+      type: Number,
+      default: null, // Tonnes per cubic metre; needed to convert volume to weight
+      min: [0.01, 'Density must be greater than 0'],
+    },
+    // Overrides for units whose size depends on the material
+    unitFactors: [unitFactorSchema],
+    updatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+  },
+  {
+    timestamps: true,
+  },
+);
+
+// One conversion record per material per organization
+materialConversionSchema.index(
+  { organization: 1, materialType: 1 },
+  { unique: true },
+);
+
+module.exports = mongoose.model('MaterialConversion', materialConversionSchema);
@@ -2,27 +2,27 @@ const mongoose = require('mongoose');
 
 const materialRateSchema = new mongoose.Schema(
   {
+    organization: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Organization',
+      required: [true, 'Rate must belong to an organization'],
+    },
     materialType: {
       type: String,
       required: [true, 'Material type is required'],
-      enum: [
-        '1 1/2 Metal',
-        '3/4 Jalli',
-        '1/2 Jalli',
-        '1/4 Kuranai',
-        'Dust',
-        'Wetmix',
-        'M sand',
-        'P sand',
-        'Raw Stone'
-      ],
-      unique: true, // Only one rate per material type globally
+      trim: true, // A catalogue material name, or 'Raw Stone'
     },
     currentRate: {
       type: Number,
       required: [true, 'Current rate is required'],
       min: [0, 'Rate cannot be negative'],
     },
+    unit: {
+      type: String,
+      trim: true,
+      lowercase: true,
+      default: 'unit', // Unit of measure all its rates are quoted per
+    },
     previousRate: {
       type: Number,
       default: null,
@@ -45,49 +45,135 @@ const materialRateSchema = new mongoose.Schema(
         },
       },
     ],
+    // Announced rate changes that take effect on a future date
+    scheduledChanges: [
+      {
+        rate: {
+          type: Number,
+          required: [true, 'Rate is required'],
+          min: [0, 'Rate cannot be negative'],
+        },
+        effectiveDate: {
+          type: Date,
+          required: [true, 'Effective date is required'],
+        },
+        scheduledBy: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: 'User',
+        },
+      },
+    ],
   },
   {
     timestamps: true,
   },
 );
 
-// Method to update a rate and record history
-materialRateSchema.statics.updateRate = async function (
-  materialType,
-  newRate,
-  userId,
-) {
-  const existingRate = await this.findOne({ materialType });
+// One rate per material type per organization
+materialRateSchema.index({ organization: 1, materialType: 1 }, { unique: true });
 
-  if (existingRate) {
-    // If rate already exists, update it
-    existingRate.history.push({
-      rate: existingRate.currentRate,
-      effectiveDate: existingRate.effectiveDate,
-      updatedBy: existingRate.updatedBy,
-    });
-    existingRate.previousRate = existingRate.currentRate;
-    existingRate.currentRate = newRate;
-    existingRate.effectiveDate = new Date();
-    existingRate.updatedBy = userId;
-    return existingRate.save();
-  } else {
-    // If rate doesn't exist, create it
-    return this.create({
-      materialType,
-      currentRate: newRate,
-      updatedBy: userId,
-      history: [],
+// Rate in force on a date: the latest of the history, the current rate and
+// the scheduled changes that took effect on or before that day (UTC), so a
+// change made during the day also prices entries dated that day. Null when
+// the date is before the first known rate.
+materialRateSchema.methods.getRateAsOf = function (date = new Date()) {
+  const time = new Date(date).setUTCHours(23, 59, 59, 999);
+  const timeline = [
+    ...this.history,
+    { rate: this.currentRate, effectiveDate: this.effectiveDate },
+    ...this.scheduledChanges,
+  ].filter(change => change.effectiveDate);
+
+  let inForce = null;
+  timeline.forEach(change => {
+    const from = new Date(change.effectiveDate).getTime();
+    if (from <= time && (!inForce || from >= inForce.from)) {
+      inForce = { rate: change.rate, from };
+    }
+  });
+  return inForce ? inForce.rate : null;
+};
+
+// Every rate the material has had, oldest first, with who set it and the
+// change from the rate before it. Scheduled changes come last.
+materialRateSchema.methods.getTimeline = function () {
+  const points = [
+    ...this.history.map(change => ({
+      rate: change.rate,
+      effectiveDate: change.effectiveDate,
+      changedBy: change.updatedBy || null,
+      status: 'past',
+    })),
+    {
+      rate: this.currentRate,
+      effectiveDate: this.effectiveDate,
+      changedBy: this.updatedBy || null,
+      status: 'current',
+    },
+    ...this.scheduledChanges.map(change => ({
+      rate: change.rate,
+      effectiveDate: change.effectiveDate,
+      changedBy: change.scheduledBy || null,
+      status: 'scheduled',
+    })),
+  ];
+
+  return points.map((point, index) => {
+    const previousRate = index > 0 ? points[index - 1].rate : null;
+    const change =
+      previousRate === null
+        ? null
+        : Math.round((point.rate - previousRate) * 100) / 100;
+    return {
+      ...point,
+      previousRate,
+      change,
+      percentChange:
+        previousRate ? Math.round((change / previousRate) * 10000) / 100 : null,
+    };
+  });
+};
+
+// Make scheduled changes whose date has arrived the current rate. Returns
+// true when the document changed. Only rate updates save the result; reads
+// apply it in memory (see findCurrent).
+materialRateSchema.methods.applyDueChanges = function (now = new Date()) {
+  const due = this.scheduledChanges
+    .filter(change => change.effectiveDate <= now)
+    .sort((a, b) => a.effectiveDate - b.effectiveDate);
+
+  due.forEach(change => {
+    this.history.push({
+      rate: this.currentRate,
+      effectiveDate: this.effectiveDate,
+      updatedBy: this.updatedBy,
     });
-  }
+    this.previousRate = this.currentRate;
+    this.currentRate = change.rate;
+    this.effectiveDate = change.effectiveDate;
+    this.updatedBy = change.scheduledBy;
+    this.scheduledChanges.pull(change._id);
+  });
+  return due.length > 0;
+};
+
+// Rates matching the filter as they stand now, sorted by material. Scheduled
+// changes whose date has arrived are applied to the returned documents but
+// not saved, so reading rates never writes.
+materialRateSchema.statics.findCurrent = async function (filter) {
+  const now = new Date();
+  const rates = await this.find(filter).sort({ materialType: 1 });
+  rates.forEach(rate => rate.applyDueChanges(now));
+  return rates;
 };
 
-materialRateSchema.statics.getAllRates = function () {
-  return this.find({}).populate('updatedBy', 'username');
+materialRateSchema.statics.getAllRates = async function (organizationId) {
+  const rates = await this.findCurrent({ organization: organizationId });
+  return this.populate(rates, { path: 'updatedBy', select: 'username' });
 };
 
-materialRateSchema.statics.getMaterialTypes = async function () {
-  return this.distinct('materialType');
+materialRateSchema.statics.getMaterialTypes = async function (organizationId) {
+  return this.distinct('materialType', { organization: organizationId });
 };
 
 module.exports = mongoose.model('MaterialRate', materialRateSchema);
@@ -20,10 +20,118 @@ const organizationSchema = new mongoose.Schema(
         ref: 'User',
       },
     ],
+    // Tax registration details printed on invoices
+    legalName: {
+      type: String,
+      trim: true,
+      maxlength: [150, 'Legal name cannot exceed 150 characters'],
+    },
+    gstin: {
+      type: String,
+      trim: true,
+      uppercase: true,
+      match: [
+        /^[0-9]{2}[A-Z]{5}[0-9]{4}[A-Z][1-9A-Z]Z[0-9A-Z]$/,
+        'Please provide a valid GSTIN',
+      ],
+    },
+    address: {
+      type: String,
+      trim: true,
+      maxlength: [300, 'Address cannot exceed 300 characters'],
+    },
+    stateCode: {
+      type: String,
+      trim: true,
+      match: [/^[0-9]{2}$/, 'State code must be 2 digits'],
+    },
+    phone: {
+      type: String,
+      trim: true,
+    },
+    gstRate: {
+      type: Number,
+      min: [0, 'GST rate cannot be negative'],
+      max: [1, 'GST rate must be a fraction (e.g. 0.05)'],
+    },
+    invoicePrefix: {
+      type: String,
+      trim: true,
+      uppercase: true,
+      default: 'INV',
+      maxlength: [10, 'Invoice prefix cannot exceed 10 characters'],
+    },
+    invoiceSequence: {
+      financialYear: { type: String, default: null },
+      lastNumber: { type: Number, default: 0 },
+    },
+    // Operational settings chosen by the owner
+    settings: {
+      capacityCheck: {
+        type: String,
+        enum: ['off', 'warn', 'reject'], // What to do when a load exceeds the vehicle capacity
+        default: 'warn',
+      },
+      // Entries made by users wait for owner approval before they count
+      requireEntryApproval: {
+        type: Boolean,
+        default: false,
+      },
+      // Sales entries must be covered by a transit pass (mining permit)
+      requirePermit: {
+        type: Boolean,
+        default: false,
+      },
+      permitAlertPercent: {
+        type: Number,
+        default: 10, // Flag permits with this share of the quantity left
+        min: [1, 'Permit alert must be at least 1%'],
+        max: [50, 'Permit alert cannot be more than 50%'],
+      },
+      trashRetentionDays: {
+        type: Number,
+        default: 30, // Deleted entries and expenses are purged after this
+        min: [1, 'Trash must be kept for at least 1 day'],
+        max: [365, 'Trash cannot be kept for more than 365 days'],
+      },
+    },
   },
   {
     timestamps: true,
   },
 );
 
+// Static method to reserve the next invoice number for a financial year.
+// Numbering restarts at 1 every financial year.
+organizationSchema.statics.nextInvoiceNumber = async function (
+  organizationId,
+  financialYear,
+) {
+  for (let attempt = 0; attempt < 3; attempt++) {
+    const sameYear = await this.findOneAndUpdate(
+      { _id: organizationId, 'invoiceSequence.financialYear': financialYear },
+      { $inc: { 'invoiceSequence.lastNumber': 1 } },
+      { new: true },
+    );
+    if (sameYear) return sameYear;
+
+    const newYear = await this.findOneAndUpdate(
+      {
+        _id: organizationId,
+        'invoiceSequence.financialYear': { $ne: financialYear },
+      },
+      {
+        $set: {
+          'invoiceSequence.financialYear': financialYear,
+          'invoiceSequence.lastNumber': 1,
+        },
+      },
+      { new: true },
+    );
+    if (newYear) return newYear;
+  }
+
+  throw new Error('Could not reserve an invoice number');
+};
+
 module.exports = mongoose.model('Organization', organizationSchema);
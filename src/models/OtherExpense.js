@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const Payment = require('./Payment');
 
 const otherExpenseSchema = new mongoose.Schema(
   {
@@ -39,10 +40,25 @@ const otherExpenseSchema = new mongoose.Schema(
       trim: true,
       maxlength: [1000, 'Notes cannot exceed 1000 characters'],
     },
+    paymentMode: {
+      type: String,
+      enum: Payment.PAYMENT_MODES,
+      default: 'Cash', // Cash expenses are paid out of the till (see day book)
+    },
     isActive: {
       type: Boolean,
       default: true,
     },
+    // Set while the expense is in the trash
+    deletedAt: {
+      type: Date,
+      default: null,
+    },
+    deletedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null,
+    },
   },
   {
     timestamps: true,
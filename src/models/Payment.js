@@ -0,0 +1,136 @@
+const mongoose = require('mongoose');
+
+const PAYMENT_MODES = ['Cash', 'UPI', 'Cheque', 'Bank Transfer'];
+
+const allocationSchema = new mongoose.Schema(
+  {
+    entry: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'TruckEntry',
+      required: [true, 'Allocation must reference a truck entry'],
+    },
+    amount: {
+      type: Number,
+      required: [true, 'Allocation amount is required'],
+      min: [0.01, 'Allocation amount must be greater than 0'],
+    },
+  },
+  { _id: false },
+);
+
+const paymentSchema = new mongoose.Schema(
+  {
+    organization: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Organization',
+      required: [true, 'Payment must belong to an organization'],
+    },
+    direction: {
+      type: String,
+      enum: ['received', 'paid'], // received from customers, paid to suppliers
+      required: [true, 'Payment direction is required'],
+    },
+    customer: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Customer',
+      default: null,
+    },
+    supplier: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Supplier',
+      default: null,
+    },
+    mode: {
+      type: String,
+      enum: PAYMENT_MODES,
+      required: [true, 'Payment mode is required'],
+    },
+    referenceNumber: {
+      type: String,
+      trim: true,
+      maxlength: [50, 'Reference number cannot exceed 50 characters'],
+      required: function () {
+        return this.mode === 'UPI' || this.mode === 'Cheque';
+      },
+    },
+    amount: {
+      type: Number,
+      required: [true, 'Amount is required'],
+      min: [0.01, 'Amount must be greater than 0'],
+    },
+    paymentDate: {
+      type: Date,
+      default: Date.now,
+      required: [true, 'Payment date is required'],
+    },
+    collectedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    allocations: [allocationSchema],
+    notes: {
+      type: String,
+      trim: true,
+      maxlength: [500, 'Notes cannot exceed 500 characters'],
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'User is required'],
+    },
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  },
+);
+
+paymentSchema.index({ organization: 1, paymentDate: -1 });
+paymentSchema.index({ organization: 1, customer: 1, paymentDate: -1 });
+paymentSchema.index({ organization: 1, supplier: 1, paymentDate: -1 });
+paymentSchema.index({ 'allocations.entry': 1 });
+
+// Virtual for the part of the payment already allocated to entries
+paymentSchema.virtual('allocatedAmount').get(function () {
+  const total = (this.allocations || []).reduce(
+    (sum, allocation) => sum + allocation.amount,
+    0,
+  );
+  return Math.round(total * 100) / 100;
+});
+
+// Virtual for the part of the payment still available (advance)
+paymentSchema.virtual('unallocatedAmount').get(function () {
+  return Math.round((this.amount - this.allocatedAmount) * 100) / 100;
+});
+
+// Static method to get the money received from or paid to each party,
+// grouped by a party field ('customer' or 'supplier'). Returns one row per
+// party: { _id, received, count }. Advances not yet allocated count too.
+paymentSchema.statics.getPartyReceipts = function (partyField, filters = {}) {
+  return this.aggregate([
+    {
+      $match: {
+        isActive: true,
+        [partyField]: { $ne: null },
+        ...filters,
+      },
+    },
+    {
+      $group: {
+        _id: `$${partyField}`,
+        received: { $sum: '$amount' },
+        count: { $sum: 1 },
+      },
+    },
+  ]);
+};
+
+paymentSchema.statics.PAYMENT_MODES = PAYMENT_MODES;
+
+module.exports = mongoose.model('Payment', paymentSchema);
@@ -0,0 +1,63 @@
+const mongoose = require('mongoose');
+
+const periodLockSchema = new mongoose.Schema(
+  {
+    organization: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Organization',
+      required: [true, 'Period must belong to an organization'],
+    },
+    startDate: {
+      type: Date,
+      required: [true, 'Start date is required'],
+    },
+    endDate: {
+      type: Date,
+      required: [true, 'End date is required'], // Last moment of the closing day
+    },
+    status: {
+      type: String,
+      enum: ['closed', 'reopened'],
+      default: 'closed',
+    },
+    note: {
+      type: String,
+      trim: true,
+      maxlength: [300, 'Note cannot exceed 300 characters'],
+    },
+    closedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    reopenedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null,
+    },
+    reopenedAt: {
+      type: Date,
+      default: null,
+    },
+    reopenReason: {
+      type: String,
+      trim: true,
+      maxlength: [300, 'Reason cannot exceed 300 characters'],
+    },
+  },
+  {
+    timestamps: true,
+  },
+);
+
+periodLockSchema.index({ organization: 1, status: 1, startDate: 1 });
+
+// Validate that the period does not end before it starts
+periodLockSchema.pre('validate', function (next) {
+  if (this.startDate && this.endDate && this.endDate < this.startDate) {
+    this.invalidate('endDate', 'End date cannot be before the start date');
+  }
+  next();
+});
+
+module.exports = mongoose.model('PeriodLock', periodLockSchema);
@@ -0,0 +1,88 @@
+const mongoose = require('mongoose');
+
+// Government transit pass (mining royalty permit) issued for a fixed
+// quantity. Sales loads draw on a permit. usedQuantity keeps a running
+// total of what they hold, so loads can be reserved atomically; it is the
+// one figure balances are shown from and reservations are checked against
+// (see utils/permits.js).
+const permitSchema = new mongoose.Schema(
+  {
+    organization: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Organization',
+      required: [true, 'Permit must belong to an organization'],
+    },
+    permitNumber: {
+      type: String,
+      required: [true, 'Permit number is required'],
+      trim: true,
+      uppercase: true,
+      maxlength: [30, 'Permit number cannot exceed 30 characters'],
+    },
+    bookNumber: {
+      type: String,
+      trim: true,
+      default: null, // Permit book the pass was issued in
+    },
+    materialType: {
+      type: String,
+      trim: true,
+      default: null, // Catalogue material name; any material when not set
+    },
+    issuedQuantity: {
+      type: Number,
+      required: [true, 'Issued quantity is required'],
+      min: [0.001, 'Issued quantity must be greater than 0'],
+    },
+    unit: {
+      type: String,
+      trim: true,
+      lowercase: true,
+      default: 'tonne', // Unit of measure code the quantity is issued in
+    },
+    usedQuantity: {
+      type: Number,
+      default: null, // Held by saved loads; started from the loads when null
+    },
+    validFrom: {
+      type: Date,
+      required: [true, 'Valid from date is required'], // Start of the day (UTC)
+    },
+    validTo: {
+      type: Date,
+      required: [true, 'Valid to date is required'], // End of the day (UTC)
+      validate: {
+        validator: function (value) {
+          return !this.validFrom || value >= this.validFrom;
+        },
+        message: 'Valid to date cannot be before the valid from date',
+      },
+    },
+    issuedBy: {
+      type: String,
+      trim: true,
+      maxlength: [100, 'Issuing office cannot exceed 100 characters'],
+    },
+    notes: {
+      type: String,
+      trim: true,
+      maxlength: [500, 'Notes cannot exceed 500 characters'],
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    isActive: {
+      type: Boolean,
+      default: true, // False once the permit is cancelled
+    },
+  },
+  {
+    timestamps: true,
+  },
+);
+
+// One permit number per organization
+permitSchema.index({ organization: 1, permitNumber: 1 }, { unique: true });
+
+module.exports = mongoose.model('Permit', permitSchema);
@@ -0,0 +1,102 @@
+const mongoose = require('mongoose');
+
+const rateCardItemSchema = new mongoose.Schema(
+  {
+    materialType: {
+      type: String,
+      required: [true, 'Material type is required'],
+      trim: true,
+    },
+    rate: {
+      type: Number,
+      required: [true, 'Rate is required'],
+      min: [0, 'Rate cannot be negative'],
+    },
+    unit: {
+      type: String,
+      trim: true,
+      lowercase: true,
+      default: 'unit', // Unit of measure the rate is quoted per
+    },
+  },
+  { _id: false },
+);
+
+// Negotiated prices for one customer or a customer group (see
+// Customer.rateGroup). A card applies to entries dated from validFrom up to
+// the end of validTo; without validTo it has no end.
+const rateCardSchema = new mongoose.Schema(
+  {
+    organization: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Organization',
+      required: [true, 'Rate card must belong to an organization'],
+    },
+    name: {
+      type: String,
+      required: [true, 'Rate card name is required'],
+      trim: true,
+      maxlength: [100, 'Rate card name cannot exceed 100 characters'],
+    },
+    customer: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Customer',
+      default: null,
+    },
+    customerGroup: {
+      type: String,
+      trim: true,
+      default: null,
+    },
+    validFrom: {
+      type: Date,
+      required: [true, 'Valid from date is required'], // Start of the day (UTC)
+    },
+    validTo: {
+      type: Date,
+      default: null, // End of the day (UTC); null means open-ended
+    },
+    items: {
+      type: [rateCardItemSchema],
+      validate: {
+        validator: items => items.length > 0,
+        message: 'A rate card needs at least one material rate',
+      },
+    },
+    notes: {
+      type: String,
+      trim: true,
+      maxlength: [500, 'Notes cannot exceed 500 characters'],
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+  },
+  {
+    timestamps: true,
+  },
+);
+
+rateCardSchema.index({ organization: 1, customer: 1, validFrom: -1 });
+rateCardSchema.index({ organization: 1, customerGroup: 1, validFrom: -1 });
+
+// A card is for exactly one customer or one customer group
+rateCardSchema.pre('validate', function (next) {
+  if (Boolean(this.customer) === Boolean(this.customerGroup)) {
+    this.invalidate(
+      'customer',
+      'A rate card must be for either a customer or a customer group',
+    );
+  }
+  if (this.validTo && this.validTo < this.validFrom) {
+    this.invalidate('validTo', 'Valid to date cannot be before valid from');
+  }
+  next();
+});
+
+module.exports = mongoose.model('RateCard', rateCardSchema);
@@ -0,0 +1,67 @@
+const mongoose = require('mongoose');
+
+const supplierSchema = new mongoose.Schema(
+  {
+    organization: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Organization',
+      required: [true, 'Supplier must belong to an organization'],
+    },
+    name: {
+      type: String,
+      required: [true, 'Supplier name is required'],
+      trim: true,
+      maxlength: [100, 'Supplier name cannot exceed 100 characters'],
+    },
+    phone: {
+      type: String,
+      trim: true,
+      match: [/^[0-9]{10}$/, 'Please provide a valid 10-digit phone number'],
+    },
+    quarryLocation: {
+      type: String,
+      trim: true,
+      maxlength: [200, 'Quarry location cannot exceed 200 characters'],
+    },
+    address: {
+      type: String,
+      trim: true,
+      maxlength: [300, 'Address cannot exceed 300 characters'],
+    },
+    gstin: {
+      type: String,
+      trim: true,
+      uppercase: true,
+      match: [
+        /^[0-9]{2}[A-Z]{5}[0-9]{4}[A-Z][1-9A-Z]Z[0-9A-Z]$/,
+        'Please provide a valid GSTIN',
+      ],
+    },
+    openingBalance: {
+      type: Number,
+      default: 0, // Amount already owed to the supplier before using CrusherMate
+    },
+    notes: {
+      type: String,
+      trim: true,
+      maxlength: [500, 'Notes cannot exceed 500 characters'],
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+  },
+  {
+    timestamps: true,
+  },
+);
+
+// One supplier name per organization
+supplierSchema.index({ organization: 1, name: 1 }, { unique: true });
+supplierSchema.index({ organization: 1, isActive: 1 });
+
+module.exports = mongoose.model('Supplier', supplierSchema);
@@ -1,5 +1,140 @@
 const mongoose = require('mongoose');
 const mongoosePaginate = require('mongoose-paginate-v2');
+const { normalizeTruckNumber } = require('../utils/vehicles');
+const { TRIP_STATUSES } = require('../utils/tripLifecycle');
+const { RATE_SOURCES } = require('../utils/rates');
+const {
+  CHARGE_KINDS,
+  CHARGE_CALCULATIONS,
+  priceEntry,
+} = require('../utils/charges');
+const { FREIGHT_BASES } = require('../utils/freight');
+const {
+  APPROVAL_STATUSES,
+  REPORTABLE_ENTRY_MATCH,
+} = require('../utils/entryApproval');
+
+const tripEventSchema = new mongoose.Schema(
+  {
+    status: {
+      type: String,
+      enum: TRIP_STATUSES,
+      required: true,
+    },
+    at: {
+      type: Date,
+      default: Date.now,
+    },
+    by: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    note: {
+      type: String,
+      trim: true,
+      maxlength: [200, 'Note cannot exceed 200 characters'],
+    },
+  },
+  { _id: false },
+);
+
+// A charge or discount on the entry, copied from the organization's charge
+// type when it was added
+const entryChargeSchema = new mongoose.Schema({
+  chargeType: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ChargeType',
+  },
+  name: {
+    type: String,
+    required: [true, 'Charge name is required'],
+    trim: true,
+  },
+  kind: {
+    type: String,
+    enum: CHARGE_KINDS,
+    default: 'charge',
+  },
+  calculation: {
+    type: String,
+    enum: CHARGE_CALCULATIONS,
+    default: 'fixed',
+  },
+  value: {
+    type: Number,
+    required: [true, 'Charge value is required'], // Amount, per-unit rate or percentage
+  },
+  hsnCode: {
+    type: String,
+    default: null, // HSN/SAC code the charge is invoiced under
+  },
+  amount: {
+    type: Number,
+    default: 0, // Signed effect on the total, calculated in pre-save middleware
+  },
+});
+
+// Where a sales load is delivered
+const deliverySchema = new mongoose.Schema(
+  {
+    address: {
+      type: String,
+      trim: true,
+      maxlength: [200, 'Address cannot exceed 200 characters'],
+    },
+    village: {
+      type: String,
+      trim: true,
+      maxlength: [100, 'Village cannot exceed 100 characters'],
+    },
+    distanceKm: {
+      type: Number,
+      default: null,
+      min: [0, 'Distance cannot be negative'],
+    },
+    transporter: {
+      type: String,
+      trim: true,
+      maxlength: [100, 'Transporter cannot exceed 100 characters'], // Owner of the truck that delivers
+    },
+  },
+  { _id: false },
+);
+
+// Freight for the delivery, copied from the freight rule that priced it or
+// agreed on the spot
+const freightSchema = new mongoose.Schema(
+  {
+    rule: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'FreightRule',
+      default: null,
+    },
+    basis: {
+      type: String,
+      enum: FREIGHT_BASES,
+      required: [true, 'Freight basis is required'],
+    },
+    rate: {
+      type: Number,
+      required: [true, 'Freight rate is required'],
+      min: [0, 'Freight rate cannot be negative'],
+    },
+    minimumCharge: {
+      type: Number,
+      default: 0,
+    },
+    amount: {
+      type: Number,
+      default: 0, // Calculated in pre-save middleware
+    },
+    billToCustomer: {
+      type: Boolean,
+      default: true, // False when the customer pays the transporter directly
+    },
+  },
+  { _id: false },
+);
 
 const truckEntrySchema = new mongoose.Schema(
   {
@@ -18,17 +153,28 @@ const truckEntrySchema = new mongoose.Schema(
       required: [true, 'Truck number is required'],
       trim: true,
       uppercase: true,
+      set: normalizeTruckNumber, // Drop spaces and hyphens
       match: [
         /^[A-Z]{2}[0-9]{2}[A-Z]{1,2}[0-9]{4}$/,
         'Please enter a valid truck number format (e.g., KA01AB1234)',
       ],
     },
+    vehicle: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Vehicle',
+      default: null, // Linked from the vehicle registry by truck number
+    },
     truckName: {
       type: String,
       required: [true, 'Truck driver name is required'],
       trim: true,
       maxlength: [50, 'Truck driver name cannot exceed 50 characters'],
     },
+    driver: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Driver',
+      default: null, // Driver master record; truckName keeps the name as entered
+    },
     entryType: {
       type: String,
       required: [true, 'Entry type is required'],
@@ -37,56 +183,118 @@ const truckEntrySchema = new mongoose.Schema(
     },
     materialType: {
       type: String,
-      enum: [
-        '1 1/2 Metal',
-        '3/4 Jalli',
-        '1/2 Jalli',
-        '1/4 Kuranai',
-        'Dust',
-        'Wetmix',
-        'M sand',
-        'P sand',
-        null,
-      ],
-      required: function () {
-        return this.entryType === 'Sales';
-      },
-      validate: {
-        validator: function (value) {
-          if (this.entryType === 'Sales') {
-            return (
-              value &&
-              [
-                '1 1/2 Metal',
-                '3/4 Jalli',
-                '1/2 Jalli',
-                '1/4 Kuranai',
-                'Dust',
-                'Wetmix',
-                'M sand',
-                'P sand',
-              ].includes(value)
-            );
-          }
-          return true; // Raw Stone entries don't need materialType
+      trim: true, // Name of a material in the organization's catalogue
+      required: [
+        function () {
+          return this.entryType === 'Sales';
         },
-        message: 'Material type is required for Sales entries',
-      },
+        'Material type is required for Sales entries',
+      ], // Raw Stone entries don't need materialType
     },
     units: {
       type: Number,
       required: [true, 'Units is required'],
-      min: [0.1, 'Units must be greater than 0'],
-      max: [100, 'Units cannot exceed 100'],
+      min: [0.1, 'Units must be greater than 0'], // Quantity in `unit`
+    },
+    unit: {
+      type: String,
+      trim: true,
+      lowercase: true,
+      default: 'unit', // Unit of measure code (see utils/units.js)
+    },
+    standardUnits: {
+      type: Number,
+      max: [100, 'Load cannot exceed 100 units'], // Quantity converted to units, used for totals
     },
     ratePerUnit: {
       type: Number,
       required: [true, 'Rate per unit is required'],
       min: [0, 'Rate cannot be negative'],
     },
+    rateSource: {
+      type: String,
+      enum: RATE_SOURCES,
+      default: 'manual', // Entered by hand, from a rate card or the list price
+    },
+    rateCard: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'RateCard',
+      default: null, // Card the rate was taken from
+    },
+    // Weighbridge readings in tonnes; net weight is gross minus tare
+    grossWeight: {
+      type: Number,
+      default: null,
+      min: [0, 'Gross weight cannot be negative'],
+      max: [100, 'Gross weight cannot exceed 100 tonnes'],
+    },
+    tareWeight: {
+      type: Number,
+      default: null,
+      min: [0, 'Tare weight cannot be negative'],
+      validate: {
+        validator: function (value) {
+          if (value == null || this.grossWeight == null) return true;
+          return value < this.grossWeight;
+        },
+        message: 'Tare weight must be less than gross weight',
+      },
+    },
+    netWeight: {
+      type: Number,
+      default: null, // Auto-calculated in pre-save middleware
+    },
+    pricingBasis: {
+      type: String,
+      enum: ['units', 'weight'], // 'weight' bills ratePerUnit per tonne of net weight
+      default: 'units',
+      validate: {
+        validator: function (value) {
+          if (value !== 'weight') return true;
+          return this.grossWeight != null && this.tareWeight != null;
+        },
+        message: 'Gross and tare weight are required for weight-based pricing',
+      },
+    },
+    charges: {
+      type: [entryChargeSchema],
+      validate: {
+        validator: function () {
+          const price = priceEntry(this);
+          return !price || price.totalAmount >= 0;
+        },
+        message: 'Discounts cannot exceed the entry amount',
+      },
+    },
+    delivery: {
+      type: deliverySchema,
+      default: null, // Sales entries only
+    },
+    freight: {
+      type: freightSchema,
+      default: null,
+    },
+    // Transit pass (mining permit) the load was carried on
+    permit: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Permit',
+      default: null,
+    },
+    permitQuantity: {
+      type: Number,
+      default: null, // Quantity drawn from the permit, in the permit's unit
+    },
+    materialAmount: {
+      type: Number,
+      default: null, // Billed quantity times the rate; auto-calculated in pre-save middleware
+    },
+    chargesAmount: {
+      type: Number,
+      default: 0, // Charges less discounts; auto-calculated in pre-save middleware
+    },
     totalAmount: {
       type: Number,
-      required: false, // Auto-calculated in pre-save middleware
+      required: false, // Auto-calculated in pre-save middleware (includes billed freight)
     },
     truckImage: {
       type: String,
@@ -123,11 +331,75 @@ const truckEntrySchema = new mongoose.Schema(
       default: 'active',
       index: true,
     },
+    // Set while the entry is in the trash
+    deletedAt: {
+      type: Date,
+      default: null,
+    },
+    deletedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null,
+    },
+    tripStatus: {
+      type: String,
+      enum: TRIP_STATUSES,
+      default: 'dispatched', // Stage in the gate process (see utils/tripLifecycle.js)
+      index: true,
+    },
+    // One event per stage reached, with when and by whom
+    tripEvents: [tripEventSchema],
+    approvalStatus: {
+      type: String,
+      enum: APPROVAL_STATUSES,
+      default: 'approved', // Pending entries wait for the owner (see utils/entryApproval.js)
+      index: true,
+    },
+    approvedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null,
+    },
+    approvedAt: {
+      type: Date,
+      default: null,
+    },
+    rejectionReason: {
+      type: String,
+      trim: true,
+      maxlength: [300, 'Rejection reason cannot exceed 300 characters'],
+    },
     notes: {
       type: String,
       maxlength: [500, 'Notes cannot exceed 500 characters'],
       trim: true,
     },
+    customer: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Customer',
+      default: null, // Buyer of the load (Sales entries only)
+    },
+    supplier: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Supplier',
+      default: null, // Quarry the stone was bought from (Raw Stone entries only)
+    },
+    paidAmount: {
+      type: Number,
+      default: 0, // Maintained from Payment allocations
+      min: [0, 'Paid amount cannot be negative'],
+    },
+    invoice: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Invoice',
+      default: null, // Set once the entry is billed on a GST invoice
+    },
+    paymentStatus: {
+      type: String,
+      enum: ['unpaid', 'partial', 'paid'],
+      default: 'unpaid',
+      index: true,
+    },
   },
   {
     timestamps: true,
@@ -145,6 +417,11 @@ truckEntrySchema.index({ entryType: 1, entryDate: -1 });
 truckEntrySchema.index({ materialType: 1, entryDate: -1 });
 truckEntrySchema.index({ truckNumber: 1, entryDate: -1 });
 truckEntrySchema.index({ status: 1, entryDate: -1 });
+truckEntrySchema.index({ organization: 1, tripStatus: 1 });
+truckEntrySchema.index({ organization: 1, customer: 1, entryDate: -1 });
+truckEntrySchema.index({ organization: 1, vehicle: 1, entryDate: -1 });
+truckEntrySchema.index({ organization: 1, driver: 1, entryDate: -1 });
+truckEntrySchema.index({ organization: 1, supplier: 1, entryDate: -1 });
 
 // Virtual for formatted entry date
 truckEntrySchema.virtual('formattedDate').get(function () {
@@ -158,15 +435,74 @@ truckEntrySchema.virtual('formattedAmount').get(function () {
   return `₹${this.totalAmount.toLocaleString('en-IN')}`;
 });
 
-// Pre-save middleware to calculate total amount
+// Virtual for amount still to be settled
+truckEntrySchema.virtual('outstandingAmount').get(function () {
+  const outstanding = (this.totalAmount || 0) - (this.paidAmount || 0);
+  return Math.max(Math.round(outstanding * 100) / 100, 0);
+});
+
+// Pre-save middleware to calculate net weight, standard units, the material
+// amount, charges and total amount, and payment status
 truckEntrySchema.pre('save', function (next) {
-  if (this.units && this.ratePerUnit) {
-    // Calculate total amount with proper rounding
-    this.totalAmount = Math.round(this.units * this.ratePerUnit * 100) / 100;
+  if (this.grossWeight != null && this.tareWeight != null) {
+    this.netWeight =
+      Math.round((this.grossWeight - this.tareWeight) * 1000) / 1000;
+  } else {
+    this.netWeight = null;
+  }
+
+  // Entries in other units have standardUnits set by the controller,
+  // which has the organization's conversions
+  if (!this.unit || this.unit === 'unit') {
+    this.standardUnits = this.units;
+  }
+
+  // Total is the material amount plus charges, less discounts
+  const price = priceEntry(this);
+  if (price) {
+    this.materialAmount = price.materialAmount;
+    this.charges.forEach((charge, index) => {
+      charge.amount = price.chargeAmounts[index];
+    });
+    this.chargesAmount = price.chargesAmount;
+    if (this.freight) this.freight.amount = price.freightAmount;
+    this.totalAmount = price.totalAmount;
+  }
+
+  const paid = this.paidAmount || 0;
+  if (paid <= 0) {
+    this.paymentStatus = 'unpaid';
+  } else if (paid < (this.totalAmount || 0)) {
+    this.paymentStatus = 'partial';
+  } else {
+    this.paymentStatus = 'paid';
   }
   next();
 });
 
+// Keep the permit usage counters in step with every save: reserve what the
+// entry now holds on its permit before saving, release what it gave up once
+// saved, and give back the reservation if the save fails
+truckEntrySchema.post('init', function () {
+  this.$locals.heldPermit = require('../utils/permits').getHeldPermit(this);
+});
+
+truckEntrySchema.pre('save', function () {
+  return require('../utils/permits').reserveEntryPermit(this);
+});
+
+truckEntrySchema.post('save', function () {
+  return require('../utils/permits').settleEntryPermit(this);
+});
+
+truckEntrySchema.post('save', function (error, doc, next) {
+  // The save error is the one to report, even if giving back fails
+  require('../utils/permits')
+    .undoEntryPermit(doc)
+    .catch(() => null)
+    .then(() => next(error));
+});
+
 // Static method to get entries by date range
 truckEntrySchema.statics.getEntriesByDateRange = function (
   startDate,
@@ -175,6 +511,7 @@ truckEntrySchema.statics.getEntriesByDateRange = function (
 ) {
   const query = {
     status: 'active',
+    ...REPORTABLE_ENTRY_MATCH,
     entryDate: {
       $gte: new Date(startDate),
       $lte: new Date(endDate),
@@ -195,6 +532,7 @@ truckEntrySchema.statics.getSummaryByDateRange = async function (
 ) {
   const baseMatch = {
     status: 'active',
+    ...REPORTABLE_ENTRY_MATCH,
     entryDate: {
       $gte: new Date(startDate),
       $lte: new Date(endDate),
@@ -208,7 +546,13 @@ truckEntrySchema.statics.getSummaryByDateRange = async function (
       $group: {
         _id: '$entryType',
         totalAmount: { $sum: '$totalAmount' },
-        totalUnits: { $sum: '$units' },
+        // Entries saved before charges existed are all material
+        materialAmount: {
+          $sum: { $ifNull: ['$materialAmount', '$totalAmount'] },
+        },
+        chargesAmount: { $sum: { $ifNull: ['$chargesAmount', 0] } },
+        totalUnits: { $sum: { $ifNull: ['$standardUnits', '$units'] } },
+        totalNetWeight: { $sum: { $ifNull: ['$netWeight', 0] } },
         count: { $sum: 1 },
       },
     },
@@ -247,21 +591,38 @@ truckEntrySchema.statics.getSummaryByDateRange = async function (
   const result = {
     totalSales: 0,
     totalRawStone: 0,
+    salesMaterialAmount: 0,
+    salesChargesAmount: 0,
+    rawStoneMaterialAmount: 0,
+    rawStoneChargesAmount: 0,
     totalOtherExpenses: totalOtherExpenses,
     totalExpenses: 0,
     salesCount: 0,
     rawStoneCount: 0,
     otherExpensesCount: otherExpensesCount,
     totalEntries: 0,
+    salesUnits: 0,
+    rawStoneUnits: 0,
+    salesTonnage: 0,
+    rawStoneTonnage: 0,
   };
 
+  const roundTonnes = value => Math.round(value * 1000) / 1000;
   summary.forEach(item => {
     if (item._id === 'Sales') {
       result.totalSales = item.totalAmount;
+      result.salesMaterialAmount = item.materialAmount;
+      result.salesChargesAmount = item.chargesAmount;
       result.salesCount = item.count;
+      result.salesUnits = item.totalUnits;
+      result.salesTonnage = roundTonnes(item.totalNetWeight);
     } else if (item._id === 'Raw Stone') {
       result.totalRawStone = item.totalAmount;
+      result.rawStoneMaterialAmount = item.materialAmount;
+      result.rawStoneChargesAmount = item.chargesAmount;
       result.rawStoneCount = item.count;
+      result.rawStoneUnits = item.totalUnits;
+      result.rawStoneTonnage = roundTonnes(item.totalNetWeight);
     }
   });
 
@@ -325,6 +686,32 @@ truckEntrySchema.statics.getSummaryByDateRange = async function (
   return result;
 };
 
+// Static method to get billed totals grouped by a party field ('customer' or
+// 'supplier'). Returns one row per party: { _id, billed, count }. Money
+// received comes from the party's payments (Payment.getPartyReceipts).
+truckEntrySchema.statics.getPartyBalances = function (
+  partyField,
+  filters = {},
+) {
+  return this.aggregate([
+    {
+      $match: {
+        status: 'active',
+        ...REPORTABLE_ENTRY_MATCH,
+        [partyField]: { $ne: null },
+        ...filters,
+      },
+    },
+    {
+      $group: {
+        _id: `$${partyField}`,
+        billed: { $sum: '$totalAmount' },
+        count: { $sum: 1 },
+      },
+    },
+  ]);
+};
+
 // Static method to get entries by truck number
 truckEntrySchema.statics.getEntriesByTruckNumber = function (truckNumber) {
   return this.find({
@@ -335,9 +722,11 @@ truckEntrySchema.statics.getEntriesByTruckNumber = function (truckNumber) {
     .sort({ entryDate: -1 });
 };
 
-// Instance method to soft delete
-truckEntrySchema.methods.softDelete = function () {
+// Instance method to soft delete (moves the entry to the trash)
+truckEntrySchema.methods.softDelete = function (userId) {
   this.status = 'deleted';
+  this.deletedAt = new Date();
+  this.deletedBy = userId || null;
   return this.save();
 };
 
@@ -0,0 +1,55 @@
+const mongoose = require('mongoose');
+
+// Organization-defined units of measure. The built-in units (unit, brass,
+// cft, cum, tonne) live in utils/units.js and are not stored here.
+const unitOfMeasureSchema = new mongoose.Schema(
+  {
+    organization: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Organization',
+      required: [true, 'Unit must belong to an organization'],
+    },
+    code: {
+      type: String,
+      required: [true, 'Unit code is required'],
+      trim: true,
+      lowercase: true,
+      match: [
+        /^[a-z][a-z0-9_-]{0,14}$/,
+        'Unit code must start with a letter and be at most 15 characters',
+      ],
+    },
+    name: {
+      type: String,
+      required: [true, 'Unit name is required'],
+      trim: true,
+      maxlength: [50, 'Unit name cannot exceed 50 characters'],
+    },
+    dimension: {
+      type: String,
+      required: [true, 'Unit dimension is required'],
+      enum: ['volume', 'weight'],
+    },
+    factor: {
+      type: Number,
+      required: [true, 'Conversion factor is required'],
+      min: [0.000001, 'Conversion factor must be greater than 0'], // Cubic feet (volume) or tonnes (weight) in one unit
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+  },
+  {
+    timestamps: true,
+  },
+);
+
+// One unit code per organization
+unitOfMeasureSchema.index({ organization: 1, code: 1 }, { unique: true });
+
+module.exports = mongoose.model('UnitOfMeasure', unitOfMeasureSchema);
@@ -0,0 +1,72 @@
+const mongoose = require('mongoose');
+
+const vehicleSchema = new mongoose.Schema(
+  {
+    organization: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Organization',
+      required: [true, 'Vehicle must belong to an organization'],
+    },
+    registrationNumber: {
+      type: String,
+      required: [true, 'Registration number is required'],
+      trim: true,
+      uppercase: true, // Stored without spaces or hyphens (see utils/vehicles.js)
+      match: [
+        /^[A-Z]{2}[0-9]{2}[A-Z]{1,2}[0-9]{4}$/,
+        'Please enter a valid registration number (e.g., KA01AB1234)',
+      ],
+    },
+    ownerName: {
+      type: String,
+      trim: true,
+      maxlength: [100, 'Owner name cannot exceed 100 characters'], // Owner or transporter
+    },
+    ownerPhone: {
+      type: String,
+      trim: true,
+      match: [/^[0-9]{10}$/, 'Please provide a valid 10-digit phone number'],
+    },
+    capacity: {
+      type: Number,
+      default: null, // Body capacity in standard units
+      min: [0.1, 'Capacity must be greater than 0'],
+      max: [100, 'Capacity cannot exceed 100 units'],
+    },
+    defaultDriver: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Driver',
+      default: null,
+    },
+    defaultDriverName: {
+      type: String,
+      trim: true,
+      maxlength: [50, 'Driver name cannot exceed 50 characters'],
+    },
+    notes: {
+      type: String,
+      trim: true,
+      maxlength: [500, 'Notes cannot exceed 500 characters'],
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+  },
+  {
+    timestamps: true,
+  },
+);
+
+// One registration per organization
+vehicleSchema.index(
+  { organization: 1, registrationNumber: 1 },
+  { unique: true },
+);
+vehicleSchema.index({ organization: 1, isActive: 1 });
+
+module.exports = mongoose.model('Vehicle', vehicleSchema);
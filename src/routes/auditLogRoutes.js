@@ -0,0 +1,15 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getAuditLogs,
+  getDocumentHistory,
+} = require('../controllers/auditLogController');
+const { requireOwnerRole } = require('../middleware/auth');
+
+// All routes are protected by auth middleware (applied in server.js)
+router.use(requireOwnerRole);
+
+router.get('/', getAuditLogs);
+router.get('/:model/:documentId', getDocumentHistory);
+
+module.exports = router;
@@ -0,0 +1,30 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getChargeTypes,
+  createChargeType,
+  updateChargeType,
+  deleteChargeType,
+  createChargeTypeValidation,
+  updateChargeTypeValidation,
+} = require('../controllers/chargeTypeController');
+const { requireOwnerRole } = require('../middleware/auth');
+
+// All routes are protected by auth middleware (applied in server.js)
+
+router.get('/', getChargeTypes);
+router.post(
+  '/',
+  requireOwnerRole,
+  createChargeTypeValidation,
+  createChargeType,
+);
+router.put(
+  '/:id',
+  requireOwnerRole,
+  updateChargeTypeValidation,
+  updateChargeType,
+);
+router.delete('/:id', requireOwnerRole, deleteChargeType);
+
+module.exports = router;
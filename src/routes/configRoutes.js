@@ -5,6 +5,7 @@ const {
   calculateTotal,
   getCurrentRates,
   validateTruckEntry,
+  calculateTotalValidation,
 } = require('../controllers/configController');
 
 // All routes are protected by auth middleware (applied in server.js)
@@ -12,7 +13,7 @@ const {
 // Configuration routes
 router.get('/app', getAppConfig);
 router.get('/rates', getCurrentRates);
-router.post('/calculate', calculateTotal);
+router.post('/calculate', calculateTotalValidation, calculateTotal);
 router.post('/validate', validateTruckEntry);
 
 module.exports = router;
@@ -0,0 +1,13 @@
+const express = require('express');
+const router = express.Router();
+const {
+  purgeExpiredTrashScheduled,
+} = require('../controllers/trashController');
+const { authenticateCron } = require('../middleware/auth');
+
+// Scheduled jobs; each call carries the CRON_SECRET bearer token
+router.use(authenticateCron);
+
+router.get('/purge-trash', purgeExpiredTrashScheduled);
+
+module.exports = router;
@@ -0,0 +1,31 @@
+const express = require('express');
+const router = express.Router();
+const {
+  createCustomer,
+  getCustomers,
+  getCustomer,
+  updateCustomer,
+  deleteCustomer,
+  getReceivablesLedger,
+  getCustomerLedger,
+  createCustomerValidation,
+  updateCustomerValidation,
+} = require('../controllers/customerController');
+const { requireOwnerRole } = require('../middleware/auth');
+
+// All routes are protected by auth middleware (applied in server.js)
+
+// Receivables ledger (before :id route)
+router.get('/ledger', requireOwnerRole, getReceivablesLedger);
+
+// CRUD operations
+router.post('/', createCustomerValidation, createCustomer);
+router.get('/', getCustomers);
+router.get('/:id', getCustomer);
+router.put('/:id', updateCustomerValidation, updateCustomer);
+router.delete('/:id', requireOwnerRole, deleteCustomer);
+
+// Ledger statement for a single customer
+router.get('/:id/ledger', requireOwnerRole, getCustomerLedger);
+
+module.exports = router;
@@ -0,0 +1,23 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getDayBook,
+  getDayBookHistory,
+  closeDay,
+  reopenDay,
+  downloadDayBookPdf,
+  closeDayValidation,
+} = require('../controllers/dayBookController');
+const { requireOwnerRole } = require('../middleware/auth');
+
+// All routes are protected by auth middleware (applied in server.js)
+
+router.get('/', getDayBook);
+router.get('/history', getDayBookHistory);
+router.get('/pdf', downloadDayBookPdf);
+router.post('/close', closeDayValidation, closeDay);
+
+// Owner-only routes
+router.delete('/:date', requireOwnerRole, reopenDay);
+
+module.exports = router;
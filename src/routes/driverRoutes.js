@@ -0,0 +1,27 @@
+const express = require('express');
+const router = express.Router();
+const {
+  createDriver,
+  getDrivers,
+  getDriver,
+  updateDriver,
+  deleteDriver,
+  getDriverTrips,
+  createDriverValidation,
+  updateDriverValidation,
+} = require('../controllers/driverController');
+const { requireOwnerRole } = require('../middleware/auth');
+
+// All routes are protected by auth middleware (applied in server.js)
+
+// CRUD operations
+router.post('/', createDriverValidation, createDriver);
+router.get('/', getDrivers);
+router.get('/:id', getDriver);
+router.put('/:id', updateDriverValidation, updateDriver);
+router.delete('/:id', requireOwnerRole, deleteDriver);
+
+// Trip history for a single driver
+router.get('/:id/trips', getDriverTrips);
+
+module.exports = router;
@@ -0,0 +1,33 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getFreightRules,
+  quoteFreight,
+  createFreightRule,
+  updateFreightRule,
+  deleteFreightRule,
+  createFreightRuleValidation,
+  updateFreightRuleValidation,
+  quoteFreightValidation,
+} = require('../controllers/freightRuleController');
+const { requireOwnerRole } = require('../middleware/auth');
+
+// All routes are protected by auth middleware (applied in server.js)
+
+router.get('/', getFreightRules);
+router.get('/quote', quoteFreightValidation, quoteFreight);
+router.post(
+  '/',
+  requireOwnerRole,
+  createFreightRuleValidation,
+  createFreightRule,
+);
+router.put(
+  '/:id',
+  requireOwnerRole,
+  updateFreightRuleValidation,
+  updateFreightRule,
+);
+router.delete('/:id', requireOwnerRole, deleteFreightRule);
+
+module.exports = router;
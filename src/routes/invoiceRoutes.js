@@ -0,0 +1,23 @@
+const express = require('express');
+const router = express.Router();
+const {
+  createInvoice,
+  getInvoices,
+  getInvoice,
+  downloadInvoicePdf,
+  cancelInvoice,
+  createInvoiceValidation,
+} = require('../controllers/invoiceController');
+const { requireOwnerRole } = require('../middleware/auth');
+
+// All routes are protected by auth middleware (applied in server.js)
+
+router.post('/', createInvoiceValidation, createInvoice);
+router.get('/', getInvoices);
+router.get('/:id', getInvoice);
+router.get('/:id/pdf', downloadInvoicePdf);
+
+// Owner-only routes
+router.post('/:id/cancel', requireOwnerRole, cancelInvoice);
+
+module.exports = router;
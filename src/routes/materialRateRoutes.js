@@ -3,6 +3,10 @@ const router = express.Router();
 const {
   getMaterialRates,
   updateRate,
+  cancelScheduledRate,
+  getRatesAsOf,
+  getRateHistory,
+  repriceEntries,
 } = require('../controllers/materialRateController');
 const { requireOwnerRole } = require('../middleware/auth');
 
@@ -10,8 +14,18 @@ const { requireOwnerRole } = require('../middleware/auth');
 
 // Public rates routes (accessible by all authenticated users)
 router.get('/', getMaterialRates);
+router.get('/as-of', getRatesAsOf);
+router.get('/history', getRateHistory);
+// Encode names with a slash, e.g. /history/1%2F2%20Jalli
+router.get('/history/:materialType', getRateHistory);
 
 // Owner-only routes
 router.post('/', requireOwnerRole, updateRate);
+router.post('/reprice', requireOwnerRole, repriceEntries);
+router.delete(
+  '/:id/scheduled/:changeId',
+  requireOwnerRole,
+  cancelScheduledRate,
+);
 
 module.exports = router;
@@ -0,0 +1,20 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getMaterials,
+  createMaterial,
+  updateMaterial,
+  deleteMaterial,
+  createMaterialValidation,
+  updateMaterialValidation,
+} = require('../controllers/materialController');
+const { requireOwnerRole } = require('../middleware/auth');
+
+// All routes are protected by auth middleware (applied in server.js)
+
+router.get('/', getMaterials);
+router.post('/', requireOwnerRole, createMaterialValidation, createMaterial);
+router.put('/:id', requireOwnerRole, updateMaterialValidation, updateMaterial);
+router.delete('/:id', requireOwnerRole, deleteMaterial);
+
+module.exports = router;
@@ -1,8 +1,22 @@
 const express = require('express');
 const router = express.Router();
 const organizationController = require('../controllers/organizationController');
+const { authenticateToken, requireOwnerRole } = require('../middleware/auth');
 
 router.get('/', organizationController.getAllOrganizations);
 router.post('/', organizationController.createOrganization);
 
+// Organization profile of the logged-in user
+router.get(
+  '/profile',
+  authenticateToken,
+  organizationController.getOrganizationProfile,
+);
+router.put(
+  '/profile',
+  authenticateToken,
+  requireOwnerRole,
+  organizationController.updateOrganizationProfile,
+);
+
 module.exports = router;
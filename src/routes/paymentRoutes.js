@@ -0,0 +1,28 @@
+const express = require('express');
+const router = express.Router();
+const {
+  createPayment,
+  getPayments,
+  getPayment,
+  allocatePaymentToEntries,
+  deletePayment,
+  createPaymentValidation,
+  allocatePaymentValidation,
+} = require('../controllers/paymentController');
+const { requireOwnerRole } = require('../middleware/auth');
+
+// All routes are protected by auth middleware (applied in server.js)
+
+router.post('/', createPaymentValidation, createPayment);
+router.get('/', getPayments);
+router.get('/:id', getPayment);
+router.post(
+  '/:id/allocate',
+  allocatePaymentValidation,
+  allocatePaymentToEntries,
+);
+
+// Owner-only routes
+router.delete('/:id', requireOwnerRole, deletePayment);
+
+module.exports = router;
@@ -0,0 +1,19 @@
+const express = require('express');
+const router = express.Router();
+const {
+  closePeriod,
+  getPeriodLocks,
+  reopenPeriod,
+  closePeriodValidation,
+} = require('../controllers/periodLockController');
+const { requireOwnerRole } = require('../middleware/auth');
+
+// All routes are protected by auth middleware (applied in server.js)
+
+router.get('/', getPeriodLocks);
+
+// Owner-only routes
+router.post('/', requireOwnerRole, closePeriodValidation, closePeriod);
+router.post('/:id/reopen', requireOwnerRole, reopenPeriod);
+
+module.exports = router;
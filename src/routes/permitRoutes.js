@@ -0,0 +1,28 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getPermits,
+  getPermitAlerts,
+  getPermitReport,
+  getPermit,
+  createPermit,
+  updatePermit,
+  deletePermit,
+  createPermitValidation,
+  updatePermitValidation,
+  getPermitsValidation,
+  permitReportValidation,
+} = require('../controllers/permitController');
+const { requireOwnerRole } = require('../middleware/auth');
+
+// All routes are protected by auth middleware (applied in server.js)
+
+router.get('/', getPermitsValidation, getPermits);
+router.get('/alerts', getPermitAlerts);
+router.get('/report', permitReportValidation, getPermitReport);
+router.get('/:id', getPermit);
+router.post('/', requireOwnerRole, createPermitValidation, createPermit);
+router.put('/:id', requireOwnerRole, updatePermitValidation, updatePermit);
+router.delete('/:id', requireOwnerRole, deletePermit);
+
+module.exports = router;
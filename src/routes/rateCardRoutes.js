@@ -0,0 +1,27 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getRateCards,
+  getRateCard,
+  resolveRateForEntry,
+  createRateCard,
+  updateRateCard,
+  deleteRateCard,
+  createRateCardValidation,
+  updateRateCardValidation,
+} = require('../controllers/rateCardController');
+const { requireOwnerRole } = require('../middleware/auth');
+
+// All routes are protected by auth middleware (applied in server.js)
+
+// Rate lookup (before :id route)
+router.get('/resolve', resolveRateForEntry);
+
+// CRUD operations
+router.get('/', getRateCards);
+router.get('/:id', getRateCard);
+router.post('/', requireOwnerRole, createRateCardValidation, createRateCard);
+router.put('/:id', requireOwnerRole, updateRateCardValidation, updateRateCard);
+router.delete('/:id', requireOwnerRole, deleteRateCard);
+
+module.exports = router;
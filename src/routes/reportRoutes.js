@@ -2,6 +2,7 @@ const express = require('express');
 const router = express.Router();
 const {
   getReportData,
+  getFreightReport,
   generateExportData,
   getReportTemplates,
   generateBrowserDownload,
@@ -13,6 +14,7 @@ const { authenticateToken } = require('../middleware/auth');
 // Apply auth middleware individually to secure routes
 router.get('/templates', authenticateToken, getReportTemplates);
 router.get('/data', authenticateToken, getReportData);
+router.get('/freight', authenticateToken, getFreightReport);
 router.post('/export', authenticateToken, generateExportData); // Add auth for PDF download
 router.get('/export', authenticateToken, generateExportData); // Add auth for GET route
 
@@ -0,0 +1,31 @@
+const express = require('express');
+const router = express.Router();
+const {
+  createSupplier,
+  getSuppliers,
+  getSupplier,
+  updateSupplier,
+  deleteSupplier,
+  getPayablesLedger,
+  getSupplierLedger,
+  createSupplierValidation,
+  updateSupplierValidation,
+} = require('../controllers/supplierController');
+const { requireOwnerRole } = require('../middleware/auth');
+
+// All routes are protected by auth middleware (applied in server.js)
+
+// Payables ledger (before :id route)
+router.get('/ledger', requireOwnerRole, getPayablesLedger);
+
+// CRUD operations
+router.post('/', createSupplierValidation, createSupplier);
+router.get('/', getSuppliers);
+router.get('/:id', getSupplier);
+router.put('/:id', updateSupplierValidation, updateSupplier);
+router.delete('/:id', requireOwnerRole, deleteSupplier);
+
+// Ledger statement for a single supplier
+router.get('/:id/ledger', requireOwnerRole, getSupplierLedger);
+
+module.exports = router;
@@ -0,0 +1,19 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getTrash,
+  restoreTrashItem,
+  purgeTrashItem,
+  purgeExpiredTrashItems,
+} = require('../controllers/trashController');
+const { requireOwnerRole } = require('../middleware/auth');
+
+// All routes are protected by auth middleware (applied in server.js)
+router.use(requireOwnerRole);
+
+router.get('/', getTrash);
+router.post('/purge-expired', purgeExpiredTrashItems);
+router.post('/:type/:id/restore', restoreTrashItem);
+router.delete('/:type/:id', purgeTrashItem);
+
+module.exports = router;
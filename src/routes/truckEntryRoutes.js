@@ -2,21 +2,44 @@ const express = require('express');
 const router = express.Router();
 const {
   createTruckEntry,
+  importTruckEntries,
   getAllTruckEntries,
   getTruckEntry,
+  downloadTruckEntryChallan,
   updateTruckEntry,
+  transitionTruckEntry,
+  getApprovalQueue,
+  approveTruckEntry,
+  rejectTruckEntry,
   deleteTruckEntry,
+  bulkUpdateTruckEntries,
+  bulkDeleteTruckEntries,
   getTruckEntriesSummary,
   createTruckEntryValidation,
   updateTruckEntryValidation,
 } = require('../controllers/truckEntryController');
 const { handleImageUpload } = require('../middleware/uploadImage');
+const { requireOwnerRole } = require('../middleware/auth');
 
 // All routes are protected by auth middleware (applied in server.js)
 
 // Get summary first (before :id route)
 router.get('/summary', getTruckEntriesSummary);
 
+// Owner approval queue (before :id route)
+router.get('/approvals', requireOwnerRole, getApprovalQueue);
+
+// Bulk import from CSV (raw text/csv body or JSON { csv })
+router.post(
+  '/import',
+  express.text({ type: ['text/csv', 'text/plain'], limit: '2mb' }),
+  importTruckEntries,
+);
+
+// Bulk changes by ID list or filter, reported per entry
+router.post('/bulk-update', bulkUpdateTruckEntries);
+router.post('/bulk-delete', bulkDeleteTruckEntries);
+
 // CRUD operations
 router.post(
   '/',
@@ -26,6 +49,7 @@ router.post(
 );
 router.get('/', getAllTruckEntries);
 router.get('/:id', getTruckEntry);
+router.get('/:id/challan', downloadTruckEntryChallan);
 router.put(
   '/:id',
   handleImageUpload, // Handle multipart form data first
@@ -34,4 +58,11 @@ router.put(
 );
 router.delete('/:id', deleteTruckEntry);
 
+// Trip lifecycle (arrived -> loading -> weighed -> dispatched -> delivered)
+router.post('/:id/transition', transitionTruckEntry);
+
+// Owner approval of entries made by users
+router.post('/:id/approve', requireOwnerRole, approveTruckEntry);
+router.post('/:id/reject', requireOwnerRole, rejectTruckEntry);
+
 module.exports = router;
@@ -0,0 +1,35 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getUnits,
+  createUnit,
+  updateUnit,
+  deleteUnit,
+  getConversions,
+  upsertConversion,
+  convert,
+  createUnitValidation,
+  updateUnitValidation,
+  conversionValidation,
+} = require('../controllers/unitController');
+const { requireOwnerRole } = require('../middleware/auth');
+
+// All routes are protected by auth middleware (applied in server.js)
+
+// Conversions (before :id route)
+router.get('/convert', convert);
+router.get('/conversions', getConversions);
+router.put(
+  '/conversions/:materialType',
+  requireOwnerRole,
+  conversionValidation,
+  upsertConversion,
+);
+
+// CRUD operations
+router.get('/', getUnits);
+router.post('/', requireOwnerRole, createUnitValidation, createUnit);
+router.put('/:id', requireOwnerRole, updateUnitValidation, updateUnit);
+router.delete('/:id', requireOwnerRole, deleteUnit);
+
+module.exports = router;
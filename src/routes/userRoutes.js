@@ -4,6 +4,7 @@ const User = require('../models/User');
 const { asyncHandler, AppError } = require('../middleware/errorHandler');
 const { body, validationResult } = require('express-validator');
 const { requireOwnerRole } = require('../middleware/auth');
+const { auditSnapshot, recordAudit } = require('../utils/audit');
 
 // Validation rules
 const updateProfileValidation = [
@@ -71,11 +72,19 @@ const updateProfile = asyncHandler(async (req, res) => {
     }
   }
 
+  const before = auditSnapshot(user);
+
   // Update fields
   if (username) user.username = username;
   if (mobileNumber) user.mobileNumber = mobileNumber;
 
   await user.save();
+  await recordAudit(req, {
+    model: 'User',
+    action: 'update',
+    document: user,
+    before,
+  });
 
   res.json({
     success: true,
@@ -178,8 +187,15 @@ const updateUserStatus = asyncHandler(async (req, res) => {
     );
   }
 
+  const before = auditSnapshot(user);
   user.isActive = isActive;
   await user.save();
+  await recordAudit(req, {
+    model: 'User',
+    action: 'update',
+    document: user,
+    before,
+  });
 
   res.json({
     success: true,
@@ -217,6 +233,12 @@ const deleteUser = asyncHandler(async (req, res) => {
   }
 
   await User.findByIdAndDelete(id);
+  await recordAudit(req, {
+    model: 'User',
+    action: 'purge',
+    document: user,
+    before: auditSnapshot(user),
+  });
 
   res.json({
     success: true,
@@ -0,0 +1,27 @@
+const express = require('express');
+const router = express.Router();
+const {
+  createVehicle,
+  getVehicles,
+  lookupVehicles,
+  getVehicle,
+  updateVehicle,
+  deleteVehicle,
+  createVehicleValidation,
+  updateVehicleValidation,
+} = require('../controllers/vehicleController');
+const { requireOwnerRole } = require('../middleware/auth');
+
+// All routes are protected by auth middleware (applied in server.js)
+
+// Autocomplete (before :id route)
+router.get('/lookup', lookupVehicles);
+
+// CRUD operations
+router.post('/', createVehicleValidation, createVehicle);
+router.get('/', getVehicles);
+router.get('/:id', getVehicle);
+router.put('/:id', updateVehicleValidation, updateVehicle);
+router.delete('/:id', requireOwnerRole, deleteVehicle);
+
+module.exports = router;
@@ -13,6 +13,8 @@ process.env.TZ = 'Asia/Kolkata';
 const connectDB = require('./config/database');
 const { errorHandler } = require('./middleware/errorHandler');
 const { authenticateToken } = require('./middleware/auth');
+const { DEFAULT_GST_RATE } = require('./utils/gst');
+const { DEFAULT_MATERIALS } = require('./utils/materials');
 
 // Import routes
 const authRoutes = require('./routes/authRoutes');
@@ -25,6 +27,23 @@ const configRoutes = require('./routes/configRoutes');
 const reportRoutes = require('./routes/reportRoutes');
 const downloadRoutes = require('./routes/downloadRoutes');
 const otherExpenseRoutes = require('./routes/expenses');
+const customerRoutes = require('./routes/customerRoutes');
+const supplierRoutes = require('./routes/supplierRoutes');
+const paymentRoutes = require('./routes/paymentRoutes');
+const invoiceRoutes = require('./routes/invoiceRoutes');
+const unitRoutes = require('./routes/unitRoutes');
+const vehicleRoutes = require('./routes/vehicleRoutes');
+const driverRoutes = require('./routes/driverRoutes');
+const trashRoutes = require('./routes/trashRoutes');
+const auditLogRoutes = require('./routes/auditLogRoutes');
+const periodLockRoutes = require('./routes/periodLockRoutes');
+const dayBookRoutes = require('./routes/dayBookRoutes');
+const materialRoutes = require('./routes/materialRoutes');
+const rateCardRoutes = require('./routes/rateCardRoutes');
+const chargeTypeRoutes = require('./routes/chargeTypeRoutes');
+const freightRuleRoutes = require('./routes/freightRuleRoutes');
+const permitRoutes = require('./routes/permitRoutes');
+const cronRoutes = require('./routes/cronRoutes');
 
 const app = express();
 
@@ -129,33 +148,35 @@ app.use('/api/material-rates', authenticateToken, materialRateRoutes);
 app.use('/api/expenses', otherExpenseRoutes);
 app.use('/api/organizations', organizationRoutes);
 app.use('/api/dashboard', authenticateToken, dashboardRoutes);
-// Public app config endpoint (no auth required)
-app.get('/api/config/app', async (req, res) => {
+app.use('/api/customers', authenticateToken, customerRoutes);
+app.use('/api/suppliers', authenticateToken, supplierRoutes);
+app.use('/api/payments', authenticateToken, paymentRoutes);
+app.use('/api/invoices', authenticateToken, invoiceRoutes);
+app.use('/api/units', authenticateToken, unitRoutes);
+app.use('/api/vehicles', authenticateToken, vehicleRoutes);
+app.use('/api/drivers', authenticateToken, driverRoutes);
+app.use('/api/trash', authenticateToken, trashRoutes);
+app.use('/api/audit-logs', authenticateToken, auditLogRoutes);
+app.use('/api/period-locks', authenticateToken, periodLockRoutes);
+app.use('/api/day-book', authenticateToken, dayBookRoutes);
+app.use('/api/materials', authenticateToken, materialRoutes);
+app.use('/api/rate-cards', authenticateToken, rateCardRoutes);
+app.use('/api/charge-types', authenticateToken, chargeTypeRoutes);
+app.use('/api/freight-rules', authenticateToken, freightRuleRoutes);
+app.use('/api/permits', authenticateToken, permitRoutes);
+app.use('/api/cron', cronRoutes);
+// Public app config endpoint (no auth required). Signed-in requests get the
+// organization's own materials and rates from /api/config instead.
+app.get('/api/config/app', async (req, res, next) => {
+  if (req.headers.authorization) return next();
   try {
-    // Get material rates from database
-    const MaterialRate = require('./models/MaterialRate');
-    const dbRates = await MaterialRate.find({});
-
-    // Convert database rates to expected format
-    const defaultRates = {};
-    dbRates.forEach(rate => {
-      defaultRates[rate.materialType] = { currentRate: rate.currentRate };
-    });
-
-    const materialTypes = [
-      '1 1/2 Metal',
-      '3/4 Jalli',
-      '1/2 Jalli',
-      '1/4 Kuranai',
-      'Dust',
-      'Wetmix',
-      'M sand',
-      'P sand',
-    ];
-
-    const formattedMaterialTypes = materialTypes.map(materialType => ({
-      value: materialType,
-      label: materialType,
+    // Without a signed-in organization, offer the default catalogue
+    const formattedMaterialTypes = DEFAULT_MATERIALS.map(material => ({
+      value: material.name,
+      label: material.name,
+      code: material.code,
+      hsnCode: material.hsnCode,
+      unit: material.unit,
     }));
 
     const entryTypes = [
@@ -181,7 +202,7 @@ app.get('/api/config/app', async (req, res) => {
         rate: { min: 0, max: 999999 }, // No practical limit on rates
       },
       calculations: {
-        gstRate: 0.18,
+        gstRate: DEFAULT_GST_RATE,
       },
     };
 
@@ -190,7 +211,7 @@ app.get('/api/config/app', async (req, res) => {
       data: {
         entryTypes,
         materialTypes: formattedMaterialTypes,
-        materialRates: defaultRates,
+        materialRates: {}, // Rates are set per organization
         businessRules,
       },
     });
@@ -272,8 +293,11 @@ app.post('/api/download-pdf', async (req, res) => {
       entryType: entry.entryType,
       materialType: entry.materialType || 'N/A',
       units: entry.units,
+      unit: entry.unit || 'unit',
+      netWeight: entry.netWeight != null ? entry.netWeight : '',
       ratePerUnit: entry.ratePerUnit,
       totalAmount: entry.totalAmount,
+      paymentStatus: entry.paymentStatus || 'unpaid',
     }));
 
     const otherExpensesForExport = otherExpenses.map(expense => ({
@@ -287,6 +311,8 @@ app.post('/api/download-pdf', async (req, res) => {
       entryType: 'Expense',
       materialType: expense.expensesName || 'Expense',
       units: 'N/A',
+      unit: 'N/A',
+      netWeight: 'N/A',
       ratePerUnit: 'N/A',
       totalAmount: expense.amount,
     }));
@@ -379,8 +405,11 @@ app.post('/api/download-csv', async (req, res) => {
       entryType: entry.entryType,
       materialType: entry.materialType || 'N/A',
       units: entry.units,
+      unit: entry.unit || 'unit',
+      netWeight: entry.netWeight != null ? entry.netWeight : '',
       ratePerUnit: entry.ratePerUnit,
       totalAmount: entry.totalAmount,
+      paymentStatus: entry.paymentStatus || 'unpaid',
     }));
 
     const otherExpensesForExport = otherExpenses.map(expense => ({
@@ -394,6 +423,8 @@ app.post('/api/download-csv', async (req, res) => {
       entryType: 'Expense',
       materialType: expense.expensesName || 'Expense',
       units: 'N/A',
+      unit: 'N/A',
+      netWeight: 'N/A',
       ratePerUnit: 'N/A',
       totalAmount: expense.amount,
     }));
@@ -413,6 +444,8 @@ app.post('/api/download-csv', async (req, res) => {
       'entryType',
       'materialType',
       'units',
+      'unit',
+      'netWeight',
       'ratePerUnit',
       'totalAmount',
     ];
@@ -0,0 +1,126 @@
+const mongoose = require('mongoose');
+const AuditLog = require('../models/AuditLog');
+
+// Bookkeeping fields that are not worth recording
+const IGNORED_FIELDS = [
+  '_id',
+  '__v',
+  'createdAt',
+  'updatedAt',
+  'lastLogin',
+  'tripEvents', // Stage changes are recorded through tripStatus
+  'history', // Rate changes are recorded through currentRate
+];
+
+// Fields whose values must never be written to the log
+const REDACTED_FIELDS = ['password'];
+const REDACTED = '[redacted]';
+
+// Turn a value into something that compares and stores cleanly
+const normalizeValue = value => {
+  if (value === undefined || value === null) return null;
+  if (value instanceof mongoose.Types.ObjectId) return value.toString();
+  if (value instanceof Date) return value.toISOString();
+  if (Array.isArray(value)) return JSON.parse(JSON.stringify(value));
+  return value;
+};
+
+const isPlainObject = value =>
+  value !== null &&
+  typeof value === 'object' &&
+  !Array.isArray(value) &&
+  !(value instanceof Date) &&
+  !(value instanceof mongoose.Types.ObjectId);
+
+// Flatten nested objects into dotted paths, e.g. settings.capacityCheck
+const flatten = (object, prefix = '', result = {}) => {
+  Object.entries(object).forEach(([key, value]) => {
+    const path = prefix ? `${prefix}.${key}` : key;
+    if (IGNORED_FIELDS.includes(path)) return;
+    if (isPlainObject(value) && Object.keys(value).length > 0) {
+      flatten(value, path, result);
+    } else {
+      result[path] = normalizeValue(value);
+    }
+  });
+  return result;
+};
+
+// Take a copy of a document's fields, to compare against after a change
+const auditSnapshot = document => {
+  if (!document) return {};
+  const object =
+    typeof document.toObject === 'function'
+      ? document.toObject({ depopulate: true, virtuals: false })
+      : document;
+  return flatten(object);
+};
+
+// Field-level differences between two snapshots
+const diffSnapshots = (before, after) => {
+  const fields = [...new Set([...Object.keys(before), ...Object.keys(after)])];
+
+  return fields
+    .filter(
+      field =>
+        JSON.stringify(before[field] ?? null) !==
+        JSON.stringify(after[field] ?? null),
+    )
+    .map(field =>
+      REDACTED_FIELDS.includes(field)
+        ? { field, before: REDACTED, after: REDACTED }
+        : {
+            field,
+            before: before[field] ?? null,
+            after: after[field] ?? null,
+          },
+    );
+};
+
+// Build the log record for one change. `before` is a snapshot taken before
+// the change; leave it out for creations. Purged documents have no `after`.
+// Returns null when an update changed nothing.
+const buildAuditLog = (
+  req,
+  { model, action, document, before = {}, organization, note },
+) => {
+  const after = action === 'purge' ? {} : auditSnapshot(document);
+  const changes = diffSnapshots(before, after);
+
+  if (action === 'update' && changes.length === 0) return null;
+
+  return {
+    organization: organization || req.user.organizationId,
+    actor: req.user ? req.user.id : null,
+    actorName: req.user ? req.user.username : undefined,
+    action,
+    model,
+    documentId: document._id,
+    changes,
+    note,
+    ip: req.ip,
+    userAgent: req.get('User-Agent'),
+  };
+};
+
+// Record one change to a document
+const recordAudit = async (req, change) => {
+  const log = buildAuditLog(req, change);
+  if (log) await AuditLog.create(log);
+};
+
+// Record the same kind of change to many documents at once.
+// `items` is a list of { document, before }.
+const recordAuditMany = async (req, { items, ...change }) => {
+  const logs = items
+    .map(item => buildAuditLog(req, { ...change, ...item }))
+    .filter(Boolean);
+  if (logs.length > 0) await AuditLog.insertMany(logs);
+};
+
+module.exports = {
+  auditSnapshot,
+  diffSnapshots,
+  recordAudit,
+  recordAuditMany,
+};
@@ -0,0 +1,131 @@
+const ChargeType = require('../models/ChargeType');
+const { AppError } = require('../middleware/errorHandler');
+
+// Charge types every organization starts with; owners can add, edit and
+// deactivate them from there
+const DEFAULT_CHARGE_TYPES = [
+  { name: 'Loading', kind: 'charge', calculation: 'per_unit' },
+  { name: 'Transport', kind: 'charge', calculation: 'fixed' },
+  { name: 'Royalty', kind: 'charge', calculation: 'per_unit' },
+  { name: 'Discount', kind: 'discount', calculation: 'fixed' },
+  { name: 'Round Off', kind: 'round_off', calculation: 'fixed' },
+];
+
+// Give an organization the default charge types the first time they are
+// needed
+const ensureDefaultChargeTypes = async organizationId => {
+  const count = await ChargeType.countDocuments({
+    organization: organizationId,
+  });
+  if (count > 0) return;
+
+  try {
+    await ChargeType.insertMany(
+      DEFAULT_CHARGE_TYPES.map(chargeType => ({
+        ...chargeType,
+        organization: organizationId,
+      })),
+      { ordered: false },
+    );
+  } catch (error) {
+    // Another request seeded the charge types at the same time
+    if (error.code !== 11000) throw error;
+  }
+};
+
+// Charge types of an organization, active ones only unless asked otherwise
+const loadChargeTypes = async (organizationId, { includeInactive } = {}) => {
+  await ensureDefaultChargeTypes(organizationId);
+  const query = { organization: organizationId };
+  if (!includeInactive) query.isActive = true;
+  return ChargeType.find(query).sort({ kind: 1, name: 1 });
+};
+
+// Match a charge type by ID or name, ignoring case
+const findChargeType = (chargeTypes, value) => {
+  const key = String(value || '')
+    .trim()
+    .toLowerCase();
+  if (!key) return null;
+  return (
+    chargeTypes.find(
+      chargeType =>
+        chargeType._id.toString() === key ||
+        chargeType.name.toLowerCase() === key,
+    ) || null
+  );
+};
+
+// Turn the charges sent with an entry, [{ chargeType, value }], into the
+// entry's charge lines. The type's name, calculation and HSN/SAC code are
+// copied so later edits to the type do not change existing bills.
+// Multipart forms send the list as a JSON string.
+const buildEntryCharges = async (organizationId, input) => {
+  let items = input === null ? [] : input;
+  if (typeof items === 'string') {
+    try {
+      items = items.trim() ? JSON.parse(items) : [];
+    } catch (error) {
+      items = null;
+    }
+  }
+  if (!Array.isArray(items)) {
+    throw new AppError(
+      'Charges must be a list of { chargeType, value }',
+      400,
+      'VALIDATION_ERROR',
+    );
+  }
+  if (items.length === 0) return [];
+
+  const chargeTypes = await loadChargeTypes(organizationId);
+
+  return items.map(item => {
+    const chargeType = findChargeType(chargeTypes, item && item.chargeType);
+    if (!chargeType) {
+      throw new AppError(
+        `${
+          (item && item.chargeType) || 'Charge type'
+        } is not an active charge type`,
+        400,
+        'UNKNOWN_CHARGE_TYPE',
+      );
+    }
+
+    const value =
+      item.value === undefined || item.value === null || item.value === ''
+        ? chargeType.defaultValue
+        : parseFloat(item.value);
+    if (value === null || isNaN(value)) {
+      throw new AppError(
+        `Enter an amount for ${chargeType.name}`,
+        400,
+        'VALIDATION_ERROR',
+      );
+    }
+    if (value < 0 && chargeType.kind !== 'round_off') {
+      throw new AppError(
+        `${chargeType.name} cannot be negative`,
+        400,
+        'VALIDATION_ERROR',
+      );
+    }
+
+    return {
+      chargeType: chargeType._id,
+      name: chargeType.name,
+      kind: chargeType.kind,
+      calculation: chargeType.calculation,
+      value,
+      hsnCode: chargeType.hsnCode || null,
+    };
+  });
+};
+
+module.exports = {
+  DEFAULT_CHARGE_TYPES,
+  ensureDefaultChargeTypes,
+  loadChargeTypes,
+  findChargeType,
+  buildEntryCharges,
+};
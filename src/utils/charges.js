@@ -0,0 +1,70 @@
+// Adjustments added to a truck entry's material amount: charges add to the
+// bill, discounts take off it, and a round-off may go either way
+const CHARGE_KINDS = ['charge', 'discount', 'round_off'];
+
+// How a charge's value becomes an amount: a fixed amount, an amount per
+// unit of the billed quantity, or a percentage of the material amount
+const CHARGE_CALCULATIONS = ['fixed', 'per_unit', 'percent'];
+
+const { calculateFreightAmount } = require('./freight');
+
+const roundAmount = amount => Math.round(amount * 100) / 100;
+
+// Signed amount a charge adds to an entry's total
+const calculateChargeAmount = (charge, { quantity, materialAmount }) => {
+  let amount = charge.value;
+  if (charge.calculation === 'per_unit') {
+    amount = charge.value * (quantity || 0);
+  } else if (charge.calculation === 'percent') {
+    amount = (materialAmount * charge.value) / 100;
+  }
+  amount = roundAmount(amount);
+  return charge.kind === 'discount' ? -amount : amount;
+};
+
+// Price a truck entry: the material amount (billed quantity times the rate)
+// plus its charges, less its discounts, plus freight billed to the customer.
+// Returns null when the entry has no quantity or rate yet.
+const priceEntry = entry => {
+  let quantity = entry.units;
+  if (entry.pricingBasis === 'weight') {
+    // Net weight from the readings, as it may not have been saved yet
+    quantity =
+      entry.grossWeight != null && entry.tareWeight != null
+        ? Math.round((entry.grossWeight - entry.tareWeight) * 1000) / 1000
+        : null;
+  }
+  if (!quantity || entry.ratePerUnit == null) return null;
+
+  const materialAmount = roundAmount(quantity * entry.ratePerUnit);
+  const chargeAmounts = (entry.charges || []).map(charge =>
+    calculateChargeAmount(charge, { quantity, materialAmount }),
+  );
+  const chargesAmount = roundAmount(
+    chargeAmounts.reduce((sum, amount) => sum + amount, 0),
+  );
+
+  const freightAmount = entry.freight
+    ? calculateFreightAmount(entry.freight, {
+        distanceKm: entry.delivery ? entry.delivery.distanceKm : null,
+        quantity,
+      }) || 0
+    : 0;
+  const billedFreight =
+    entry.freight && entry.freight.billToCustomer !== false ? freightAmount : 0;
+
+  return {
+    materialAmount,
+    chargeAmounts,
+    chargesAmount,
+    freightAmount,
+    totalAmount: roundAmount(materialAmount + chargesAmount + billedFreight),
+  };
+};
+
+module.exports = {
+  CHARGE_KINDS,
+  CHARGE_CALCULATIONS,
+  calculateChargeAmount,
+  priceEntry,
+};
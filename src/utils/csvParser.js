@@ -0,0 +1,73 @@
+// Minimal CSV parser for imports. Handles quoted fields, doubled quotes
+// inside quotes, CRLF line endings and a leading byte order mark.
+// Returns { headers, rows } where each row is { line, values } and `values`
+// maps header names to cell text.
+const parseCsv = text => {
+  const records = [];
+  let record = [];
+  let field = '';
+  let inQuotes = false;
+  let line = 1;
+  let recordLine = 1;
+
+  const input = String(text || '').replace(/^\uFEFF/, '');
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        if (char === '\n') line++;
+        field += char;
+      }
+      continue;
+    }
+
+    if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      record.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      record.push(field);
+      records.push({ line: recordLine, cells: record });
+      record = [];
+      field = '';
+      line++;
+      recordLine = line;
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || record.length > 0) {
+    record.push(field);
+    records.push({ line: recordLine, cells: record });
+  }
+
+  // Skip blank lines
+  const nonEmpty = records.filter(({ cells }) =>
+    cells.some(cell => cell.trim() !== ''),
+  );
+  if (nonEmpty.length === 0) return { headers: [], rows: [] };
+
+  const headers = nonEmpty[0].cells.map(header => header.trim());
+  const rows = nonEmpty.slice(1).map(({ line: rowLine, cells }) => ({
+    line: rowLine,
+    values: Object.fromEntries(
+      headers.map((header, index) => [header, (cells[index] || '').trim()]),
+    ),
+  }));
+
+  return { headers, rows };
+};
+
+module.exports = {
+  parseCsv,
+};
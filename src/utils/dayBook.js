@@ -0,0 +1,183 @@
+const DayBook = require('../models/DayBook');
+const Payment = require('../models/Payment');
+const OtherExpense = require('../models/OtherExpense');
+const { AppError } = require('../middleware/errorHandler');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Days start at midnight India time (UTC+05:30, no daylight saving),
+// whatever time zone the server runs in
+const DAY_OFFSET_MS = (5 * 60 + 30) * 60 * 1000;
+
+const roundAmount = amount => Math.round(amount * 100) / 100;
+
+// Start and end of the India day containing `date`
+const getDayRange = date => {
+  const local = new Date(date).getTime() + DAY_OFFSET_MS;
+  const start = new Date(
+    local - (((local % DAY_MS) + DAY_MS) % DAY_MS) - DAY_OFFSET_MS,
+  );
+  return { start, end: new Date(start.getTime() + DAY_MS - 1) };
+};
+
+// The India day containing `date`, as YYYY-MM-DD
+const formatDay = date =>
+  new Date(new Date(date).getTime() + DAY_OFFSET_MS)
+    .toISOString()
+    .split('T')[0];
+
+// Expenses saved before payment modes were recorded count as cash
+const isCashExpense = expense =>
+  !expense.paymentMode || expense.paymentMode === 'Cash';
+
+// Throw when a cash movement on any of the dates would change a day that
+// has been counted and closed. Pass both the old and the new date when a
+// movement is moved to another date.
+const assertCashDayOpen = async (organizationId, ...dates) => {
+  const latest = await DayBook.findOne({ organization: organizationId }).sort({
+    date: -1,
+  });
+  if (!latest) return;
+
+  const { end } = getDayRange(latest.date);
+  if (dates.some(date => date && new Date(date) <= end)) {
+    throw new AppError(
+      `The cash book is closed up to ${formatDay(
+        latest.date,
+      )}. Reopen the day to record cash on or before it.`,
+      409,
+      'DAY_CLOSED',
+    );
+  }
+};
+
+// Cash payments and cash expenses between two dates. Expenses saved before
+// payment modes were recorded count as cash.
+const loadCashFlows = (organizationId, start, end) =>
+  Promise.all([
+    Payment.find({
+      organization: organizationId,
+      isActive: true,
+      mode: 'Cash',
+      paymentDate: { $gte: start, $lte: end },
+    })
+      .populate('customer', 'name')
+      .populate('supplier', 'name')
+      .sort({ paymentDate: 1, createdAt: 1 }),
+    OtherExpense.find({
+      organization: organizationId,
+      isActive: true,
+      paymentMode: { $in: ['Cash', null] },
+      date: { $gte: start, $lte: end },
+    }).sort({ date: 1, createdAt: 1 }),
+  ]);
+
+const sumCashFlows = (payments, expenses) => {
+  const sum = (items, field) =>
+    roundAmount(items.reduce((total, item) => total + item[field], 0));
+  const cashSales = sum(
+    payments.filter(payment => payment.direction === 'received'),
+    'amount',
+  );
+  const cashPaidToSuppliers = sum(
+    payments.filter(payment => payment.direction === 'paid'),
+    'amount',
+  );
+  const cashExpenses = sum(expenses, 'amount');
+
+  return {
+    cashSales,
+    cashPaidToSuppliers,
+    cashExpenses,
+    net: roundAmount(cashSales - cashPaidToSuppliers - cashExpenses),
+  };
+};
+
+// Opening cash for a day: the last counted closing, plus the cash movement
+// of any days after it that were not closed. Without any closing the till
+// starts from `initialBalance`.
+const getOpeningBalance = async (organizationId, start, initialBalance = 0) => {
+  const previous = await DayBook.findOne({
+    organization: organizationId,
+    date: { $lt: start },
+  }).sort({ date: -1 });
+
+  if (!previous) {
+    return { openingBalance: roundAmount(initialBalance), previous: null };
+  }
+
+  let openingBalance = previous.closingBalance;
+  const gapStart = new Date(getDayRange(previous.date).end.getTime() + 1);
+  if (gapStart < start) {
+    const [payments, expenses] = await loadCashFlows(
+      organizationId,
+      gapStart,
+      new Date(start.getTime() - 1),
+    );
+    openingBalance += sumCashFlows(payments, expenses).net;
+  }
+
+  return { openingBalance: roundAmount(openingBalance), previous };
+};
+
+// Build the cash book for one day: opening balance, cash in and out, the
+// expected closing balance and the day's cash transactions
+const buildDayBook = async (organizationId, date, initialBalance = 0) => {
+  const { start, end } = getDayRange(date);
+
+  const [{ openingBalance, previous }, [payments, expenses]] =
+    await Promise.all([
+      getOpeningBalance(organizationId, start, initialBalance),
+      loadCashFlows(organizationId, start, end),
+    ]);
+
+  const { cashSales, cashPaidToSuppliers, cashExpenses, net } = sumCashFlows(
+    payments,
+    expenses,
+  );
+
+  const transactions = [
+    ...payments.map(payment => {
+      const party = payment.customer || payment.supplier;
+      const received = payment.direction === 'received';
+      return {
+        type: received ? 'sale_receipt' : 'supplier_payment',
+        at: payment.createdAt,
+        description: received
+          ? `Cash received${party ? ` from ${party.name}` : ''}`
+          : `Cash paid${party ? ` to ${party.name}` : ''}`,
+        reference: payment.referenceNumber || null,
+        cashIn: received ? payment.amount : 0,
+        cashOut: received ? 0 : payment.amount,
+        payment: payment._id,
+      };
+    }),
+    ...expenses.map(expense => ({
+      type: 'expense',
+      at: expense.createdAt,
+      description: expense.expensesName,
+      reference: expense.notes || null,
+      cashIn: 0,
+      cashOut: expense.amount,
+      expense: expense._id,
+    })),
+  ].sort((a, b) => new Date(a.at) - new Date(b.at));
+
+  return {
+    date: start,
+    openingBalance,
+    openingFrom: previous ? previous.date : null,
+    cashSales,
+    cashPaidToSuppliers,
+    cashExpenses,
+    expectedClosing: roundAmount(openingBalance + net),
+    transactions,
+  };
+};
+
+module.exports = {
+  getDayRange,
+  formatDay,
+  isCashExpense,
+  assertCashDayOpen,
+  buildDayBook,
+};
@@ -0,0 +1,46 @@
+const { AppError } = require('../middleware/errorHandler');
+const { REPORTABLE_TRIP_MATCH } = require('./tripLifecycle');
+
+const APPROVAL_STATUSES = ['pending', 'approved', 'rejected'];
+
+// Entries saved before approvals existed have no status and count as approved
+const APPROVED_ENTRY_MATCH = {
+  approvalStatus: { $nin: ['pending', 'rejected'] },
+};
+
+// Match for entries that count towards totals, ledgers and billing:
+// approved, and not a cancelled trip
+const REPORTABLE_ENTRY_MATCH = {
+  ...REPORTABLE_TRIP_MATCH,
+  ...APPROVED_ENTRY_MATCH,
+};
+
+// Approval status for a new entry. With the organization's
+// requireEntryApproval setting, entries made by users wait for the owner.
+const getInitialApprovalStatus = (organization, role) =>
+  role !== 'owner' && organization?.settings?.requireEntryApproval
+    ? 'pending'
+    : 'approved';
+
+// Entries the owner has approved can only be changed by the owner
+const assertNotApproved = (entry, role) => {
+  if (
+    role !== 'owner' &&
+    entry.approvalStatus === 'approved' &&
+    entry.approvedAt
+  ) {
+    throw new AppError(
+      'This entry has been approved by the owner and can no longer be changed',
+      403,
+      'ENTRY_APPROVED',
+    );
+  }
+};
+
+module.exports = {
+  APPROVAL_STATUSES,
+  APPROVED_ENTRY_MATCH,
+  REPORTABLE_ENTRY_MATCH,
+  getInitialApprovalStatus,
+  assertNotApproved,
+};
@@ -19,6 +19,20 @@ const formatTime = timeString => {
   }`;
 };
 
+// Quantities in the standard unit print as a bare number
+const formatQuantity = (quantity, unit) => {
+  if (quantity == null) return '—';
+  return unit && unit !== 'unit' ? `${quantity} ${unit}` : quantity;
+};
+
+const PAYMENT_STATUS_LABELS = {
+  paid: 'Paid',
+  partial: 'Part Paid',
+  unpaid: 'Unpaid',
+};
+const formatPaymentStatus = status =>
+  status ? PAYMENT_STATUS_LABELS[status] || status : '—';
+
 const generatePdf = data => {
   return new Promise((resolve, reject) => {
     const doc = new PDFDocument({
@@ -245,15 +259,17 @@ const generatePdf = data => {
       'Units',
       'Rate',
       'Amount',
+      'Payment',
     ];
-    const salesWidths = [90, 90, 150, 60, 80, 95];
+    const salesWidths = [75, 80, 120, 50, 75, 85, 70];
     const salesRows = sales.map(e => [
       formatDate(e.date),
       e.truckNumber || '—',
       e.materialType || '—',
-      e.units ?? '—',
+      formatQuantity(e.units, e.unit),
       e.ratePerUnit != null ? formatCurrency(Number(e.ratePerUnit)) : '—',
       e.totalAmount != null ? formatCurrency(Number(e.totalAmount)) : '—',
+      formatPaymentStatus(e.paymentStatus),
     ]);
     drawTable(salesHeaders, salesRows, salesWidths, [
       'left',
@@ -262,18 +278,27 @@ const generatePdf = data => {
       'right',
       'right',
       'right',
+      'left',
     ]);
 
     // RAW STONE TABLE
     drawSectionTitle('Raw Stone');
-    const rawHeaders = ['Date', 'Truck No', 'Units', 'Rate', 'Amount'];
-    const rawWidths = [120, 120, 70, 100, 165];
+    const rawHeaders = [
+      'Date',
+      'Truck No',
+      'Units',
+      'Rate',
+      'Amount',
+      'Payment',
+    ];
+    const rawWidths = [105, 105, 60, 90, 110, 85];
     const rawRows = rawStones.map(e => [
       formatDate(e.date),
       e.truckNumber || '—',
-      e.units ?? '—',
+      formatQuantity(e.units, e.unit),
       e.ratePerUnit != null ? formatCurrency(Number(e.ratePerUnit)) : '—',
       e.totalAmount != null ? formatCurrency(Number(e.totalAmount)) : '—',
+      formatPaymentStatus(e.paymentStatus),
     ]);
     drawTable(rawHeaders, rawRows, rawWidths, [
       'left',
@@ -281,6 +306,7 @@ const generatePdf = data => {
       'right',
       'right',
       'right',
+      'left',
     ]);
 
     // EXPENSES TABLE
@@ -317,6 +343,592 @@ const generatePdf = data => {
   });
 };
 
+const formatPercent = rate => `${Math.round(rate * 10000) / 100}%`;
+
+const generateInvoicePdf = invoice => {
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({
+      margin: 20,
+      size: 'A4',
+      info: {
+        Title: `Tax Invoice ${invoice.invoiceNumber}`,
+        Author: 'CrusherMate System',
+        Subject: 'GST Tax Invoice',
+      },
+    });
+    const chunks = [];
+
+    doc.on('data', chunk => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+
+    const colors = {
+      header: '#2C3E50',
+      white: '#FFFFFF',
+      black: '#000000',
+      gray: '#95A5A6',
+      lightGray: '#ECF0F1',
+      border: '#BDC3C7',
+    };
+
+    const pageWidth = 595;
+    const pageHeight = 842;
+    const margin = 20;
+    const contentWidth = pageWidth - margin * 2;
+    const seller = invoice.seller || {};
+    const buyer = invoice.buyer || {};
+
+    // 1. HEADER - seller details
+    doc.rect(0, 0, pageWidth, 80).fill(colors.header);
+    doc.fillColor(colors.white);
+    doc
+      .fontSize(18)
+      .font('Helvetica-Bold')
+      .text(seller.name || 'CrusherMate', margin, 14);
+    doc
+      .fontSize(9)
+      .font('Helvetica')
+      .text(seller.address || '', margin, 38, { width: 350 });
+    doc.text(`GSTIN: ${seller.gstin || '—'}`, margin, 62);
+    doc
+      .fontSize(16)
+      .font('Helvetica-Bold')
+      .text('TAX INVOICE', margin, 20, { width: contentWidth, align: 'right' });
+    doc.fillColor(colors.black);
+
+    // 2. INVOICE AND BUYER DETAILS
+    let currentY = 95;
+    doc.fontSize(10).font('Helvetica-Bold').text('Bill To:', margin, currentY);
+    doc
+      .font('Helvetica')
+      .text(buyer.name || '—', margin, currentY + 14)
+      .text(buyer.address || '', margin, currentY + 28, { width: 300 })
+      .text(`GSTIN: ${buyer.gstin || 'Unregistered'}`, margin, currentY + 56);
+
+    const detailsX = margin + 330;
+    [
+      ['Invoice No:', invoice.invoiceNumber],
+      ['Invoice Date:', formatDate(invoice.invoiceDate)],
+      ['Place of Supply:', invoice.placeOfSupply || '—'],
+      [
+        'Supply Type:',
+        invoice.supplyType === 'inter' ? 'Inter-State' : 'Intra-State',
+      ],
+    ].forEach(([label, value], index) => {
+      doc
+        .font('Helvetica-Bold')
+        .text(label, detailsX, currentY + index * 14, { width: 95 });
+      doc
+        .font('Helvetica')
+        .text(value, detailsX + 95, currentY + index * 14, { width: 130 });
+    });
+
+    // 3. LINE ITEMS
+    currentY += 80;
+    const headers = [
+      '#',
+      'Description',
+      'HSN',
+      'Truck No',
+      'Date',
+      'Qty',
+      'Rate',
+      'Taxable Value',
+    ];
+    const widths = [25, 110, 50, 85, 70, 45, 75, 95];
+    const align = [
+      'left',
+      'left',
+      'left',
+      'left',
+      'left',
+      'right',
+      'right',
+      'right',
+    ];
+    const rowHeight = 18;
+
+    const drawRow = (cells, y) => {
+      let x = margin;
+      cells.forEach((cell, i) => {
+        doc.text(String(cell ?? ''), x + 4, y + 4, {
+          width: widths[i] - 8,
+          align: align[i],
+        });
+        x += widths[i];
+      });
+    };
+
+    doc
+      .fillColor(colors.header)
+      .rect(margin, currentY, contentWidth, rowHeight)
+      .fill();
+    doc.fillColor(colors.white).font('Helvetica-Bold').fontSize(9);
+    drawRow(headers, currentY);
+    currentY += rowHeight;
+
+    doc.fillColor(colors.black).font('Helvetica').fontSize(9);
+    (invoice.lines || []).forEach((line, idx) => {
+      if (currentY + rowHeight > pageHeight - 200) {
+        doc.addPage();
+        currentY = margin;
+      }
+      if (idx % 2 === 0) {
+        doc
+          .fillColor(colors.lightGray)
+          .rect(margin, currentY, contentWidth, rowHeight)
+          .fill();
+        doc.fillColor(colors.black);
+      }
+      drawRow(
+        [
+          idx + 1,
+          line.description || '—',
+          line.hsnCode || '—',
+          line.truckNumber || '—',
+          line.entryDate ? formatDate(line.entryDate) : '—',
+          formatQuantity(line.quantity, line.unit),
+          formatCurrency(Number(line.rate || 0)),
+          formatCurrency(Number(line.taxableValue || 0)),
+        ],
+        currentY,
+      );
+      currentY += rowHeight;
+    });
+
+    // 4. TAX SUMMARY
+    currentY += 15;
+    const totalsX = margin + contentWidth - 250;
+    const taxRows = [['Taxable Value', invoice.taxableValue]];
+    if (invoice.supplyType === 'inter') {
+      taxRows.push([
+        `IGST @ ${formatPercent(invoice.igstRate)}`,
+        invoice.igstAmount,
+      ]);
+    } else {
+      taxRows.push([
+        `CGST @ ${formatPercent(invoice.cgstRate)}`,
+        invoice.cgstAmount,
+      ]);
+      taxRows.push([
+        `SGST @ ${formatPercent(invoice.sgstRate)}`,
+        invoice.sgstAmount,
+      ]);
+    }
+    taxRows.push(['Round Off', invoice.roundOff || 0]);
+
+    doc.fontSize(10);
+    taxRows.forEach(([label, value]) => {
+      doc.font('Helvetica').text(label, totalsX, currentY, { width: 140 });
+      doc.text(formatCurrency(Number(value || 0)), totalsX + 140, currentY, {
+        width: 110,
+        align: 'right',
+      });
+      currentY += 16;
+    });
+
+    doc
+      .fillColor(colors.border)
+      .moveTo(totalsX, currentY)
+      .lineTo(margin + contentWidth, currentY)
+      .stroke();
+    currentY += 6;
+    doc.fillColor(colors.black).font('Helvetica-Bold').fontSize(12);
+    doc.text('Grand Total', totalsX, currentY, { width: 140 });
+    doc.text(
+      formatCurrency(Number(invoice.grandTotal || 0)),
+      totalsX + 140,
+      currentY,
+      {
+        width: 110,
+        align: 'right',
+      },
+    );
+
+    if (invoice.status === 'cancelled') {
+      doc
+        .fontSize(40)
+        .fillColor('#C0392B')
+        .text('CANCELLED', margin, pageHeight / 2, {
+          width: contentWidth,
+          align: 'center',
+        });
+      doc.fillColor(colors.black);
+    }
+
+    // 5. FOOTER
+    const footerY = pageHeight - 80;
+    doc.fillColor(colors.black).fontSize(10).font('Helvetica-Bold');
+    doc.text(`For ${seller.name || ''}`, margin, footerY - 30, {
+      width: contentWidth,
+      align: 'right',
+    });
+    doc.font('Helvetica').text('Authorised Signatory', margin, footerY, {
+      width: contentWidth,
+      align: 'right',
+    });
+    doc.fillColor(colors.gray).fontSize(9);
+    doc.text('Generated by CrusherMate System', margin, footerY + 30);
+
+    doc.end();
+  });
+};
+
+// One-page delivery challan / gate pass for a single truck entry.
+// `data` is { entry, organization, issuedBy }.
+const generateChallanPdf = data => {
+  return new Promise((resolve, reject) => {
+    const { entry, organization = {}, issuedBy } = data;
+    const doc = new PDFDocument({
+      margin: 20,
+      size: 'A5',
+      info: {
+        Title: `Delivery Challan ${entry.challanNumber}`,
+        Author: 'CrusherMate System',
+        Subject: 'Delivery Challan / Gate Pass',
+      },
+    });
+    const chunks = [];
+
+    doc.on('data', chunk => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+
+    const colors = {
+      header: '#2C3E50',
+      white: '#FFFFFF',
+      black: '#000000',
+      gray: '#95A5A6',
+      lightGray: '#ECF0F1',
+      border: '#BDC3C7',
+    };
+
+    // A5 page dimensions
+    const pageWidth = 420;
+    const pageHeight = 595;
+    const margin = 20;
+    const contentWidth = pageWidth - margin * 2;
+
+    // 1. HEADER - organization details
+    doc.rect(0, 0, pageWidth, 70).fill(colors.header);
+    doc.fillColor(colors.white);
+    doc
+      .fontSize(16)
+      .font('Helvetica-Bold')
+      .text(
+        organization.legalName || organization.name || 'CrusherMate',
+        margin,
+        12,
+        {
+          width: contentWidth,
+        },
+      );
+    doc
+      .fontSize(8)
+      .font('Helvetica')
+      .text(
+        [organization.address, organization.phone].filter(Boolean).join(' | '),
+        margin,
+        32,
+        { width: contentWidth },
+      );
+    if (organization.gstin) {
+      doc.text(`GSTIN: ${organization.gstin}`, margin, 52);
+    }
+    doc.fillColor(colors.black);
+
+    // 2. TITLE
+    let currentY = 82;
+    doc
+      .fontSize(14)
+      .font('Helvetica-Bold')
+      .text('DELIVERY CHALLAN / GATE PASS', margin, currentY, {
+        width: contentWidth,
+        align: 'center',
+      });
+    currentY += 28;
+
+    // 3. LOAD DETAILS
+    const rows = [
+      ['Challan No', entry.challanNumber],
+      ['Date', formatDate(entry.entryDate)],
+      ['Time', formatTime(entry.entryTime)],
+      ['Truck Number', entry.truckNumber],
+      ['Driver', entry.truckName || '—'],
+      ['Entry Type', entry.entryType],
+      ['Material', entry.materialType || '—'],
+      ['Quantity', String(formatQuantity(entry.units, entry.unit))],
+      ...(entry.netWeight != null
+        ? [
+            ['Gross / Tare', `${entry.grossWeight} t / ${entry.tareWeight} t`],
+            ['Net Weight', `${entry.netWeight} t`],
+          ]
+        : []),
+      ['Customer', entry.customerName || '—'],
+      ['Issued By', issuedBy || '—'],
+    ];
+    if (entry.notes) rows.push(['Notes', entry.notes]);
+
+    const labelWidth = 110;
+    const rowHeight = 24;
+    rows.forEach(([label, value], index) => {
+      if (index % 2 === 0) {
+        doc
+          .fillColor(colors.lightGray)
+          .rect(margin, currentY, contentWidth, rowHeight)
+          .fill();
+      }
+      doc.fillColor(colors.black);
+      doc
+        .fontSize(10)
+        .font('Helvetica-Bold')
+        .text(label, margin + 6, currentY + 7, { width: labelWidth - 12 });
+      doc
+        .font('Helvetica')
+        .text(String(value ?? ''), margin + labelWidth, currentY + 7, {
+          width: contentWidth - labelWidth - 6,
+          height: rowHeight - 7,
+          ellipsis: true,
+        });
+      currentY += rowHeight;
+    });
+
+    // 4. SIGNATURES
+    const signY = pageHeight - 110;
+    const signWidth = contentWidth / 3;
+    ['Operator', 'Driver', 'Security'].forEach((label, index) => {
+      const x = margin + index * signWidth;
+      doc
+        .strokeColor(colors.border)
+        .moveTo(x + 10, signY)
+        .lineTo(x + signWidth - 10, signY)
+        .stroke();
+      doc
+        .fontSize(9)
+        .font('Helvetica')
+        .fillColor(colors.black)
+        .text(label, x, signY + 6, { width: signWidth, align: 'center' });
+    });
+
+    // 5. FOOTER
+    doc.fillColor(colors.gray).fontSize(8);
+    doc.text(
+      'This challan must accompany the vehicle until delivery.',
+      margin,
+      pageHeight - 60,
+      { width: contentWidth, align: 'center' },
+    );
+    doc.text(
+      `Generated by CrusherMate System on ${new Date().toLocaleString(
+        'en-IN',
+      )}`,
+      margin,
+      pageHeight - 46,
+      { width: contentWidth, align: 'center' },
+    );
+
+    doc.end();
+  });
+};
+
+const generateDayBookPdf = data => {
+  return new Promise((resolve, reject) => {
+    const { dayBook, organization = {} } = data;
+    const { dayEnd } = dayBook;
+    const doc = new PDFDocument({
+      margin: 20,
+      size: 'A4',
+      info: {
+        Title: `Day Book ${formatDate(dayBook.date)}`,
+        Author: 'CrusherMate System',
+        Subject: 'Daily Cash Book',
+      },
+    });
+    const chunks = [];
+
+    doc.on('data', chunk => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+
+    const colors = {
+      header: '#2C3E50',
+      white: '#FFFFFF',
+      black: '#000000',
+      gray: '#95A5A6',
+      lightGray: '#ECF0F1',
+      border: '#BDC3C7',
+      shortage: '#C0392B',
+    };
+
+    // Full page dimensions
+    const pageWidth = 595;
+    const pageHeight = 842;
+    const margin = 20;
+    const contentWidth = pageWidth - margin * 2;
+
+    // 1. HEADER - same band as the financial statement
+    doc.rect(0, 0, pageWidth, 70).fill(colors.header);
+    doc.fillColor(colors.white);
+    doc.fontSize(24).font('Helvetica-Bold').text('CrusherMate', margin, 14);
+    if (organization.name) {
+      doc
+        .fontSize(12)
+        .font('Helvetica-Bold')
+        .text(organization.name, margin, 38);
+    }
+    doc.fontSize(11).font('Helvetica').text('Daily Cash Book', margin, 54);
+    doc.fillColor(colors.black);
+
+    // 2. DAY INFO
+    doc
+      .fontSize(14)
+      .font('Helvetica-Bold')
+      .text(`Date: ${formatDate(dayBook.date)}`, margin, 80);
+    doc
+      .fontSize(10)
+      .font('Helvetica')
+      .text(
+        dayEnd
+          ? `Closed by ${dayEnd.closedBy?.username || '—'}`
+          : 'Day not closed yet',
+        margin,
+        100,
+      );
+
+    // 3. CASH SUMMARY
+    let currentY = 125;
+    doc
+      .fontSize(16)
+      .font('Helvetica-Bold')
+      .text('Cash Summary', margin, currentY);
+    currentY += 25;
+
+    const summaryRows = [
+      ['Opening Balance', formatCurrency(dayBook.openingBalance)],
+      ['Add: Cash Sales', formatCurrency(dayBook.cashSales)],
+      ['Less: Paid to Suppliers', formatCurrency(dayBook.cashPaidToSuppliers)],
+      ['Less: Cash Expenses', formatCurrency(dayBook.cashExpenses)],
+      ['Expected Closing', formatCurrency(dayBook.expectedClosing)],
+      ...(dayEnd
+        ? [
+            ['Counted Cash', formatCurrency(dayEnd.countedAmount)],
+            ['Variance', formatCurrency(dayEnd.variance)],
+          ]
+        : []),
+    ];
+    summaryRows.forEach(([label, value]) => {
+      const isVariance = label === 'Variance' && dayEnd.variance < 0;
+      doc
+        .fontSize(12)
+        .font('Helvetica-Bold')
+        .fillColor(colors.black)
+        .text(label + ':', margin, currentY);
+      doc
+        .font('Helvetica')
+        .fillColor(isVariance ? colors.shortage : colors.black)
+        .text(value, margin + 180, currentY, { width: 120, align: 'right' });
+      currentY += 22;
+    });
+    doc.fillColor(colors.black);
+    currentY += 10;
+
+    // 4. TRANSACTIONS
+    doc
+      .fontSize(16)
+      .font('Helvetica-Bold')
+      .fillColor(colors.header)
+      .text('Cash Transactions', margin, currentY);
+    currentY += 20;
+
+    const headers = ['Time', 'Particulars', 'Reference', 'Cash In', 'Cash Out'];
+    const widths = [60, 215, 110, 85, contentWidth - 60 - 215 - 110 - 85];
+    const align = ['left', 'left', 'left', 'right', 'right'];
+    const rowHeight = 18;
+    const bottomMargin = 60;
+
+    const drawRow = (cells, fill, font) => {
+      if (currentY + rowHeight > pageHeight - bottomMargin) {
+        doc.addPage();
+        currentY = margin;
+      }
+      if (fill) {
+        doc
+          .fillColor(fill)
+          .rect(margin, currentY, contentWidth, rowHeight)
+          .fill();
+      }
+      doc
+        .fillColor(fill === colors.header ? colors.white : colors.black)
+        .font(font)
+        .fontSize(9);
+      let x = margin;
+      cells.forEach((cell, i) => {
+        doc.text(String(cell ?? ''), x + 4, currentY + 4, {
+          width: widths[i] - 8,
+          height: rowHeight - 4,
+          align: align[i],
+          ellipsis: true,
+        });
+        x += widths[i];
+      });
+      currentY += rowHeight;
+    };
+
+    drawRow(headers, colors.header, 'Helvetica-Bold');
+    dayBook.transactions.forEach((transaction, index) => {
+      drawRow(
+        [
+          transaction.at
+            ? new Date(transaction.at).toLocaleTimeString('en-IN', {
+                hour: '2-digit',
+                minute: '2-digit',
+              })
+            : '',
+          transaction.description,
+          transaction.reference || '',
+          transaction.cashIn ? formatCurrency(transaction.cashIn) : '',
+          transaction.cashOut ? formatCurrency(transaction.cashOut) : '',
+        ],
+        index % 2 === 0 ? colors.lightGray : null,
+        'Helvetica',
+      );
+    });
+    if (dayBook.transactions.length === 0) {
+      drawRow(['', 'No cash transactions', '', '', ''], null, 'Helvetica');
+    }
+
+    // 5. SIGNATURES
+    if (currentY + 80 > pageHeight - bottomMargin) {
+      doc.addPage();
+      currentY = margin;
+    }
+    const signY = Math.max(currentY + 60, pageHeight - 120);
+    const signWidth = contentWidth / 2;
+    ['Counted By', 'Verified By'].forEach((label, index) => {
+      const x = margin + index * signWidth;
+      doc
+        .strokeColor(colors.border)
+        .moveTo(x + 40, signY)
+        .lineTo(x + signWidth - 40, signY)
+        .stroke();
+      doc
+        .fontSize(9)
+        .font('Helvetica')
+        .fillColor(colors.black)
+        .text(label, x, signY + 6, { width: signWidth, align: 'center' });
+    });
+
+    // 6. FOOTER
+    doc.fillColor(colors.gray).fontSize(10).font('Helvetica');
+    doc.text('Generated by CrusherMate System', margin, pageHeight - 60);
+
+    doc.end();
+  });
+};
+
 module.exports = {
   generatePdf,
+  generateInvoicePdf,
+  generateChallanPdf,
+  generateDayBookPdf,
 };
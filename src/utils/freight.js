@@ -0,0 +1,23 @@
+// How freight for a delivery is worked out: per kilometre of the delivery
+// distance, a flat amount per trip, or per unit of the billed quantity
+const FREIGHT_BASES = ['per_km', 'per_trip', 'per_unit'];
+
+const roundAmount = amount => Math.round(amount * 100) / 100;
+
+// Freight for one delivery from the freight's basis, rate and minimum
+// charge. Returns null when the basis needs a distance that is not known.
+const calculateFreightAmount = (freight, { distanceKm, quantity }) => {
+  let amount = freight.rate;
+  if (freight.basis === 'per_km') {
+    if (distanceKm == null) return null;
+    amount = freight.rate * distanceKm;
+  } else if (freight.basis === 'per_unit') {
+    amount = freight.rate * (quantity || 0);
+  }
+  return roundAmount(Math.max(amount, freight.minimumCharge || 0));
+};
+
+module.exports = {
+  FREIGHT_BASES,
+  calculateFreightAmount,
+};
@@ -0,0 +1,175 @@
+const FreightRule = require('../models/FreightRule');
+const { AppError } = require('../middleware/errorHandler');
+const { FREIGHT_BASES } = require('./freight');
+
+// Longest delivery distance accepted on an entry
+const MAX_DISTANCE_KM = 1000;
+
+// Active rules that cover a destination, most specific first: rules for the
+// village before rules for any village, then rules with a distance band.
+// Per-km rules need a distance.
+const findFreightRules = (rules, { village, distanceKm }) => {
+  const key = (village || '').toLowerCase();
+  const specificity = rule =>
+    (rule.village ? 2 : 0) +
+    (rule.minDistanceKm != null || rule.maxDistanceKm != null ? 1 : 0);
+
+  return rules
+    .filter(
+      rule =>
+        rule.isActive &&
+        (!rule.village || rule.village.toLowerCase() === key) &&
+        (rule.minDistanceKm == null ||
+          (distanceKm != null && distanceKm >= rule.minDistanceKm)) &&
+        (rule.maxDistanceKm == null ||
+          (distanceKm != null && distanceKm <= rule.maxDistanceKm)) &&
+        (rule.basis !== 'per_km' || distanceKm != null),
+    )
+    .sort((a, b) => specificity(b) - specificity(a));
+};
+
+// Multipart forms send objects as JSON strings
+const parseObject = (value, label) => {
+  if (value === undefined || value === null) return null;
+  let object = value;
+  if (typeof object === 'string') {
+    try {
+      object = object.trim() ? JSON.parse(object) : null;
+    } catch (error) {
+      // Left as a string, which is rejected below
+    }
+  }
+  if (
+    object !== null &&
+    (typeof object !== 'object' || Array.isArray(object))
+  ) {
+    throw new AppError(`${label} must be an object`, 400, 'VALIDATION_ERROR');
+  }
+  return object;
+};
+
+const readText = (value, maxLength, label) => {
+  const text = value == null ? '' : String(value).trim();
+  if (text.length > maxLength) {
+    throw new AppError(
+      `${label} cannot exceed ${maxLength} characters`,
+      400,
+      'VALIDATION_ERROR',
+    );
+  }
+  return text || null;
+};
+
+const readNumber = (value, label, max = Infinity) => {
+  if (value === undefined || value === null || value === '') return null;
+  const number = parseFloat(value);
+  if (isNaN(number) || number < 0 || number > max) {
+    throw new AppError(
+      max === Infinity
+        ? `${label} must be a positive number`
+        : `${label} must be between 0 and ${max}`,
+      400,
+      'VALIDATION_ERROR',
+    );
+  }
+  return number;
+};
+
+// Delivery details sent with an entry: { address, village, distanceKm,
+// transporter }. Returns null when there are none.
+const buildDelivery = input => {
+  const delivery = parseObject(input, 'Delivery');
+  if (!delivery) return null;
+
+  const result = {
+    address: readText(delivery.address, 200, 'Address'),
+    village: readText(delivery.village, 100, 'Village'),
+    distanceKm: readNumber(delivery.distanceKm, 'Distance', MAX_DISTANCE_KM),
+    transporter: readText(delivery.transporter, 100, 'Transporter'),
+  };
+  return Object.values(result).some(value => value !== null) ? result : null;
+};
+
+// Freight for a delivery. `input` is { basis, rate, minimumCharge } for a
+// rate agreed on the spot, { rule } for a chosen rule, or left out to use
+// the most specific matching rule. `billToCustomer: false` records freight
+// that the customer settles with the transporter directly. Returns null
+// when there is no freight.
+const buildFreight = async (organizationId, input, delivery) => {
+  const freight = input === undefined ? {} : parseObject(input, 'Freight');
+  if (!freight) return null;
+  if (!delivery) {
+    if (input === undefined) return null;
+    throw new AppError(
+      'Enter the delivery details to charge freight',
+      400,
+      'VALIDATION_ERROR',
+    );
+  }
+
+  const billToCustomer =
+    freight.billToCustomer === undefined
+      ? true
+      : freight.billToCustomer === true || freight.billToCustomer === 'true';
+
+  let result;
+  if (freight.basis || freight.rate !== undefined) {
+    if (!FREIGHT_BASES.includes(freight.basis)) {
+      throw new AppError(
+        `Freight basis must be one of: ${FREIGHT_BASES.join(', ')}`,
+        400,
+        'VALIDATION_ERROR',
+      );
+    }
+    const rate = readNumber(freight.rate, 'Freight rate');
+    if (rate === null) {
+      throw new AppError('Freight rate is required', 400, 'VALIDATION_ERROR');
+    }
+    result = {
+      rule: null,
+      basis: freight.basis,
+      rate,
+      minimumCharge: readNumber(freight.minimumCharge, 'Minimum charge') || 0,
+    };
+  } else {
+    const rules = await FreightRule.find({
+      organization: organizationId,
+      isActive: true,
+    });
+    let rule;
+    if (freight.rule) {
+      rule = rules.find(item => item._id.toString() === String(freight.rule));
+      if (!rule) {
+        throw new AppError(
+          'Freight rule not found',
+          400,
+          'UNKNOWN_FREIGHT_RULE',
+        );
+      }
+    } else {
+      [rule] = findFreightRules(rules, delivery);
+      if (!rule) return null;
+    }
+    result = {
+      rule: rule._id,
+      basis: rule.basis,
+      rate: rule.rate,
+      minimumCharge: rule.minimumCharge,
+    };
+  }
+
+  if (result.basis === 'per_km' && delivery.distanceKm == null) {
+    throw new AppError(
+      'Enter the delivery distance for per-km freight',
+      400,
+      'VALIDATION_ERROR',
+    );
+  }
+  return { ...result, billToCustomer };
+};
+
+module.exports = {
+  findFreightRules,
+  buildDelivery,
+  buildFreight,
+};
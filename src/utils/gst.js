@@ -0,0 +1,84 @@
+// GST helpers shared by invoicing and app configuration
+
+// Default GST rate advertised to the app (businessRules.calculations.gstRate)
+const DEFAULT_GST_RATE = 0.18;
+
+// HSN codes for the materials we sell
+const MATERIAL_HSN_CODES = {
+  '1 1/2 Metal': '2517',
+  '3/4 Jalli': '2517',
+  '1/2 Jalli': '2517',
+  '1/4 Kuranai': '2517',
+  Dust: '2517',
+  Wetmix: '2517',
+  'M sand': '2505',
+  'P sand': '2505',
+  'Raw Stone': '2516',
+};
+const DEFAULT_HSN_CODE = '2517'; // Crushed stone
+const FREIGHT_SAC_CODE = '9965'; // Goods transport services
+
+const getHsnCode = materialType =>
+  MATERIAL_HSN_CODES[materialType] || DEFAULT_HSN_CODE;
+
+// The first two digits of a GSTIN are the state code
+const getStateCodeFromGstin = gstin =>
+  gstin && /^[0-9]{2}/.test(gstin) ? gstin.slice(0, 2) : null;
+
+// Indian financial year (April-March) for a date, e.g. '2025-26'
+const getFinancialYear = (date = new Date()) => {
+  const d = new Date(date);
+  const startYear = d.getMonth() >= 3 ? d.getFullYear() : d.getFullYear() - 1;
+  return `${startYear}-${String((startYear + 1) % 100).padStart(2, '0')}`;
+};
+
+const roundAmount = amount => Math.round(amount * 100) / 100;
+
+// Work out tax for a set of invoice lines. Supplies within the seller's state
+// are split equally into CGST and SGST, supplies to another state carry IGST.
+const calculateGst = ({ lines, gstRate, sellerStateCode, placeOfSupply }) => {
+  const taxableValue = roundAmount(
+    lines.reduce((sum, line) => sum + line.taxableValue, 0),
+  );
+  const supplyType =
+    !placeOfSupply || placeOfSupply === sellerStateCode ? 'intra' : 'inter';
+  const totalTax = roundAmount(taxableValue * gstRate);
+
+  let cgstAmount = 0;
+  let sgstAmount = 0;
+  let igstAmount = 0;
+  if (supplyType === 'intra') {
+    cgstAmount = roundAmount(totalTax / 2);
+    sgstAmount = roundAmount(totalTax - cgstAmount);
+  } else {
+    igstAmount = totalTax;
+  }
+
+  const invoiceTotal = taxableValue + totalTax;
+  const grandTotal = Math.round(invoiceTotal);
+
+  return {
+    supplyType,
+    taxableValue,
+    gstRate,
+    cgstRate: supplyType === 'intra' ? gstRate / 2 : 0,
+    sgstRate: supplyType === 'intra' ? gstRate / 2 : 0,
+    igstRate: supplyType === 'inter' ? gstRate : 0,
+    cgstAmount,
+    sgstAmount,
+    igstAmount,
+    totalTax,
+    roundOff: roundAmount(grandTotal - invoiceTotal),
+    grandTotal,
+  };
+};
+
+module.exports = {
+  DEFAULT_GST_RATE,
+  MATERIAL_HSN_CODES,
+  FREIGHT_SAC_CODE,
+  getHsnCode,
+  getStateCodeFromGstin,
+  getFinancialYear,
+  calculateGst,
+};
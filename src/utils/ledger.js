@@ -0,0 +1,237 @@
+const TruckEntry = require('../models/TruckEntry');
+const Payment = require('../models/Payment');
+const { REPORTABLE_ENTRY_MATCH } = require('./entryApproval');
+const { DIRECTION_ENTRY_TYPES } = require('./paymentAllocation');
+
+// Helper to build the date range used by ledger endpoints.
+// Both dates are optional: without a start date the ledger covers all time.
+const getLedgerRange = (startDate, endDate) => {
+  const range = {};
+  if (startDate) range.$gte = new Date(startDate);
+  range.$lte = endDate ? new Date(endDate + 'T23:59:59.999Z') : new Date();
+  return range;
+};
+
+// Payments received from customers settle Sales, payments made to suppliers
+// settle Raw Stone purchases
+const getPaymentDirection = entryType =>
+  Object.keys(DIRECTION_ENTRY_TYPES).find(
+    direction => DIRECTION_ENTRY_TYPES[direction] === entryType,
+  );
+
+const mapByParty = rows => new Map(rows.map(row => [row._id.toString(), row]));
+
+// Build the per-party balance sheet (opening, billed, received, closing) for
+// every party of an organization. `partyField` is the TruckEntry field that
+// links entries to the party ('customer' or 'supplier').
+const buildLedgerSummary = async ({
+  parties,
+  partyField,
+  entryType,
+  organization,
+  startDate,
+  endDate,
+}) => {
+  const range = getLedgerRange(startDate, endDate);
+
+  const direction = getPaymentDirection(entryType);
+
+  // Billed amounts are dated by the entry, money received by the payment
+  const [billedBefore, receivedBefore, billedDuring, receivedDuring] =
+    await Promise.all([
+      startDate
+        ? TruckEntry.getPartyBalances(partyField, {
+            organization,
+            entryType,
+            entryDate: { $lt: range.$gte },
+          })
+        : [],
+      startDate
+        ? Payment.getPartyReceipts(partyField, {
+            organization,
+            direction,
+            paymentDate: { $lt: range.$gte },
+          })
+        : [],
+      TruckEntry.getPartyBalances(partyField, {
+        organization,
+        entryType,
+        entryDate: range,
+      }),
+      Payment.getPartyReceipts(partyField, {
+        organization,
+        direction,
+        paymentDate: range,
+      }),
+    ]).then(results => results.map(mapByParty));
+
+  const ledger = parties
+    .map(party => {
+      const id = party._id.toString();
+      const prior = {
+        billed: billedBefore.get(id)?.billed || 0,
+        received: receivedBefore.get(id)?.received || 0,
+      };
+      const current = {
+        billed: billedDuring.get(id)?.billed || 0,
+        received: receivedDuring.get(id)?.received || 0,
+        count: billedDuring.get(id)?.count || 0,
+        paymentCount: receivedDuring.get(id)?.count || 0,
+      };
+      const openingBalance =
+        (party.openingBalance || 0) + prior.billed - prior.received;
+
+      return {
+        party: {
+          id: party._id,
+          name: party.name,
+          phone: party.phone,
+          isActive: party.isActive,
+        },
+        openingBalance,
+        billed: current.billed,
+        received: current.received,
+        entryCount: current.count,
+        paymentCount: current.paymentCount,
+        closingBalance: openingBalance + current.billed - current.received,
+      };
+    })
+    // Hide deactivated parties that have nothing outstanding
+    .filter(row => row.party.isActive || row.closingBalance !== 0);
+
+  const totals = ledger.reduce(
+    (acc, row) => ({
+      openingBalance: acc.openingBalance + row.openingBalance,
+      billed: acc.billed + row.billed,
+      received: acc.received + row.received,
+      closingBalance: acc.closingBalance + row.closingBalance,
+    }),
+    { openingBalance: 0, billed: 0, received: 0, closingBalance: 0 },
+  );
+
+  return {
+    dateRange: { startDate: startDate || null, endDate: range.$lte },
+    ledger,
+    totals,
+  };
+};
+
+// Build the running-balance statement for a single party
+const buildLedgerStatement = async ({
+  party,
+  partyField,
+  entryType,
+  organization,
+  startDate,
+  endDate,
+}) => {
+  const range = getLedgerRange(startDate, endDate);
+
+  const direction = getPaymentDirection(entryType);
+  const partyMatch = { organization, [partyField]: party._id };
+
+  const [[priorBilled], [priorReceived]] = startDate
+    ? await Promise.all([
+        TruckEntry.getPartyBalances(partyField, {
+          ...partyMatch,
+          entryType,
+          entryDate: { $lt: range.$gte },
+        }),
+        Payment.getPartyReceipts(partyField, {
+          ...partyMatch,
+          direction,
+          paymentDate: { $lt: range.$gte },
+        }),
+      ])
+    : [[], []];
+
+  const [entries, payments] = await Promise.all([
+    TruckEntry.find({
+      ...partyMatch,
+      entryType,
+      status: 'active',
+      ...REPORTABLE_ENTRY_MATCH,
+      entryDate: range,
+    }),
+    Payment.find({
+      ...partyMatch,
+      direction,
+      isActive: true,
+      paymentDate: range,
+    }),
+  ]);
+
+  const openingBalance =
+    (party.openingBalance || 0) +
+    (priorBilled ? priorBilled.billed : 0) -
+    (priorReceived ? priorReceived.received : 0);
+
+  let runningBalance = openingBalance;
+  let billed = 0;
+  let received = 0;
+
+  // Entries and payments in date order, each on its own line
+  const lines = [
+    ...entries.map(entry => ({ date: entry.entryDate, entry })),
+    ...payments.map(payment => ({ date: payment.paymentDate, payment })),
+  ].sort(
+    (a, b) =>
+      a.date - b.date ||
+      (a.entry || a.payment).createdAt - (b.entry || b.payment).createdAt,
+  );
+
+  const transactions = lines.map(({ entry, payment }) => {
+    if (payment) {
+      received += payment.amount;
+      runningBalance -= payment.amount;
+
+      return {
+        type: 'payment',
+        paymentId: payment._id,
+        date: payment.paymentDate,
+        mode: payment.mode,
+        referenceNumber: payment.referenceNumber,
+        billed: 0,
+        received: payment.amount,
+        balance: runningBalance,
+      };
+    }
+
+    const amount = entry.totalAmount || 0;
+    billed += amount;
+    runningBalance += amount;
+
+    return {
+      type: 'entry',
+      entryId: entry._id,
+      date: entry.entryDate,
+      time: entry.entryTime,
+      truckNumber: entry.truckNumber,
+      materialType: entry.materialType,
+      units: entry.units,
+      unit: entry.unit || 'unit',
+      ratePerUnit: entry.ratePerUnit,
+      billed: amount,
+      received: 0,
+      balance: runningBalance,
+    };
+  });
+
+  return {
+    dateRange: { startDate: startDate || null, endDate: range.$lte },
+    openingBalance,
+    totals: {
+      billed,
+      received,
+      outstanding: billed - received,
+    },
+    closingBalance: runningBalance,
+    transactions,
+  };
+};
+
+module.exports = {
+  getLedgerRange,
+  buildLedgerSummary,
+  buildLedgerStatement,
+};
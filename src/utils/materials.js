@@ -0,0 +1,112 @@
+const Material = require('../models/Material');
+const { AppError } = require('../middleware/errorHandler');
+const { MATERIAL_HSN_CODES } = require('./gst');
+
+// Catalogue every organization starts with; owners can add, edit and
+// deactivate materials from there
+const DEFAULT_MATERIALS = [
+  { name: '1 1/2 Metal', code: 'M40' },
+  { name: '3/4 Jalli', code: 'J20' },
+  { name: '1/2 Jalli', code: 'J12' },
+  { name: '1/4 Kuranai', code: 'K6' },
+  { name: 'Dust', code: 'DUST' },
+  { name: 'Wetmix', code: 'WETMIX' },
+  { name: 'M sand', code: 'MSAND' },
+  { name: 'P sand', code: 'PSAND' },
+].map(material => ({
+  ...material,
+  hsnCode: MATERIAL_HSN_CODES[material.name],
+  unit: 'unit',
+}));
+
+// Give an organization the default catalogue the first time its materials
+// are needed
+const ensureDefaultMaterials = async organizationId => {
+  const count = await Material.countDocuments({ organization: organizationId });
+  if (count > 0) return;
+
+  try {
+    await Material.insertMany(
+      DEFAULT_MATERIALS.map(material => ({
+        ...material,
+        organization: organizationId,
+      })),
+      { ordered: false },
+    );
+  } catch (error) {
+    // Another request seeded the catalogue at the same time
+    if (error.code !== 11000) throw error;
+  }
+};
+
+// Materials of an organization, active ones only unless asked otherwise
+const loadMaterials = async (organizationId, { includeInactive } = {}) => {
+  await ensureDefaultMaterials(organizationId);
+  const query = { organization: organizationId };
+  if (!includeInactive) query.isActive = true;
+  return Material.find(query).sort({ name: 1 });
+};
+
+// Match a material by name or code, ignoring case
+const findMaterial = (materials, value) => {
+  const key = String(value || '')
+    .trim()
+    .toLowerCase();
+  if (!key) return null;
+  return (
+    materials.find(
+      material =>
+        material.name.toLowerCase() === key ||
+        material.code.toLowerCase() === key,
+    ) || null
+  );
+};
+
+// Throw when a material's name or code matches another material's name or
+// code, ignoring case, since findMaterial accepts either. `materials` must
+// include inactive ones; pass the material being updated as `current`.
+const assertMaterialUnique = (materials, { name, code }, current = null) => {
+  const others = materials.filter(
+    material => !current || !material._id.equals(current._id),
+  );
+  [name, code].forEach(value => {
+    const existing = value != null && findMaterial(others, value);
+    if (existing) {
+      throw new AppError(
+        `${value} is already used by the material ${existing.name} (${existing.code})`,
+        409,
+        'DUPLICATE_MATERIAL',
+      );
+    }
+  });
+};
+
+// The active material a sales entry refers to. Throws when the organization
+// does not sell it.
+const resolveSalesMaterial = (materials, value) => {
+  const material = findMaterial(
+    materials.filter(item => item.isActive),
+    value,
+  );
+  if (!material) {
+    throw new AppError(
+      `${value} is not an active material in the catalogue`,
+      400,
+      'UNKNOWN_MATERIAL',
+    );
+  }
+  return material;
+};
+
+const getSalesMaterial = async (organizationId, value) =>
+  resolveSalesMaterial(await loadMaterials(organizationId), value);
+
+module.exports = {
+  DEFAULT_MATERIALS,
+  ensureDefaultMaterials,
+  loadMaterials,
+  findMaterial,
+  assertMaterialUnique,
+  resolveSalesMaterial,
+  getSalesMaterial,
+};
@@ -1,19 +1,11 @@
 const mongoose = require('mongoose');
 const MaterialRate = require('../models/MaterialRate');
+const Organization = require('../models/Organization');
 require('dotenv').config();
 
-const defaultRates = [
-  { materialType: '1 1/2 Metal', currentRate: 1200 },
-  { materialType: '3/4 Jalli', currentRate: 1100 },
-  { materialType: '1/2 Jalli', currentRate: 1000 },
-  { materialType: '1/4 Kuranai', currentRate: 900 },
-  { materialType: 'Dust', currentRate: 800 },
-  { materialType: 'Wetmix', currentRate: 1300 },
-  { materialType: 'M sand', currentRate: 1400 },
-  { materialType: 'P sand', currentRate: 1500 },
-  { materialType: 'Raw Stone', currentRate: 600 },
-];
-
+// Rates used to be one platform-wide price list. This copies each global
+// rate, with its history, into every organization that has no rate for that
+// material yet, then removes the global rates. It is safe to run again.
 async function migrateMaterialRates() {
   try {
     // Connect to MongoDB
@@ -24,19 +16,50 @@ async function migrateMaterialRates() {
 
     console.log('Connected to MongoDB');
 
-    // Clear all existing material rates
-    console.log('Clearing existing material rates...');
-    await MaterialRate.deleteMany({});
-    console.log('All existing material rates cleared');
+    // The old unique index on materialType alone blocks per-organization
+    // copies of the same material
+    const indexes = await MaterialRate.collection.indexes();
+    if (indexes.some(index => index.name === 'materialType_1')) {
+      await MaterialRate.collection.dropIndex('materialType_1');
+      console.log('Dropped the global materialType index');
+    }
+
+    const globalRates = await MaterialRate.find({ organization: null }).lean();
+    const organizations = await Organization.find({}).select('name');
+    console.log(
+      `Copying ${globalRates.length} global rates into ${organizations.length} organizations...`,
+    );
 
-    // Create new global material rates
-    console.log('Creating new global material rates...');
-    const createdRates = await MaterialRate.insertMany(defaultRates);
-    console.log(`Created ${createdRates.length} material rates:`);
+    let created = 0;
+    for (const organization of organizations) {
+      for (const rate of globalRates) {
+        const exists = await MaterialRate.exists({
+          organization: organization._id,
+          materialType: rate.materialType,
+        });
+        if (exists) continue;
 
-    createdRates.forEach(rate => {
-      console.log(`- ${rate.materialType}: ₹${rate.currentRate}`);
+        await MaterialRate.create({
+          organization: organization._id,
+          materialType: rate.materialType,
+          currentRate: rate.currentRate,
+          previousRate: rate.previousRate,
+          effectiveDate: rate.effectiveDate,
+          updatedBy: rate.updatedBy,
+          history: rate.history,
+        });
+        created += 1;
+      }
+      console.log(`- ${organization.name}: done`);
+    }
+    console.log(`Created ${created} organization rates`);
+
+    const { deletedCount } = await MaterialRate.deleteMany({
+      organization: null,
     });
+    console.log(`Removed ${deletedCount} global rates`);
+
+    await MaterialRate.syncIndexes();
 
     console.log('Migration completed successfully!');
   } catch (error) {
@@ -52,4 +75,4 @@ if (require.main === module) {
   migrateMaterialRates();
 }
 
-module.exports = { migrateMaterialRates }; 
\ No newline at end of file
+module.exports = { migrateMaterialRates };
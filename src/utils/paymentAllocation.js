@@ -0,0 +1,261 @@
+const TruckEntry = require('../models/TruckEntry');
+const { AppError } = require('../middleware/errorHandler');
+const { REPORTABLE_TRIP_MATCH } = require('./tripLifecycle');
+const { REPORTABLE_ENTRY_MATCH } = require('./entryApproval');
+const {
+  loadClosedPeriods,
+  findClosedPeriod,
+  assertDatesOpen,
+} = require('./periodLock');
+
+// Money received settles Sales entries, money paid settles Raw Stone entries
+const DIRECTION_ENTRY_TYPES = {
+  received: 'Sales',
+  paid: 'Raw Stone',
+};
+
+const roundAmount = amount => Math.round(amount * 100) / 100;
+
+// Add `amount` (negative to take it off) to an entry's paid amount in a
+// single update and recompute its payment status, so concurrent payments
+// cannot overwrite each other. A claim only applies while the entry is
+// active and the new paid amount stays within its total.
+const changePaidAmount = async (entryId, amount, { claim = false } = {}) => {
+  const paidAmount = {
+    $max: [
+      { $round: [{ $add: [{ $ifNull: ['$paidAmount', 0] }, amount] }, 2] },
+      0,
+    ],
+  };
+  const filter = { _id: entryId };
+  if (claim) {
+    filter.status = 'active';
+    filter.$expr = {
+      $lte: [paidAmount, { $ifNull: ['$totalAmount', 0] }],
+    };
+  }
+  const result = await TruckEntry.updateOne(filter, [
+    { $set: { paidAmount } },
+    {
+      $set: {
+        paymentStatus: {
+          $switch: {
+            branches: [
+              { case: { $lte: ['$paidAmount', 0] }, then: 'unpaid' },
+              {
+                case: {
+                  $lt: ['$paidAmount', { $ifNull: ['$totalAmount', 0] }],
+                },
+                then: 'partial',
+              },
+            ],
+            default: 'paid',
+          },
+        },
+      },
+    },
+  ]);
+  return result.matchedCount === 1;
+};
+
+// Take back paid amount changes already applied, newest first
+const undoPaidChanges = async changes => {
+  for (const { entry, amount } of [...changes].reverse()) {
+    await changePaidAmount(entry, -amount);
+  }
+};
+
+// Pick the oldest unsettled entries of the payment's party until the
+// unallocated amount runs out. Entries in closed periods are left alone.
+const buildAutoAllocations = async payment => {
+  const partyField = payment.direction === 'received' ? 'customer' : 'supplier';
+
+  if (!payment[partyField]) {
+    throw new AppError(
+      `Automatic allocation requires a ${partyField}`,
+      400,
+      'VALIDATION_ERROR',
+    );
+  }
+
+  const entries = await TruckEntry.find({
+    organization: payment.organization,
+    [partyField]: payment[partyField],
+    entryType: DIRECTION_ENTRY_TYPES[payment.direction],
+    status: 'active',
+    ...REPORTABLE_ENTRY_MATCH,
+    paymentStatus: { $ne: 'paid' },
+  }).sort({ entryDate: 1, createdAt: 1 });
+  const closedPeriods = await loadClosedPeriods(payment.organization);
+
+  let remaining = payment.unallocatedAmount;
+  const allocations = [];
+
+  for (const entry of entries) {
+    if (remaining <= 0) break;
+    if (findClosedPeriod(closedPeriods, entry.entryDate)) continue;
+    const amount = roundAmount(Math.min(entry.outstandingAmount, remaining));
+    if (amount <= 0) continue;
+    allocations.push({ entry: entry._id, amount });
+    remaining = roundAmount(remaining - amount);
+  }
+
+  return allocations;
+};
+
+// Validate requested allocations against the payment and its entries, then
+// add them to each entry's paid amount and to the payment, and save the
+// payment. `requested` is either an array of { entry, amount } or the
+// string 'auto'. If an entry was paid or changed in the meantime, or the
+// payment cannot be saved, the amounts already added to entries are taken
+// back off.
+const allocatePayment = async (payment, requested) => {
+  const allocations =
+    requested === 'auto' ? await buildAutoAllocations(payment) : requested;
+
+  if (!Array.isArray(allocations) || allocations.length === 0) {
+    return payment.save();
+  }
+
+  // Merge repeated entries so each entry is checked once
+  const amountsByEntry = new Map();
+  allocations.forEach(({ entry, amount }) => {
+    const value = parseFloat(amount);
+    if (!entry || isNaN(value) || value <= 0) {
+      throw new AppError(
+        'Each allocation needs an entry and a positive amount',
+        400,
+        'VALIDATION_ERROR',
+      );
+    }
+    const key = entry.toString();
+    amountsByEntry.set(
+      key,
+      roundAmount((amountsByEntry.get(key) || 0) + value),
+    );
+  });
+
+  const totalRequested = roundAmount(
+    [...amountsByEntry.values()].reduce((sum, value) => sum + value, 0),
+  );
+  if (totalRequested > payment.unallocatedAmount) {
+    throw new AppError(
+      `Allocations (${totalRequested}) exceed the unallocated payment amount (${payment.unallocatedAmount})`,
+      400,
+      'VALIDATION_ERROR',
+    );
+  }
+
+  const entries = await TruckEntry.find({
+    _id: { $in: [...amountsByEntry.keys()] },
+    organization: payment.organization,
+    status: 'active',
+    // Entries awaiting approval can still take money collected at the gate
+    ...REPORTABLE_TRIP_MATCH,
+  });
+
+  if (entries.length !== amountsByEntry.size) {
+    throw new AppError(
+      'One or more truck entries were not found',
+      400,
+      'VALIDATION_ERROR',
+    );
+  }
+
+  // Allocating changes what is owed on each entry's date
+  assertDatesOpen(
+    await loadClosedPeriods(payment.organization),
+    entries.map(entry => entry.entryDate),
+  );
+
+  const entryType = DIRECTION_ENTRY_TYPES[payment.direction];
+  entries.forEach(entry => {
+    const amount = amountsByEntry.get(entry._id.toString());
+
+    if (entry.entryType !== entryType) {
+      throw new AppError(
+        `Payments ${payment.direction} can only settle ${entryType} entries`,
+        400,
+        'VALIDATION_ERROR',
+      );
+    }
+
+    ['customer', 'supplier'].forEach(partyField => {
+      if (
+        payment[partyField] &&
+        entry[partyField] &&
+        entry[partyField].toString() !== payment[partyField].toString()
+      ) {
+        throw new AppError(
+          `Truck entry ${entry.truckNumber} belongs to a different ${partyField}`,
+          400,
+          'VALIDATION_ERROR',
+        );
+      }
+    });
+
+    if (amount > entry.outstandingAmount) {
+      throw new AppError(
+        `Allocation for truck entry ${entry.truckNumber} exceeds its outstanding amount (${entry.outstandingAmount})`,
+        400,
+        'VALIDATION_ERROR',
+      );
+    }
+  });
+
+  const applied = [];
+  try {
+    for (const entry of entries) {
+      const amount = amountsByEntry.get(entry._id.toString());
+      const claimed = await changePaidAmount(entry._id, amount, {
+        claim: true,
+      });
+      if (!claimed) {
+        throw new AppError(
+          `Truck entry ${entry.truckNumber} was paid or changed while this payment was being allocated`,
+          409,
+          'ALLOCATION_CONFLICT',
+        );
+      }
+      applied.push({ entry: entry._id, amount });
+    }
+    payment.allocations.push(...applied);
+    return await payment.save();
+  } catch (error) {
+    await undoPaidChanges(applied);
+    throw error;
+  }
+};
+
+// Take a payment's allocations back off the entries (used when a payment is
+// cancelled) and save the payment without them. If the payment cannot be
+// saved the allocations are put back on the entries.
+const releaseAllocations = async payment => {
+  const entries = await TruckEntry.find({
+    _id: { $in: payment.allocations.map(allocation => allocation.entry) },
+  });
+  assertDatesOpen(
+    await loadClosedPeriods(payment.organization),
+    entries.map(entry => entry.entryDate),
+  );
+
+  const released = [];
+  try {
+    for (const { entry, amount } of payment.allocations) {
+      if (await changePaidAmount(entry, -amount)) {
+        released.push({ entry, amount: -amount });
+      }
+    }
+    payment.allocations = [];
+    return await payment.save();
+  } catch (error) {
+    await undoPaidChanges(released);
+    throw error;
+  }
+};
+
+module.exports = {
+  DIRECTION_ENTRY_TYPES,
+  allocatePayment,
+  releaseAllocations,
+};
@@ -0,0 +1,52 @@
+const PeriodLock = require('../models/PeriodLock');
+const { AppError } = require('../middleware/errorHandler');
+const { formatDay } = require('./dayBook');
+
+// Closed periods of an organization, for checking many dates at once
+const loadClosedPeriods = organizationId =>
+  PeriodLock.find({ organization: organizationId, status: 'closed' }).sort({
+    startDate: 1,
+  });
+
+// The closed period a date falls in, or null
+const findClosedPeriod = (periods, date) => {
+  if (!date) return null;
+  const time = new Date(date).getTime();
+  if (isNaN(time)) return null;
+  return (
+    periods.find(
+      period =>
+        time >= period.startDate.getTime() && time <= period.endDate.getTime(),
+    ) || null
+  );
+};
+
+// Throw when any of the dates falls in one of the closed periods
+const assertDatesOpen = (periods, dates) => {
+  for (const date of dates) {
+    const period = findClosedPeriod(periods, date);
+    if (period) {
+      throw new AppError(
+        `The books for ${formatDay(period.startDate)} to ${formatDay(
+          period.endDate,
+        )} are closed. Ask the owner to reopen the period to make changes.`,
+        423,
+        'PERIOD_CLOSED',
+      );
+    }
+  }
+};
+
+// Check that records dated on the given dates can be changed. Pass both the
+// old and the new date when a record is moved to another date.
+const assertPeriodOpen = async (organizationId, ...dates) => {
+  const periods = await loadClosedPeriods(organizationId);
+  assertDatesOpen(periods, dates.filter(Boolean));
+};
+
+module.exports = {
+  loadClosedPeriods,
+  findClosedPeriod,
+  assertDatesOpen,
+  assertPeriodOpen,
+};
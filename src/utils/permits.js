@@ -0,0 +1,399 @@
+const mongoose = require('mongoose');
+const Permit = require('../models/Permit');
+const TruckEntry = require('../models/TruckEntry');
+const { AppError } = require('../middleware/errorHandler');
+const {
+  STANDARD_UNIT,
+  loadUnitContext,
+  convertQuantity,
+  getConversionMaterial,
+} = require('./units');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Days before its expiry that a permit is flagged
+const PERMIT_EXPIRY_ALERT_DAYS = 7;
+
+// Share of the issued quantity (percent) at or below which a permit is
+// flagged, unless the organization sets its own permitAlertPercent
+const DEFAULT_PERMIT_ALERT_PERCENT = 10;
+
+// Loads that count against a permit: entries that are not in the trash and
+// whose trip was not cancelled. Pending entries count, as the load has left.
+const PERMIT_USAGE_MATCH = {
+  status: 'active',
+  tripStatus: { $ne: 'cancelled' },
+};
+
+const roundQuantity = value => Math.round(value * 1000) / 1000;
+const formatDay = date => new Date(date).toISOString().split('T')[0];
+
+// Quantity carried and loads on each permit, added up from the entries, as
+// a Map by permit ID. `startDate` and `endDate` count only loads dated in
+// that period. A permit's balance comes from its usage counter instead (see
+// loadPermitBalances); this is for period figures and starting the counter.
+const loadPermitUsage = async (
+  organizationId,
+  permitIds,
+  { startDate, endDate } = {},
+) => {
+  const match = {
+    organization: new mongoose.Types.ObjectId(organizationId),
+    permit: { $in: permitIds.map(id => new mongoose.Types.ObjectId(id)) },
+    ...PERMIT_USAGE_MATCH,
+  };
+  if (startDate || endDate) {
+    match.entryDate = {};
+    if (startDate) match.entryDate.$gte = startDate;
+    if (endDate) match.entryDate.$lte = endDate;
+  }
+
+  const usage = await TruckEntry.aggregate([
+    { $match: match },
+    {
+      $group: {
+        _id: '$permit',
+        usedQuantity: { $sum: { $ifNull: ['$permitQuantity', 0] } },
+        loads: { $sum: 1 },
+      },
+    },
+  ]);
+
+  return new Map(
+    usage.map(row => [
+      row._id.toString(),
+      { usedQuantity: roundQuantity(row.usedQuantity), loads: row.loads },
+    ]),
+  );
+};
+
+// Quantity used on each permit and the loads it carries, as a Map by permit
+// ID. The used quantity is the permit's running usage counter, the same
+// figure reservations are checked against, read fresh from the database.
+const loadPermitBalances = async (organizationId, permits) => {
+  const permitIds = permits.map(permit => permit._id);
+  await Promise.all(
+    permits
+      .filter(permit => permit.usedQuantity == null)
+      .map(permit => ensureUsageCounter(permit._id)),
+  );
+  const [counters, usage] = await Promise.all([
+    Permit.find({ _id: { $in: permitIds } }).select('usedQuantity'),
+    loadPermitUsage(organizationId, permitIds),
+  ]);
+
+  return new Map(
+    counters.map(counter => {
+      const id = counter._id.toString();
+      return [
+        id,
+        {
+          usedQuantity: roundQuantity(counter.usedQuantity || 0),
+          loads: usage.has(id) ? usage.get(id).loads : 0,
+        },
+      ];
+    }),
+  );
+};
+
+// A permit with its balance, status and alerts. The status is 'cancelled',
+// 'exhausted', 'expired', 'upcoming' or 'active'.
+const describePermit = (
+  permit,
+  usage,
+  { alertPercent = DEFAULT_PERMIT_ALERT_PERCENT, now = new Date() } = {},
+) => {
+  const usedQuantity = usage ? usage.usedQuantity : 0;
+  const remainingQuantity = roundQuantity(permit.issuedQuantity - usedQuantity);
+  const utilisationPercent =
+    Math.round((usedQuantity / permit.issuedQuantity) * 10000) / 100;
+
+  let status = 'active';
+  if (!permit.isActive) status = 'cancelled';
+  else if (remainingQuantity <= 0) status = 'exhausted';
+  else if (permit.validTo < now) status = 'expired';
+  else if (permit.validFrom > now) status = 'upcoming';
+
+  const alerts = [];
+  if (status === 'active') {
+    if (remainingQuantity <= (permit.issuedQuantity * alertPercent) / 100) {
+      alerts.push({
+        type: 'low_balance',
+        message: `Only ${remainingQuantity} ${permit.unit} left of ${permit.issuedQuantity}`,
+      });
+    }
+    if (permit.validTo - now <= PERMIT_EXPIRY_ALERT_DAYS * DAY_MS) {
+      alerts.push({
+        type: 'expiring',
+        message: `Expires on ${formatDay(permit.validTo)}`,
+      });
+    }
+  } else if (status === 'expired') {
+    alerts.push({
+      type: 'expired',
+      message: `Expired on ${formatDay(
+        permit.validTo,
+      )} with ${remainingQuantity} ${permit.unit} unused`,
+    });
+  }
+
+  return {
+    ...permit.toObject(),
+    usedQuantity,
+    remainingQuantity,
+    utilisationPercent,
+    loads: usage ? usage.loads : 0,
+    status,
+    alerts,
+  };
+};
+
+// Quantity of a load in a permit's unit. Permits issued in tonnes use the
+// weighbridge net weight when the load was weighed.
+const getPermitQuantity = (unitContext, entry, permit) => {
+  if (
+    permit.unit === 'tonne' &&
+    entry.grossWeight != null &&
+    entry.tareWeight != null
+  ) {
+    return roundQuantity(entry.grossWeight - entry.tareWeight);
+  }
+  return convertQuantity(
+    unitContext,
+    parseFloat(entry.units),
+    entry.unit || STANDARD_UNIT,
+    permit.unit,
+    getConversionMaterial(entry),
+  );
+};
+
+// The permit a sales load draws on and the quantity it uses. A requested
+// `permitId` must be valid for the load and have room for it. Otherwise the
+// valid permit for the material that expires first and still has room is
+// picked. What a saved entry already holds on a permit counts as room for
+// it. `pendingUsage` maps permit IDs to quantity taken by loads not yet
+// saved. Returns { permit, quantity, warning } or null when no permit
+// covers the load. The quantity is reserved when the entry is saved.
+const assignPermit = async (
+  organizationId,
+  entry,
+  {
+    permitId,
+    pendingUsage = new Map(),
+    alertPercent = DEFAULT_PERMIT_ALERT_PERCENT,
+  } = {},
+) => {
+  const date = new Date(entry.entryDate || Date.now());
+
+  let permits;
+  if (permitId) {
+    const permit = mongoose.isValidObjectId(permitId)
+      ? await Permit.findOne({
+          _id: permitId,
+          organization: organizationId,
+          isActive: true,
+        })
+      : null;
+    if (!permit) {
+      throw new AppError('Permit not found', 400, 'PERMIT_NOT_FOUND');
+    }
+    if (permit.validFrom > date || permit.validTo < date) {
+      throw new AppError(
+        `Permit ${permit.permitNumber} is valid from ${formatDay(
+          permit.validFrom,
+        )} to ${formatDay(permit.validTo)}`,
+        400,
+        'PERMIT_NOT_VALID',
+      );
+    }
+    if (permit.materialType && permit.materialType !== entry.materialType) {
+      throw new AppError(
+        `Permit ${permit.permitNumber} is for ${permit.materialType}`,
+        400,
+        'PERMIT_MATERIAL_MISMATCH',
+      );
+    }
+    permits = [permit];
+  } else {
+    permits = await Permit.find({
+      organization: organizationId,
+      isActive: true,
+      validFrom: { $lte: date },
+      validTo: { $gte: date },
+      materialType: { $in: [entry.materialType, null] },
+    }).sort({ validTo: 1, createdAt: 1 });
+  }
+  if (permits.length === 0) return null;
+
+  const [unitContext, balances] = await Promise.all([
+    loadUnitContext(organizationId, { includeInactive: true }),
+    loadPermitBalances(organizationId, permits),
+  ]);
+  const held = entry.$locals ? entry.$locals.heldPermit : null;
+
+  for (const permit of permits) {
+    let quantity;
+    try {
+      quantity = getPermitQuantity(unitContext, entry, permit);
+    } catch (error) {
+      // Skip permits in a unit the load cannot be converted to
+      if (permitId) throw error;
+      continue;
+    }
+
+    const id = permit._id.toString();
+    const balance = balances.get(id);
+    const available = roundQuantity(
+      permit.issuedQuantity -
+        (balance ? balance.usedQuantity : 0) +
+        (held && held.permit === id ? held.quantity : 0) -
+        (pendingUsage.get(id) || 0),
+    );
+    if (quantity > available) {
+      if (!permitId) continue;
+      throw new AppError(
+        `Permit ${permit.permitNumber} has ${available} ${permit.unit} left; this load needs ${quantity}`,
+        409,
+        'PERMIT_EXHAUSTED',
+      );
+    }
+
+    const remaining = roundQuantity(available - quantity);
+    return {
+      permit,
+      quantity,
+      warning:
+        remaining <= (permit.issuedQuantity * alertPercent) / 100
+          ? `Permit ${permit.permitNumber} has ${remaining} ${permit.unit} left after this load`
+          : null,
+    };
+  }
+  return null;
+};
+
+// Assign a sales load to a permit, failing when none covers it and the
+// organization requires one. `settings` are the organization's settings.
+const assignSalesPermit = async (
+  organizationId,
+  entry,
+  { settings, ...options } = {},
+) => {
+  const permitUse = await assignPermit(organizationId, entry, {
+    ...options,
+    alertPercent: settings?.permitAlertPercent,
+  });
+  if (!permitUse && settings?.requirePermit) {
+    throw new AppError(
+      'No valid permit has enough quantity left for this load',
+      400,
+      'PERMIT_REQUIRED',
+    );
+  }
+  return permitUse;
+};
+
+// Permit quantity a saved entry holds, as { permit, quantity }, or null.
+// Loads that do not count against a permit (see PERMIT_USAGE_MATCH) hold
+// none.
+const getHeldPermit = entry =>
+  entry.permit &&
+  entry.permitQuantity > 0 &&
+  entry.status === 'active' &&
+  entry.tripStatus !== 'cancelled'
+    ? { permit: entry.permit.toString(), quantity: entry.permitQuantity }
+    : null;
+
+// Start a permit's usage counter from the loads it has carried, for permits
+// created before the counter existed
+const ensureUsageCounter = async permitId => {
+  const permit = await Permit.findOne({ _id: permitId, usedQuantity: null });
+  if (!permit) return;
+  const usage = (await loadPermitUsage(permit.organization, [permit._id])).get(
+    permit._id.toString(),
+  );
+  await Permit.updateOne(
+    { _id: permit._id, usedQuantity: null },
+    { $set: { usedQuantity: usage ? usage.usedQuantity : 0 } },
+  );
+};
+
+// Add to a permit's usage counter in one conditional update. An increase
+// only goes through while the permit has room for it, so loads saved at the
+// same time cannot overdraw it. Returns false when there is no room.
+const changePermitUsage = async (permitId, quantity) => {
+  await ensureUsageCounter(permitId);
+  const usedQuantity = { $round: [{ $add: ['$usedQuantity', quantity] }, 3] };
+  const filter = { _id: permitId };
+  if (quantity > 0) {
+    filter.$expr = { $lte: [usedQuantity, '$issuedQuantity'] };
+  }
+  const result = await Permit.updateOne(filter, [{ $set: { usedQuantity } }]);
+  return result.matchedCount === 1;
+};
+
+// Before a truck entry is saved, reserve what it now holds on its permit
+// beyond what it held when loaded. Releases wait until the save succeeds.
+// Runs from the TruckEntry save hooks, so every path that saves an entry
+// keeps the counters right.
+const reserveEntryPermit = async entry => {
+  const changes = new Map();
+  const add = (held, sign) => {
+    if (!held) return;
+    changes.set(
+      held.permit,
+      roundQuantity((changes.get(held.permit) || 0) + sign * held.quantity),
+    );
+  };
+  add(entry.isNew ? null : entry.$locals.heldPermit, -1);
+  add(getHeldPermit(entry), 1);
+
+  entry.$locals.permitReserved = [];
+  entry.$locals.permitReleases = [];
+  for (const [permitId, quantity] of changes) {
+    if (quantity < 0) {
+      entry.$locals.permitReleases.push([permitId, -quantity]);
+    } else if (quantity > 0) {
+      if (!(await changePermitUsage(permitId, quantity))) {
+        throw new AppError(
+          'The permit no longer has enough quantity left for this load',
+          409,
+          'PERMIT_EXHAUSTED',
+        );
+      }
+      entry.$locals.permitReserved.push([permitId, quantity]);
+    }
+  }
+};
+
+// After a truck entry is saved, release what it no longer holds
+const settleEntryPermit = async entry => {
+  for (const [permitId, quantity] of entry.$locals.permitReleases || []) {
+    await changePermitUsage(permitId, -quantity);
+  }
+  entry.$locals.permitReserved = [];
+  entry.$locals.permitReleases = [];
+  entry.$locals.heldPermit = getHeldPermit(entry);
+};
+
+// When saving a truck entry fails, give back what was reserved for it
+const undoEntryPermit = async entry => {
+  for (const [permitId, quantity] of entry.$locals.permitReserved || []) {
+    await changePermitUsage(permitId, -quantity);
+  }
+  entry.$locals.permitReserved = [];
+  entry.$locals.permitReleases = [];
+};
+
+module.exports = {
+  PERMIT_USAGE_MATCH,
+  DEFAULT_PERMIT_ALERT_PERCENT,
+  loadPermitUsage,
+  loadPermitBalances,
+  describePermit,
+  assignPermit,
+  assignSalesPermit,
+  getHeldPermit,
+  reserveEntryPermit,
+  settleEntryPermit,
+  undoEntryPermit,
+};
@@ -0,0 +1,123 @@
+const mongoose = require('mongoose');
+const RateCard = require('../models/RateCard');
+const MaterialRate = require('../models/MaterialRate');
+const Customer = require('../models/Customer');
+const { STANDARD_UNIT, getConversionFactor } = require('./units');
+
+// Where an entry's rate came from
+const RATE_SOURCES = ['manual', 'rate_card', 'list_price'];
+
+// Active rate cards of a customer and its group in force on a date, newest
+// first
+const findRateCardsOn = (organizationId, customer, date) => {
+  const targets = [{ customer: customer._id }];
+  if (customer.rateGroup) targets.push({ customerGroup: customer.rateGroup });
+
+  return RateCard.find({
+    organization: organizationId,
+    isActive: true,
+    validFrom: { $lte: date },
+    $and: [
+      { $or: [{ validTo: null }, { validTo: { $gte: date } }] },
+      { $or: targets },
+    ],
+  }).sort({ validFrom: -1 });
+};
+
+const findCardRate = (cards, materialType) => {
+  for (const card of cards) {
+    const item = card.items.find(i => i.materialType === materialType);
+    if (item) return { card, rate: item.rate, unit: item.unit };
+  }
+  return null;
+};
+
+// The rate that applies to a material for a customer on a date: the
+// customer's own rate card, then their group's card, then the list price
+// in force that day.
+// Returns { rate, unit, source, rateCard } or null when no rate is set;
+// `unit` is the unit of measure the rate is quoted per.
+const resolveRate = async (
+  organizationId,
+  { materialType, customer, date = new Date() },
+) => {
+  const on = new Date(date);
+
+  // Accept a customer document or its ID
+  let customerDoc = null;
+  if (customer && customer.organization) {
+    customerDoc = customer;
+  } else if (customer && mongoose.isValidObjectId(customer)) {
+    customerDoc = await Customer.findOne({
+      _id: customer,
+      organization: organizationId,
+    });
+  }
+
+  if (customerDoc) {
+    const cards = await findRateCardsOn(organizationId, customerDoc, on);
+    const ownCards = cards.filter(card => card.customer);
+    const groupCards = cards.filter(card => card.customerGroup);
+
+    for (const [scope, scopedCards] of [
+      ['customer', ownCards],
+      ['group', groupCards],
+    ]) {
+      const match = findCardRate(scopedCards, materialType);
+      if (match) {
+        return {
+          rate: match.rate,
+          unit: match.unit || STANDARD_UNIT,
+          source: 'rate_card',
+          rateCard: {
+            _id: match.card._id,
+            name: match.card.name,
+            scope,
+            validFrom: match.card.validFrom,
+            validTo: match.card.validTo,
+          },
+        };
+      }
+    }
+  }
+
+  // The list price in force on the date, so back-dated entries get the
+  // rate of their day and later ones any scheduled change
+  const listPrice = await MaterialRate.findOne({
+    organization: organizationId,
+    materialType,
+  });
+  const listRate = listPrice ? listPrice.getRateAsOf(on) : null;
+  if (listRate !== null) {
+    return {
+      rate: listRate,
+      unit: listPrice.unit || STANDARD_UNIT,
+      source: 'list_price',
+      rateCard: null,
+    };
+  }
+
+  return null;
+};
+
+// Unit an entry's rate is charged per: net tonnes for entries priced by
+// weight, else the entry's unit
+const getBilledUnit = ({ pricingBasis, unit }) =>
+  pricingBasis === 'weight' ? 'tonne' : (unit || STANDARD_UNIT).toLowerCase();
+
+// A rate quoted per `rate.unit` as a rate per `toUnit` of the material, so
+// a quantity in `toUnit` times the result is its quoted price
+const convertRate = (unitContext, rate, toUnit, materialType) =>
+  Math.round(
+    rate.rate *
+      getConversionFactor(unitContext, toUnit, rate.unit, materialType) *
+      100,
+  ) / 100;
+
+module.exports = {
+  RATE_SOURCES,
+  findRateCardsOn,
+  resolveRate,
+  getBilledUnit,
+  convertRate,
+};
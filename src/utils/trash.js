@@ -0,0 +1,172 @@
+const TruckEntry = require('../models/TruckEntry');
+const OtherExpense = require('../models/OtherExpense');
+const Organization = require('../models/Organization');
+const { deleteImage, extractPublicId } = require('../middleware/uploadImage');
+const { auditSnapshot, recordAuditMany } = require('./audit');
+const { isCashExpense } = require('./dayBook');
+const { AppError } = require('../middleware/errorHandler');
+const { assignPermit, assignSalesPermit } = require('./permits');
+
+const DEFAULT_RETENTION_DAYS = 30;
+
+// A restored sales load draws on its permit again. When that permit is no
+// longer valid for it or has no room left, another permit is picked as for
+// a new load.
+const restoreEntryPermit = async entry => {
+  if (entry.entryType !== 'Sales') return;
+
+  let permitUse = null;
+  if (entry.permit) {
+    try {
+      permitUse = await assignPermit(entry.organization, entry, {
+        permitId: entry.permit,
+      });
+    } catch (error) {
+      if (!(error instanceof AppError)) throw error;
+    }
+  }
+  if (!permitUse) {
+    const organization = await Organization.findById(entry.organization).select(
+      'settings',
+    );
+    permitUse = await assignSalesPermit(entry.organization, entry, {
+      settings: organization?.settings,
+    });
+  }
+  entry.permit = permitUse ? permitUse.permit._id : null;
+  entry.permitQuantity = permitUse ? permitUse.quantity : null;
+};
+
+// Record types kept in the trash. Truck entries mark deletion with status
+// and expenses with isActive, so each type has its own match and restore.
+const TRASH_TYPES = {
+  'truck-entries': {
+    model: TruckEntry,
+    label: 'Truck entry',
+    deletedMatch: { status: 'deleted' },
+    restoreUpdate: { status: 'active' },
+    dateField: 'entryDate',
+    imageField: 'truckImage',
+    // Whether the record moves cash in the day book
+    isCash: () => false,
+    // Checks and updates the record before it is restored
+    prepareRestore: restoreEntryPermit,
+    // Entries with payments allocated are kept so the payments still
+    // point at them
+    purgeableMatch: { paidAmount: { $not: { $gt: 0 } } },
+  },
+  expenses: {
+    model: OtherExpense,
+    label: 'Other expense',
+    deletedMatch: { isActive: false },
+    restoreUpdate: { isActive: true },
+    dateField: 'date',
+    imageField: null,
+    isCash: isCashExpense,
+    prepareRestore: async () => {},
+    purgeableMatch: {},
+  },
+};
+
+const getTrashType = type => TRASH_TYPES[type] || null;
+
+// Permanently remove trashed records of one type, with their images.
+// The full records are written to the audit log first.
+const purgeRecords = async (req, config, records, note) => {
+  await recordAuditMany(req, {
+    model: config.model.modelName,
+    action: 'purge',
+    note,
+    items: records.map(document => ({
+      document,
+      before: auditSnapshot(document),
+      organization: document.organization,
+    })),
+  });
+
+  if (config.imageField) {
+    await Promise.all(
+      records
+        .filter(record => record[config.imageField])
+        .map(record => deleteImage(extractPublicId(record[config.imageField]))),
+    );
+  }
+  const result = await config.model.deleteMany({
+    _id: { $in: records.map(record => record._id) },
+  });
+  return result.deletedCount;
+};
+
+// Items deleted before the cutoff. Items deleted before deletedAt was
+// recorded have no deletion time and never expire; they are only removed
+// one at a time.
+const expiredMatch = cutoff => ({ deletedAt: { $lt: cutoff } });
+
+const getRetentionDays = async organizationId => {
+  const organization = await Organization.findById(organizationId).select(
+    'settings',
+  );
+  return organization?.settings?.trashRetentionDays || DEFAULT_RETENTION_DAYS;
+};
+
+// Permanently remove trash older than the organization's retention period.
+// Returns the number of records removed for each type. A dry run only
+// counts them.
+const purgeExpiredTrash = async (
+  req,
+  organizationId,
+  { dryRun = false } = {},
+) => {
+  const retentionDays = await getRetentionDays(organizationId);
+  const cutoff = new Date(Date.now() - retentionDays * 24 * 60 * 60 * 1000);
+
+  const purged = {};
+  for (const [type, config] of Object.entries(TRASH_TYPES)) {
+    const expired = await config.model.find({
+      organization: organizationId,
+      ...config.deletedMatch,
+      ...config.purgeableMatch,
+      ...expiredMatch(cutoff),
+    });
+    purged[type] =
+      !dryRun && expired.length > 0
+        ? await purgeRecords(
+            req,
+            config,
+            expired,
+            `Retention period of ${retentionDays} days expired`,
+          )
+        : expired.length;
+  }
+
+  return { retentionDays, dryRun, purged };
+};
+
+// Run the retention purge for every organization, as the scheduled job does.
+// An organization that fails is reported and the others still run.
+const purgeAllExpiredTrash = async req => {
+  const organizations = await Organization.find().select('_id');
+
+  const results = [];
+  for (const organization of organizations) {
+    try {
+      results.push({
+        organization: organization._id,
+        ...(await purgeExpiredTrash(req, organization._id)),
+      });
+    } catch (error) {
+      results.push({ organization: organization._id, error: error.message });
+    }
+  }
+  return results;
+};
+
+module.exports = {
+  DEFAULT_RETENTION_DAYS,
+  TRASH_TYPES,
+  getTrashType,
+  getRetentionDays,
+  purgeRecords,
+  purgeExpiredTrash,
+  purgeAllExpiredTrash,
+};
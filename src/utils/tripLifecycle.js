@@ -0,0 +1,76 @@
+const { AppError } = require('../middleware/errorHandler');
+
+// Gate process stages of a truck entry, in order
+const TRIP_STATUSES = [
+  'arrived',
+  'loading',
+  'weighed',
+  'dispatched',
+  'delivered',
+  'cancelled',
+];
+
+// Stages while the truck is still inside the yard
+const IN_YARD_STATUSES = ['arrived', 'loading', 'weighed'];
+
+// Stages a new entry may start in. Entries made after loading start as
+// dispatched, which is also what entries from before the lifecycle are.
+const INITIAL_TRIP_STATUSES = ['arrived', 'loading', 'weighed', 'dispatched'];
+
+// Allowed next stages for each stage
+const TRIP_TRANSITIONS = {
+  arrived: ['loading', 'weighed', 'cancelled'],
+  loading: ['weighed', 'dispatched', 'cancelled'],
+  weighed: ['dispatched', 'cancelled'],
+  dispatched: ['delivered', 'cancelled'],
+  delivered: [],
+  cancelled: [],
+};
+
+// Once a load has left the yard only an owner can cancel it
+const OWNER_ONLY_CANCEL_FROM = ['dispatched'];
+
+// Match for entries that count towards totals (cancelled trips do not)
+const REPORTABLE_TRIP_MATCH = { tripStatus: { $ne: 'cancelled' } };
+
+// Check that `entry` may move to `toStatus` for a user with `role`
+const assertTripTransition = (entry, toStatus, role) => {
+  const fromStatus = entry.tripStatus || 'dispatched';
+
+  if (!TRIP_STATUSES.includes(toStatus)) {
+    throw new AppError(
+      `Trip status must be one of: ${TRIP_STATUSES.join(', ')}`,
+      400,
+      'VALIDATION_ERROR',
+    );
+  }
+
+  if (!TRIP_TRANSITIONS[fromStatus].includes(toStatus)) {
+    throw new AppError(
+      `Cannot move a trip from ${fromStatus} to ${toStatus}`,
+      409,
+      'INVALID_TRANSITION',
+    );
+  }
+
+  if (
+    toStatus === 'cancelled' &&
+    OWNER_ONLY_CANCEL_FROM.includes(fromStatus) &&
+    role !== 'owner'
+  ) {
+    throw new AppError(
+      'Only owners can cancel a dispatched trip',
+      403,
+      'ACCESS_DENIED',
+    );
+  }
+};
+
+module.exports = {
+  TRIP_STATUSES,
+  IN_YARD_STATUSES,
+  INITIAL_TRIP_STATUSES,
+  TRIP_TRANSITIONS,
+  REPORTABLE_TRIP_MATCH,
+  assertTripTransition,
+};
@@ -0,0 +1,117 @@
+const UnitOfMeasure = require('../models/UnitOfMeasure');
+const MaterialConversion = require('../models/MaterialConversion');
+const { AppError } = require('../middleware/errorHandler');
+
+const CFT_PER_CUM = 35.3147;
+
+// Quantities recorded before units of measure existed are in "units".
+// One unit is 100 cft, the same as one brass.
+const STANDARD_UNIT = 'unit';
+
+// Built-in units available to every organization. `factor` is cubic feet in
+// one unit for volume units and tonnes in one unit for weight units.
+const BUILT_IN_UNITS = [
+  { code: 'unit', name: 'Unit (100 cft)', dimension: 'volume', factor: 100 },
+  { code: 'brass', name: 'Brass', dimension: 'volume', factor: 100 },
+  { code: 'cft', name: 'Cubic feet', dimension: 'volume', factor: 1 },
+  {
+    code: 'cum',
+    name: 'Cubic metre',
+    dimension: 'volume',
+    factor: CFT_PER_CUM,
+  },
+  { code: 'tonne', name: 'Tonne', dimension: 'weight', factor: 1 },
+];
+
+const BUILT_IN_CODES = BUILT_IN_UNITS.map(unit => unit.code);
+
+const roundQuantity = value => Math.round(value * 1000) / 1000;
+
+// Raw Stone entries have no material type; they convert as 'Raw Stone'
+const getConversionMaterial = entry => entry.materialType || 'Raw Stone';
+
+// Load the units and material conversions of an organization once so a
+// request can convert many quantities without further queries. Existing
+// entries may be in a unit that has since been deleted, so converting them
+// needs `includeInactive`; new quantities only accept active units.
+const loadUnitContext = async (organizationId, { includeInactive } = {}) => {
+  const unitQuery = { organization: organizationId };
+  if (!includeInactive) unitQuery.isActive = true;
+  const [customUnits, conversions] = await Promise.all([
+    // Active units are added last so they win over a deleted unit's code
+    UnitOfMeasure.find(unitQuery).sort({ isActive: 1 }),
+    MaterialConversion.find({ organization: organizationId }),
+  ]);
+
+  const units = new Map(BUILT_IN_UNITS.map(unit => [unit.code, unit]));
+  customUnits.forEach(unit => units.set(unit.code, unit));
+
+  return {
+    units,
+    conversions: new Map(
+      conversions.map(conversion => [conversion.materialType, conversion]),
+    ),
+  };
+};
+
+const getUnit = (context, code) => {
+  const unit = context.units.get((code || STANDARD_UNIT).toLowerCase());
+  if (!unit) {
+    throw new AppError(`Unknown unit of measure: ${code}`, 400, 'UNKNOWN_UNIT');
+  }
+  return unit;
+};
+
+// Size of one `unit` of a material in cubic feet
+const getUnitSize = (context, unit, materialType) => {
+  const conversion = context.conversions.get(materialType);
+  const override = conversion?.unitFactors?.find(f => f.unit === unit.code);
+  if (override) {
+    return override.standardUnits * getUnit(context, STANDARD_UNIT).factor;
+  }
+
+  if (unit.dimension === 'volume') return unit.factor;
+
+  if (!conversion || !conversion.density) {
+    throw new AppError(
+      `No density configured for ${materialType}; cannot convert ${unit.code} to volume`,
+      400,
+      'CONVERSION_UNAVAILABLE',
+    );
+  }
+  return (unit.factor / conversion.density) * CFT_PER_CUM;
+};
+
+// How many `toCode` units of a material make one `fromCode` unit
+const getConversionFactor = (context, fromCode, toCode, materialType) => {
+  const from = getUnit(context, fromCode);
+  const to = getUnit(context, toCode);
+  if (from.code === to.code) return 1;
+
+  return (
+    getUnitSize(context, from, materialType) /
+    getUnitSize(context, to, materialType)
+  );
+};
+
+// Convert a quantity of a material from one unit to another
+const convertQuantity = (context, quantity, fromCode, toCode, materialType) =>
+  roundQuantity(
+    quantity * getConversionFactor(context, fromCode, toCode, materialType),
+  );
+
+const toStandardUnits = (context, quantity, unitCode, materialType) =>
+  convertQuantity(context, quantity, unitCode, STANDARD_UNIT, materialType);
+
+module.exports = {
+  CFT_PER_CUM,
+  STANDARD_UNIT,
+  BUILT_IN_UNITS,
+  BUILT_IN_CODES,
+  getConversionMaterial,
+  loadUnitContext,
+  getUnit,
+  getConversionFactor,
+  convertQuantity,
+  toStandardUnits,
+};
@@ -0,0 +1,35 @@
+const Vehicle = require('../models/Vehicle');
+const { AppError } = require('../middleware/errorHandler');
+
+// "ka-01 ab 1234" -> "KA01AB1234", so one truck is stored one way
+const normalizeTruckNumber = value =>
+  typeof value === 'string'
+    ? value.toUpperCase().replace(/[\s\-]/g, '')
+    : value;
+
+const findVehicleByNumber = (organizationId, truckNumber) =>
+  Vehicle.findOne({
+    organization: organizationId,
+    registrationNumber: normalizeTruckNumber(truckNumber),
+    isActive: true,
+  });
+
+// Compare a load (in standard units) with the vehicle's registered capacity.
+// `mode` is the organization's capacityCheck setting: 'off', 'warn' or
+// 'reject'. Returns a warning message, or null when the load fits.
+const checkVehicleCapacity = (vehicle, standardUnits, mode = 'warn') => {
+  if (!vehicle || !vehicle.capacity || mode === 'off') return null;
+  if (standardUnits <= vehicle.capacity) return null;
+
+  const message = `Load of ${standardUnits} units exceeds the registered capacity of ${vehicle.registrationNumber} (${vehicle.capacity} units)`;
+  if (mode === 'reject') {
+    throw new AppError(message, 400, 'CAPACITY_EXCEEDED');
+  }
+  return message;
+};
+
+module.exports = {
+  normalizeTruckNumber,
+  findVehicleByNumber,
+  checkVehicleCapacity,
+};